@@ -17,6 +17,8 @@ import AppRoutes from './components/routes/AppRoutes.jsx';
 // Utils
 import { NotificationProvider } from './contexts/NotificationContext.jsx';
 import { NetworkProvider } from './contexts/NetworkContext.jsx';
+import { ResponsibleGamingProvider } from './contexts/ResponsibleGamingContext.jsx';
+import { TransactionProvider } from './contexts/TransactionContext.jsx';
 import { PollingProvider } from './services/pollingService.jsx';
 import { useRouletteContract } from './hooks/useRouletteContract.js';
 import useIntroScreen from './hooks/useIntroScreen.js';
@@ -54,16 +56,20 @@ function App() {
           <Router>
             <WalletProvider>
               <NetworkProvider>
-                <PollingProviderWrapper>
-                  <AnimatePresence>
-                    {!hasSeenIntro && (
-                      <IntroScreen onComplete={completeIntro} />
-                    )}
-                  </AnimatePresence>
-                  <Layout>
-                    <AppRoutes />
-                  </Layout>
-                </PollingProviderWrapper>
+                <TransactionProvider>
+                  <PollingProviderWrapper>
+                    <ResponsibleGamingProvider>
+                      <AnimatePresence>
+                        {!hasSeenIntro && (
+                          <IntroScreen onComplete={completeIntro} />
+                        )}
+                      </AnimatePresence>
+                      <Layout>
+                        <AppRoutes />
+                      </Layout>
+                    </ResponsibleGamingProvider>
+                  </PollingProviderWrapper>
+                </TransactionProvider>
               </NetworkProvider>
             </WalletProvider>
           </Router>
@@ -0,0 +1,181 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes } from '@fortawesome/free-solid-svg-icons';
+import {
+  BET_TYPES,
+  MAX_BETS_PER_SPIN,
+  MAX_BET_AMOUNT,
+  MAX_TOTAL_BET_AMOUNT,
+} from '../../constants/game';
+import { formatTokenAmount } from '../../utils/formatting';
+import { getBetLabel, getNumberColor } from '../../utils/rouletteUtils';
+
+const WEI_PER_TOKEN = BigInt(10) ** BigInt(18);
+
+const spotBadgeColors = {
+  green: 'bg-green-600',
+  red: 'bg-red-600',
+  black: 'bg-gray-900',
+};
+
+const SlipRow = ({ bet, index, error, onUpdate, onRemove, disabled }) => {
+  const badgeColor =
+    bet.betTypeId === BET_TYPES.STRAIGHT_BET
+      ? spotBadgeColors[getNumberColor(bet.number)]
+      : 'bg-green-700';
+
+  // Amounts are whole tokens, like BetInput
+  const handleChange = e => {
+    const input = e.target.value;
+    if (input !== '' && !/^\d+$/.test(input)) return;
+    onUpdate(index, input === '' ? BigInt(0) : BigInt(input) * WEI_PER_TOKEN);
+  };
+
+  return (
+    <motion.li
+      layout
+      initial={{ opacity: 0, x: -10 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 10 }}
+      className={`p-2 rounded-lg border ${
+        error ? 'border-red-300 bg-red-50' : 'border-gray-200 bg-white'
+      }`}
+    >
+      <div className="flex items-center gap-3">
+        <span
+          className={`px-2 py-1 rounded text-xs font-semibold text-white ${badgeColor}`}
+        >
+          {getBetLabel(bet)}
+        </span>
+        <input
+          type="text"
+          inputMode="numeric"
+          value={bet.amount > BigInt(0) ? formatTokenAmount(bet.amount) : ''}
+          onChange={handleChange}
+          disabled={disabled}
+          aria-label={`Amount for ${getBetLabel(bet)}`}
+          className="flex-1 min-w-0 px-2 py-1 text-sm text-right rounded border border-gray-200 focus:outline-none focus:ring-2 focus:ring-green-500/40 disabled:bg-gray-100"
+        />
+        <span className="text-xs text-gray-500">GAMA</span>
+        <button
+          type="button"
+          onClick={() => onRemove(index)}
+          disabled={disabled}
+          aria-label={`Remove ${getBetLabel(bet)}`}
+          className="w-7 h-7 rounded-full text-gray-400 hover:text-red-500 hover:bg-red-50 disabled:opacity-50"
+        >
+          <FontAwesomeIcon icon={faTimes} />
+        </button>
+      </div>
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </motion.li>
+  );
+};
+
+/**
+ * Bet slip listing every chip on the table for the next spin, with the
+ * running total measured against the contract's per-spin limits. Each bet
+ * placeBet would reject shows its reason under it; errors lists the
+ * problems with the slip as a whole.
+ */
+const BetSlip = ({
+  bets,
+  totalAmount,
+  potentialPayout = BigInt(0),
+  errors = [],
+  betErrors = [],
+  onUpdate,
+  onRemove,
+  onClear,
+  disabled = false,
+}) => {
+  const totalPercent = Math.min(
+    100,
+    Number((totalAmount * BigInt(100)) / MAX_TOTAL_BET_AMOUNT)
+  );
+  const overTotal = totalAmount > MAX_TOTAL_BET_AMOUNT;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <label className="block text-gray-600 text-sm font-medium">
+          Bet Slip ({bets.length}/{MAX_BETS_PER_SPIN})
+        </label>
+        {bets.length > 0 && (
+          <button
+            type="button"
+            onClick={onClear}
+            disabled={disabled}
+            className="text-xs font-medium text-gray-500 hover:text-red-500 disabled:opacity-50"
+          >
+            Clear all
+          </button>
+        )}
+      </div>
+
+      {bets.length === 0 ? (
+        <div className="p-4 text-center text-sm text-gray-500 rounded-lg border border-dashed border-gray-300">
+          Set a chip amount below, then click spots on the table to add bets
+        </div>
+      ) : (
+        <ul className="space-y-2 max-h-64 overflow-y-auto">
+          <AnimatePresence initial={false}>
+            {bets.map((bet, index) => (
+              <SlipRow
+                key={`${bet.betTypeId}-${bet.number}`}
+                bet={bet}
+                index={index}
+                error={betErrors[index]}
+                onUpdate={onUpdate}
+                onRemove={onRemove}
+                disabled={disabled}
+              />
+            ))}
+          </AnimatePresence>
+        </ul>
+      )}
+
+      <div>
+        <div className="flex items-center justify-between text-sm">
+          <span className="text-gray-600">Total</span>
+          <span
+            className={`font-semibold ${overTotal ? 'text-red-600' : 'text-gray-800'}`}
+          >
+            {formatTokenAmount(totalAmount)} /{' '}
+            {formatTokenAmount(MAX_TOTAL_BET_AMOUNT)} GAMA
+          </span>
+        </div>
+        <div className="mt-1 h-1.5 rounded-full bg-gray-100 overflow-hidden">
+          <div
+            className={`h-full transition-all ${overTotal ? 'bg-red-500' : 'bg-green-500'}`}
+            style={{ width: `${totalPercent}%` }}
+          />
+        </div>
+        <div className="mt-1 flex items-center justify-between text-xs text-gray-500">
+          <span>Max {formatTokenAmount(MAX_BET_AMOUNT)} GAMA per bet</span>
+          {potentialPayout > BigInt(0) && (
+            <span>
+              Best case return:{' '}
+              <span className="font-semibold text-green-600">
+                {formatTokenAmount(potentialPayout)} GAMA
+              </span>
+            </span>
+          )}
+        </div>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="space-y-1">
+          {[...new Set(errors)].map(error => (
+            <li key={error} className="text-red-500 text-sm">
+              {error}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BetSlip;
@@ -0,0 +1,245 @@
+import React, { useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { BET_TYPES } from '../../constants/game';
+import { formatTokenAmount } from '../../utils/formatting';
+import {
+  getBetLabel,
+  getCoveredNumbers,
+  getNumberColor,
+  isSameBetSpot,
+} from '../../utils/rouletteUtils';
+
+// Rows of the number grid, top to bottom, as laid out on a European table
+const NUMBER_ROWS = [0, 1, 2].map(row =>
+  Array.from({ length: 12 }, (_, col) => 3 * (col + 1) - row)
+);
+
+// The 2:1 box at the end of each row pays on that row's column
+const ROW_COLUMN_BETS = [
+  BET_TYPES.COLUMN_BET_THIRD,
+  BET_TYPES.COLUMN_BET_SECOND,
+  BET_TYPES.COLUMN_BET_FIRST,
+];
+
+const DOZEN_BETS = [
+  { betTypeId: BET_TYPES.DOZEN_BET_FIRST, label: '1st 12' },
+  { betTypeId: BET_TYPES.DOZEN_BET_SECOND, label: '2nd 12' },
+  { betTypeId: BET_TYPES.DOZEN_BET_THIRD, label: '3rd 12' },
+];
+
+const EVEN_MONEY_BETS = [
+  { betTypeId: BET_TYPES.LOW_BET, label: '1-18' },
+  { betTypeId: BET_TYPES.EVEN_BET, label: 'Even' },
+  { betTypeId: BET_TYPES.RED_BET, label: 'Red', color: 'red' },
+  { betTypeId: BET_TYPES.BLACK_BET, label: 'Black', color: 'black' },
+  { betTypeId: BET_TYPES.ODD_BET, label: 'Odd' },
+  { betTypeId: BET_TYPES.HIGH_BET, label: '19-36' },
+];
+
+const numberColors = {
+  green: 'bg-green-600 hover:bg-green-500',
+  red: 'bg-red-600 hover:bg-red-500',
+  black: 'bg-gray-900 hover:bg-gray-700',
+};
+
+// Compact chip label, e.g. 1500 -> 1.5K
+const formatChip = amount => {
+  const value = Number(formatTokenAmount(amount));
+  if (value >= 1000000) return `${+(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `${+(value / 1000).toFixed(1)}K`;
+  return String(value);
+};
+
+const TableCell = ({
+  bet,
+  chip,
+  highlighted,
+  disabled,
+  onSelect,
+  onHover,
+  className = '',
+  children,
+}) => (
+  <motion.button
+    type="button"
+    disabled={disabled}
+    whileTap={!disabled && { scale: 0.95 }}
+    onClick={() => onSelect(bet)}
+    onMouseEnter={() => onHover(bet)}
+    onMouseLeave={() => onHover(null)}
+    onFocus={() => onHover(bet)}
+    onBlur={() => onHover(null)}
+    aria-pressed={!!chip}
+    aria-label={getBetLabel(bet)}
+    className={`
+      relative flex items-center justify-center
+      text-white font-semibold text-sm
+      border border-white/30 rounded-md
+      transition-all duration-150
+      ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}
+      ${chip ? 'ring-2 ring-yellow-300 ring-offset-1 ring-offset-green-800 z-10' : ''}
+      ${highlighted && !chip ? 'brightness-125 ring-1 ring-white/70' : ''}
+      ${className}
+    `}
+  >
+    {children}
+    {chip && (
+      <span className="absolute -top-2 -right-2 min-w-[1.5rem] h-6 px-1 rounded-full bg-yellow-300 border-2 border-dashed border-yellow-600 text-[10px] leading-5 text-yellow-900 font-bold shadow">
+        {formatChip(chip.amount)}
+      </span>
+    )}
+  </motion.button>
+);
+
+/**
+ * European roulette betting table covering straight numbers, dozens,
+ * columns and the six even-money boxes. Clicking a spot calls onSelect
+ * with { betTypeId, number }; chips from `bets` are drawn on their spots.
+ */
+const BettingTable = ({ bets = [], onSelect, disabled = false }) => {
+  const [hoveredBet, setHoveredBet] = useState(null);
+
+  // Numbers covered by the hovered spot
+  const highlightedNumbers = useMemo(() => {
+    if (!hoveredBet) return [];
+    return getCoveredNumbers(hoveredBet.betTypeId, hoveredBet.number);
+  }, [hoveredBet]);
+
+  const handleHover = bet => {
+    if (!disabled) setHoveredBet(bet);
+  };
+
+  const renderCell = (bet, className, children) => (
+    <TableCell
+      key={`${bet.betTypeId}-${bet.number}`}
+      bet={bet}
+      chip={bets.find(placed => isSameBetSpot(placed, bet))}
+      highlighted={
+        bet.betTypeId === BET_TYPES.STRAIGHT_BET &&
+        highlightedNumbers.includes(bet.number)
+      }
+      disabled={disabled}
+      onSelect={onSelect}
+      onHover={handleHover}
+      className={className}
+    >
+      {children}
+    </TableCell>
+  );
+
+  const straight = number => ({
+    betTypeId: BET_TYPES.STRAIGHT_BET,
+    number,
+  });
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <label className="block text-gray-600 text-sm font-medium">
+          Choose Your Bet:
+        </label>
+        {bets.length > 0 && (
+          <div className="text-xs font-medium px-2.5 py-1 rounded-full bg-green-100 text-green-600 border border-green-200">
+            {bets.length} {bets.length === 1 ? 'bet' : 'bets'} placed
+          </div>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <div
+          className="grid gap-1 p-2 rounded-xl bg-green-800 min-w-[560px]"
+          style={{
+            gridTemplateColumns: 'repeat(14, minmax(0, 1fr))',
+            gridTemplateRows: 'repeat(3, 2.75rem) 2.25rem 2.25rem',
+          }}
+        >
+          {/* Zero spans the three number rows */}
+          {renderCell(
+            straight(0),
+            `${numberColors.green} col-start-1 row-start-1 row-span-3`,
+            '0'
+          )}
+
+          {NUMBER_ROWS.map((row, rowIndex) =>
+            row.map((number, colIndex) => (
+              <div
+                key={number}
+                className="flex"
+                style={{
+                  gridColumnStart: colIndex + 2,
+                  gridRowStart: rowIndex + 1,
+                }}
+              >
+                {renderCell(
+                  straight(number),
+                  `flex-1 ${numberColors[getNumberColor(number)]}`,
+                  number
+                )}
+              </div>
+            ))
+          )}
+
+          {ROW_COLUMN_BETS.map((betTypeId, rowIndex) => (
+            <div
+              key={betTypeId}
+              className="flex"
+              style={{ gridColumnStart: 14, gridRowStart: rowIndex + 1 }}
+            >
+              {renderCell(
+                { betTypeId, number: 0 },
+                'flex-1 bg-green-700 hover:bg-green-600 text-xs',
+                '2:1'
+              )}
+            </div>
+          ))}
+
+          {DOZEN_BETS.map(({ betTypeId, label }, index) => (
+            <div
+              key={betTypeId}
+              className="flex"
+              style={{
+                gridColumn: `${index * 4 + 2} / span 4`,
+                gridRowStart: 4,
+              }}
+            >
+              {renderCell(
+                { betTypeId, number: 0 },
+                'flex-1 bg-green-700 hover:bg-green-600',
+                label
+              )}
+            </div>
+          ))}
+
+          {EVEN_MONEY_BETS.map(({ betTypeId, label, color }, index) => (
+            <div
+              key={betTypeId}
+              className="flex"
+              style={{
+                gridColumn: `${index * 2 + 2} / span 2`,
+                gridRowStart: 5,
+              }}
+            >
+              {renderCell(
+                { betTypeId, number: 0 },
+                `flex-1 ${color ? numberColors[color] : 'bg-green-700 hover:bg-green-600'}`,
+                label
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ delay: 0.3 }}
+        className="text-center text-xs text-gray-500"
+      >
+        Click a spot to add a chip. Straight pays 35:1, dozens and columns 2:1,
+        even-money bets 1:1
+      </motion.div>
+    </div>
+  );
+};
+
+export default BettingTable;
@@ -18,6 +18,7 @@ import { useWallet } from '../wallet/WalletProvider';
 import EmptyState from './EmptyState';
 import GameHistoryItem from './GameHistoryItem';
 import GameHistoryLoader from './GameHistoryLoader';
+import HistoryExport from './HistoryExport';
 import GameHistoryError from '../error/GameHistoryError';
 import { usePollingService } from '../../services/pollingService.jsx';
 
@@ -197,11 +198,12 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
   const { isWalletConnected } = useWallet();
 
   // Get isNewUser state from polling service
-  const { isNewUser, gameStatus } = usePollingService();
+  const { isNewUser } = usePollingService();
 
   // Use the bet history hook
   const {
     betHistory,
+    total,
     isLoading,
     error,
     currentPage,
@@ -212,6 +214,8 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
     goToPreviousPage,
     goToPage,
     refetch: forceRefresh,
+    isIndexed,
+    isSyncing,
   } = useBetHistory({
     playerAddress: account,
     pageSize: 12,
@@ -219,6 +223,13 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
     RouletteContract,
   });
 
+  let historySubtitle = 'Your recent GAMA ROULETTE spins';
+  if (isIndexed) {
+    historySubtitle = 'Your full GAMA ROULETTE play record';
+  } else if (isSyncing) {
+    historySubtitle = 'Indexing your earlier spins...';
+  }
+
   // Handle any errors
   useEffect(() => {
     if (error && onError) {
@@ -244,72 +255,37 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
     if (!betHistory) return [];
 
     if (filter === 'pending') {
-      return betHistory.filter(game => game.resultType === 'unknown');
+      return betHistory.filter(game => game.isPending);
     } else if (filter === 'wins') {
-      return betHistory.filter(
-        game =>
-          game.resultType === 'normal' &&
-          Number(game.rolledNumber) === Number(game.chosenNumber)
-      );
+      return betHistory.filter(game => game.isWin);
     } else if (filter === 'losses') {
       return betHistory.filter(
-        game =>
-          game.resultType === 'normal' &&
-          Number(game.rolledNumber) !== Number(game.chosenNumber)
+        game => game.resultType === 'normal' && !game.isWin
       );
     }
     return betHistory;
   }, [betHistory, filter]);
 
-  // Calculate counts for tabs
-  const pendingGamesCount = useMemo(() => {
-    // Count pending games from bet history
-    const pendingCount = betHistory
-      ? betHistory.filter(game => game.resultType === 'unknown').length
-      : 0;
-
-    // Add active game if it exists and it's not already in the history
-    const hasActiveGame = gameStatus?.isActive && gameStatus?.chosenNumber;
-
-    // Only increment if there's an active game and it's not already counted in bet history
-    if (hasActiveGame) {
-      // Check if we already have this game in history to avoid double counting
-      const isAlreadyCounted = betHistory
-        ? betHistory.some(
-            game =>
-              game.resultType === 'unknown' &&
-              Number(game.timestamp) ===
-                Number(gameStatus.lastPlayTimestamp || 0) &&
-              Number(game.chosenNumber) === Number(gameStatus.chosenNumber) &&
-              game.amount === gameStatus.amount?.toString()
-          )
-        : false;
-
-      return pendingCount + (isAlreadyCounted ? 0 : 1);
-    }
+  // Calculate counts for tabs. The active spin is stored in the contract's
+  // history as soon as it is placed, so it is already part of betHistory
+  const pendingGamesCount = useMemo(
+    () => (betHistory ? betHistory.filter(game => game.isPending).length : 0),
+    [betHistory]
+  );
+
+  const winGamesCount = useMemo(
+    () => (betHistory ? betHistory.filter(game => game.isWin).length : 0),
+    [betHistory]
+  );
 
-    return pendingCount;
-  }, [betHistory, gameStatus]);
-
-  const winGamesCount = useMemo(() => {
-    return betHistory
-      ? betHistory.filter(
-          game =>
-            game.resultType === 'normal' &&
-            Number(game.rolledNumber) === Number(game.chosenNumber)
-        ).length
-      : 0;
-  }, [betHistory]);
-
-  const lossGamesCount = useMemo(() => {
-    return betHistory
-      ? betHistory.filter(
-          game =>
-            game.resultType === 'normal' &&
-            Number(game.rolledNumber) !== Number(game.chosenNumber)
-        ).length
-      : 0;
-  }, [betHistory]);
+  const lossGamesCount = useMemo(
+    () =>
+      betHistory
+        ? betHistory.filter(game => game.resultType === 'normal' && !game.isWin)
+            .length
+        : 0,
+    [betHistory]
+  );
 
   // Create fallback data if no bets are available
   const _sampleBets = useMemo(() => {
@@ -317,71 +293,15 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
     return [];
   }, []);
 
-  // Check if contract is available and has the necessary methods
-  const contractHasRequiredMethods = useMemo(() => {
-    if (!RouletteContract) return false;
-
-    const _hasGetGameStatus =
-      typeof RouletteContract.getGameStatus === 'function';
-    const hasGetBetHistory =
-      typeof RouletteContract.getBetHistory === 'function';
-
-    return hasGetBetHistory;
-  }, [RouletteContract]);
+  // The contract client checks the ABI itself, so only availability matters
+  const contractHasRequiredMethods = !!RouletteContract;
 
   // We no longer use sample data
   const _shouldUseSampleData = useMemo(() => {
     return false; // Always return false to never use sample data
   }, []);
 
-  // Update displayBets to include active game
-  const displayBets = useMemo(() => {
-    // Start with the filtered games
-    let games = [...filteredGames];
-
-    // If there's an active game from gameStatus, add it to the list
-    if (gameStatus?.isActive && gameStatus?.chosenNumber) {
-      // Create a history item for the active game
-      const activeBet = {
-        timestamp: Number(
-          gameStatus.lastPlayTimestamp || Math.floor(Date.now() / 1000)
-        ),
-        chosenNumber: Number(gameStatus.chosenNumber),
-        rolledNumber: 0, // No result yet
-        amount: gameStatus.amount?.toString() || '0',
-        payout: '0', // No payout yet
-        resultType: 'unknown',
-        status: 'Pending',
-        isPending: true,
-        // Add a flag to identify this as the active game
-        isActiveGame: true,
-      };
-
-      // Check if this game should be included based on current filter
-      const shouldInclude =
-        filter === 'all' ||
-        (filter === 'pending' && activeBet.resultType === 'unknown');
-
-      // Only add if it should be included by the filter
-      if (shouldInclude) {
-        // Check if we already have this game in history
-        // This prevents duplicate entries when the game is both active and in history
-        const isDuplicate = games.some(
-          game =>
-            game.timestamp === activeBet.timestamp &&
-            game.chosenNumber === activeBet.chosenNumber &&
-            game.amount === activeBet.amount
-        );
-
-        if (!isDuplicate) {
-          // Add to the beginning of the array
-          games.unshift(activeBet);
-        }
-      }
-    }
-
-    return games;
-  }, [filteredGames, gameStatus, filter]);
+  const displayBets = filteredGames;
 
   // Define isDataLoading here so it's available throughout the component
   const isDataLoading = isLoading && (!betHistory || betHistory.length === 0);
@@ -443,7 +363,7 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
                 transition={{ delay: 0.1 }}
                 className="text-secondary-600"
               >
-                Your recent GAMA FLIP results
+                {historySubtitle}
               </motion.p>
             </div>
           </div>
@@ -455,7 +375,7 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
             active={filter === 'all'}
             onClick={() => setFilter('all')}
             icon={faHistory}
-            count={betHistory?.length || 0}
+            count={total}
           />
           <Tab
             label="Pending"
@@ -514,7 +434,7 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
               transition={{ delay: 0.1 }}
               className="text-secondary-600"
             >
-              Your recent GAMA FLIP results
+              {historySubtitle}
             </motion.p>
           </div>
         </div>
@@ -531,7 +451,7 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
           active={filter === 'all'}
           onClick={() => setFilter('all')}
           icon={faHistory}
-          count={betHistory?.length || 0}
+          count={total}
         />
         <Tab
           label="Pending"
@@ -555,7 +475,6 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
           icon={faTimesCircle}
           count={lossGamesCount}
         />
-
         <motion.button
           initial={{ opacity: 0, scale: 0.9 }}
           animate={{ opacity: 1, scale: 1 }}
@@ -582,6 +501,7 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
           </svg>
           Refresh
         </motion.button>
+        <HistoryExport account={account} RouletteContract={RouletteContract} />
       </motion.div>
 
       <div className="flex flex-col gap-4">
@@ -596,14 +516,15 @@ const GameHistory = ({ account, onError, hideHeading = false }) => {
           >
             {displayBets.map((game, index) => (
               <GameHistoryItem
-                key={`${game.timestamp}-${index}`}
+                key={game.requestId || `${game.slot}-${game.timestamp}`}
                 game={{
                   ...game,
                   betAmount: game.amount,
-                  isPending: game.resultType === 'unknown',
                 }}
                 index={index}
                 compact={true}
+                account={account}
+                RouletteContract={RouletteContract}
               />
             ))}
           </motion.div>
@@ -0,0 +1,134 @@
+import React from 'react';
+import { fireEvent, screen, waitFor } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import GameHistory from './GameHistory.jsx';
+import { useWallet } from '../wallet/WalletProvider.jsx';
+import {
+  placeSpin,
+  renderWithProviders,
+  setupSimulatedWallet,
+} from '../../test/renderWithProviders.jsx';
+
+// Props as the Roulette page passes them
+const ConnectedHistory = ({ onError }) => {
+  const { account, contracts } = useWallet();
+  return (
+    <GameHistory
+      account={account}
+      RouletteContract={contracts?.Roulette}
+      onError={onError}
+      hideHeading={true}
+    />
+  );
+};
+
+// jsdom's Blob has no text()
+const readBlob = blob =>
+  new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+
+const findStatus = text => screen.findByText(text, {}, { timeout: 10000 });
+
+describe('GameHistory', () => {
+  it('welcomes a player who has not spun yet', async () => {
+    await setupSimulatedWallet();
+    renderWithProviders(<ConnectedHistory onError={vi.fn()} />);
+
+    expect(await screen.findByText('Track Progress')).toBeTruthy();
+  });
+
+  it('lists settled spins and filters them by outcome', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    // The default red bet wins on 1 and loses on 2
+    await placeSpin(simulator, { winningNumber: 1 });
+    await placeSpin(simulator, { winningNumber: 2 });
+    const onError = vi.fn();
+    renderWithProviders(<ConnectedHistory onError={onError} />);
+
+    expect(await findStatus('WIN')).toBeTruthy();
+    expect(screen.getByText('LOSS')).toBeTruthy();
+    expect(screen.getByText('+2 GAMA')).toBeTruthy();
+
+    fireEvent.click(screen.getByRole('button', { name: /Wins/ }));
+
+    await waitFor(() => expect(screen.queryByText('LOSS')).toBeNull());
+    expect(screen.getByText('WIN')).toBeTruthy();
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('marks a refunded spin as recovered', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    await placeSpin(simulator);
+    simulator.passRecoveryWindow();
+    const { Roulette } = await simulator.getContracts();
+    await Roulette.recoverOwnStuckGame();
+
+    renderWithProviders(<ConnectedHistory onError={vi.fn()} />);
+
+    expect(await findStatus('RECOVERED')).toBeTruthy();
+    expect(screen.getByText('Auto Refund')).toBeTruthy();
+  });
+
+  it('exports the spins as CSV', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    await placeSpin(simulator, { winningNumber: 1 });
+    renderWithProviders(<ConnectedHistory onError={vi.fn()} />);
+    await findStatus('WIN');
+
+    const files = [];
+    vi.stubGlobal('URL', {
+      ...URL,
+      createObjectURL: blob => {
+        files.push(blob);
+        return 'blob:export';
+      },
+      revokeObjectURL: () => {},
+    });
+    // jsdom cannot follow the download link
+    const click = vi
+      .spyOn(HTMLAnchorElement.prototype, 'click')
+      .mockImplementation(() => {});
+
+    fireEvent.click(screen.getByText('Export'));
+    fireEvent.change(screen.getByLabelText('GAMA price'), {
+      target: { value: '0.5' },
+    });
+    const download = screen.getByText('Download CSV');
+    await waitFor(() =>
+      expect(download.closest('button').disabled).toBe(false)
+    );
+    fireEvent.click(download);
+
+    expect(files).toHaveLength(1);
+    expect(click).toHaveBeenCalled();
+    click.mockRestore();
+    const [header, row] = (await readBlob(files[0])).split('\n');
+    expect(header).toContain('net_gama');
+    expect(header).toContain('net_usd');
+    // The default red bet of 1 GAMA wins 1 on top of its stake
+    expect(row).toMatch(
+      /,Won,1,Red,.*,1\.0,2\.0,0\.0,1\.0,0\.50,1\.00,0\.00,0\.50$/
+    );
+  });
+
+  it('verifies a settled spin against its VRF random word', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    await placeSpin(simulator, { winningNumber: 1 });
+    renderWithProviders(<ConnectedHistory onError={vi.fn()} />);
+    await findStatus('WIN');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+    const verdict = await screen.findByRole('status');
+    expect(verdict.textContent).toContain(
+      'Verified: the result follows from the VRF random word'
+    );
+    expect(screen.getByText('1 (recorded 1)')).toBeTruthy();
+    expect(
+      screen.getByRole('list', { name: 'Recomputed payouts' }).textContent
+    ).toContain('Red2 GAMA');
+  });
+});
@@ -14,6 +14,14 @@ import {
   faHourglassHalf,
 } from '@fortawesome/free-solid-svg-icons';
 import { formatEther } from 'ethers';
+import { BET_TYPES } from '../../constants/game';
+import {
+  formatCoveredNumbers,
+  getBetLabel,
+  getCoveredNumbers,
+  getNumberColor,
+} from '../../utils/rouletteUtils';
+import SpinVerifier from './SpinVerifier';
 
 // Helper function to get result type
 const getResultType = game => {
@@ -24,17 +32,8 @@ const getResultType = game => {
   } else if (game.resultType === 'force_stopped' || game.rolledNumber === 254) {
     return 'STOPPED';
   } else if (game.resultType === 'normal') {
-    const rolledNumber = Number(game.rolledNumber);
-    const chosenNumber = Number(game.chosenNumber);
-    if (rolledNumber === chosenNumber) {
-      return 'WIN';
-    }
-    return 'LOSS';
-  } else if (
-    game.resultType === 'unknown' ||
-    game.isPending ||
-    !game.requestFulfilled
-  ) {
+    return game.isWin ? 'WIN' : 'LOSS';
+  } else if (game.resultType === 'pending' || game.isPending) {
     return 'PENDING';
   }
 
@@ -188,14 +187,59 @@ const getSpecialResultDescription = (resultType, payout) => {
   }
 };
 
-// Helper function to convert number to coin side
-const getCoinSide = number => {
-  if (number === 1) return 'H';
-  if (number === 2) return 'T';
-  return '?';
+// Background for the winning number tile, by pocket color
+const pocketStyles = {
+  green: 'bg-green-600 text-white',
+  red: 'bg-red-600 text-white',
+  black: 'bg-gray-900 text-white',
 };
 
-const GameHistoryItem = ({ game, index, compact = false }) => {
+// Every bet placed on the spin with its covered numbers and outcome
+const BetBreakdown = ({ bets = [], settled }) => (
+  <ul className="space-y-1">
+    {bets.map((bet, i) => {
+      const numbers = bet.numbers?.length
+        ? bet.numbers
+        : getCoveredNumbers(bet.betTypeId, bet.number);
+      const won = bet.payout > BigInt(0);
+
+      return (
+        <li
+          key={i}
+          className="flex items-center justify-between gap-2 text-xs bg-white/60 rounded-lg px-2 py-1"
+          title={numbers.join(', ')}
+        >
+          <span className="font-medium text-secondary-700 truncate">
+            {getBetLabel(bet)}
+            {bet.betTypeId !== BET_TYPES.STRAIGHT_BET && numbers.length > 0 && (
+              <span className="ml-1 text-secondary-500 font-normal">
+                ({formatCoveredNumbers(numbers)})
+              </span>
+            )}
+          </span>
+          <span className="whitespace-nowrap text-secondary-600">
+            {formatAmount(formatEther(bet.amount))}
+            {settled && (
+              <span
+                className={`ml-1.5 font-semibold ${won ? 'text-green-600' : 'text-red-500'}`}
+              >
+                {won ? `+${formatAmount(formatEther(bet.payout))}` : 'lost'}
+              </span>
+            )}
+          </span>
+        </li>
+      );
+    })}
+  </ul>
+);
+
+const GameHistoryItem = ({
+  game,
+  index,
+  compact = false,
+  account,
+  RouletteContract,
+}) => {
   const [expanded, setExpanded] = useState(false);
 
   const toggleExpand = () => {
@@ -209,13 +253,12 @@ const GameHistoryItem = ({ game, index, compact = false }) => {
   const cardStyles = getCardStyles(resultType);
   const resultIcon = getResultIcon(resultType);
 
-  const rolledNumber = Number(game.rolledNumber);
-  const chosenNumber = Number(game.chosenNumber);
+  const winningNumber = Number(game.winningNumber ?? game.rolledNumber);
   const isSpecial = resultType === 'RECOVERED' || resultType === 'STOPPED';
-
-  // Get coin sides
-  const chosenSide = getCoinSide(chosenNumber);
-  const flippedSide = getCoinSide(rolledNumber);
+  const isSettled = resultType === 'WIN' || resultType === 'LOSS';
+  const bets = game.bets || [];
+  const betCountLabel = `${bets.length} bet${bets.length === 1 ? '' : 's'}`;
+  const pocketStyle = pocketStyles[getNumberColor(winningNumber)];
 
   // Safe amount formatting
   const betAmount = formatEther(
@@ -264,7 +307,7 @@ const GameHistoryItem = ({ game, index, compact = false }) => {
           <div className="absolute -top-6 -right-6 w-16 h-16 rounded-full bg-white/20 blur-sm"></div>
           <div className="absolute -bottom-8 -left-8 w-20 h-20 rounded-full bg-white/30 blur-sm"></div>
 
-          {/* Header with status and chosen side */}
+          {/* Header with status and number of bets */}
           <div className="flex justify-between items-center mb-3 relative z-10">
             <div className="flex items-center gap-2">
               <div
@@ -276,7 +319,7 @@ const GameHistoryItem = ({ game, index, compact = false }) => {
                 />
               </div>
               <span className="text-xs font-medium text-secondary-700">
-                {chosenSide !== '?' ? `Chosen: ${chosenSide}` : ''}
+                {bets.length > 0 ? betCountLabel : ''}
               </span>
             </div>
             <div
@@ -390,16 +433,9 @@ const GameHistoryItem = ({ game, index, compact = false }) => {
                 <motion.div
                   initial={{ scale: 0.8, rotate: -10 }}
                   animate={{ scale: 1, rotate: 0 }}
-                  className={`w-12 h-12 rounded-xl flex items-center justify-center shadow-sm text-2xl font-bold
-                    ${
-                      resultType === 'WIN'
-                        ? 'bg-green-200 text-green-800'
-                        : resultType === 'LOSS'
-                          ? 'bg-red-200 text-red-800'
-                          : 'bg-secondary-200 text-secondary-800'
-                    }`}
+                  className={`w-12 h-12 rounded-xl flex items-center justify-center shadow-sm text-2xl font-bold ${pocketStyle}`}
                 >
-                  {flippedSide}
+                  {winningNumber}
                 </motion.div>
                 {resultType === 'WIN' && (
                   <motion.div
@@ -420,6 +456,19 @@ const GameHistoryItem = ({ game, index, compact = false }) => {
             )}
           </div>
 
+          {bets.length > 0 && (
+            <div className="mb-3 max-h-32 overflow-y-auto relative z-10">
+              <BetBreakdown bets={bets} settled={isSettled} />
+            </div>
+          )}
+
+          <SpinVerifier
+            game={game}
+            account={account}
+            RouletteContract={RouletteContract}
+            className="mb-3 relative z-10"
+          />
+
           {/* Footer with bet amount and time */}
           <div className="grid grid-cols-2 gap-2 mt-auto pt-2 border-t border-white/40 relative z-10">
             <div className="flex items-center gap-1.5 text-xs">
@@ -521,31 +570,19 @@ const GameHistoryItem = ({ game, index, compact = false }) => {
                   initial={{ scale: 0.8 }}
                   animate={{ scale: 1 }}
                   transition={{ type: 'spring', stiffness: 300, damping: 15 }}
-                  className={`text-5xl font-bold w-16 h-16 flex items-center justify-center rounded-xl shadow-sm
-                    ${
-                      resultType === 'WIN'
-                        ? 'bg-green-200 text-green-800'
-                        : resultType === 'LOSS'
-                          ? 'bg-red-200 text-red-800'
-                          : 'bg-secondary-200 text-secondary-800'
-                    }`}
+                  className={`text-4xl font-bold w-16 h-16 flex items-center justify-center rounded-xl shadow-sm ${pocketStyle}`}
                 >
-                  {flippedSide}
+                  {winningNumber}
                 </motion.div>
                 <div className="text-xs text-secondary-600 font-medium mt-1">
-                  Rolled
+                  Winning number
                 </div>
               </div>
             )}
 
             <div className="flex flex-col gap-1.5">
               <div className="font-medium text-secondary-800 text-lg">
-                Chosen:{' '}
-                <span
-                  className={`text-xl ${resultType === 'WIN' ? 'text-green-700 font-bold' : ''}`}
-                >
-                  {chosenSide !== '?' ? chosenSide : '?'}
-                </span>
+                {betCountLabel}
               </div>
               <div className="flex items-center gap-2 text-xs text-secondary-600">
                 <FontAwesomeIcon icon={faClock} className="w-3 h-3" />
@@ -690,6 +727,19 @@ const GameHistoryItem = ({ game, index, compact = false }) => {
                   </div>
                 </div>
 
+                {bets.length > 0 && (
+                  <div className="bg-white/70 backdrop-blur-sm rounded-lg p-3 border border-secondary-100">
+                    <div className="text-xs text-secondary-500 mb-1">Bets</div>
+                    <BetBreakdown bets={bets} settled={isSettled} />
+                  </div>
+                )}
+
+                <SpinVerifier
+                  game={game}
+                  account={account}
+                  RouletteContract={RouletteContract}
+                />
+
                 <div className="bg-white/70 backdrop-blur-sm rounded-lg p-3 border border-secondary-100">
                   <div className="text-xs text-secondary-500 mb-1">Status</div>
                   <div className="flex justify-between items-center">
@@ -703,7 +753,7 @@ const GameHistoryItem = ({ game, index, compact = false }) => {
                         : isSpecial
                           ? getSpecialResultDescription(resultType, payout)
                           : resultType === 'WIN'
-                            ? 'You matched the rolled number!'
+                            ? `The wheel landed on ${winningNumber}, a winning spin!`
                             : 'Better luck next time!'}
                     </div>
                     <div
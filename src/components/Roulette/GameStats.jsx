@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import Card from '../ui/Card';
 import Button from '../ui/Button';
+import TransactionConfirmation from '../ui/TransactionConfirmation';
 import { formatTokenAmount, formatTimestamp } from '../../utils/formatting';
 import { useGameStatus } from '../../hooks/useGameStatus';
 import { useGameRecovery } from '../../hooks/useGameRecovery';
@@ -24,17 +25,25 @@ const GameStats = ({ account, onError, addToast }) => {
     error: statusError,
     refetch,
   } = useGameStatus();
-  const { recoverGame, isRecovering, recoveryError, GAME_TIMEOUT } =
-    useGameRecovery({
-      onSuccess: () => {
-        addToast?.('Game recovered successfully!', 'success');
-        refetch();
-      },
-      onError: error => {
-        addToast?.('Failed to recover game: ' + error.message, 'error');
-        onError?.(error);
-      },
-    });
+  const {
+    recoverGame,
+    isRecovering,
+    isSimulating,
+    recoveryError,
+    confirmation,
+    confirmTransaction,
+    cancelTransaction,
+    GAME_TIMEOUT,
+  } = useGameRecovery({
+    onSuccess: () => {
+      addToast?.('Game recovered successfully!', 'success');
+      refetch();
+    },
+    onError: error => {
+      addToast?.('Failed to recover game: ' + error.message, 'error');
+      onError?.(error);
+    },
+  });
 
   // VRF request tracking
   const requestId =
@@ -112,7 +121,7 @@ const GameStats = ({ account, onError, addToast }) => {
             variant="primary"
             size="small"
             onClick={recoverGame}
-            isLoading={isRecovering}
+            isLoading={isRecovering || isSimulating}
             disabled={!gameStatus?.recoveryEligible}
             title={
               !gameStatus?.recoveryEligible
@@ -260,6 +269,12 @@ const GameStats = ({ account, onError, addToast }) => {
           </div>
         </Card>
       )}
+
+      <TransactionConfirmation
+        confirmation={confirmation}
+        onConfirm={confirmTransaction}
+        onCancel={cancelTransaction}
+      />
     </div>
   );
 };
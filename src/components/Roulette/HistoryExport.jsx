@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFileExport } from '@fortawesome/free-solid-svg-icons';
+import Button from '../ui/Button';
+import { usePlayerHistory } from '../../hooks/usePlayerHistory';
+import { MAX_HISTORY_SIZE } from '../../constants/game';
+import {
+  downloadFile,
+  parseRate,
+  toCsvExport,
+  toJsonExport,
+} from '../../utils/historyExport';
+
+const FORMATS = {
+  csv: { label: 'CSV', type: 'text/csv', build: toCsvExport },
+  json: { label: 'JSON', type: 'application/json', build: toJsonExport },
+};
+
+const describeHistory = ({
+  spins,
+  isComplete,
+  isLoading,
+  isSyncing,
+  error,
+}) => {
+  if (isLoading) return 'Loading your history...';
+  if (error) return `Could not load your history: ${error.message}`;
+
+  const count = `${spins.length} spin${spins.length === 1 ? '' : 's'}`;
+  if (!isComplete) {
+    return `${count}, the last ${MAX_HISTORY_SIZE} the contract keeps. Older spins, tx hashes and request IDs need the history index.`;
+  }
+  return isSyncing ? `${count}, still syncing newer ones` : count;
+};
+
+// Export form, mounted only while open so the full history is only loaded
+// when the player asks for it
+const ExportPanel = ({ account, RouletteContract, onDone }) => {
+  const [format, setFormat] = useState('csv');
+  const [rateInput, setRateInput] = useState('');
+  const [currencyInput, setCurrencyInput] = useState('USD');
+  const { spins, isComplete, isLoading, isSyncing, error } = usePlayerHistory({
+    playerAddress: account,
+    RouletteContract,
+  });
+
+  const rate = parseRate(rateInput);
+  const currency = currencyInput.trim().toUpperCase();
+  const isRateValid = !rateInput.trim() || (rate !== null && !!currency);
+  const canExport = !isLoading && !error && spins.length > 0 && isRateValid;
+
+  const handleExport = () => {
+    const { type, build } = FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      build(spins, { player: account, rate, currency }),
+      `roulette-history-${account.slice(0, 8)}-${date}.${format}`,
+      type
+    );
+    onDone();
+  };
+
+  return (
+    <div className="absolute right-0 mt-2 w-80 p-4 rounded-xl bg-white shadow-xl border border-gray-200 z-20 space-y-3 text-sm">
+      <div className="flex gap-2" role="radiogroup" aria-label="Export format">
+        {Object.entries(FORMATS).map(([key, { label }]) => (
+          <button
+            key={key}
+            role="radio"
+            aria-checked={format === key}
+            onClick={() => setFormat(key)}
+            className={`flex-1 px-3 py-1.5 rounded-lg border ${
+              format === key
+                ? 'bg-[#22AD74]/10 text-[#22AD74] border-[#22AD74]/30'
+                : 'border-gray-200 text-secondary-600'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <label className="flex-1 text-gray-600">
+          GAMA price (optional)
+          <input
+            type="text"
+            inputMode="decimal"
+            value={rateInput}
+            onChange={e => setRateInput(e.target.value)}
+            placeholder="0.00"
+            aria-label="GAMA price"
+            className="mt-1 w-full px-3 py-1.5 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-green-500/40"
+          />
+        </label>
+        <label className="w-20 text-gray-600">
+          Currency
+          <input
+            type="text"
+            value={currencyInput}
+            onChange={e => setCurrencyInput(e.target.value)}
+            maxLength={5}
+            aria-label="Currency"
+            className="mt-1 w-full px-3 py-1.5 rounded-lg border border-gray-200 uppercase focus:outline-none focus:ring-2 focus:ring-green-500/40"
+          />
+        </label>
+      </div>
+      {!isRateValid && (
+        <p className="text-xs text-red-600">
+          Enter a positive price and a currency, or leave the price empty.
+        </p>
+      )}
+
+      <p className="text-xs text-gray-500">
+        {describeHistory({ spins, isComplete, isLoading, isSyncing, error })}
+      </p>
+
+      <Button size="sm" disabled={!canExport} onClick={handleExport}>
+        Download {FORMATS[format].label}
+      </Button>
+    </div>
+  );
+};
+
+/**
+ * Export button for the player's full spin history, as CSV with one row
+ * per bet line or as JSON, optionally priced in a currency
+ */
+const HistoryExport = ({ account, RouletteContract }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        className="px-4 py-2.5 rounded-xl text-sm font-medium flex items-center gap-2 bg-white text-secondary-600 hover:bg-gray-50 border border-gray-200 hover:border-gray-300"
+      >
+        <FontAwesomeIcon icon={faFileExport} />
+        Export
+      </button>
+      {isOpen && (
+        <ExportPanel
+          account={account}
+          RouletteContract={RouletteContract}
+          onDone={() => setIsOpen(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default HistoryExport;
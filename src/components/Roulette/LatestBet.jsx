@@ -1,6 +1,5 @@
 import React, { useMemo } from 'react';
-import { ethers } from 'ethers';
-import { motion, AnimatePresence } from 'framer-motion';
+import { motion } from 'framer-motion';
 import { usePollingService } from '../../services/pollingService.jsx';
 import { useWallet } from '../wallet/WalletProvider.jsx';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
@@ -9,26 +8,222 @@ import {
   faTrophy,
   faRandom,
   faSyncAlt as faSync,
-  faClock,
   faWallet,
   faHistory,
   faSpinner,
   faCircle,
-  faExclamationTriangle,
-  faCheckCircle,
-  faCircleNotch,
-  faHourglassHalf,
+  faCheck,
+  faTimes,
 } from '@fortawesome/free-solid-svg-icons';
-import { formatDistanceToNow } from 'date-fns';
-
-const LatestBet = ({ result: betResult, chosenNumber, betAmount }) => {
-  // Add this function to convert numbers to coin types
-  const renderCoinType = num => {
-    if (num === 1) return 'H';
-    if (num === 2) return 'T';
-    return '?';
+import {
+  BET_TYPES,
+  RESULT_FORCE_STOPPED,
+  RESULT_RECOVERED,
+} from '../../constants/game';
+import { formatTokenAmount } from '../../utils/formatting';
+import {
+  calculateBetPayout,
+  formatCoveredNumbers,
+  getBetLabel,
+  getCoveredNumbers,
+  getNumberColor,
+  isValidRouletteNumber,
+} from '../../utils/rouletteUtils';
+
+// Rows of the mini table, top to bottom, as laid out on BettingTable
+const NUMBER_ROWS = [0, 1, 2].map(row =>
+  Array.from({ length: 12 }, (_, col) => 3 * (col + 1) - row)
+);
+
+const pocketColors = {
+  green: 'bg-green-600',
+  red: 'bg-red-600',
+  black: 'bg-gray-900',
+};
+
+// Results from useGameLogic are stamped with Date.now(), the contract uses
+// seconds
+const toSeconds = timestamp => {
+  const value = Number(timestamp || 0);
+  return value > 1e12 ? Math.floor(value / 1000) : value;
+};
+
+const toBetRows = (bets = [], winningNumber = null) =>
+  bets.map(bet => {
+    let payout = BigInt(0);
+    if (bet.payout !== undefined) payout = BigInt(bet.payout);
+    else if (winningNumber !== null) {
+      payout = calculateBetPayout(bet, winningNumber);
+    }
+
+    return {
+      betTypeId: bet.betTypeId,
+      number: bet.number,
+      amount: BigInt(bet.amount),
+      payout,
+      hit: payout > BigInt(0),
+    };
+  });
+
+// A settled spin from the history, where every bet carries its own payout
+const fromHistory = spin => ({
+  status: ['recovered', 'force_stopped'].includes(spin.resultType)
+    ? spin.resultType
+    : 'settled',
+  winningNumber: spin.winningNumber,
+  bets: toBetRows(spin.bets),
+  totalAmount: spin.totalAmount,
+  totalPayout: spin.totalPayout,
+  timestamp: spin.timestamp,
+});
+
+// The spin this session just placed, before the history has caught up.
+// Per-bet payouts follow Roulette._calculatePayout.
+const fromResult = result => {
+  const winningNumber = Number(result.winningNumber);
+  let status = 'settled';
+  if (winningNumber === RESULT_RECOVERED) status = 'recovered';
+  else if (winningNumber === RESULT_FORCE_STOPPED) status = 'force_stopped';
+
+  const bets = toBetRows(
+    result.bets,
+    isValidRouletteNumber(winningNumber) ? winningNumber : null
+  ).map(bet => (status === 'settled' ? bet : { ...bet, payout: BigInt(0) }));
+
+  return {
+    status,
+    winningNumber,
+    bets,
+    totalAmount: BigInt(result.totalAmount || 0),
+    totalPayout: BigInt(result.totalPayout || 0),
+    timestamp: toSeconds(result.timestamp),
   };
+};
+
+/**
+ * Pick the spin to show: the pending one, this session's latest result, or
+ * the newest spin from the history
+ */
+const getDisplaySpin = ({
+  betResult,
+  latestHistoryBet,
+  isWaitingForVrf,
+  gameStatus,
+  betAmount,
+}) => {
+  if (betResult?.isPending || isWaitingForVrf) {
+    return {
+      status: 'pending',
+      bets: betResult?.isPending ? toBetRows(betResult.bets) : [],
+      totalAmount: BigInt(
+        (betResult?.isPending && betResult.totalAmount) ||
+          gameStatus?.totalAmount ||
+          betAmount ||
+          0
+      ),
+      timestamp:
+        gameStatus?.lastPlayTimestamp || toSeconds(betResult?.timestamp),
+    };
+  }
+
+  if (betResult && betResult.winningNumber !== undefined) {
+    const current = fromResult(betResult);
+    // Prefer the stored spin once it's in the history, it has exact payouts
+    const isStored =
+      latestHistoryBet &&
+      latestHistoryBet.winningNumber === current.winningNumber &&
+      latestHistoryBet.totalAmount === current.totalAmount;
+    return isStored ? fromHistory(latestHistoryBet) : current;
+  }
+
+  return latestHistoryBet ? fromHistory(latestHistoryBet) : null;
+};
+
+// The number grid with the winning pocket highlighted and the numbers the
+// spin's bets covered emphasized
+const MiniTable = ({ winningNumber, coveredNumbers }) => {
+  const cellClass = number => {
+    let emphasis = 'opacity-30';
+    if (number === winningNumber) {
+      emphasis = 'ring-2 ring-yellow-300 scale-110 z-10';
+    } else if (coveredNumbers.has(number)) {
+      emphasis = 'opacity-90';
+    }
+    return `flex items-center justify-center rounded-sm text-[9px] font-semibold text-white ${pocketColors[getNumberColor(number)]} ${emphasis}`;
+  };
+
+  return (
+    <div
+      className="flex gap-0.5 p-1 rounded-md bg-green-800"
+      role="img"
+      aria-label={`Winning number ${winningNumber} on the table`}
+    >
+      <div className={`${cellClass(0)} w-5`}>0</div>
+      <div className="flex-1 grid grid-rows-3 gap-0.5">
+        {NUMBER_ROWS.map(row => (
+          <div key={row[0]} className="grid grid-cols-12 gap-0.5">
+            {row.map(number => (
+              <div key={number} className={`${cellClass(number)} h-4`}>
+                {number}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Every bet on the spin with the numbers it covered, its stake and, once
+// settled, whether it hit
+const BetRows = ({ bets, settled }) => (
+  <ul className="space-y-1">
+    {bets.map((bet, i) => {
+      const numbers = getCoveredNumbers(bet.betTypeId, bet.number);
+
+      return (
+        <li
+          key={i}
+          className="flex items-center justify-between gap-2 text-xs rounded px-1.5 py-1 bg-gray-50"
+          title={numbers.join(', ')}
+        >
+          <span className="flex items-center min-w-0 text-gray-600">
+            {settled && (
+              <FontAwesomeIcon
+                icon={bet.hit ? faCheck : faTimes}
+                className={`mr-1.5 ${bet.hit ? 'text-emerald-500' : 'text-rose-400'}`}
+              />
+            )}
+            <span className="font-medium truncate">{getBetLabel(bet)}</span>
+            {bet.betTypeId !== BET_TYPES.STRAIGHT_BET && (
+              <span className="ml-1 text-gray-400 truncate">
+                ({formatCoveredNumbers(numbers)})
+              </span>
+            )}
+          </span>
+          <span className="whitespace-nowrap font-mono text-gray-500">
+            {formatTokenAmount(bet.amount)}
+            {settled && (
+              <span
+                className={`ml-1.5 ${bet.hit ? 'text-emerald-500' : 'text-rose-400'}`}
+              >
+                {bet.hit ? `+${formatTokenAmount(bet.payout)}` : '0'}
+              </span>
+            )}
+          </span>
+        </li>
+      );
+    })}
+  </ul>
+);
+
+const formatTime = timestamp =>
+  new Date(timestamp * 1000).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
 
+const LatestBet = ({ betResult = null, betAmount }) => {
   // Use the polling service to get bet history data and game status
   const {
     betHistory: allBets,
@@ -45,203 +240,44 @@ const LatestBet = ({ result: betResult, chosenNumber, betAmount }) => {
     return allBets[0]; // First item is the most recent bet
   }, [allBets, isNewUser]);
 
-  const formatAmount = amount => {
-    if (!amount || amount === '0') return '0';
-    try {
-      // Get only the whole number part
-      return ethers.formatEther(amount.toString()).split('.')[0];
-    } catch (e) {
-      return '0';
-    }
-  };
-
-  // Check if we're waiting for VRF
-  const isWaitingForVrf = useMemo(() => {
-    // If new user, they're not waiting for VRF
-    if (isNewUser) return false;
-    if (!gameStatus) return false;
-
-    // Active game + request exists = waiting for VRF
-    const isActive = gameStatus.isActive;
-    const requestExists = gameStatus.requestExists;
-    const requestFulfilled = gameStatus.requestFulfilled;
-
-    // Waiting for VRF if the game is active and the request exists but isn't fulfilled
-    return isActive && requestExists && !requestFulfilled;
-  }, [gameStatus, isNewUser]);
-
-  // Check if the current game or latest bet is recovered or force stopped
-  const isSpecialResult = useMemo(() => {
-    // Check if the latest history bet has a special result type
-    if (latestHistoryBet && latestHistoryBet.resultType) {
-      return (
-        latestHistoryBet.resultType === 'recovered' ||
-        latestHistoryBet.resultType === 'force_stopped'
-      );
-    }
-
-    // Check if the result has a special rolledNumber value
-    if (betResult && betResult.rolledNumber !== undefined) {
-      const rolledNum = Number(betResult.rolledNumber);
-      return rolledNum === 254 || rolledNum === 255; // RESULT_FORCE_STOPPED or RESULT_RECOVERED
-    }
-
-    return false;
-  }, [latestHistoryBet, betResult]);
-
-  // Get the special result type if applicable
-  const specialResultType = useMemo(() => {
-    if (!isSpecialResult) return null;
-
-    // Check latest history bet
-    if (latestHistoryBet && latestHistoryBet.resultType) {
-      return latestHistoryBet.resultType;
-    }
-
-    // Check result
-    if (betResult && betResult.rolledNumber !== undefined) {
-      const rolledNum = Number(betResult.rolledNumber);
-      if (rolledNum === 254) return 'force_stopped';
-      if (rolledNum === 255) return 'recovered';
-    }
-
-    return null;
-  }, [isSpecialResult, latestHistoryBet, betResult]);
-
-  // Helper function to check if result matches the current bet values
-  const isCurrentBetResult = (resultObj, chosenNum, amount) => {
-    if (!resultObj || !chosenNum || !amount) return false;
-
-    // Check if chosen number matches
-    const resultChosenNum =
-      resultObj.chosenNumber ||
-      (resultObj.chosen ? Number(resultObj.chosen) : null);
-
-    // For coin-based comparisons:
-    // If result is number 1/2 and chosenNum is 'green'/'white'
-    let chosenMatch = false;
-    if (typeof chosenNum === 'string') {
-      if (chosenNum === 'green' && resultChosenNum === 1) {
-        chosenMatch = true;
-      } else if (chosenNum === 'white' && resultChosenNum === 2) {
-        chosenMatch = true;
-      }
-    } else {
-      // For backward compatibility with number-based system
-      chosenMatch = resultChosenNum === Number(chosenNum);
-    }
-
-    // For amount, do a rough comparison to avoid precision issues
-    let amountMatch = false;
-    try {
-      const resultAmount = resultObj.amount ? resultObj.amount.toString() : '0';
-      const betAmount = amount.toString();
-      // Compare only the first few digits to avoid precision issues
-      amountMatch = resultAmount.substring(0, 5) === betAmount.substring(0, 5);
-    } catch (e) {
-      // Silently handle comparison errors
-    }
-
-    return chosenMatch && amountMatch;
-  };
-
-  // Determine the best result to display
-  const displayResult = useMemo(() => {
-    // For new users, return null to show welcome message
-    if (isNewUser) {
-      return null;
-    }
-
-    // For special results like RECOVERED or FORCE_STOPPED, prioritize them
-    if (isSpecialResult) {
-      if (latestHistoryBet) {
-        return {
-          source: 'special',
-          data: latestHistoryBet,
-          type: specialResultType,
-        };
-      }
-      if (betResult) {
-        return {
-          source: 'special',
-          data: betResult,
-          type: specialResultType,
-        };
-      }
-    }
-
-    // If no active game in contract, don't show pending status
-    if (!gameStatus?.isActive && latestHistoryBet) {
-      return {
-        source: 'history',
-        data: latestHistoryBet,
-      };
-    }
-
-    // First check if latest history bet matches our current bet - this takes highest priority
-    if (
-      latestHistoryBet &&
-      isCurrentBetResult(latestHistoryBet, chosenNumber, betAmount)
-    ) {
-      return {
-        source: 'history',
-        data: latestHistoryBet,
-      };
-    }
-
-    // If waiting for VRF based on contract state
-    if (isWaitingForVrf) {
-      return {
-        source: 'pending',
-        data: betResult || {
-          chosenNumber: gameStatus?.chosenNumber,
-          amount: gameStatus?.amount,
-          timestamp: gameStatus?.lastPlayTimestamp,
-        },
-      };
-    }
-
-    // If we have a valid result with rolledNumber, use it
-    if (
-      betResult &&
-      typeof betResult.rolledNumber !== 'undefined' &&
-      betResult.rolledNumber !== null
-    ) {
-      return {
-        source: 'current',
-        data: betResult,
-      };
-    }
-
-    // If we're not waiting for VRF and have history, show history
-    if (!isWaitingForVrf && latestHistoryBet) {
-      return {
-        source: 'history',
-        data: latestHistoryBet,
-      };
-    }
-
-    // Default to history if available
-    if (latestHistoryBet) {
-      return {
-        source: 'history',
-        data: latestHistoryBet,
-      };
-    }
+  // Waiting for VRF if the game is active and the request exists but isn't
+  // fulfilled
+  const isWaitingForVrf =
+    !isNewUser &&
+    !!gameStatus?.isActive &&
+    !!gameStatus?.requestExists &&
+    !gameStatus?.requestFulfilled;
+
+  const spin = useMemo(
+    () =>
+      isNewUser
+        ? null
+        : getDisplaySpin({
+            betResult,
+            latestHistoryBet,
+            isWaitingForVrf,
+            gameStatus,
+            betAmount,
+          }),
+    [
+      betResult,
+      latestHistoryBet,
+      isWaitingForVrf,
+      gameStatus,
+      betAmount,
+      isNewUser,
+    ]
+  );
 
-    // No valid result to display
-    return null;
-  }, [
-    betResult,
-    latestHistoryBet,
-    isWaitingForVrf,
-    chosenNumber,
-    betAmount,
-    gameStatus,
-    isNewUser,
-    isSpecialResult,
-    specialResultType,
-  ]);
+  const coveredNumbers = useMemo(
+    () =>
+      new Set(
+        (spin?.bets || []).flatMap(bet =>
+          getCoveredNumbers(bet.betTypeId, bet.number)
+        )
+      ),
+    [spin]
+  );
 
   // Base styles for the card with glass morphism effect
   const baseCardStyle =
@@ -265,7 +301,7 @@ const LatestBet = ({ result: betResult, chosenNumber, betAmount }) => {
 
   // Component for card header with pill-shaped status indicator
   const CardHeader = ({
-    title = 'Latest Roll',
+    title = 'Latest Spin',
     icon = faCoins,
     color = 'text-gray-400',
     status = null,
@@ -351,87 +387,8 @@ const LatestBet = ({ result: betResult, chosenNumber, betAmount }) => {
     );
   }
 
-  // Display special result (recovered or force stopped)
-  if (displayResult?.source === 'special') {
-    const data = displayResult.data;
-    const isRecovered = displayResult.type === 'recovered';
-    const _isForceStopped = displayResult.type === 'force_stopped';
-    const refundAmount = data.amount || '0';
-
-    // Determine color scheme based on type
-    const colorObj = isRecovered
-      ? {
-          bg: 'from-indigo-50 to-indigo-100/50',
-          text: 'text-indigo-500',
-          icon: faSync,
-          accent: '#6366f1',
-          status: 'Refunded',
-        }
-      : {
-          bg: 'from-amber-50 to-amber-100/50',
-          text: 'text-amber-500',
-          icon: faRandom,
-          accent: '#f59e0b',
-          status: 'Stopped',
-        };
-
-    return (
-      <motion.div
-        initial="initial"
-        animate="animate"
-        whileHover="hover"
-        variants={cardVariants}
-        className={`${baseCardStyle}`}
-        style={{ borderLeft: `3px solid ${colorObj.accent}` }}
-      >
-        <CardHeader
-          title={isRecovered ? 'Recovered' : 'Stopped'}
-          icon={colorObj.icon}
-          color={colorObj.text}
-          status={{ label: colorObj.status, color: colorObj.text }}
-        />
-
-        <div className="flex items-center space-x-3.5">
-          <div
-            className={`bg-gradient-to-br ${colorObj.bg} rounded-md p-2.5 flex items-center justify-center w-10 h-10`}
-          >
-            <FontAwesomeIcon
-              icon={colorObj.icon}
-              className={`${colorObj.text} text-lg`}
-            />
-          </div>
-          <div className="flex-1">
-            <div className="flex justify-between items-center mb-1">
-              <span className="text-sm text-gray-500 font-mono">
-                #{data.chosenNumber || '?'}
-              </span>
-              <span
-                className={`text-xs ${colorObj.text} px-2 py-0.5 rounded-full bg-white border border-current/20`}
-              >
-                {formatAmount(refundAmount)}
-                <span className="opacity-60 text-xs ml-0.5">GAMA</span>
-              </span>
-            </div>
-            <p className="text-xs text-gray-500 mt-0.5">
-              {isRecovered ? 'Refunded due to delay' : 'Admin stopped game'}
-            </p>
-          </div>
-        </div>
-
-        {data.timestamp && (
-          <div className="mt-2 text-right text-xs text-gray-400">
-            {new Date(data.timestamp * 1000).toLocaleTimeString([], {
-              hour: '2-digit',
-              minute: '2-digit',
-            })}
-          </div>
-        )}
-      </motion.div>
-    );
-  }
-
   // Show loading state
-  if (isLoading && !displayResult) {
+  if (isLoading && !spin) {
     return (
       <motion.div
         initial="initial"
@@ -452,30 +409,8 @@ const LatestBet = ({ result: betResult, chosenNumber, betAmount }) => {
                 className="text-blue-400 text-lg"
               />
             </motion.div>
-            <motion.div
-              className="absolute inset-0 rounded-md bg-blue-400/10"
-              animate={{ opacity: [0, 0.5, 0] }}
-              transition={{ repeat: Infinity, duration: 2 }}
-            />
           </div>
           <div className="flex-1">
-            <div className="flex items-center mb-1.5">
-              <motion.div
-                className="h-2 w-24 bg-gray-200 rounded-full overflow-hidden"
-                animate={{ opacity: [0.5, 0.8, 0.5] }}
-                transition={{ repeat: Infinity, duration: 1.5 }}
-              >
-                <motion.div
-                  className="h-full bg-blue-400"
-                  animate={{ width: ['0%', '100%', '0%'] }}
-                  transition={{
-                    repeat: Infinity,
-                    duration: 1.5,
-                    ease: 'easeInOut',
-                  }}
-                />
-              </motion.div>
-            </div>
             <p className="text-gray-500 text-xs">Loading bet history</p>
           </div>
         </div>
@@ -484,7 +419,7 @@ const LatestBet = ({ result: betResult, chosenNumber, betAmount }) => {
   }
 
   // Show empty state for connected users with no history
-  if (!displayResult && !isLoading && isWalletConnected && account) {
+  if (!spin) {
     return (
       <motion.div
         initial="initial"
@@ -513,17 +448,24 @@ const LatestBet = ({ result: betResult, chosenNumber, betAmount }) => {
     );
   }
 
-  // Show pending VRF result
-  if (displayResult?.source === 'pending') {
-    const pendingBetAmount = betAmount || gameStatus?.amount || '0';
-    // Use game status timestamp if available, or current time
-    const pendingStartTime =
-      betResult?.timestamp ||
-      gameStatus?.lastPlayTimestamp ||
-      Math.floor(Date.now() / 1000);
-    const currentTime = Math.floor(Date.now() / 1000);
-    const elapsedSeconds = currentTime - pendingStartTime;
-    const showExtendedInfo = elapsedSeconds > 10;
+  // Display refunded spins (recovered or force stopped)
+  if (spin.status === 'recovered' || spin.status === 'force_stopped') {
+    const isRecovered = spin.status === 'recovered';
+    const colorObj = isRecovered
+      ? {
+          bg: 'from-indigo-50 to-indigo-100/50',
+          text: 'text-indigo-500',
+          icon: faSync,
+          accent: '#6366f1',
+          status: 'Refunded',
+        }
+      : {
+          bg: 'from-amber-50 to-amber-100/50',
+          text: 'text-amber-500',
+          icon: faRandom,
+          accent: '#f59e0b',
+          status: 'Stopped',
+        };
 
     return (
       <motion.div
@@ -532,139 +474,58 @@ const LatestBet = ({ result: betResult, chosenNumber, betAmount }) => {
         whileHover="hover"
         variants={cardVariants}
         className={`${baseCardStyle}`}
-        style={{ borderLeft: '3px solid #a855f7' }}
+        style={{ borderLeft: `3px solid ${colorObj.accent}` }}
       >
         <CardHeader
-          title="Processing"
-          icon={faSpinner}
-          color="text-purple-500"
-          status={{ label: 'VRF', color: 'text-purple-500' }}
+          title={isRecovered ? 'Recovered' : 'Stopped'}
+          icon={colorObj.icon}
+          color={colorObj.text}
+          status={{ label: colorObj.status, color: colorObj.text }}
         />
 
-        <div className="flex items-start space-x-3.5">
-          <div className="bg-gradient-to-br from-purple-50 to-purple-100/50 rounded-md p-2.5 flex items-center justify-center w-10 h-10 relative">
-            <motion.div
-              animate={{ scale: [1, 1.1, 1] }}
-              transition={{ repeat: Infinity, duration: 1.5 }}
-              className="h-8 w-8 bg-white rounded-full flex items-center justify-center border border-purple-100"
-            >
-              <span className="font-mono text-sm text-purple-600">
-                {renderCoinType(
-                  chosenNumber || gameStatus?.chosenNumber || '?'
-                )}
-              </span>
-            </motion.div>
-            <motion.div
-              className="absolute inset-0 rounded-md bg-purple-400/10"
-              animate={{ opacity: [0, 0.3, 0] }}
-              transition={{ repeat: Infinity, duration: 2 }}
+        <div className="flex items-center space-x-3.5 mb-2">
+          <div
+            className={`bg-gradient-to-br ${colorObj.bg} rounded-md p-2.5 flex items-center justify-center w-10 h-10`}
+          >
+            <FontAwesomeIcon
+              icon={colorObj.icon}
+              className={`${colorObj.text} text-lg`}
             />
           </div>
-
           <div className="flex-1">
             <div className="flex justify-between items-center mb-1">
-              <span className="text-sm text-gray-500 flex items-center">
-                <span className="font-mono">
-                  {formatAmount(pendingBetAmount)}
-                </span>
-                <span className="opacity-60 text-xs ml-0.5">GAMA</span>
+              <span className="text-sm text-gray-500">
+                {spin.bets.length} bet{spin.bets.length === 1 ? '' : 's'}
               </span>
-              <motion.div
-                className="flex items-center"
-                animate={{ opacity: [0.7, 1, 0.7] }}
-                transition={{ repeat: Infinity, duration: 1.5 }}
+              <span
+                className={`text-xs ${colorObj.text} px-2 py-0.5 rounded-full bg-white border border-current/20`}
               >
-                <span className="text-[10px] h-1.5 w-1.5 bg-purple-500 rounded-full mr-0.5"></span>
-                <span className="text-[10px] h-1.5 w-1.5 bg-purple-500 rounded-full mr-0.5"></span>
-                <span className="text-[10px] h-1.5 w-1.5 bg-purple-500 rounded-full"></span>
-              </motion.div>
-            </div>
-
-            <div className="flex justify-between items-center">
-              <div className="flex items-center">
-                <motion.div
-                  animate={{
-                    rotate: [0, 180, 360],
-                  }}
-                  transition={{
-                    repeat: Infinity,
-                    duration: 3,
-                  }}
-                  className="text-xs text-purple-400 mr-1"
-                >
-                  ⏳
-                </motion.div>
-                <span className="text-sm text-purple-500 font-medium">
-                  Rolling...
-                </span>
-              </div>
-              {showExtendedInfo && (
-                <span className="text-xs text-gray-400 font-mono">
-                  {elapsedSeconds}s
-                </span>
-              )}
+                {formatTokenAmount(spin.totalAmount)}
+                <span className="opacity-60 text-xs ml-0.5">GAMA</span>
+              </span>
             </div>
+            <p className="text-xs text-gray-500 mt-0.5">
+              {isRecovered ? 'Refunded due to delay' : 'Admin stopped game'}
+            </p>
           </div>
         </div>
 
-        {latestHistoryBet && (
-          <div className="mt-2 pt-1.5 border-t border-gray-100/50">
-            <div className="flex items-center justify-between">
-              <span className="text-xs text-gray-500 flex items-center">
-                <span className="h-1.5 w-1.5 bg-gray-300 rounded-full mr-1"></span>
-                Last Bet
-              </span>
-              <div className="flex items-center">
-                <div className="h-6 w-6 rounded-full bg-white flex items-center justify-center mr-1.5 text-xs font-mono font-medium border border-gray-100 text-gray-700">
-                  {latestHistoryBet.rolledNumber >= 1 &&
-                  latestHistoryBet.rolledNumber <= 6
-                    ? latestHistoryBet.rolledNumber
-                    : '?'}
-                </div>
-                <span
-                  className={`text-xs px-1.5 py-0.5 rounded-full ${latestHistoryBet.isWin ? 'bg-emerald-50 text-emerald-500 border border-emerald-100' : 'bg-rose-50 text-rose-500 border border-rose-100'}`}
-                >
-                  {latestHistoryBet.isWin ? 'Won' : 'Lost'}
-                </span>
-              </div>
-            </div>
+        {spin.bets.length > 0 && <BetRows bets={spin.bets} settled={false} />}
+
+        {spin.timestamp > 0 && (
+          <div className="mt-2 text-right text-xs text-gray-400">
+            {formatTime(spin.timestamp)}
           </div>
         )}
       </motion.div>
     );
   }
 
-  // Show completed bet result
-  if (
-    displayResult?.source === 'current' ||
-    displayResult?.source === 'history'
-  ) {
-    const data = displayResult.data;
-    const rolledNum = parseInt(data.rolledNumber?.toString() || '0', 10);
-    const chosenNum = parseInt(
-      data.chosenNumber?.toString() || chosenNumber?.toString() || '0',
-      10
-    );
-    const isWin = data.isWin || rolledNum === chosenNum;
-    const amount = data.amount || betAmount || '0';
-    const payout = data.payout || '0';
-
-    // Color scheme based on win/loss
-    const colorScheme = isWin
-      ? {
-          bg: 'from-emerald-50 to-emerald-100/50',
-          text: 'text-emerald-500',
-          icon: faTrophy,
-          accent: '#10b981',
-          status: 'Win',
-        }
-      : {
-          bg: 'from-rose-50 to-rose-100/50',
-          text: 'text-rose-500',
-          icon: faCoins,
-          accent: '#f43f5e',
-          status: 'Loss',
-        };
+  // Show the pending VRF request with the bets riding on it
+  if (spin.status === 'pending') {
+    const elapsedSeconds = spin.timestamp
+      ? Math.floor(Date.now() / 1000) - spin.timestamp
+      : 0;
 
     return (
       <motion.div
@@ -673,324 +534,135 @@ const LatestBet = ({ result: betResult, chosenNumber, betAmount }) => {
         whileHover="hover"
         variants={cardVariants}
         className={`${baseCardStyle}`}
-        style={{ borderLeft: `3px solid ${colorScheme.accent}` }}
+        style={{ borderLeft: '3px solid #a855f7' }}
       >
         <CardHeader
-          title={isWin ? 'Winner' : 'Try Again'}
-          icon={colorScheme.icon}
-          color={colorScheme.text}
-          status={{ label: colorScheme.status, color: colorScheme.text }}
+          title="Spinning"
+          icon={faSpinner}
+          color="text-purple-500"
+          status={{ label: 'VRF', color: 'text-purple-500' }}
         />
 
-        <div className="flex items-center space-x-4 mb-2">
-          <div className="h-8 w-8 bg-white rounded-full flex items-center justify-center border border-gray-100 shadow-sm">
-            <span className="text-base text-gray-700 font-mono">
-              {renderCoinType(chosenNum)}
+        <div className="flex justify-between items-center mb-2 text-sm text-gray-500">
+          <span>
+            Staked{' '}
+            <span className="font-mono">
+              {formatTokenAmount(spin.totalAmount)}
             </span>
-          </div>
-
-          <motion.div
-            className="h-0.5 w-3 bg-gray-200"
-            initial={{ width: 0 }}
-            animate={{ width: 12 }}
-            transition={{ duration: 0.2 }}
-          />
-
-          <div
-            className={`h-8 w-8 bg-gradient-to-br ${colorScheme.bg} rounded-full flex items-center justify-center relative shadow-sm`}
+            <span className="opacity-60 text-xs ml-0.5">GAMA</span>
+          </span>
+          <motion.span
+            className="text-purple-500 font-medium"
+            animate={{ opacity: [0.6, 1, 0.6] }}
+            transition={{ repeat: Infinity, duration: 1.5 }}
           >
-            <span className={`text-base ${colorScheme.text} font-mono`}>
-              {renderCoinType(rolledNum)}
-            </span>
-            {isWin && (
-              <motion.div
-                className="absolute inset-0 rounded-full border-2 border-emerald-400"
-                initial={{ opacity: 0, scale: 1.3 }}
-                animate={{ opacity: 1, scale: 1 }}
-                transition={{ duration: 0.3 }}
-              />
+            Waiting for result
+            {elapsedSeconds > 10 && (
+              <span className="ml-1 text-xs text-gray-400 font-mono">
+                {elapsedSeconds}s
+              </span>
             )}
-          </div>
-
-          <div className="flex-1 flex justify-end">
-            <motion.div
-              initial={{ opacity: 0, x: 10 }}
-              animate={{ opacity: 1, x: 0 }}
-              transition={{ delay: 0.1 }}
-              className={`text-sm font-medium ${colorScheme.text} bg-white border rounded-full px-2.5 py-0.5 flex items-center shadow-sm ${isWin ? 'border-emerald-200' : 'border-rose-200'}`}
-            >
-              {isWin ? (
-                <>
-                  <span className="mr-0.5 text-xs">+</span>
-                  <span className="font-mono">{formatAmount(payout)}</span>
-                </>
-              ) : (
-                'No Win'
-              )}
-            </motion.div>
-          </div>
-        </div>
-
-        <div className="flex justify-between items-center text-sm text-gray-500">
-          <div className="flex items-center">
-            <span className="h-1.5 w-1.5 bg-gray-300 rounded-full mr-1.5"></span>
-            <span>
-              Bet: <span className="font-mono">{formatAmount(amount)}</span>{' '}
-              GAMA
-            </span>
-          </div>
-
-          {data.timestamp && (
-            <div className="text-xs text-gray-400 font-mono">
-              {new Date(data.timestamp * 1000).toLocaleTimeString([], {
-                hour: '2-digit',
-                minute: '2-digit',
-              })}
-            </div>
-          )}
-        </div>
-      </motion.div>
-    );
-  }
-
-  // No result to display, show empty state
-  if (!displayResult) {
-    return (
-      <motion.div
-        initial="initial"
-        animate="animate"
-        whileHover="hover"
-        variants={cardVariants}
-        className={`${baseCardStyle} border-l-2 border-gray-200`}
-      >
-        <CardHeader title="No Bets Yet" />
-        <p className="text-gray-500 text-sm">
-          Place your first bet to see results here.
-        </p>
-      </motion.div>
-    );
-  }
-
-  // Show recovery needed state
-  if (isSpecialResult && displayResult.type === 'recovery_needed') {
-    return (
-      <motion.div
-        initial="initial"
-        animate="animate"
-        whileHover="hover"
-        variants={cardVariants}
-        className={`${baseCardStyle} border-l-2 border-amber-400`}
-      >
-        <CardHeader
-          title="Pending Result"
-          icon={faExclamationTriangle}
-          color="text-amber-400"
-          status={{ label: 'Recovery Needed', color: 'text-amber-500' }}
-        />
-
-        <div className="mt-2 flex items-center space-x-3">
-          <div className="bg-amber-50 text-amber-500 p-2 rounded-md">
-            <FontAwesomeIcon icon={faExclamationTriangle} size="lg" />
-          </div>
-          <div>
-            <p className="text-sm text-gray-600 leading-tight mb-1">
-              Your bet result is pending in the blockchain
-            </p>
-            <button
-              onClick={onRecoveryClick}
-              className="text-xs bg-amber-500/90 hover:bg-amber-600 text-white py-1 px-2 rounded"
-            >
-              Recover Result
-            </button>
-          </div>
-        </div>
-      </motion.div>
-    );
-  }
-
-  // Show recovered state
-  if (isSpecialResult && displayResult.type === 'recovered') {
-    const data = displayResult.data;
-    const dataBetAmount = data.amount;
-    const dataChosenNumber = data.chosenNumber || data.chosenSide;
-    const resultValue = data.result || data.flippedResult;
-    const didWin = dataChosenNumber === resultValue;
-
-    return (
-      <motion.div
-        initial="initial"
-        animate="animate"
-        whileHover="hover"
-        variants={cardVariants}
-        className={`${baseCardStyle} border-l-2 ${
-          didWin ? 'border-green-500' : 'border-red-400'
-        }`}
-      >
-        <CardHeader
-          title="Recovered Result"
-          icon={faCheckCircle}
-          color="text-green-400"
-          status={{
-            label: 'Recovered',
-            color: 'text-green-500',
-          }}
-        />
-
-        <div className="grid grid-cols-3 gap-2 my-2">
-          <div className="text-center">
-            <div className="text-xs text-gray-500">Amount</div>
-            <div className="text-sm font-medium">
-              {formatAmount(dataBetAmount)}
-            </div>
-          </div>
-          <div className="text-center">
-            <div className="text-xs text-gray-500">Your Pick</div>
-            <div className="text-2xl font-bold">
-              {renderCoinType(dataChosenNumber)}
-            </div>
-          </div>
-          <div className="text-center">
-            <div className="text-xs text-gray-500">Result</div>
-            <div className="text-2xl font-bold">
-              {renderCoinType(resultValue)}
-            </div>
-          </div>
+          </motion.span>
         </div>
 
-        {didWin ? (
-          <div className="bg-green-100 text-green-700 text-sm p-1.5 rounded text-center">
-            You won {formatAmount(BigInt(dataBetAmount) * BigInt(2))}!
-          </div>
-        ) : (
-          <div className="bg-red-50 text-red-600 text-sm p-1.5 rounded text-center">
-            Better luck next time!
-          </div>
-        )}
+        {spin.bets.length > 0 && <BetRows bets={spin.bets} settled={false} />}
       </motion.div>
     );
   }
 
-  // Show waiting for VRF state
-  if (displayResult.source === 'pending') {
-    const data = displayResult.data;
-    return (
-      <motion.div
-        initial="initial"
-        animate="animate"
-        variants={cardVariants}
-        className={`${baseCardStyle} border-l-2 border-blue-400`}
-      >
-        <CardHeader
-          title="Bet In Progress"
-          icon={faSync}
-          color="text-blue-400"
-          status={{ label: 'Rolling', color: 'text-blue-500' }}
-        />
-
-        <div className="mt-2 flex items-center space-x-3">
-          <div className="relative flex-shrink-0">
-            <div className="absolute inset-0 flex items-center justify-center animate-spin">
-              <FontAwesomeIcon icon={faCircleNotch} className="text-blue-400" />
-            </div>
-            <div className="bg-blue-50 text-blue-500 p-2 rounded-md flex items-center justify-center opacity-50">
-              <FontAwesomeIcon icon={faCoins} size="lg" />
-            </div>
-          </div>
-          <div>
-            <p className="text-sm font-medium text-gray-800 mb-0.5">
-              Your bet is processing
-            </p>
-            <div className="flex space-x-2 text-xs text-gray-500">
-              <div>Amount: {formatAmount(data.amount || BigInt(0))}</div>
-              <div>•</div>
-              <div>
-                Pick:{' '}
-                <span className="text-lg font-bold">
-                  {renderCoinType(data.chosenNumber)}
-                </span>
-              </div>
-            </div>
-          </div>
-        </div>
-      </motion.div>
-    );
-  }
+  // Show the settled spin with its per-bet breakdown
+  const netProfit = spin.totalPayout - spin.totalAmount;
+  const isWin = spin.totalPayout > BigInt(0);
+  const hasNumber = isValidRouletteNumber(spin.winningNumber);
+  const colorScheme = isWin
+    ? {
+        text: 'text-emerald-500',
+        icon: faTrophy,
+        accent: '#10b981',
+        status: 'Win',
+      }
+    : {
+        text: 'text-rose-500',
+        icon: faCoins,
+        accent: '#f43f5e',
+        status: 'Loss',
+      };
 
-  // Process the result for display
-  const data = displayResult.data;
-  const displayBetAmount =
-    'amount' in data && data.amount
-      ? BigInt(data.amount.toString())
-      : BigInt(0);
-  const displayChosenNumber = data.chosenNumber || data.chosenSide;
-  const displayResultValue =
-    data.rolledNumber || data.flippedResult || data.result;
-  const timestamp = data.timestamp;
-
-  // Did user win?
-  const didWin = displayChosenNumber === displayResultValue;
-
-  // Format time as relative
-  const timeAgo = timestamp
-    ? formatDistanceToNow(new Date(Number(timestamp) * 1000), {
-        addSuffix: true,
-      })
-    : '?';
-
-  // Main display - show bet result
   return (
     <motion.div
       initial="initial"
       animate="animate"
       whileHover="hover"
       variants={cardVariants}
-      className={`${baseCardStyle} border-l-2 ${
-        didWin ? 'border-green-500' : 'border-red-400'
-      }`}
+      className={`${baseCardStyle}`}
+      style={{ borderLeft: `3px solid ${colorScheme.accent}` }}
     >
       <CardHeader
-        title="Latest Bet"
-        icon={faCoins}
-        color={didWin ? 'text-green-500' : 'text-red-400'}
-        status={{
-          label: didWin ? 'Won' : 'Lost',
-          color: didWin ? 'text-green-500' : 'text-red-500',
-        }}
+        title={isWin ? 'Winner' : 'Try Again'}
+        icon={colorScheme.icon}
+        color={colorScheme.text}
+        status={{ label: colorScheme.status, color: colorScheme.text }}
       />
 
-      <div className="grid grid-cols-3 gap-2 my-2">
-        <div className="text-center">
-          <div className="text-xs text-gray-500">Amount</div>
-          <div className="text-base font-medium">
-            {formatAmount(displayBetAmount)}
-          </div>
+      <div className="flex items-center gap-3 mb-2.5">
+        <div
+          className={`h-10 w-10 rounded-md flex items-center justify-center text-lg font-bold text-white shadow-sm ${
+            hasNumber
+              ? pocketColors[getNumberColor(spin.winningNumber)]
+              : 'bg-gray-300'
+          }`}
+          aria-label={`Winning number ${hasNumber ? spin.winningNumber : 'unknown'}`}
+        >
+          {hasNumber ? spin.winningNumber : '?'}
         </div>
-        <div className="text-center">
-          <div className="text-xs text-gray-500">Your Pick</div>
-          <div className="text-2xl font-bold">
-            {renderCoinType(displayChosenNumber)}
-          </div>
+        <div className="flex-1">
+          <div className="text-xs text-gray-400">Net profit</div>
+          <motion.div
+            initial={{ opacity: 0, x: 10 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ delay: 0.1 }}
+            className={`text-base font-semibold font-mono ${
+              netProfit >= BigInt(0) ? 'text-emerald-500' : 'text-rose-500'
+            }`}
+          >
+            {netProfit >= BigInt(0) ? '+' : '-'}
+            {formatTokenAmount(netProfit >= BigInt(0) ? netProfit : -netProfit)}
+            <span className="opacity-60 text-xs ml-0.5">GAMA</span>
+          </motion.div>
         </div>
-        <div className="text-center">
-          <div className="text-xs text-gray-500">Result</div>
-          <div className="text-2xl font-bold">
-            {renderCoinType(displayResultValue)}
+        {spin.timestamp > 0 && (
+          <div className="text-xs text-gray-400 font-mono self-start">
+            {formatTime(spin.timestamp)}
           </div>
-        </div>
+        )}
       </div>
 
-      {didWin ? (
-        <div className="bg-green-100 text-green-700 text-sm p-1.5 rounded text-center">
-          You won {formatAmount(BigInt(displayBetAmount) * BigInt(2))}!
-        </div>
-      ) : (
-        <div className="bg-red-50 text-red-600 text-sm p-1.5 rounded text-center">
-          Better luck next time!
+      {hasNumber && (
+        <div className="mb-2.5">
+          <MiniTable
+            winningNumber={spin.winningNumber}
+            coveredNumbers={coveredNumbers}
+          />
         </div>
       )}
 
-      <div className="mt-2 text-right">
-        <span className="text-xs text-gray-400">{timeAgo}</span>
+      <BetRows bets={spin.bets} settled />
+
+      <div className="mt-2 flex justify-between items-center text-xs text-gray-500">
+        <span>
+          Staked{' '}
+          <span className="font-mono">
+            {formatTokenAmount(spin.totalAmount)}
+          </span>{' '}
+          GAMA
+        </span>
+        <span>
+          Returned{' '}
+          <span className="font-mono">
+            {formatTokenAmount(spin.totalPayout)}
+          </span>{' '}
+          GAMA
+        </span>
       </div>
     </motion.div>
   );
@@ -1,237 +1,302 @@
-import { motion } from 'framer-motion';
-import React, { useState, useEffect, useCallback } from 'react';
+import {
+  animate,
+  motion,
+  useMotionValue,
+  useReducedMotion,
+  useTransform,
+} from 'framer-motion';
+import React, { useEffect, useRef, useState } from 'react';
 import { useRouletteNumber } from '../../hooks/useRouletteNumber';
 import { usePollingService } from '../../services/pollingService';
+import { WHEEL_ORDER } from '../../constants/game';
+import { getNumberColor, getWheelPocketAngle } from '../../utils/rouletteUtils';
 
-const COIN_SIDES = {
-  HEADS: 1,
-  TAILS: 2,
+const WHEEL_SIZE = 256;
+const CENTER = WHEEL_SIZE / 2;
+const POCKET_STEP = 360 / WHEEL_ORDER.length;
+
+// Radii in px from the wheel center
+const RIM_RADIUS = 126;
+const NUMBER_OUTER_RADIUS = 118;
+const NUMBER_INNER_RADIUS = 96;
+const POCKET_INNER_RADIUS = 78;
+const CONE_RADIUS = 72;
+const BALL_TRACK_RADIUS = 122;
+const BALL_POCKET_RADIUS = 87;
+
+// Seconds per revolution while waiting for the result
+const WHEEL_REVOLUTION = 4;
+const BALL_REVOLUTION = 1.5;
+const LANDING_DURATION = 5;
+
+const pocketColors = {
+  green: '#16a34a',
+  red: '#dc2626',
+  black: '#111827',
+};
+
+const pointAt = (angle, radius) => {
+  const radians = (angle * Math.PI) / 180;
+  return [
+    CENTER + radius * Math.sin(radians),
+    CENTER - radius * Math.cos(radians),
+  ];
+};
+
+const getSegmentPath = (angle, outerRadius, innerRadius) => {
+  const start = angle - POCKET_STEP / 2;
+  const end = angle + POCKET_STEP / 2;
+  const [x1, y1] = pointAt(start, outerRadius);
+  const [x2, y2] = pointAt(end, outerRadius);
+  const [x3, y3] = pointAt(end, innerRadius);
+  const [x4, y4] = pointAt(start, innerRadius);
+
+  return [
+    `M ${x1} ${y1}`,
+    `A ${outerRadius} ${outerRadius} 0 0 1 ${x2} ${y2}`,
+    `L ${x3} ${y3}`,
+    `A ${innerRadius} ${innerRadius} 0 0 0 ${x4} ${y4}`,
+    'Z',
+  ].join(' ');
+};
+
+// The wheel itself never changes, so it is drawn once
+const WheelFace = React.memo(() => (
+  <svg
+    width={WHEEL_SIZE}
+    height={WHEEL_SIZE}
+    viewBox={`0 0 ${WHEEL_SIZE} ${WHEEL_SIZE}`}
+    aria-hidden="true"
+  >
+    <circle cx={CENTER} cy={CENTER} r={RIM_RADIUS} fill="#78350f" />
+    {WHEEL_ORDER.map((number, index) => {
+      const angle = index * POCKET_STEP;
+      const color = pocketColors[getNumberColor(number)];
+      const [textX, textY] = pointAt(
+        0,
+        (NUMBER_OUTER_RADIUS + NUMBER_INNER_RADIUS) / 2
+      );
+
+      return (
+        <g key={number}>
+          <path
+            d={getSegmentPath(angle, NUMBER_OUTER_RADIUS, NUMBER_INNER_RADIUS)}
+            fill={color}
+            stroke="#d4a373"
+            strokeWidth="0.75"
+          />
+          <path
+            d={getSegmentPath(angle, NUMBER_INNER_RADIUS, POCKET_INNER_RADIUS)}
+            fill={color}
+            fillOpacity="0.75"
+            stroke="#d4a373"
+            strokeWidth="0.75"
+          />
+          <text
+            x={textX}
+            y={textY}
+            transform={`rotate(${angle} ${CENTER} ${CENTER})`}
+            fill="#ffffff"
+            fontSize="9"
+            fontWeight="700"
+            textAnchor="middle"
+            dominantBaseline="central"
+          >
+            {number}
+          </text>
+        </g>
+      );
+    })}
+    <circle cx={CENTER} cy={CENTER} r={CONE_RADIUS} fill="#92400e" />
+    <circle cx={CENTER} cy={CENTER} r={CONE_RADIUS - 14} fill="#b45309" />
+    <circle cx={CENTER} cy={CENTER} r={10} fill="#fcd34d" />
+  </svg>
+));
+
+WheelFace.displayName = 'WheelFace';
+
+// Largest angle below `from - minTravel` that points the same way as `target`
+const angleBelow = (from, target, minTravel) => {
+  const limit = from - minTravel;
+  return limit - ((((limit - target) % 360) + 360) % 360);
 };
 
 /**
- * Simplified Roulette Visualizer Component focused only on Roulette display
+ * European roulette wheel. Spins until the VRF result arrives, then the
+ * ball decelerates into the winning pocket. With reduced motion the wheel
+ * stays still and the result is shown directly.
  */
-const RouletteVisualizer = ({ chosenNumber, isRolling = false }) => {
-  const [error, setError] = useState({ hasError: false, message: '' });
+const RouletteVisualizer = ({ result = null, isRolling = false }) => {
   const { gameStatus } = usePollingService();
-  const { displayNumber } = useRouletteNumber(chosenNumber, isRolling);
-  const [shouldRollRoulette, setShouldRollRoulette] = useState(false);
+  const { phase, winningNumber } = useRouletteNumber(result, isRolling);
+  const reduceMotion = useReducedMotion();
+
+  const wheelRotation = useMotionValue(0);
+  const ballAngle = useMotionValue(0);
+  const ballRadius = useMotionValue(BALL_TRACK_RADIUS);
+  const ballY = useTransform(ballRadius, radius => -radius);
+  const [ballVisible, setBallVisible] = useState(false);
+  const [settledNumber, setSettledNumber] = useState(null);
+  const previousPhaseRef = useRef(null);
 
-  // Check if we're waiting for VRF results
   const isWaitingForVRF =
     gameStatus?.isActive &&
     gameStatus?.requestExists &&
     !gameStatus?.requestProcessed;
 
-  // Handle rolling state with cleanup and debounce
   useEffect(() => {
-    let mounted = true;
-    let timeoutId;
+    const previousPhase = previousPhaseRef.current;
+    previousPhaseRef.current = phase;
+    const controls = [];
+    let cancelled = false;
 
-    const stopRolling = () => {
-      if (mounted) {
-        setShouldRollRoulette(false);
-      }
+    const placeOnNumber = number => {
+      wheelRotation.set(-getWheelPocketAngle(number));
+      ballAngle.set(0);
+      ballRadius.set(BALL_POCKET_RADIUS);
+      setBallVisible(true);
+      setSettledNumber(number);
     };
 
-    // Start rolling if either the isRolling prop is true OR we're waiting for VRF
-    if (isRolling || isWaitingForVRF) {
-      setShouldRollRoulette(true);
+    if (phase === 'spinning') {
+      setSettledNumber(null);
+      if (reduceMotion) {
+        setBallVisible(false);
+      } else {
+        const wheelStart = wheelRotation.get();
+        const ballStart = ballAngle.get();
+        setBallVisible(true);
+        controls.push(
+          animate(wheelRotation, [wheelStart, wheelStart + 360], {
+            duration: WHEEL_REVOLUTION,
+            ease: 'linear',
+            repeat: Infinity,
+          }),
+          animate(ballAngle, [ballStart, ballStart - 360], {
+            duration: BALL_REVOLUTION,
+            ease: 'linear',
+            repeat: Infinity,
+          }),
+          animate(ballRadius, BALL_TRACK_RADIUS, { duration: 0.6 })
+        );
+      }
+    } else if (phase === 'landed') {
+      if (reduceMotion || previousPhase !== 'spinning') {
+        // Nothing to animate from, e.g. the result was already known on load
+        placeOnNumber(winningNumber);
+      } else {
+        const wheelTarget = wheelRotation.get() + 300;
+        const ballTarget = angleBelow(
+          ballAngle.get(),
+          wheelTarget + getWheelPocketAngle(winningNumber),
+          720
+        );
+        const landing = {
+          duration: LANDING_DURATION,
+          ease: [0.2, 0.6, 0.35, 1],
+        };
 
-      // Only set timeout if we're rolling from a bet placement, not if waiting for VRF
-      if (isRolling && !isWaitingForVRF) {
-        // ALWAYS set a hard timeout to stop the rolling after exactly 20 seconds
-        timeoutId = setTimeout(() => {
-          stopRolling();
-        }, 20000); // 20 seconds max
+        controls.push(
+          animate(wheelRotation, wheelTarget, landing),
+          animate(ballAngle, ballTarget, landing),
+          animate(ballRadius, BALL_POCKET_RADIUS, {
+            delay: LANDING_DURATION * 0.55,
+            duration: LANDING_DURATION * 0.45,
+            ease: 'easeOut',
+          })
+        );
+        controls[0].then(() => {
+          if (!cancelled) setSettledNumber(winningNumber);
+        });
       }
     } else {
-      // If not rolling and not waiting for VRF, stop the animation
-      stopRolling();
-    }
-
-    // Also stop rolling if game status shows request is processed
-    if (gameStatus?.requestProcessed) {
-      stopRolling();
-    }
-
-    return () => {
-      mounted = false;
-      if (timeoutId) {
-        clearTimeout(timeoutId);
+      // Idle, or a refunded spin that never got a number
+      setBallVisible(false);
+      setSettledNumber(null);
+      if (phase === 'refunded' && !reduceMotion) {
+        controls.push(
+          animate(wheelRotation, wheelRotation.get() + 90, {
+            duration: 1.5,
+            ease: 'easeOut',
+          })
+        );
       }
-    };
-  }, [isRolling, gameStatus, isWaitingForVRF]);
-
-  // Validate display number
-  const validateDisplayNumber = useCallback(num => {
-    if (num === undefined || num === null) {
-      throw new Error('Display number is required');
-    }
-    if (isNaN(num)) {
-      throw new Error('Display number must be a valid number');
-    }
-    if (num < COIN_SIDES.HEADS || num > COIN_SIDES.TAILS) {
-      throw new Error(`Invalid Coin side: ${num}`);
     }
-    return true;
-  }, []);
-
-  // Error handling with validation and cleanup
-  useEffect(() => {
-    let mounted = true;
-
-    const validateAndUpdateError = () => {
-      try {
-        if (displayNumber !== undefined && displayNumber !== null) {
-          validateDisplayNumber(displayNumber);
-          if (mounted) {
-            setError({ hasError: false, message: '' });
-          }
-        }
-      } catch (err) {
-        if (mounted) {
-          setError({
-            hasError: true,
-            message: err.message || 'Error rendering Coin',
-          });
-        }
-      }
-    };
-
-    validateAndUpdateError();
 
     return () => {
-      mounted = false;
+      cancelled = true;
+      controls.forEach(control => control.stop());
     };
-  }, [displayNumber, validateDisplayNumber]);
+  }, [
+    phase,
+    winningNumber,
+    reduceMotion,
+    wheelRotation,
+    ballAngle,
+    ballRadius,
+  ]);
 
-  const renderCoinFace = useCallback(side => {
-    const isHeadsSide = side === COIN_SIDES.HEADS;
+  let statusText = null;
+  if (phase === 'spinning') {
+    statusText = isWaitingForVRF
+      ? 'Waiting for VRF result...'
+      : 'Spinning the wheel...';
+  } else if (phase === 'refunded') {
+    statusText = 'Spin refunded, no number drawn';
+  }
 
-    return (
+  return (
+    <div className="relative w-full h-full flex flex-col items-center justify-center">
       <div
+        className="relative rounded-full shadow-xl"
+        style={{ width: WHEEL_SIZE, height: WHEEL_SIZE }}
         role="img"
-        aria-label={`Coin showing ${isHeadsSide ? 'heads' : 'tails'}`}
-        className="absolute inset-0 rounded-full flex items-center justify-center overflow-hidden"
-        style={{
-          background:
-            'linear-gradient(135deg, #4ade80 0%, #22c55e 80%, #16a34a 100%)',
-          boxShadow:
-            '0 12px 24px rgba(34, 197, 94, 0.15), 0 6px 12px rgba(34, 197, 94, 0.1), inset 0 2px 4px rgba(255, 255, 255, 0.2), inset 0 -2px 4px rgba(0, 0, 0, 0.1)',
-          transformStyle: 'preserve-3d',
-        }}
+        aria-label={
+          settledNumber !== null
+            ? `Roulette wheel landed on ${settledNumber}`
+            : 'Roulette wheel'
+        }
       >
-        {/* Matte overlay */}
-        <div
+        <motion.div
           className="absolute inset-0"
-          style={{
-            background:
-              'linear-gradient(135deg, rgba(255,255,255,0.2) 0%, rgba(255,255,255,0.1) 50%, rgba(0,0,0,0.05) 100%)',
-            borderRadius: '50%',
-          }}
-        />
-
-        {/* Letter H or T */}
-        <div className="relative z-10">
-          <div
-            className="text-7xl font-bold"
-            style={{
-              color: 'rgba(255,255,255,0.95)',
-              textShadow: '0 2px 4px rgba(0,0,0,0.15)',
-              letterSpacing: '0.05em',
-            }}
-          >
-            {side === COIN_SIDES.HEADS ? 'H' : 'T'}
-          </div>
-        </div>
-      </div>
-    );
-  }, []);
-
-  if (error.hasError) {
-    return (
-      <div className="coin-container flex items-center justify-center bg-red-100 border border-red-300 rounded-lg p-4">
-        <div className="text-red-700 text-center">
-          <p className="font-medium">Error displaying Coin</p>
-          <p className="text-sm">{error.message || 'Please try again'}</p>
-        </div>
-      </div>
-    );
-  }
-
-  // Determine if we should show tails based on the chosen number
-  const isTails = chosenNumber === COIN_SIDES.TAILS;
-  const targetRotation = isTails ? 180 : 0;
+          style={{ rotate: wheelRotation }}
+        >
+          <WheelFace />
+        </motion.div>
 
-  return (
-    <div
-      className="relative w-full h-full flex flex-col items-center justify-center"
-      style={{ perspective: '2000px' }}
-    >
-      <motion.div
-        key={shouldRollRoulette ? 'rolling' : 'static'}
-        className="relative w-48 h-48 rounded-full"
-        initial={{ rotateY: 0 }}
-        animate={{
-          rotateY: shouldRollRoulette ? [0, 360, 720, 1080] : targetRotation,
-        }}
-        transition={
-          shouldRollRoulette
-            ? {
-                duration: 3,
-                ease: [0.45, 0, 0.55, 1],
-                repeat: Infinity,
-                repeatType: 'loop',
-              }
-            : {
-                type: 'spring',
-                stiffness: 30,
-                damping: 20,
-                restDelta: 0.001,
-              }
-        }
-        style={{
-          transformStyle: 'preserve-3d',
-          transformOrigin: 'center center',
-        }}
-      >
-        <div
-          className="relative w-full h-full"
-          style={{
-            transformStyle: 'preserve-3d',
-            transformOrigin: 'center center',
-          }}
+        <motion.div
+          className="absolute inset-0 pointer-events-none"
+          style={{ rotate: ballAngle, opacity: ballVisible ? 1 : 0 }}
         >
-          {/* Heads side */}
-          <div
-            className="absolute inset-0"
+          <motion.div
+            className="absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full bg-white"
             style={{
-              backfaceVisibility: 'hidden',
-              transformStyle: 'preserve-3d',
+              left: '50%',
+              top: '50%',
+              y: ballY,
+              boxShadow:
+                '0 1px 3px rgba(0,0,0,0.5), inset -1px -1px 2px rgba(0,0,0,0.25)',
             }}
-          >
-            {renderCoinFace(COIN_SIDES.HEADS)}
-          </div>
-          {/* Tails side */}
-          <div
-            className="absolute inset-0"
+          />
+        </motion.div>
+      </div>
+
+      <div className="mt-6 h-8 text-center" aria-live="polite">
+        {settledNumber !== null ? (
+          <span
+            className="inline-flex items-center justify-center min-w-[2.5rem] h-8 px-3 rounded-lg text-lg font-bold text-white"
             style={{
-              backfaceVisibility: 'hidden',
-              transform: 'rotateY(180deg)',
-              transformStyle: 'preserve-3d',
+              backgroundColor: pocketColors[getNumberColor(settledNumber)],
             }}
           >
-            {renderCoinFace(COIN_SIDES.TAILS)}
-          </div>
-        </div>
-      </motion.div>
-
-      {shouldRollRoulette && (
-        <div className="mt-6 text-center text-sm text-secondary-600">
-          {isWaitingForVRF ? 'Waiting for VRF result...' : 'Flipping coin...'}
-        </div>
-      )}
+            {settledNumber}
+          </span>
+        ) : (
+          statusText && (
+            <span className="text-sm text-secondary-600">{statusText}</span>
+          )
+        )}
+      </div>
     </div>
   );
 };
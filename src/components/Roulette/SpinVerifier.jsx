@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faCheck,
+  faExclamationTriangle,
+  faShieldAlt,
+  faTimes,
+} from '@fortawesome/free-solid-svg-icons';
+import { useSpinVerification } from '../../hooks/useSpinVerification';
+import { useNetwork } from '../../contexts/NetworkContext.jsx';
+import { isVerifiableSpin } from '../../services/fairnessVerifier';
+import { getBetLabel } from '../../utils/rouletteUtils';
+import { formatTokenAmount, truncateAddress } from '../../utils/formatting';
+
+const Check = ({ passed }) => (
+  <FontAwesomeIcon
+    icon={passed ? faCheck : faTimes}
+    className={`ml-1 ${passed ? 'text-green-600' : 'text-red-600'}`}
+    aria-label={passed ? 'matches' : 'does not match'}
+  />
+);
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between gap-2">
+    <dt className="text-secondary-500">{label}</dt>
+    <dd className="text-right text-secondary-700 min-w-0">{children}</dd>
+  </div>
+);
+
+// Verdict for one spin, mounted only while open so the fulfilment is only
+// looked up when the player asks for it
+const VerificationPanel = ({ game, account, RouletteContract }) => {
+  const { currentNetwork } = useNetwork();
+  const { verification, isLoading, error, retry } = useSpinVerification({
+    spin: game,
+    playerAddress: account,
+    RouletteContract,
+  });
+
+  if (isLoading) {
+    return (
+      <p className="text-xs text-secondary-500">
+        Fetching the VRF fulfilment...
+      </p>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-xs text-red-600 space-y-1">
+        <p>Could not verify this spin: {error.message}</p>
+        <button onClick={() => retry()} className="underline">
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  const { passed, randomWord, winningNumber, fulfilmentTxHash } = verification;
+  const txUrl =
+    currentNetwork?.explorer &&
+    `${currentNetwork.explorer}/tx/${fulfilmentTxHash}`;
+
+  return (
+    <div className="space-y-2 text-xs">
+      <div
+        role="status"
+        className={`flex items-center gap-1.5 font-semibold ${
+          passed ? 'text-green-700' : 'text-red-700'
+        }`}
+      >
+        <FontAwesomeIcon icon={passed ? faShieldAlt : faExclamationTriangle} />
+        {passed
+          ? 'Verified: the result follows from the VRF random word'
+          : 'Verification failed: the result does not match the VRF random word'}
+      </div>
+
+      <dl className="space-y-1">
+        <Row label="Random word">
+          <span className="font-mono break-all" title={randomWord.toString()}>
+            {truncateAddress(randomWord.toString(), 8, 6)}
+          </span>
+        </Row>
+        <Row label="Word mod 37">
+          {winningNumber} (recorded {Number(game.winningNumber)})
+          <Check passed={verification.numberMatches} />
+        </Row>
+        <Row label="VRF request">
+          <span className="font-mono">
+            {truncateAddress(verification.requestId, 6, 4)}
+          </span>
+          <Check passed={verification.requestMatches} />
+        </Row>
+        <Row label="Fulfilment">
+          {txUrl ? (
+            <a
+              href={txUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="font-mono underline"
+            >
+              {truncateAddress(fulfilmentTxHash)}
+            </a>
+          ) : (
+            <span className="font-mono">
+              {truncateAddress(fulfilmentTxHash)}
+            </span>
+          )}
+        </Row>
+      </dl>
+
+      <ul className="space-y-1" aria-label="Recomputed payouts">
+        {verification.bets.map((bet, i) => (
+          <li key={i} className="flex justify-between gap-2">
+            <span className="text-secondary-700 truncate">
+              {getBetLabel(bet)}
+            </span>
+            <span className="whitespace-nowrap text-secondary-600">
+              {formatTokenAmount(bet.expectedPayout)} GAMA
+              <Check passed={bet.matches} />
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * "Verify" toggle for a settled spin. Recomputes the winning number and
+ * every payout from the random word in the VRF fulfilment transaction,
+ * using the contract's rules, and shows whether they match the record.
+ */
+const SpinVerifier = ({ game, account, RouletteContract, className = '' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!account || !RouletteContract || !isVerifiableSpin(game)) return null;
+
+  return (
+    <div
+      className={`bg-white/70 rounded-lg p-2 border border-secondary-100 space-y-2 ${className}`}
+    >
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        className="flex items-center gap-1.5 text-xs font-medium text-secondary-600 hover:text-secondary-800"
+      >
+        <FontAwesomeIcon icon={faShieldAlt} className="w-3 h-3" />
+        {isOpen ? 'Hide verification' : 'Verify'}
+      </button>
+      {isOpen && (
+        <VerificationPanel
+          game={game}
+          account={account}
+          RouletteContract={RouletteContract}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SpinVerifier;
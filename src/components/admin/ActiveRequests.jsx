@@ -0,0 +1,109 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSyncAlt } from '@fortawesome/free-solid-svg-icons';
+import Card from '../ui/Card.jsx';
+import Button from '../ui/Button.jsx';
+import ForceStopButton from './ForceStopButton.jsx';
+import { useRouletteAdmin } from '../../hooks/useRouletteAdmin';
+import { formatTimestamp, formatTokenAmount } from '../../utils/formatting';
+
+/**
+ * Spins still waiting on VRF across all players, each with a force-stop
+ * once it is eligible
+ */
+const ActiveRequests = () => {
+  const {
+    activeRequests,
+    isLoadingRequests,
+    requestsError,
+    refreshRequests,
+    forceStopGame,
+    forceStopTarget,
+  } = useRouletteAdmin();
+
+  return (
+    <Card className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-secondary-800">
+          Active VRF Requests
+        </h2>
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => refreshRequests()}
+          disabled={isLoadingRequests}
+          className="gap-2"
+        >
+          <FontAwesomeIcon
+            icon={faSyncAlt}
+            className={isLoadingRequests ? 'animate-spin' : ''}
+          />
+          Refresh
+        </Button>
+      </div>
+      <p className="text-xs text-gray-500">
+        Spins placed in roughly the last day that are still waiting for their
+        random number.
+      </p>
+
+      {requestsError ? (
+        <p className="text-sm text-red-600">
+          Could not load requests: {requestsError.message}
+        </p>
+      ) : activeRequests.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {isLoadingRequests ? 'Searching...' : 'No open requests.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b">
+                <th className="py-2 pr-4 font-medium">Player</th>
+                <th className="py-2 pr-4 font-medium">Request ID</th>
+                <th className="py-2 pr-4 font-medium">Stake</th>
+                <th className="py-2 pr-4 font-medium">Placed</th>
+                <th className="py-2 pr-4 font-medium">Fulfilled</th>
+                <th className="py-2 font-medium" />
+              </tr>
+            </thead>
+            <tbody>
+              {activeRequests.map(request => (
+                <tr
+                  key={request.requestId}
+                  className="border-b border-gray-100 align-top"
+                >
+                  <td className="py-2 pr-4 font-mono text-xs break-all">
+                    {request.player}
+                  </td>
+                  <td className="py-2 pr-4 font-mono text-xs break-all">
+                    {request.requestId}
+                  </td>
+                  <td className="py-2 pr-4">
+                    {formatTokenAmount(request.totalAmount)} GAMA
+                  </td>
+                  <td className="py-2 pr-4">
+                    {formatTimestamp(request.lastPlayTimestamp)}
+                  </td>
+                  <td className="py-2 pr-4">
+                    {request.requestProcessed ? 'Yes' : 'No'}
+                  </td>
+                  <td className="py-2">
+                    <ForceStopButton
+                      player={request.player}
+                      status={request}
+                      onConfirm={forceStopGame}
+                      isStopping={forceStopTarget === request.player}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default ActiveRequests;
@@ -0,0 +1,174 @@
+import React, { useMemo, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFileCsv, faParachuteBox } from '@fortawesome/free-solid-svg-icons';
+import { ethers } from 'ethers';
+import Card from '../ui/Card.jsx';
+import Button from '../ui/Button.jsx';
+import { AIRDROP_BATCH_SIZE, useTokenAdmin } from '../../hooks/useTokenAdmin';
+import { parseRecipientList } from '../../utils/recipientList';
+
+// Whole or decimal GAMA per recipient
+const parseAmount = value => {
+  try {
+    const amount = ethers.parseEther(value.trim() || '0');
+    return amount > BigInt(0) ? amount : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Airdrop a fixed amount to recipients pasted in or loaded from a CSV file,
+ * sent in batches of AIRDROP_BATCH_SIZE after a confirmation step
+ */
+const AirdropForm = () => {
+  const [text, setText] = useState('');
+  const [amountInput, setAmountInput] = useState('');
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const { isReady, airdrop, isAirdropping } = useTokenAdmin();
+
+  const { recipients, invalid, duplicates } = useMemo(
+    () => parseRecipientList(text),
+    [text]
+  );
+  const amount = parseAmount(amountInput);
+  const batches = Math.ceil(recipients.length / AIRDROP_BATCH_SIZE);
+  const canSend =
+    recipients.length > 0 && invalid.length === 0 && amount !== null;
+
+  const handleFile = async e => {
+    const [file] = e.target.files;
+    if (file) setText(await file.text());
+    e.target.value = '';
+  };
+
+  const handleSend = () => {
+    setIsConfirming(false);
+    setProgress(0);
+    let paid = 0;
+    airdrop(
+      {
+        recipients,
+        amount,
+        onProgress: sent => {
+          paid = sent;
+          setProgress(sent);
+        },
+      },
+      {
+        onSuccess: () => setText(''),
+        // Airdrops skip the mint cap, so sending the same list again would
+        // mint twice to the batches that went through; keep only the rest
+        onError: () => {
+          if (paid > 0) setText(recipients.slice(paid).join('\n'));
+        },
+        onSettled: () => setProgress(null),
+      }
+    );
+  };
+
+  return (
+    <Card className="space-y-4">
+      <h2 className="flex items-center gap-2 text-2xl font-bold text-secondary-800">
+        <FontAwesomeIcon icon={faParachuteBox} className="text-[#22AD74]" />
+        Airdrop
+      </h2>
+      <p className="text-xs text-gray-500">
+        One address per line, or a CSV with an address column. Airdrops mint new
+        tokens; the contract does not check them against the mint cap.
+      </p>
+
+      <textarea
+        value={text}
+        onChange={e => {
+          setText(e.target.value);
+          setIsConfirming(false);
+        }}
+        rows={6}
+        placeholder={'0x...\n0x...'}
+        aria-label="Airdrop recipients"
+        className="w-full px-3 py-2 rounded-lg border border-gray-200 font-mono text-xs focus:outline-none focus:ring-2 focus:ring-green-500/40"
+      />
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="inline-flex items-center gap-2 px-3 py-1.5 rounded-lg border border-gray-200 text-sm text-gray-700 cursor-pointer hover:border-green-600">
+          <FontAwesomeIcon icon={faFileCsv} />
+          Load CSV
+          <input
+            type="file"
+            accept=".csv,.txt,text/csv,text/plain"
+            onChange={handleFile}
+            className="hidden"
+            aria-label="Recipient CSV file"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          GAMA each
+          <input
+            type="text"
+            inputMode="decimal"
+            value={amountInput}
+            onChange={e => {
+              setAmountInput(e.target.value);
+              setIsConfirming(false);
+            }}
+            aria-label="Amount per recipient"
+            className="w-32 px-3 py-1.5 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-green-500/40"
+          />
+        </label>
+      </div>
+
+      <div className="text-sm text-gray-600 space-y-1">
+        <p>
+          {recipients.length} recipient{recipients.length === 1 ? '' : 's'}
+          {duplicates > 0 && `, ${duplicates} duplicate(s) dropped`}
+        </p>
+        {invalid.length > 0 && (
+          <ul className="text-xs text-red-600">
+            {invalid.slice(0, 5).map(({ line, value }) => (
+              <li key={line}>
+                Line {line}: {value} is not an address
+              </li>
+            ))}
+            {invalid.length > 5 && <li>and {invalid.length - 5} more</li>}
+          </ul>
+        )}
+      </div>
+
+      {isConfirming ? (
+        <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm">
+          <p className="text-amber-800 mb-3">
+            Mint {ethers.formatEther(amount * BigInt(recipients.length))} GAMA
+            in total to {recipients.length} recipient
+            {recipients.length === 1 ? '' : 's'}, in {batches} transaction
+            {batches === 1 ? '' : 's'}?
+          </p>
+          <div className="flex gap-2">
+            <Button size="sm" variant="danger" onClick={handleSend}>
+              Send airdrop
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => setIsConfirming(false)}
+            >
+              Cancel
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Button
+          disabled={!isReady || !canSend || isAirdropping}
+          onClick={() => setIsConfirming(true)}
+        >
+          {isAirdropping
+            ? `Sending... ${progress ?? 0}/${recipients.length}`
+            : 'Review airdrop'}
+        </Button>
+      )}
+    </Card>
+  );
+};
+
+export default AirdropForm;
@@ -0,0 +1,247 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faChartLine,
+  faRefresh,
+  faTriangleExclamation,
+} from '@fortawesome/free-solid-svg-icons';
+import { ethers } from 'ethers';
+import {
+  BarElement,
+  CategoryScale,
+  Chart as ChartJS,
+  Legend,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip,
+} from 'chart.js';
+import { Bar, Line } from 'react-chartjs-2';
+import Card from '../ui/Card.jsx';
+import Button from '../ui/Button.jsx';
+import LoadingSpinner from '../ui/LoadingSpinner.jsx';
+import { useBankrollStats } from '../../hooks/useBankrollStats';
+import { useContractStats } from '../../hooks/useContractStats';
+import {
+  THEORETICAL_HOUSE_EDGE,
+  getRealizedEdge,
+} from '../../services/bankrollStats';
+import { MAX_POSSIBLE_PAYOUT } from '../../constants/game';
+import { formatTokenAmount } from '../../utils/formatting';
+
+ChartJS.register(
+  BarElement,
+  CategoryScale,
+  Legend,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip
+);
+
+const formatPercent = value =>
+  value === null ? '-' : `${(value * 100).toFixed(2)}%`;
+
+const toGama = wei => Number(ethers.formatEther(wei));
+
+const Stat = ({ label, value, hint }) => (
+  <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+    <div className="text-xs text-gray-500">{label}</div>
+    <div className="text-lg font-semibold text-secondary-800">{value}</div>
+    {hint && <div className="text-xs text-gray-500">{hint}</div>}
+  </div>
+);
+
+const MintHeadroom = ({ headroom, error }) => {
+  if (error) {
+    return (
+      <p className="text-sm text-red-600">
+        Could not read the mint headroom: {error.message}
+      </p>
+    );
+  }
+  if (!headroom) return <LoadingSpinner size="small" />;
+
+  const { remaining, maxPayoutSpins, isBelowMaxPayout } = headroom;
+  return (
+    <div
+      className={`p-3 rounded-lg border text-sm ${
+        isBelowMaxPayout
+          ? 'bg-red-50 border-red-200 text-red-700'
+          : 'bg-gray-50 border-gray-200 text-gray-700'
+      }`}
+    >
+      <p>
+        {formatTokenAmount(remaining)} GAMA left to mint, enough for{' '}
+        {maxPayoutSpins.toString()} maximum payout
+        {maxPayoutSpins === BigInt(1) ? '' : 's'} of{' '}
+        {formatTokenAmount(MAX_POSSIBLE_PAYOUT)} GAMA.
+      </p>
+      {isBelowMaxPayout && (
+        <p className="mt-1 flex items-center gap-2 font-medium">
+          <FontAwesomeIcon icon={faTriangleExclamation} />
+          Below one maximum payout: large bets are rejected until the mint cap
+          is raised.
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * House view for the Roulette owner: lifetime counters, daily volumes and
+ * return to player from recent logs, realized against theoretical house
+ * edge, and how much payout the token's mint cap still allows
+ */
+const BankrollDashboard = () => {
+  const { stats } = useContractStats();
+  const {
+    days,
+    totals,
+    isLoadingFlows,
+    flowsError,
+    headroom,
+    headroomError,
+    refresh,
+  } = useBankrollStats();
+
+  const labels = days.map(({ day }) => day);
+  const volumeData = {
+    labels,
+    datasets: [
+      {
+        label: 'Wagered',
+        data: days.map(({ wagered }) => toGama(wagered)),
+        backgroundColor: '#22AD74',
+      },
+      {
+        label: 'Paid out',
+        data: days.map(({ paidOut }) => toGama(paidOut)),
+        backgroundColor: '#F59E0B',
+      },
+      {
+        label: 'Refunded',
+        data: days.map(({ refunded }) => toGama(refunded)),
+        backgroundColor: '#9CA3AF',
+      },
+    ],
+  };
+  const rtpData = {
+    labels,
+    datasets: [
+      {
+        label: 'Return to player',
+        data: days.map(day => {
+          const edge = getRealizedEdge(day);
+          return edge === null ? null : (1 - edge) * 100;
+        }),
+        borderColor: '#22AD74',
+        backgroundColor: '#22AD74',
+        spanGaps: true,
+      },
+      {
+        label: 'Theoretical',
+        data: days.map(() => (1 - THEORETICAL_HOUSE_EDGE) * 100),
+        borderColor: '#9CA3AF',
+        borderDash: [6, 4],
+        pointRadius: 0,
+      },
+    ],
+  };
+
+  return (
+    <Card className="space-y-6">
+      <div className="flex items-center justify-between gap-4">
+        <h2 className="flex items-center gap-2 text-2xl font-bold text-secondary-800">
+          <FontAwesomeIcon icon={faChartLine} className="text-[#22AD74]" />
+          House Bankroll
+        </h2>
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={refresh}
+          aria-label="Refresh bankroll"
+        >
+          <FontAwesomeIcon icon={faRefresh} />
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <Stat label="Games played" value={stats?.totalGames ?? '-'} />
+        <Stat
+          label="Total wagered"
+          value={`${formatTokenAmount(stats?.totalWagered)} GAMA`}
+        />
+        <Stat
+          label="Total paid out"
+          value={`${formatTokenAmount(stats?.totalPayout)} GAMA`}
+          hint="Refunds are not counted"
+        />
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium text-gray-500 mb-2">
+          Mint headroom
+        </h3>
+        <MintHeadroom headroom={headroom} error={headroomError} />
+      </div>
+
+      {flowsError ? (
+        <p className="text-sm text-red-600">
+          Could not read recent logs: {flowsError.message}
+        </p>
+      ) : isLoadingFlows ? (
+        <div className="flex justify-center py-8">
+          <LoadingSpinner size="large" />
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <Stat
+              label="Realized house edge (7 days)"
+              value={formatPercent(totals.realizedEdge)}
+              hint={`Theoretical ${formatPercent(THEORETICAL_HOUSE_EDGE)}`}
+            />
+            <Stat
+              label="Spins (7 days)"
+              value={totals.spins}
+              hint={`${formatTokenAmount(totals.refunded)} GAMA refunded`}
+            />
+            <Stat
+              label="House result (7 days)"
+              value={`${formatTokenAmount(
+                totals.wagered - totals.refunded - totals.paidOut
+              )} GAMA`}
+            />
+          </div>
+
+          {days.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No spins in the last 7 days.
+            </p>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div>
+                <h3 className="text-sm font-medium text-gray-500 mb-2">
+                  Daily volume (GAMA)
+                </h3>
+                <Bar
+                  data={volumeData}
+                  aria-label="Daily wagered, paid out and refunded"
+                />
+              </div>
+              <div>
+                <h3 className="text-sm font-medium text-gray-500 mb-2">
+                  Daily return to player (%)
+                </h3>
+                <Line data={rtpData} aria-label="Daily return to player" />
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </Card>
+  );
+};
+
+export default BankrollDashboard;
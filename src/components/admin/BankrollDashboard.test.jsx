@@ -0,0 +1,48 @@
+import React from 'react';
+import { screen } from '@testing-library/react';
+import { parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import BankrollDashboard from './BankrollDashboard.jsx';
+import { BET_TYPES } from '../../constants/game';
+import {
+  placeSpin,
+  renderWithProviders,
+  setupSimulatedWallet,
+} from '../../test/renderWithProviders.jsx';
+
+describe('BankrollDashboard', () => {
+  it('shows mint headroom and the realized edge of recent spins', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const player = simulator.accounts[1];
+    // A 37 GAMA straight bet on 17 loses when the wheel lands on 0
+    await placeSpin(simulator, {
+      account: player,
+      bets: [
+        {
+          betTypeId: BET_TYPES.STRAIGHT_BET,
+          number: 17,
+          amount: parseEther('37'),
+        },
+      ],
+      winningNumber: 0,
+    });
+
+    renderWithProviders(<BankrollDashboard />);
+
+    // The burned stake comes off the minted total, so headroom grows by 37
+    expect(
+      await screen.findByText(
+        /999970037 GAMA left to mint, enough for 57 maximum payouts/,
+        {},
+        { timeout: 10000 }
+      )
+    ).toBeTruthy();
+    expect(
+      await screen.findByText('100.00%', {}, { timeout: 10000 })
+    ).toBeTruthy();
+    expect(screen.getByText('Theoretical 2.70%')).toBeTruthy();
+    // Lifetime wagered and the house result over the window
+    expect(screen.getAllByText('37 GAMA')).toHaveLength(2);
+    expect(screen.getByLabelText('Daily return to player')).toBeTruthy();
+  });
+});
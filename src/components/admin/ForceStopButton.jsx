@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faStop } from '@fortawesome/free-solid-svg-icons';
+import Button from '../ui/Button.jsx';
+import { formatTokenAmount } from '../../utils/formatting';
+
+/**
+ * Force-stop with a confirmation step, since it ends the player's spin for
+ * good and refunds the stake
+ * @param {Object} props
+ * @param {String} props.player - Player address
+ * @param {Object} props.status - The player's GameStatus
+ * @param {Function} props.onConfirm - Called with the player address
+ * @param {Boolean} props.isStopping - Whether this player's stop is pending
+ */
+const ForceStopButton = ({ player, status, onConfirm, isStopping }) => {
+  const [isConfirming, setIsConfirming] = useState(false);
+
+  if (!status.recoveryEligible) {
+    return (
+      <span className="text-xs text-gray-500">
+        Not eligible yet: needs 1 hour and 300 blocks since the bet
+      </span>
+    );
+  }
+
+  if (isConfirming) {
+    return (
+      <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm">
+        <p className="text-amber-800 mb-3">
+          End this game and refund {formatTokenAmount(status.totalAmount)} GAMA
+          to {player}? This cannot be undone.
+        </p>
+        <div className="flex gap-2">
+          <Button
+            size="sm"
+            variant="danger"
+            onClick={() => {
+              setIsConfirming(false);
+              onConfirm(player);
+            }}
+          >
+            Confirm force stop
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => setIsConfirming(false)}
+          >
+            Cancel
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <Button
+      size="sm"
+      variant="danger"
+      disabled={isStopping}
+      onClick={() => setIsConfirming(true)}
+      className="gap-2"
+    >
+      <FontAwesomeIcon icon={faStop} />
+      {isStopping ? 'Stopping...' : 'Force stop'}
+    </Button>
+  );
+};
+
+export default ForceStopButton;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSearch } from '@fortawesome/free-solid-svg-icons';
+import { ethers } from 'ethers';
+import Card from '../ui/Card.jsx';
+import Button from '../ui/Button.jsx';
+import LoadingSpinner from '../ui/LoadingSpinner.jsx';
+import ForceStopButton from './ForceStopButton.jsx';
+import { useRouletteAdmin } from '../../hooks/useRouletteAdmin';
+import { formatTimestamp, formatTokenAmount } from '../../utils/formatting';
+import { RESULT_FORCE_STOPPED, RESULT_RECOVERED } from '../../constants/game';
+
+const describeResult = status => {
+  if (status.isActive) return 'Waiting for VRF';
+  if (!status.isCompleted) return 'No games played';
+  if (status.winningNumber === RESULT_FORCE_STOPPED) return 'Force stopped';
+  if (status.winningNumber === RESULT_RECOVERED) return 'Recovered';
+  return `Landed on ${status.winningNumber}`;
+};
+
+const StatusField = ({ label, children }) => (
+  <div>
+    <dt className="text-xs text-gray-500">{label}</dt>
+    <dd className="font-medium text-gray-800 break-all">{children}</dd>
+  </div>
+);
+
+/**
+ * Look up any player's getGameStatus, with a force-stop for an active game
+ */
+const PlayerLookup = () => {
+  const [input, setInput] = useState('');
+  const [player, setPlayer] = useState('');
+  const {
+    playerStatus,
+    isLoadingPlayer,
+    playerError,
+    forceStopGame,
+    forceStopTarget,
+  } = useRouletteAdmin({ player });
+
+  const isInputValid = ethers.isAddress(input.trim());
+
+  const handleSubmit = e => {
+    e.preventDefault();
+    if (isInputValid) setPlayer(ethers.getAddress(input.trim()));
+  };
+
+  return (
+    <Card className="space-y-4">
+      <h2 className="text-2xl font-bold text-secondary-800">Player Lookup</h2>
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={input}
+          onChange={e => setInput(e.target.value)}
+          placeholder="Player address (0x...)"
+          aria-label="Player address"
+          className="flex-1 min-w-0 px-3 py-2 rounded-lg border border-gray-200 font-mono text-sm focus:outline-none focus:ring-2 focus:ring-green-500/40"
+        />
+        <Button type="submit" disabled={!isInputValid} className="gap-2">
+          <FontAwesomeIcon icon={faSearch} />
+          Look up
+        </Button>
+      </form>
+      {input.trim() && !isInputValid && (
+        <p className="text-xs text-red-600">Enter a valid address</p>
+      )}
+
+      {isLoadingPlayer && !playerStatus && <LoadingSpinner size="small" />}
+      {playerError && (
+        <p className="text-sm text-red-600">
+          Could not read the game status: {playerError.message}
+        </p>
+      )}
+
+      {player && playerStatus && (
+        <div className="space-y-4">
+          <dl className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <StatusField label="Game">
+              {describeResult(playerStatus)}
+            </StatusField>
+            <StatusField label="Stake">
+              {formatTokenAmount(playerStatus.totalAmount)} GAMA
+            </StatusField>
+            <StatusField label="Payout">
+              {formatTokenAmount(playerStatus.totalPayout)} GAMA
+            </StatusField>
+            <StatusField label="Last played">
+              {formatTimestamp(playerStatus.lastPlayTimestamp)}
+            </StatusField>
+            <StatusField label="VRF request">
+              {playerStatus.requestId === '0' ? 'None' : playerStatus.requestId}
+            </StatusField>
+            <StatusField label="Request exists">
+              {playerStatus.requestExists ? 'Yes' : 'No'}
+            </StatusField>
+            <StatusField label="Request fulfilled">
+              {playerStatus.requestProcessed ? 'Yes' : 'No'}
+            </StatusField>
+            <StatusField label="Recovery eligible">
+              {playerStatus.recoveryEligible ? 'Yes' : 'No'}
+            </StatusField>
+          </dl>
+
+          {playerStatus.isActive && (
+            <ForceStopButton
+              player={player}
+              status={playerStatus}
+              onConfirm={forceStopGame}
+              isStopping={forceStopTarget === player}
+            />
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default PlayerLookup;
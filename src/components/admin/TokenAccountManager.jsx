@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSearch } from '@fortawesome/free-solid-svg-icons';
+import { ethers } from 'ethers';
+import Card from '../ui/Card.jsx';
+import Button from '../ui/Button.jsx';
+import LoadingSpinner from '../ui/LoadingSpinner.jsx';
+import { TOKEN_ROLE_NAMES, useTokenAdmin } from '../../hooks/useTokenAdmin';
+import { formatTokenAmount } from '../../utils/formatting';
+
+/**
+ * Look up an address's token roles and blacklist status, with grant,
+ * revoke and blacklist toggles for DEFAULT_ADMIN_ROLE holders
+ */
+const TokenAccountManager = () => {
+  const [input, setInput] = useState('');
+  const [address, setAddress] = useState('');
+  const {
+    isTokenAdmin,
+    lookup,
+    isLoadingLookup,
+    setRole,
+    isUpdatingRole,
+    setBlacklist,
+    isUpdatingBlacklist,
+  } = useTokenAdmin({ address });
+
+  const isInputValid = ethers.isAddress(input.trim());
+
+  const handleSubmit = e => {
+    e.preventDefault();
+    if (isInputValid) setAddress(ethers.getAddress(input.trim()));
+  };
+
+  return (
+    <Card className="space-y-4">
+      <div>
+        <h2 className="text-2xl font-bold text-secondary-800">
+          Roles and Blacklist
+        </h2>
+        {!isTokenAdmin && (
+          <p className="text-sm text-gray-500">
+            Changes need DEFAULT_ADMIN_ROLE; you can still look addresses up.
+          </p>
+        )}
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={input}
+          onChange={e => setInput(e.target.value)}
+          placeholder="Account address (0x...)"
+          aria-label="Token account address"
+          className="flex-1 min-w-0 px-3 py-2 rounded-lg border border-gray-200 font-mono text-sm focus:outline-none focus:ring-2 focus:ring-green-500/40"
+        />
+        <Button type="submit" disabled={!isInputValid} className="gap-2">
+          <FontAwesomeIcon icon={faSearch} />
+          Check
+        </Button>
+      </form>
+
+      {isLoadingLookup && !lookup && <LoadingSpinner size="small" />}
+
+      {address && lookup && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Balance: {formatTokenAmount(lookup.balance)} GAMA
+          </p>
+
+          <ul className="divide-y divide-gray-100 text-sm">
+            {TOKEN_ROLE_NAMES.map(role => (
+              <li
+                key={role}
+                className="flex items-center justify-between py-2 gap-4"
+              >
+                <span className="font-mono text-xs">{role}</span>
+                <div className="flex items-center gap-3">
+                  <span
+                    className={
+                      lookup.roles[role] ? 'text-green-700' : 'text-gray-400'
+                    }
+                  >
+                    {lookup.roles[role] ? 'Granted' : 'Not held'}
+                  </span>
+                  {isTokenAdmin && (
+                    <Button
+                      size="xs"
+                      variant={lookup.roles[role] ? 'danger' : 'success'}
+                      disabled={isUpdatingRole}
+                      onClick={() =>
+                        setRole({
+                          role,
+                          target: address,
+                          grant: !lookup.roles[role],
+                        })
+                      }
+                      aria-label={`${lookup.roles[role] ? 'Revoke' : 'Grant'} ${role}`}
+                    >
+                      {lookup.roles[role] ? 'Revoke' : 'Grant'}
+                    </Button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex items-center justify-between p-3 rounded-lg bg-gray-50 border border-gray-200 text-sm">
+            <span>
+              {lookup.isBlacklisted
+                ? 'Blacklisted: cannot send, receive, approve or mint'
+                : 'Not blacklisted'}
+            </span>
+            {isTokenAdmin && (
+              <Button
+                size="sm"
+                variant={lookup.isBlacklisted ? 'success' : 'danger'}
+                disabled={isUpdatingBlacklist}
+                onClick={() =>
+                  setBlacklist({
+                    target: address,
+                    value: !lookup.isBlacklisted,
+                  })
+                }
+              >
+                {lookup.isBlacklisted
+                  ? 'Remove from blacklist'
+                  : 'Add to blacklist'}
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default TokenAccountManager;
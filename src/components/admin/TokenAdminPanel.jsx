@@ -0,0 +1,109 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCoins, faUserShield } from '@fortawesome/free-solid-svg-icons';
+import Card from '../ui/Card.jsx';
+import TokenAccountManager from './TokenAccountManager.jsx';
+import AirdropForm from './AirdropForm.jsx';
+import { TOKEN_ROLE_NAMES, useTokenAdmin } from '../../hooks/useTokenAdmin';
+import { formatTokenAmount } from '../../utils/formatting';
+
+const MintSupply = ({ supply, error }) => {
+  if (error) {
+    return (
+      <p className="text-sm text-red-600">
+        Could not read the mint cap: {error.message}
+      </p>
+    );
+  }
+  if (!supply) return <p className="text-sm text-gray-500">Loading...</p>;
+
+  const { maxMintable, totalMinted, totalSupply } = supply;
+  // Airdrops skip the cap check, so minted can run past it
+  const percent =
+    maxMintable > BigInt(0)
+      ? Number((totalMinted * BigInt(10000)) / maxMintable) / 100
+      : 0;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between text-sm text-gray-600">
+        <span>
+          {formatTokenAmount(totalMinted)} of {formatTokenAmount(maxMintable)}{' '}
+          GAMA minted
+        </span>
+        <span>{percent.toFixed(2)}%</span>
+      </div>
+      <div
+        role="progressbar"
+        aria-label="Minted against cap"
+        aria-valuenow={Math.min(percent, 100)}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        className="h-3 rounded-full bg-gray-100 overflow-hidden"
+      >
+        <div
+          className={`h-full ${percent > 100 ? 'bg-red-500' : 'bg-[#22AD74]'}`}
+          style={{ width: `${Math.min(percent, 100)}%` }}
+        />
+      </div>
+      <p className="text-xs text-gray-500">
+        {totalMinted > maxMintable
+          ? `${formatTokenAmount(totalMinted - maxMintable)} GAMA over the cap.`
+          : `${formatTokenAmount(maxMintable - totalMinted)} GAMA left to mint.`}{' '}
+        Circulating supply: {formatTokenAmount(totalSupply)} GAMA.
+      </p>
+    </div>
+  );
+};
+
+/**
+ * GAMA token administration for accounts holding any token role: their
+ * roles, the mint cap, role and blacklist management and airdrops.
+ * Sections needing a role the account lacks are left out.
+ */
+const TokenAdminPanel = () => {
+  const { roles, isTokenAdmin, supply, supplyError } = useTokenAdmin();
+  if (!roles) return null;
+
+  return (
+    <div className="space-y-6">
+      <Card className="space-y-4">
+        <h2 className="flex items-center gap-2 text-2xl font-bold text-secondary-800">
+          <FontAwesomeIcon icon={faUserShield} className="text-[#22AD74]" />
+          GAMA Token
+        </h2>
+        <div>
+          <h3 className="text-sm font-medium text-gray-500 mb-2">Your roles</h3>
+          <ul className="flex flex-wrap gap-2">
+            {TOKEN_ROLE_NAMES.map(role => (
+              <li
+                key={role}
+                className={`px-2 py-1 rounded text-xs font-mono ${
+                  roles[role]
+                    ? 'bg-green-100 text-green-700'
+                    : 'bg-gray-100 text-gray-400 line-through'
+                }`}
+              >
+                {role}
+              </li>
+            ))}
+          </ul>
+        </div>
+        {roles.MINTER_ROLE && (
+          <div>
+            <h3 className="flex items-center gap-2 text-sm font-medium text-gray-500 mb-2">
+              <FontAwesomeIcon icon={faCoins} />
+              Mint cap
+            </h3>
+            <MintSupply supply={supply} error={supplyError} />
+          </div>
+        )}
+      </Card>
+
+      <TokenAccountManager />
+      {isTokenAdmin && <AirdropForm />}
+    </div>
+  );
+};
+
+export default TokenAdminPanel;
@@ -0,0 +1,154 @@
+import React from 'react';
+import { fireEvent, screen, waitFor } from '@testing-library/react';
+import { parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import AdminPage from '../../pages/Admin.jsx';
+import { TOKEN_ROLES } from '../../simulator/gamaToken';
+import {
+  renderWithProviders,
+  setupSimulatedWallet,
+} from '../../test/renderWithProviders.jsx';
+
+const findPanel = () => screen.findByText('GAMA Token', {}, { timeout: 10000 });
+
+const checkAddress = async address => {
+  fireEvent.change(screen.getByLabelText('Token account address'), {
+    target: { value: address },
+  });
+  fireEvent.click(screen.getByText('Check'));
+  await screen.findByText(/^Balance:/, {}, { timeout: 10000 });
+};
+
+describe('TokenAdminPanel', () => {
+  it('shows the mint cap and grants a role to another address', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const player = simulator.accounts[1];
+
+    renderWithProviders(<AdminPage />);
+    await findPanel();
+
+    // Three accounts were airdropped 10,000 GAMA each against a 1bn cap
+    expect(
+      await screen.findByText(/30000 of 1000000000\s+GAMA minted/)
+    ).toBeTruthy();
+
+    await checkAddress(player);
+    fireEvent.click(screen.getByLabelText('Grant MINTER_ROLE'));
+
+    await waitFor(
+      () => expect(screen.getByLabelText('Revoke MINTER_ROLE')).toBeTruthy(),
+      { timeout: 10000 }
+    );
+    const { token } = await simulator.getContracts();
+    expect(await token.hasRole(TOKEN_ROLES.MINTER_ROLE, player)).toBe(true);
+  });
+
+  it('adds an address to the blacklist', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const player = simulator.accounts[2];
+
+    renderWithProviders(<AdminPage />);
+    await findPanel();
+    await checkAddress(player);
+    fireEvent.click(screen.getByText('Add to blacklist'));
+
+    expect(
+      await screen.findByText('Remove from blacklist', {}, { timeout: 10000 })
+    ).toBeTruthy();
+    const { token } = await simulator.getContracts();
+    expect(await token.isBlacklisted(player)).toBe(true);
+  });
+
+  it('airdrops to a pasted list after review', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const [, alice, bob] = simulator.accounts;
+
+    renderWithProviders(<AdminPage />);
+    await findPanel();
+
+    fireEvent.change(screen.getByLabelText('Airdrop recipients'), {
+      target: { value: `address\n${alice}\n${bob.toLowerCase()}\n${alice}` },
+    });
+    fireEvent.change(screen.getByLabelText('Amount per recipient'), {
+      target: { value: '2.5' },
+    });
+    expect(
+      screen.getByText(/2 recipients, 1 duplicate\(s\) dropped/)
+    ).toBeTruthy();
+
+    await waitFor(() =>
+      expect(screen.getByText('Review airdrop').disabled).toBe(false)
+    );
+    fireEvent.click(screen.getByText('Review airdrop'));
+    expect(
+      screen.getByText(/Mint 5\.0 GAMA in total to 2 recipients/)
+    ).toBeTruthy();
+    fireEvent.click(screen.getByText('Send airdrop'));
+
+    const { token } = await simulator.getContracts();
+    await waitFor(
+      async () =>
+        expect(await token.balanceOf(bob)).toBe(parseEther('10002.5')),
+      { timeout: 10000 }
+    );
+    expect(await token.balanceOf(alice)).toBe(parseEther('10002.5'));
+  });
+
+  it('keeps only the unpaid recipients when a later batch fails', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const blocked = simulator.accounts[2];
+    const { token } = await simulator.getContracts();
+    await token.setBlacklist(blocked, true);
+    // A full first batch, then a second one the blacklist makes revert
+    const paid = Array.from(
+      { length: 100 },
+      (_, i) => `0x${(i + 1).toString(16).padStart(40, '0')}`
+    );
+
+    renderWithProviders(<AdminPage />);
+    await findPanel();
+
+    fireEvent.change(screen.getByLabelText('Airdrop recipients'), {
+      target: { value: [...paid, blocked].join('\n') },
+    });
+    fireEvent.change(screen.getByLabelText('Amount per recipient'), {
+      target: { value: '1' },
+    });
+    await waitFor(() =>
+      expect(screen.getByText('Review airdrop').disabled).toBe(false)
+    );
+    fireEvent.click(screen.getByText('Review airdrop'));
+    fireEvent.click(screen.getByText('Send airdrop'));
+
+    expect(
+      await screen.findByText(
+        /after 100 of 101 recipients were paid/,
+        {},
+        {
+          timeout: 10000,
+        }
+      )
+    ).toBeTruthy();
+    expect(screen.getByLabelText('Airdrop recipients').value).toBe(blocked);
+    expect(await token.balanceOf(paid[0])).toBe(parseEther('1'));
+  });
+
+  it('gives a minter the supply view but no admin actions', async () => {
+    const { simulator } = await setupSimulatedWallet({
+      wallet: { account: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8' },
+    });
+    const { token } = await simulator.getContracts();
+    await token.grantRole(TOKEN_ROLES.MINTER_ROLE, simulator.accounts[1]);
+
+    renderWithProviders(<AdminPage />);
+    await findPanel();
+
+    expect(await screen.findByText(/GAMA minted/)).toBeTruthy();
+    expect(screen.queryByText('Airdrop')).toBeNull();
+    expect(screen.queryByText('Active VRF Requests')).toBeNull();
+
+    await checkAddress(simulator.accounts[0]);
+    expect(screen.queryByText('Revoke')).toBeNull();
+    expect(screen.queryByText('Add to blacklist')).toBeNull();
+  });
+});
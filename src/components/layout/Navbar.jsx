@@ -1,12 +1,19 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { AnimatePresence, motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faHistory } from '@fortawesome/free-solid-svg-icons';
 import NetworkSwitcher from '../ui/NetworkSwitcher';
+import TransactionDrawer from './TransactionDrawer';
 import { useWallet } from '../wallet/WalletProvider';
 import { useNetwork } from '../../contexts/NetworkContext';
+import { useTransactions } from '../../contexts/TransactionContext';
 
 const Navbar = () => {
   const { account, handleLogout, connectWallet } = useWallet();
   const { currentNetwork } = useNetwork();
+  const { pendingCount } = useTransactions();
+  const [isTxDrawerOpen, setIsTxDrawerOpen] = useState(false);
   const [dropdownOpen, setDropdownOpen] = useState(false);
   const dropdownRef = useRef(null);
   const [isConnecting, setIsConnecting] = useState(false);
@@ -150,6 +157,27 @@ const Navbar = () => {
             className={`h-4 w-px ${isScrolled ? 'bg-gray-200' : 'bg-white/30'}`}
           ></div>
 
+          {account && (
+            <button
+              onClick={() => setIsTxDrawerOpen(true)}
+              aria-label={
+                pendingCount > 0
+                  ? `Transactions, ${pendingCount} pending`
+                  : 'Transactions'
+              }
+              className={`relative ${
+                isScrolled ? 'text-gray-600' : 'text-white'
+              } hover:text-[#22AD74] transition-all duration-300`}
+            >
+              <FontAwesomeIcon icon={faHistory} />
+              {pendingCount > 0 && (
+                <span className="absolute -top-2 -right-2 min-w-[1rem] h-4 px-1 rounded-full bg-amber-500 text-white text-[10px] leading-4 text-center">
+                  {pendingCount}
+                </span>
+              )}
+            </button>
+          )}
+
           {account ? (
             <div className="relative" ref={dropdownRef}>
               <button
@@ -225,7 +253,14 @@ const Navbar = () => {
                     <div className="mx-4 h-px bg-gradient-to-r from-transparent via-[#22AD74]/10 to-transparent"></div>
 
                     {/* Actions Section */}
-                    <div className="p-4">
+                    <div className="p-4 space-y-2">
+                      <Link
+                        to="/stats"
+                        onClick={() => setDropdownOpen(false)}
+                        className="w-full px-4 py-3 text-sm font-medium text-[#22AD74] bg-[#22AD74]/5 hover:bg-[#22AD74]/10 border border-[#22AD74]/20 rounded-lg flex items-center justify-center gap-2.5 transition-all duration-300"
+                      >
+                        My Statistics
+                      </Link>
                       <button
                         onClick={() => {
                           handleLogout();
@@ -277,6 +312,11 @@ const Navbar = () => {
           )}
         </div>
       </div>
+
+      <TransactionDrawer
+        isOpen={isTxDrawerOpen}
+        onClose={() => setIsTxDrawerOpen(false)}
+      />
     </header>
   );
 };
@@ -0,0 +1,170 @@
+import React from 'react';
+import { AnimatePresence, motion } from 'framer-motion';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faCheckCircle,
+  faRandom,
+  faSpinner,
+  faTimes,
+  faTimesCircle,
+} from '@fortawesome/free-solid-svg-icons';
+import { useWallet } from '../wallet/WalletProvider';
+import { useTransactions } from '../../contexts/TransactionContext';
+import { NETWORK_CONFIG } from '../../config';
+import { TX_KIND_LABELS, TX_STATUS } from '../../services/txTracker';
+import { formatTimestamp, truncateAddress } from '../../utils/formatting';
+
+const STATUS_STYLES = {
+  [TX_STATUS.PENDING]: {
+    label: 'Pending',
+    icon: faSpinner,
+    className: 'text-amber-600',
+  },
+  [TX_STATUS.CONFIRMED]: {
+    label: 'Confirmed',
+    icon: faCheckCircle,
+    className: 'text-green-600',
+  },
+  [TX_STATUS.FAILED]: {
+    label: 'Failed',
+    icon: faTimesCircle,
+    className: 'text-red-600',
+  },
+  [TX_STATUS.REPLACED]: {
+    label: 'Replaced',
+    icon: faRandom,
+    className: 'text-gray-500',
+  },
+  [TX_STATUS.CANCELLED]: {
+    label: 'Cancelled',
+    icon: faTimesCircle,
+    className: 'text-gray-500',
+  },
+};
+
+// Explorer of the configured network with this chain ID, if any
+const getExplorer = chainId =>
+  Object.values(NETWORK_CONFIG).find(
+    network => network.chainId === Number(chainId)
+  )?.explorer;
+
+const TxLink = ({ explorer, hash }) =>
+  explorer ? (
+    <a
+      href={`${explorer}/tx/${hash}`}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="font-mono underline hover:text-[#22AD74]"
+    >
+      {truncateAddress(hash)}
+    </a>
+  ) : (
+    <span className="font-mono">{truncateAddress(hash)}</span>
+  );
+
+const TransactionRow = ({ tx, explorer }) => {
+  const status = STATUS_STYLES[tx.status] || STATUS_STYLES.pending;
+
+  return (
+    <li className="p-3 rounded-lg bg-gray-50 border border-gray-200 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-medium text-gray-800">
+          {TX_KIND_LABELS[tx.kind] || tx.kind}
+        </span>
+        <span
+          className={`flex items-center gap-1.5 text-xs font-medium ${status.className}`}
+        >
+          <FontAwesomeIcon
+            icon={status.icon}
+            spin={tx.status === TX_STATUS.PENDING}
+          />
+          {status.label}
+        </span>
+      </div>
+      <div className="mt-1 flex items-center justify-between gap-2 text-xs text-gray-500">
+        <TxLink explorer={explorer} hash={tx.hash} />
+        <span>{formatTimestamp(tx.submittedAt)}</span>
+      </div>
+      {tx.replacedBy && (
+        <p className="mt-1 text-xs text-gray-500">
+          Mined as <TxLink explorer={explorer} hash={tx.replacedBy} />
+        </p>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Side drawer listing the account's recent approve, bet and recovery
+ * transactions with their status and explorer links
+ * @param {Boolean} isOpen - Whether the drawer is shown
+ * @param {Function} onClose - Close the drawer
+ */
+const TransactionDrawer = ({ isOpen, onClose }) => {
+  const { chainId } = useWallet();
+  const { transactions, clearSettled } = useTransactions();
+  const explorer = getExplorer(chainId);
+  const hasSettled = transactions.some(tx => tx.status !== TX_STATUS.PENDING);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-[90]"
+        >
+          <div className="fixed inset-0 bg-black/30" onClick={onClose} />
+          <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ duration: 0.25, ease: 'easeOut' }}
+            role="dialog"
+            aria-label="Transactions"
+            className="fixed right-0 top-0 h-full w-full max-w-sm bg-white shadow-2xl flex flex-col"
+          >
+            <div className="flex items-center justify-between p-4 border-b border-gray-200">
+              <h2 className="text-lg font-bold text-gray-900">Transactions</h2>
+              <button
+                onClick={onClose}
+                aria-label="Close transactions"
+                className="text-gray-500 hover:text-gray-800"
+              >
+                <FontAwesomeIcon icon={faTimes} />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4">
+              {transactions.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  Approvals, bets and recoveries you send will show up here.
+                </p>
+              ) : (
+                <ul className="space-y-2">
+                  {transactions.map(tx => (
+                    <TransactionRow key={tx.hash} tx={tx} explorer={explorer} />
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {hasSettled && (
+              <div className="p-4 border-t border-gray-200">
+                <button
+                  onClick={clearSettled}
+                  className="w-full py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg"
+                >
+                  Clear finished
+                </button>
+              </div>
+            )}
+          </motion.aside>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default TransactionDrawer;
@@ -0,0 +1,116 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faHourglassHalf } from '@fortawesome/free-solid-svg-icons';
+import { COOL_OFF_OPTIONS } from '../../services/responsibleGaming';
+import { formatTokenAmount } from '../../utils/formatting';
+
+// The break offered here is the shortest cool-off
+const [BREAK_OPTION] = COOL_OFF_OPTIONS;
+
+const formatElapsed = ms => {
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0
+    ? `${hours} h ${minutes % 60} min`
+    : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Periodic interruption showing how long the session has run and what it
+ * has cost. It can't be dismissed without choosing to play on or stop.
+ * @param {Object|null} summary - From getSessionSummary, null when no
+ *   reality check is due
+ */
+const RealityCheckModal = ({ summary, onKeepPlaying, onTakeBreak }) => {
+  const isLoss = summary && summary.net < BigInt(0);
+
+  return (
+    <AnimatePresence>
+      {summary && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-[100] flex items-center justify-center isolation-auto overflow-hidden"
+        >
+          <div className="fixed inset-0 bg-black/40 backdrop-blur-sm" />
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="reality-check-title"
+            className="relative z-[110] bg-white/90 backdrop-blur-md rounded-3xl p-8 max-w-md w-full mx-4 shadow-2xl isolate"
+          >
+            <div className="flex items-center gap-3 mb-4">
+              <div className="w-10 h-10 rounded-full bg-[#22AD74]/15 flex items-center justify-center">
+                <FontAwesomeIcon
+                  icon={faHourglassHalf}
+                  className="text-[#22AD74]"
+                />
+              </div>
+              <h2
+                id="reality-check-title"
+                className="text-2xl font-bold text-gray-900"
+              >
+                Reality Check
+              </h2>
+            </div>
+
+            <p className="text-gray-600 mb-6">
+              You have been playing for{' '}
+              <strong>{formatElapsed(summary.elapsed)}</strong>.
+            </p>
+
+            <dl className="grid grid-cols-3 gap-3 text-center mb-6">
+              <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+                <dt className="text-xs text-gray-500">Spins</dt>
+                <dd className="font-semibold text-gray-800">
+                  {summary.spinCount}
+                </dd>
+              </div>
+              <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+                <dt className="text-xs text-gray-500">Wagered</dt>
+                <dd className="font-semibold text-gray-800">
+                  {formatTokenAmount(summary.wagered)} GAMA
+                </dd>
+              </div>
+              <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+                <dt className="text-xs text-gray-500">Net result</dt>
+                <dd
+                  className={`font-semibold ${isLoss ? 'text-red-600' : 'text-green-600'}`}
+                >
+                  {isLoss
+                    ? `-${formatTokenAmount(-summary.net)}`
+                    : `+${formatTokenAmount(summary.net)}`}{' '}
+                  GAMA
+                </dd>
+              </div>
+            </dl>
+
+            <div className="flex flex-col sm:flex-row gap-3">
+              <button
+                type="button"
+                onClick={onTakeBreak}
+                className="flex-1 py-3 rounded-lg bg-[#22AD74] hover:bg-[#1a8f5f] text-white font-medium"
+              >
+                Take a break for {BREAK_OPTION.label}
+              </button>
+              <button
+                type="button"
+                onClick={onKeepPlaying}
+                className="flex-1 py-3 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium"
+              >
+                Keep playing
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default RealityCheckModal;
@@ -0,0 +1,355 @@
+import React, { useEffect, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faBan,
+  faClock,
+  faHandPaper,
+  faHourglassHalf,
+  faShieldAlt,
+} from '@fortawesome/free-solid-svg-icons';
+import { useResponsibleGaming } from '../../contexts/ResponsibleGamingContext';
+import {
+  COOL_OFF_OPTIONS,
+  LIMIT_INCREASE_DELAY,
+  REALITY_CHECK_OPTIONS,
+  SELF_EXCLUSION_OPTIONS,
+  getSessionLoss,
+} from '../../services/responsibleGaming';
+import { formatTokenAmount } from '../../utils/formatting';
+
+const WEI_PER_TOKEN = BigInt(10) ** BigInt(18);
+
+const LIMIT_FIELDS = [
+  {
+    key: 'lossLimit',
+    label: 'Loss limit per session',
+    unit: 'GAMA',
+    isAmount: true,
+  },
+  {
+    key: 'wagerLimit',
+    label: 'Wager limit per session',
+    unit: 'GAMA',
+    isAmount: true,
+  },
+  {
+    key: 'sessionMinutes',
+    label: 'Session time limit',
+    unit: 'minutes',
+    isAmount: false,
+  },
+];
+
+// Form values are whole tokens or minutes as strings, '' for no limit
+const toFormValue = (field, value) => {
+  if (value === null || value === undefined) return '';
+  return field.isAmount ? formatTokenAmount(value) : String(value);
+};
+
+const fromFormValue = (field, value) => {
+  if (value === '') return null;
+  return field.isAmount ? BigInt(value) * WEI_PER_TOKEN : Number(value);
+};
+
+const formatLimit = (field, value) =>
+  value === null ? 'no limit' : `${toFormValue(field, value)} ${field.unit}`;
+
+const formatDuration = ms => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const SessionSummary = ({ session }) => {
+  if (!session) {
+    return (
+      <p className="text-sm text-gray-500">
+        No active session. One starts with your next spin.
+      </p>
+    );
+  }
+
+  const net = session.returned - session.wagered;
+
+  return (
+    <dl className="grid grid-cols-3 gap-3 text-center">
+      <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+        <dt className="text-xs text-gray-500">Session time</dt>
+        <dd className="font-semibold text-gray-800">
+          {formatDuration(Date.now() - session.startedAt)}
+        </dd>
+      </div>
+      <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+        <dt className="text-xs text-gray-500">Wagered</dt>
+        <dd className="font-semibold text-gray-800">
+          {formatTokenAmount(session.wagered)} GAMA
+        </dd>
+      </div>
+      <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+        <dt className="text-xs text-gray-500">Net result</dt>
+        <dd
+          className={`font-semibold ${net < BigInt(0) ? 'text-red-600' : 'text-green-600'}`}
+        >
+          {net < BigInt(0)
+            ? `-${formatTokenAmount(getSessionLoss(session))}`
+            : `+${formatTokenAmount(net)}`}{' '}
+          GAMA
+        </dd>
+      </div>
+    </dl>
+  );
+};
+
+// A lock picked from fixed durations, confirmed in a second step because
+// it can't be undone
+const TimedLockSection = ({
+  icon,
+  title,
+  description,
+  options,
+  lockedUntil,
+  lockedText,
+  confirmText,
+  confirmLabel,
+  onConfirm,
+}) => {
+  const [choice, setChoice] = useState(null);
+
+  const handleConfirm = () => {
+    onConfirm(choice.duration);
+    setChoice(null);
+  };
+
+  return (
+    <section>
+      <h3 className="flex items-center gap-2 font-semibold text-secondary-800 mb-1">
+        <FontAwesomeIcon icon={icon} className="text-[#22AD74]" />
+        {title}
+      </h3>
+      {lockedUntil ? (
+        <p className="text-sm text-gray-700">
+          {lockedText} <strong>{new Date(lockedUntil).toLocaleString()}</strong>
+          . Betting stays paused until then.
+        </p>
+      ) : choice ? (
+        <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm">
+          <p className="text-amber-800 mb-3">{confirmText(choice)}</p>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleConfirm}
+              className="px-3 py-1.5 rounded-lg bg-amber-600 hover:bg-amber-700 text-white font-medium"
+            >
+              {confirmLabel}
+            </button>
+            <button
+              type="button"
+              onClick={() => setChoice(null)}
+              className="px-3 py-1.5 rounded-lg bg-white border border-gray-200 text-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500 mb-3">{description}</p>
+          <div className="flex flex-wrap gap-2">
+            {options.map(option => (
+              <button
+                key={option.label}
+                type="button"
+                onClick={() => setChoice(option)}
+                className="px-3 py-1.5 rounded-lg text-sm bg-green-500/20 text-green-700 hover:bg-green-500/30 border border-green-500/20"
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+/**
+ * Session summary, the player's loss, wager and time limits, reality check
+ * interval, and the cool-off and self-exclusion locks, neither of which can
+ * be cancelled once started
+ */
+const ResponsibleGamingPanel = () => {
+  const {
+    limits,
+    pendingLimits,
+    coolOffUntil,
+    selfExcludedUntil,
+    realityCheckMinutes,
+    session,
+    blockedReason,
+    setLimits,
+    startCoolOff,
+    startSelfExclusion,
+    setRealityCheckInterval,
+  } = useResponsibleGaming();
+  const [form, setForm] = useState({});
+
+  // Reset the form whenever the stored limits change
+  useEffect(() => {
+    if (!limits) return;
+    setForm(
+      Object.fromEntries(
+        LIMIT_FIELDS.map(field => [
+          field.key,
+          toFormValue(field, limits[field.key]),
+        ])
+      )
+    );
+  }, [limits]);
+
+  if (!limits) {
+    return (
+      <p className="text-sm text-gray-500">
+        Connect your wallet to set limits for your account.
+      </p>
+    );
+  }
+
+  const handleChange = key => e => {
+    const input = e.target.value;
+    if (input !== '' && !/^\d+$/.test(input)) return;
+    setForm(prev => ({ ...prev, [key]: input }));
+  };
+
+  const handleSave = e => {
+    e.preventDefault();
+    setLimits(
+      Object.fromEntries(
+        LIMIT_FIELDS.map(field => [
+          field.key,
+          fromFormValue(field, form[field.key] ?? ''),
+        ])
+      )
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {blockedReason && (
+        <div
+          role="alert"
+          className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700"
+        >
+          {blockedReason}
+        </div>
+      )}
+
+      <section>
+        <h3 className="flex items-center gap-2 font-semibold text-secondary-800 mb-3">
+          <FontAwesomeIcon icon={faClock} className="text-[#22AD74]" />
+          This Session
+        </h3>
+        <SessionSummary session={session} />
+      </section>
+
+      <form onSubmit={handleSave}>
+        <h3 className="flex items-center gap-2 font-semibold text-secondary-800 mb-1">
+          <FontAwesomeIcon icon={faShieldAlt} className="text-[#22AD74]" />
+          Limits
+        </h3>
+        <p className="text-xs text-gray-500 mb-3">
+          Leave a field empty for no limit. Lower limits apply straight away;
+          raising or removing one takes effect after{' '}
+          {LIMIT_INCREASE_DELAY / 3600000} hours.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {LIMIT_FIELDS.map(field => (
+            <label key={field.key} className="block text-sm text-gray-600">
+              {field.label}
+              <div className="mt-1 flex items-center gap-2">
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  value={form[field.key] ?? ''}
+                  onChange={handleChange(field.key)}
+                  placeholder="No limit"
+                  className="flex-1 min-w-0 px-3 py-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-green-500/40"
+                />
+                <span className="text-xs text-gray-500">{field.unit}</span>
+              </div>
+            </label>
+          ))}
+        </div>
+        {pendingLimits && (
+          <ul className="mt-3 text-xs text-amber-700 space-y-1">
+            {LIMIT_FIELDS.filter(
+              field => field.key in pendingLimits.limits
+            ).map(field => (
+              <li key={field.key}>
+                {field.label} changes to{' '}
+                {formatLimit(field, pendingLimits.limits[field.key])} on{' '}
+                {new Date(pendingLimits.effectiveAt).toLocaleString()}
+              </li>
+            ))}
+          </ul>
+        )}
+        <button
+          type="submit"
+          className="mt-4 px-4 py-2 rounded-lg bg-[#22AD74] hover:bg-[#1a8f5f] text-white text-sm font-medium"
+        >
+          Save limits
+        </button>
+      </form>
+
+      <TimedLockSection
+        icon={faHandPaper}
+        title="Take a Break"
+        description="Pause betting on this account for a while."
+        options={COOL_OFF_OPTIONS}
+        lockedUntil={coolOffUntil}
+        lockedText="Your cool-off runs until"
+        confirmText={option =>
+          `Pause betting for ${option.label}? A cool-off cannot be cancelled before it ends.`
+        }
+        confirmLabel="Start cool-off"
+        onConfirm={startCoolOff}
+      />
+
+      <TimedLockSection
+        icon={faBan}
+        title="Self-Exclusion"
+        description="Lock betting for this address for a long period if gambling is becoming a problem."
+        options={SELF_EXCLUSION_OPTIONS}
+        lockedUntil={selfExcludedUntil}
+        lockedText="This address is self-excluded until"
+        confirmText={option =>
+          `Lock betting for ${option.label}? Self-exclusion cannot be lifted or shortened, on this or any other device, until it ends.`
+        }
+        confirmLabel="Self-exclude"
+        onConfirm={startSelfExclusion}
+      />
+
+      <section>
+        <h3 className="flex items-center gap-2 font-semibold text-secondary-800 mb-1">
+          <FontAwesomeIcon icon={faHourglassHalf} className="text-[#22AD74]" />
+          Reality Checks
+        </h3>
+        <label className="block text-xs text-gray-500">
+          Remind me of my session time and net result every
+          <select
+            value={realityCheckMinutes}
+            onChange={e => setRealityCheckInterval(Number(e.target.value))}
+            className="ml-2 px-2 py-1 rounded-lg border border-gray-200 text-sm text-gray-700"
+          >
+            {REALITY_CHECK_OPTIONS.map(minutes => (
+              <option key={minutes} value={minutes}>
+                {minutes === 0 ? 'never' : `${minutes} minutes`}
+              </option>
+            ))}
+          </select>
+        </label>
+      </section>
+    </div>
+  );
+};
+
+export default ResponsibleGamingPanel;
@@ -1,6 +1,8 @@
 import React, { useMemo, useEffect, useState, useCallback } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import RoulettePage from '../../pages/Roulette.jsx';
+import AdminPage from '../../pages/Admin.jsx';
+import StatsPage from '../../pages/Stats.jsx';
 import { useWallet } from '../wallet/WalletProvider';
 import { useNotification } from '../../contexts/NotificationContext.jsx';
 import LoadingSpinner from '../ui/LoadingSpinner.jsx';
@@ -257,6 +259,8 @@ const AppRoutes = () => {
           />
         }
       />
+      <Route path="/stats" element={<StatsPage />} />
+      <Route path="/admin" element={<AdminPage />} />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   );
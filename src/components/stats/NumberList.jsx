@@ -0,0 +1,44 @@
+import React from 'react';
+import { getNumberColor } from '../../utils/rouletteUtils';
+
+const pocketStyles = {
+  green: 'bg-green-600 text-white',
+  red: 'bg-red-600 text-white',
+  black: 'bg-gray-900 text-white',
+};
+
+/**
+ * Titled row of roulette numbers with how often each came up or was bet
+ * @param {Object} props
+ * @param {String} props.title - Heading
+ * @param {Array<{number: Number, count: Number}>} props.numbers - Numbers
+ * @param {String} props.unit - Label after the count, e.g. 'hits'
+ * @param {String} props.emptyText - Shown when there are no numbers
+ */
+const NumberList = ({ title, numbers, unit, emptyText }) => (
+  <div>
+    <h3 className="text-sm font-medium text-gray-500 mb-2">{title}</h3>
+    {numbers.length === 0 ? (
+      <p className="text-sm text-gray-400">{emptyText}</p>
+    ) : (
+      <ul className="flex flex-wrap gap-3" aria-label={title}>
+        {numbers.map(({ number, count }) => (
+          <li key={number} className="flex flex-col items-center gap-1">
+            <span
+              className={`w-9 h-9 rounded-full flex items-center justify-center font-bold ${
+                pocketStyles[getNumberColor(number)]
+              }`}
+            >
+              {number}
+            </span>
+            <span className="text-xs text-gray-500">
+              {count} {unit}
+            </span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+export default NumberList;
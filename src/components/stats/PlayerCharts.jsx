@@ -0,0 +1,81 @@
+import React from 'react';
+import { ethers } from 'ethers';
+import {
+  BarElement,
+  CategoryScale,
+  Chart as ChartJS,
+  Filler,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip,
+} from 'chart.js';
+import { Bar, Line } from 'react-chartjs-2';
+
+ChartJS.register(
+  BarElement,
+  CategoryScale,
+  Filler,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip
+);
+
+const formatDate = timestamp =>
+  new Date(timestamp * 1000).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+  });
+
+/**
+ * Cumulative net profit after each settled spin
+ * @param {Object} props
+ * @param {Array<{timestamp: Number, profit: BigInt}>} props.series - Points
+ *   from computePlayerStats
+ */
+export const ProfitChart = ({ series }) => (
+  <Line
+    aria-label="Net profit over time"
+    data={{
+      labels: series.map(({ timestamp }) => formatDate(timestamp)),
+      datasets: [
+        {
+          label: 'Net profit (GAMA)',
+          data: series.map(({ profit }) => Number(ethers.formatEther(profit))),
+          borderColor: '#22AD74',
+          backgroundColor: 'rgba(34, 173, 116, 0.1)',
+          fill: true,
+          tension: 0.2,
+        },
+      ],
+    }}
+    options={{ plugins: { legend: { display: false } } }}
+  />
+);
+
+/**
+ * Share of bets of each type that paid out
+ * @param {Object} props
+ * @param {Array<{name: String, rate: Number}>} props.rows - Rows from
+ *   computePlayerStats
+ */
+export const WinRateChart = ({ rows }) => (
+  <Bar
+    aria-label="Win rate per bet type"
+    data={{
+      labels: rows.map(({ name }) => name),
+      datasets: [
+        {
+          label: 'Win rate (%)',
+          data: rows.map(({ rate }) => rate * 100),
+          backgroundColor: '#22AD74',
+        },
+      ],
+    }}
+    options={{
+      plugins: { legend: { display: false } },
+      scales: { y: { min: 0, max: 100 } },
+    }}
+  />
+);
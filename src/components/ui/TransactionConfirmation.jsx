@@ -0,0 +1,149 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faCheckCircle,
+  faExclamationTriangle,
+  faTimesCircle,
+} from '@fortawesome/free-solid-svg-icons';
+import { formatTokenAmount } from '../../utils/formatting';
+
+const xdc = amount =>
+  amount === undefined ? 'Unknown' : `${formatTokenAmount(amount, 6)} XDC`;
+
+const VERDICTS = {
+  success: {
+    icon: faCheckCircle,
+    className: 'bg-green-50 border-green-200 text-green-800',
+    heading: 'Simulation succeeded',
+  },
+  reverted: {
+    icon: faTimesCircle,
+    className: 'bg-red-50 border-red-200 text-red-800',
+    heading: 'This transaction would fail',
+  },
+  unknown: {
+    icon: faExclamationTriangle,
+    className: 'bg-amber-50 border-amber-200 text-amber-800',
+    heading: 'Could not check this transaction',
+  },
+};
+
+/**
+ * Result of a write's dry run, shown before the wallet prompt. A write that
+ * would revert can only be dismissed; otherwise the player confirms to send.
+ * @param {Object|null} confirmation - From useTransactionConfirmation, null
+ *   when nothing is waiting
+ * @param {Function} onConfirm - Send the transaction
+ * @param {Function} onCancel - Drop it
+ */
+const TransactionConfirmation = ({ confirmation, onConfirm, onCancel }) => {
+  const simulation = confirmation?.simulation;
+  const verdict = simulation && VERDICTS[simulation.status];
+  const reverted = simulation?.status === 'reverted';
+
+  return (
+    <AnimatePresence>
+      {confirmation && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-[120] flex items-center justify-center isolation-auto overflow-hidden"
+        >
+          <div className="fixed inset-0 bg-black/40 backdrop-blur-sm" />
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="transaction-confirmation-title"
+            className="relative z-[130] bg-white/90 backdrop-blur-md rounded-3xl p-6 max-w-md w-full mx-4 shadow-2xl isolate"
+          >
+            <h2
+              id="transaction-confirmation-title"
+              className="text-xl font-bold text-gray-900 mb-4"
+            >
+              {confirmation.title}
+            </h2>
+
+            <div
+              role="status"
+              className={`p-3 rounded-lg border text-sm mb-4 ${verdict.className}`}
+            >
+              <p className="font-semibold flex items-center gap-2">
+                <FontAwesomeIcon icon={verdict.icon} />
+                {verdict.heading}
+              </p>
+              <p className="mt-1">
+                {simulation.status === 'success'
+                  ? confirmation.outcome
+                  : simulation.reason}
+              </p>
+              {simulation.status === 'unknown' && (
+                <p className="mt-1">
+                  You can still send it; the contract enforces the same rules.
+                </p>
+              )}
+            </div>
+
+            {!reverted && (
+              <dl className="space-y-1 text-sm mb-4">
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Estimated gas</dt>
+                  <dd className="text-gray-800">
+                    {simulation.gasLimit === undefined
+                      ? 'Unknown'
+                      : simulation.gasLimit.toString()}
+                  </dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Estimated cost</dt>
+                  <dd className="text-gray-800">{xdc(simulation.gasCost)}</dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Your XDC</dt>
+                  <dd className="text-gray-800">
+                    {xdc(simulation.xdcBalance)}
+                  </dd>
+                </div>
+              </dl>
+            )}
+
+            {simulation.canPayGas === false && (
+              <p
+                role="alert"
+                className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800 mb-4"
+              >
+                Your XDC balance can&apos;t cover the estimated gas, so the
+                wallet is likely to reject this transaction.
+              </p>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-3">
+              {!reverted && (
+                <button
+                  type="button"
+                  onClick={onConfirm}
+                  className="flex-1 py-3 rounded-lg bg-[#22AD74] hover:bg-[#1a8f5f] text-white font-medium"
+                >
+                  Confirm in wallet
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={onCancel}
+                className="flex-1 py-3 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium"
+              >
+                {reverted ? 'Close' : 'Cancel'}
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default TransactionConfirmation;
@@ -0,0 +1,113 @@
+import { act, screen, waitFor } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import { useWallet } from './WalletProvider.jsx';
+import {
+  renderHookWithProviders,
+  setupMockWallet,
+  setupSimulatedWallet,
+  waitForWallet,
+} from '../../test/renderWithProviders.jsx';
+
+const useWalletContext = () => useWallet();
+
+describe('WalletProvider', () => {
+  it('picks up an already authorised account with signing contracts', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const { result } = renderHookWithProviders(useWalletContext);
+
+    await waitForWallet(result);
+
+    const wallet = result.current.wallet;
+    expect(wallet.account).toBe(simulator.accounts[0]);
+    expect(wallet.isWalletConnected).toBe(true);
+    expect(await wallet.contracts.Roulette.getAddress()).toBe(
+      simulator.addresses.Roulette
+    );
+
+    const { formatted } = await wallet.getTokenBalance();
+    expect(formatted).toBe('10000');
+  });
+
+  it('stays disconnected until the wallet grants an account', async () => {
+    await setupSimulatedWallet({ wallet: { account: null } });
+    const { result } = renderHookWithProviders(useWalletContext);
+
+    await waitFor(() => expect(result.current.wallet.provider).toBeTruthy());
+    expect(result.current.wallet.account).toBeFalsy();
+    expect(result.current.wallet.isWalletConnected).toBe(false);
+  });
+
+  it('follows accountsChanged to another account', async () => {
+    const { simulator, ethereum } = await setupSimulatedWallet();
+    const { result } = renderHookWithProviders(useWalletContext);
+    await waitForWallet(result);
+
+    act(() => ethereum.switchAccount(simulator.accounts[1]));
+
+    await waitFor(() =>
+      expect(result.current.wallet.account).toBe(simulator.accounts[1])
+    );
+    // Contracts are rebuilt so transactions are signed by the new account
+    await waitFor(async () => {
+      const signer = result.current.wallet.contracts.Roulette.runner;
+      expect(await signer.getAddress()).toBe(simulator.accounts[1]);
+    });
+    expect(
+      await screen.findByText('Account changed successfully')
+    ).toBeTruthy();
+  });
+
+  it('resets when the wallet disconnects every account', async () => {
+    const { ethereum } = await setupSimulatedWallet();
+    const { result } = renderHookWithProviders(useWalletContext);
+    await waitForWallet(result);
+
+    act(() => ethereum.switchAccount(null));
+
+    await waitFor(() => expect(result.current.wallet.account).toBeFalsy());
+    expect(result.current.wallet.isWalletConnected).toBe(false);
+  });
+
+  it('warns on chainChanged to an unsupported network', async () => {
+    const { ethereum } = await setupSimulatedWallet();
+    const { result } = renderHookWithProviders(useWalletContext);
+    await waitForWallet(result);
+
+    act(() => ethereum.switchChain(1));
+
+    expect(
+      await screen.findByText(/Unsupported network detected \(Chain ID: 1\)/)
+    ).toBeTruthy();
+  });
+
+  describe('with the mock wallet', () => {
+    it('connects once the user approves', async () => {
+      const { simulator, ethereum } = await setupMockWallet();
+      const { result } = renderHookWithProviders(useWalletContext);
+      await waitFor(() => expect(result.current.wallet.provider).toBeTruthy());
+      expect(result.current.wallet.account).toBeFalsy();
+
+      await act(() => result.current.wallet.connectWallet());
+
+      await waitForWallet(result);
+      expect(result.current.wallet.account).toBe(simulator.accounts[0]);
+      expect(ethereum.isConnected()).toBe(true);
+    });
+
+    it('stays disconnected when the user rejects the connection', async () => {
+      const { ethereum } = await setupMockWallet({
+        wallet: { approvals: false },
+      });
+      const { result } = renderHookWithProviders(useWalletContext);
+      await waitFor(() => expect(result.current.wallet.provider).toBeTruthy());
+
+      await act(() => result.current.wallet.connectWallet());
+
+      expect(
+        await screen.findByText('Wallet connection was rejected by user')
+      ).toBeTruthy();
+      expect(result.current.wallet.account).toBeFalsy();
+      expect(ethereum.isConnected()).toBe(false);
+    });
+  });
+});
@@ -3,6 +3,29 @@
  * Centralizes environment variables and other config
  */
 
+import { SIMULATOR_ADDRESSES } from '../simulator/addresses';
+
+// In-process contract simulator, dev server only. When on, it stands in for
+// the wallet and the Apothem contracts.
+export const SIMULATOR_CONFIG = {
+  enabled: import.meta.env.DEV && import.meta.env.VITE_USE_SIMULATOR === 'true',
+  seed: import.meta.env.VITE_SIMULATOR_SEED || 'roulette',
+  // Delay before the mock VRF coordinator answers a spin, in ms
+  vrfDelay: Number(import.meta.env.VITE_SIMULATOR_VRF_DELAY || 3000),
+};
+
+// Mock EIP-1193 wallet, dev server only. When on, it replaces the injected
+// extension; with the simulator also on, it signs for the simulated chain.
+export const MOCK_WALLET_CONFIG = {
+  enabled:
+    import.meta.env.DEV && import.meta.env.VITE_USE_MOCK_WALLET === 'true',
+  // Leave unset for Hardhat's test mnemonic, the simulator's funded accounts
+  mnemonic: import.meta.env.VITE_MOCK_WALLET_MNEMONIC || undefined,
+  // 'auto' approves every prompt, 'reject' declines them all and 'confirm'
+  // asks through the browser's confirm dialog
+  approvals: import.meta.env.VITE_MOCK_WALLET_APPROVALS || 'auto',
+};
+
 // Network configuration
 export const NETWORK_CONFIG = {
   mainnet: {
@@ -15,6 +38,8 @@ export const NETWORK_CONFIG = {
       token: import.meta.env.VITE_TOKEN_ADDRESS || '',
       Roulette: import.meta.env.VITE_Roulette_ADDRESS || '',
     },
+    // First block scanned for history logs; 0 turns the indexer off
+    indexerStartBlock: Number(import.meta.env.VITE_Roulette_START_BLOCK || 0),
     explorer: 'https://explorer.xinfin.network',
     dexUrl: 'https://app.weswap.io/#/swap',
   },
@@ -23,11 +48,20 @@ export const NETWORK_CONFIG = {
       import.meta.env.VITE_XDC_APOTHEM_RPC || 'https://rpc.apothem.network',
     chainId: 51,
     name: 'XDC Apothem Testnet',
-    contracts: {
-      // Use environment variables for contract addresses
-      token: import.meta.env.VITE_APOTHEM_TOKEN_ADDRESS || '',
-      Roulette: import.meta.env.VITE_APOTHEM_Roulette_ADDRESS || '',
-    },
+    contracts: SIMULATOR_CONFIG.enabled
+      ? {
+          token: SIMULATOR_ADDRESSES.token,
+          Roulette: SIMULATOR_ADDRESSES.Roulette,
+        }
+      : {
+          // Use environment variables for contract addresses
+          token: import.meta.env.VITE_APOTHEM_TOKEN_ADDRESS || '',
+          Roulette: import.meta.env.VITE_APOTHEM_Roulette_ADDRESS || '',
+        },
+    // First block scanned for history logs; 0 turns the indexer off
+    indexerStartBlock: SIMULATOR_CONFIG.enabled
+      ? 1
+      : Number(import.meta.env.VITE_APOTHEM_Roulette_START_BLOCK || 0),
     explorer: 'https://explorer.apothem.network',
     dexUrl: 'https://app-apothem.weswap.io/#/swap',
   },
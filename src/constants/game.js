@@ -7,3 +7,96 @@ export const RESULT_FORCE_STOPPED = 254;
 
 // Result code for games that were recovered after an issue
 export const RESULT_RECOVERED = 255;
+
+// Highest number on a European wheel (pockets are 0-36)
+export const MAX_NUMBER = 36;
+
+/**
+ * Bet type IDs accepted by Roulette.placeBet, mirroring the contract constants
+ */
+export const BET_TYPES = {
+  STRAIGHT_BET: 0,
+  DOZEN_BET_FIRST: 1, // 1-12
+  DOZEN_BET_SECOND: 2, // 13-24
+  DOZEN_BET_THIRD: 3, // 25-36
+  COLUMN_BET_FIRST: 4, // 1,4,7...
+  COLUMN_BET_SECOND: 5, // 2,5,8...
+  COLUMN_BET_THIRD: 6, // 3,6,9...
+  RED_BET: 7,
+  BLACK_BET: 8,
+  EVEN_BET: 9,
+  ODD_BET: 10,
+  LOW_BET: 11,
+  HIGH_BET: 12,
+};
+
+// Display names, matching Roulette.getBetTypeInfo
+export const BET_TYPE_NAMES = {
+  [BET_TYPES.STRAIGHT_BET]: 'Straight',
+  [BET_TYPES.DOZEN_BET_FIRST]: 'First Dozen (1-12)',
+  [BET_TYPES.DOZEN_BET_SECOND]: 'Second Dozen (13-24)',
+  [BET_TYPES.DOZEN_BET_THIRD]: 'Third Dozen (25-36)',
+  [BET_TYPES.COLUMN_BET_FIRST]: 'First Column',
+  [BET_TYPES.COLUMN_BET_SECOND]: 'Second Column',
+  [BET_TYPES.COLUMN_BET_THIRD]: 'Third Column',
+  [BET_TYPES.RED_BET]: 'Red',
+  [BET_TYPES.BLACK_BET]: 'Black',
+  [BET_TYPES.EVEN_BET]: 'Even',
+  [BET_TYPES.ODD_BET]: 'Odd',
+  [BET_TYPES.LOW_BET]: 'Low (1-18)',
+  [BET_TYPES.HIGH_BET]: 'High (19-36)',
+};
+
+// BetType enum recorded in BetDetails, indexed by enum value
+export const BET_KINDS = [
+  'Straight',
+  'Dozen',
+  'Column',
+  'Red',
+  'Black',
+  'Even',
+  'Odd',
+  'Low',
+  'High',
+];
+
+// Red pockets, same list as Roulette._isRed
+export const RED_NUMBERS = [
+  1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36,
+];
+
+// Pocket order on a single-zero European wheel, clockwise from zero
+export const WHEEL_ORDER = [
+  0, 32, 15, 19, 4, 21, 2, 25, 17, 34, 6, 27, 13, 36, 11, 30, 8, 23, 10, 5, 24,
+  16, 33, 1, 20, 14, 31, 9, 22, 18, 29, 7, 28, 12, 35, 3, 26,
+];
+
+// Betting limits enforced by Roulette.placeBet
+export const MAX_BETS_PER_SPIN = 15;
+export const MAX_BET_AMOUNT = BigInt(100000) * BigInt(10) ** BigInt(18);
+export const MAX_TOTAL_BET_AMOUNT = BigInt(500000) * BigInt(10) ** BigInt(18);
+export const MAX_POSSIBLE_PAYOUT = BigInt(17500000) * BigInt(10) ** BigInt(18);
+
+// Spins kept per player in the contract's circular history buffer
+export const MAX_HISTORY_SIZE = 10;
+
+// Payout multipliers are expressed in DENOMINATOR units
+export const DENOMINATOR = 10000;
+
+// Winnings per unit staked, as in Roulette.getPayoutMultiplier; a winning
+// bet also returns its stake, so a straight win pays 36x in total
+export const PAYOUT_MULTIPLIERS = {
+  [BET_TYPES.STRAIGHT_BET]: 35 * DENOMINATOR,
+  [BET_TYPES.DOZEN_BET_FIRST]: 2 * DENOMINATOR,
+  [BET_TYPES.DOZEN_BET_SECOND]: 2 * DENOMINATOR,
+  [BET_TYPES.DOZEN_BET_THIRD]: 2 * DENOMINATOR,
+  [BET_TYPES.COLUMN_BET_FIRST]: 2 * DENOMINATOR,
+  [BET_TYPES.COLUMN_BET_SECOND]: 2 * DENOMINATOR,
+  [BET_TYPES.COLUMN_BET_THIRD]: 2 * DENOMINATOR,
+  [BET_TYPES.RED_BET]: DENOMINATOR,
+  [BET_TYPES.BLACK_BET]: DENOMINATOR,
+  [BET_TYPES.EVEN_BET]: DENOMINATOR,
+  [BET_TYPES.ODD_BET]: DENOMINATOR,
+  [BET_TYPES.LOW_BET]: DENOMINATOR,
+  [BET_TYPES.HIGH_BET]: DENOMINATOR,
+};
@@ -25,6 +25,7 @@ export const NETWORKS = {
     // Maintain backward compatibility
     RouletteAddress: import.meta.env.VITE_Roulette_ADDRESS,
     tokenAddress: import.meta.env.VITE_TOKEN_ADDRESS,
+    indexerStartBlock: NETWORK_CONFIG.mainnet.indexerStartBlock,
     icon: '🌐',
     color: '#2e7d32',
   },
@@ -41,6 +42,7 @@ export const NETWORKS = {
     // Maintain backward compatibility
     RouletteAddress: import.meta.env.VITE_APOTHEM_Roulette_ADDRESS,
     tokenAddress: import.meta.env.VITE_APOTHEM_TOKEN_ADDRESS,
+    indexerStartBlock: NETWORK_CONFIG.apothem.indexerStartBlock,
     icon: '🧪',
     color: '#0277bd',
   },
@@ -135,7 +137,9 @@ export const NetworkProvider = ({ children }) => {
 
       try {
         const network = await provider.getNetwork();
-        const detectedChainId = network.chainId;
+        // ethers reports a BigInt, the wallet state a Number; mixing them
+        // makes this effect and the one above undo each other forever
+        const detectedChainId = Number(network.chainId);
 
         // Only update if different from the current
         if (detectedChainId !== lastChainId) {
@@ -0,0 +1,223 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from 'react';
+import { useWallet } from '../components/wallet/WalletProvider';
+import RealityCheckModal from '../components/responsibleGaming/RealityCheckModal';
+import { useNotification } from './NotificationContext';
+import { usePollingService } from '../services/pollingService';
+import {
+  COOL_OFF_OPTIONS,
+  acknowledgeRealityCheck,
+  getBetRejection,
+  getSessionSummary,
+  isRealityCheckDue,
+  loadPlayerState,
+  recordReturn as recordReturnForAccount,
+  recordSessionSpins,
+  recordWager as recordWagerForAccount,
+  setRealityCheckInterval as setRealityCheckIntervalForAccount,
+  startCoolOff as startCoolOffForAccount,
+  startSelfExclusion as startSelfExclusionForAccount,
+  updateLimits,
+} from '../services/responsibleGaming';
+
+// Often enough to expire sessions and count session time in the UI
+const REFRESH_INTERVAL = 30000;
+
+const ResponsibleGamingContext = createContext(null);
+
+/**
+ * Holds the connected account's responsible gaming limits and session, and
+ * shows reality checks when they fall due. Storage stays the source of
+ * truth, so other tabs and reloads see the same limits and locks; this
+ * provider only mirrors it for rendering.
+ */
+export const ResponsibleGamingProvider = ({ children }) => {
+  const { account } = useWallet();
+  const { addToast } = useNotification();
+  const { betHistory } = usePollingService();
+  const [playerState, setPlayerState] = useState(() =>
+    account ? loadPlayerState(account) : null
+  );
+
+  const refresh = useCallback(() => {
+    setPlayerState(account ? loadPlayerState(account) : null);
+  }, [account]);
+
+  // Reload on account change, on a timer, and when another tab writes
+  useEffect(() => {
+    refresh();
+    if (!account) return;
+
+    const interval = setInterval(refresh, REFRESH_INTERVAL);
+    const handleStorage = event => {
+      if (event.key === null || event.key.endsWith(account.toLowerCase())) {
+        refresh();
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [account, refresh]);
+
+  // Settled spins feed the session summary shown in reality checks
+  useEffect(() => {
+    if (!account || betHistory.length === 0) return;
+    setPlayerState(recordSessionSpins(account, betHistory));
+  }, [account, betHistory]);
+
+  const setLimits = useCallback(
+    limits => {
+      if (!account) return;
+      setPlayerState(updateLimits(account, limits));
+    },
+    [account]
+  );
+
+  const startCoolOff = useCallback(
+    duration => {
+      if (!account) return;
+      setPlayerState(startCoolOffForAccount(account, duration));
+    },
+    [account]
+  );
+
+  const startSelfExclusion = useCallback(
+    duration => {
+      if (!account) return;
+      const state = startSelfExclusionForAccount(account, duration);
+      setPlayerState(state);
+      addToast(
+        {
+          title: 'Self-Exclusion Active',
+          description: `Betting is locked for this address until ${new Date(state.selfExcludedUntil).toLocaleString()}.`,
+        },
+        'warning'
+      );
+    },
+    [account, addToast]
+  );
+
+  const setRealityCheckInterval = useCallback(
+    minutes => {
+      if (!account) return;
+      setPlayerState(setRealityCheckIntervalForAccount(account, minutes));
+    },
+    [account]
+  );
+
+  const handleKeepPlaying = useCallback(() => {
+    if (!account) return;
+    setPlayerState(acknowledgeRealityCheck(account));
+  }, [account]);
+
+  // RealityCheckModal offers the shortest cool-off
+  const handleTakeBreak = useCallback(() => {
+    if (!account) return;
+    acknowledgeRealityCheck(account);
+    const [breakOption] = COOL_OFF_OPTIONS;
+    setPlayerState(startCoolOffForAccount(account, breakOption.duration));
+    addToast(
+      {
+        title: 'Enjoy Your Break',
+        description: `Betting is paused for ${breakOption.label}.`,
+      },
+      'info'
+    );
+  }, [account, addToast]);
+
+  // Reads storage rather than render state so a check is never stale
+  const checkBet = useCallback(
+    amount =>
+      account ? getBetRejection(loadPlayerState(account), amount) : null,
+    [account]
+  );
+
+  const recordWager = useCallback(
+    amount => {
+      if (!account) return;
+      setPlayerState(recordWagerForAccount(account, amount));
+    },
+    [account]
+  );
+
+  const recordReturn = useCallback(
+    amount => {
+      if (!account) return;
+      setPlayerState(recordReturnForAccount(account, amount));
+    },
+    [account]
+  );
+
+  // No point interrupting a player who can't bet anyway
+  const realityCheck =
+    playerState &&
+    !playerState.coolOffUntil &&
+    !playerState.selfExcludedUntil &&
+    isRealityCheckDue(playerState)
+      ? getSessionSummary(playerState.session)
+      : null;
+
+  const value = useMemo(
+    () => ({
+      limits: playerState?.limits || null,
+      pendingLimits: playerState?.pendingLimits || null,
+      coolOffUntil: playerState?.coolOffUntil || null,
+      selfExcludedUntil: playerState?.selfExcludedUntil || null,
+      realityCheckMinutes: playerState?.realityCheckMinutes ?? null,
+      session: playerState?.session || null,
+      // Reason the next spin would be blocked whatever its size
+      blockedReason: playerState
+        ? getBetRejection(playerState, BigInt(0))
+        : null,
+      setLimits,
+      startCoolOff,
+      startSelfExclusion,
+      setRealityCheckInterval,
+      checkBet,
+      recordWager,
+      recordReturn,
+    }),
+    [
+      playerState,
+      setLimits,
+      startCoolOff,
+      startSelfExclusion,
+      setRealityCheckInterval,
+      checkBet,
+      recordWager,
+      recordReturn,
+    ]
+  );
+
+  return (
+    <ResponsibleGamingContext.Provider value={value}>
+      {children}
+      <RealityCheckModal
+        summary={realityCheck}
+        onKeepPlaying={handleKeepPlaying}
+        onTakeBreak={handleTakeBreak}
+      />
+    </ResponsibleGamingContext.Provider>
+  );
+};
+
+export const useResponsibleGaming = () => {
+  const context = useContext(ResponsibleGamingContext);
+  if (!context) {
+    throw new Error(
+      'useResponsibleGaming must be used within a ResponsibleGamingProvider'
+    );
+  }
+  return context;
+};
+
+export default ResponsibleGamingContext;
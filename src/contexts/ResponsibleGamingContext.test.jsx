@@ -0,0 +1,85 @@
+import React from 'react';
+import { fireEvent, screen, waitFor } from '@testing-library/react';
+import { parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import {
+  loadPlayerState,
+  recordWager,
+  startSelfExclusion,
+} from '../services/responsibleGaming';
+import { useResponsibleGaming } from './ResponsibleGamingContext.jsx';
+import {
+  placeSpin,
+  renderWithProviders,
+  setupSimulatedWallet,
+} from '../test/renderWithProviders.jsx';
+
+const MINUTE = 60 * 1000;
+
+const BlockedReason = () => {
+  const { blockedReason } = useResponsibleGaming();
+  return <p>{blockedReason || 'Betting open'}</p>;
+};
+
+// A session that began 45 minutes ago, past the default 30 minute check
+const startOverdueSession = account => {
+  const now = Date.now();
+  recordWager(account, parseEther('1'), now - 45 * MINUTE);
+  recordWager(account, parseEther('1'), now - 20 * MINUTE);
+};
+
+const findRealityCheck = () =>
+  screen.findByRole('dialog', {}, { timeout: 10000 });
+
+describe('ResponsibleGamingProvider', () => {
+  it('shows a reality check with the session result from spin history', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const [player] = simulator.accounts;
+    startOverdueSession(player);
+
+    renderWithProviders(<BlockedReason />);
+    const dialog = await findRealityCheck();
+    expect(dialog.textContent).toMatch(/playing for 45 minutes/);
+
+    // The default 1 GAMA red bet loses on 2
+    await placeSpin(simulator, { winningNumber: 2 });
+    await waitFor(() => expect(dialog.textContent).toMatch(/-1 GAMA/), {
+      timeout: 10000,
+    });
+
+    fireEvent.click(screen.getByText('Keep playing'));
+
+    await waitFor(() => expect(screen.queryByRole('dialog')).toBeNull());
+    expect(loadPlayerState(player).session.lastRealityCheckAt).toBeTruthy();
+  });
+
+  it('starts a cool-off when the player takes a break', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    startOverdueSession(simulator.accounts[0]);
+
+    renderWithProviders(<BlockedReason />);
+    await findRealityCheck();
+    fireEvent.click(screen.getByText(/Take a break for 24 hours/));
+
+    expect(
+      await screen.findByText(/You are on a cool-off break until/)
+    ).toBeTruthy();
+    await waitFor(() => expect(screen.queryByRole('dialog')).toBeNull());
+  });
+
+  it('keeps a self-excluded address locked across reloads', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    startSelfExclusion(simulator.accounts[0], 183 * 24 * 60 * MINUTE);
+
+    const { unmount } = renderWithProviders(<BlockedReason />);
+    expect(
+      await screen.findByText(/This address is self-excluded until/)
+    ).toBeTruthy();
+    unmount();
+
+    renderWithProviders(<BlockedReason />);
+    expect(
+      await screen.findByText(/This address is self-excluded until/)
+    ).toBeTruthy();
+  });
+});
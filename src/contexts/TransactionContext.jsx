@@ -0,0 +1,137 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from 'react';
+import { useWallet } from '../components/wallet/WalletProvider';
+import {
+  TX_STATUS,
+  clearSettledTransactions,
+  loadTransactions,
+  recordTransaction,
+  updateTransaction,
+  watchTransaction,
+} from '../services/txTracker';
+
+const TransactionContext = createContext(null);
+
+/**
+ * Tracks the transactions the connected account sends on the current chain.
+ * Storage stays the source of truth, so reloads and other tabs see the same
+ * list; this provider mirrors it for rendering and watches every pending
+ * transaction, including ones sent before the page was reloaded.
+ */
+export const TransactionProvider = ({ children }) => {
+  const { account, chainId, provider } = useWallet();
+  const chain = chainId ? Number(chainId) : null;
+  const [transactions, setTransactions] = useState([]);
+  const watchersRef = useRef(new Map());
+
+  const refresh = useCallback(() => {
+    setTransactions(account && chain ? loadTransactions(chain, account) : []);
+  }, [account, chain]);
+
+  const watch = useCallback(
+    record => {
+      if (!provider || watchersRef.current.has(record.hash)) return;
+
+      const stop = watchTransaction({
+        provider,
+        record,
+        onUpdate: (changes, replacement, settled) => {
+          if (settled) watchersRef.current.delete(record.hash);
+          setTransactions(
+            updateTransaction(chain, account, record.hash, changes, replacement)
+          );
+        },
+      });
+      watchersRef.current.set(record.hash, stop);
+    },
+    [provider, chain, account]
+  );
+
+  // Reload and re-attach to pending transactions on account or chain
+  // change, and reload when another tab writes
+  useEffect(() => {
+    refresh();
+    if (!account || !chain || !provider) return;
+
+    loadTransactions(chain, account)
+      .filter(tx => tx.status === TX_STATUS.PENDING)
+      .forEach(watch);
+
+    const handleStorage = event => {
+      if (event.key === null || event.key.endsWith(account.toLowerCase())) {
+        refresh();
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+
+    const watchers = watchersRef.current;
+    return () => {
+      window.removeEventListener('storage', handleStorage);
+      watchers.forEach(stop => stop());
+      watchers.clear();
+    };
+  }, [account, chain, provider, refresh, watch]);
+
+  /**
+   * Record a transaction that was just sent and watch it until it settles
+   * @param {Object} tx - ethers TransactionResponse
+   * @param {String} kind - One of TX_KINDS
+   */
+  const trackTransaction = useCallback(
+    async (tx, kind) => {
+      if (!account || !chain || !tx?.hash) return;
+
+      const startBlock = provider
+        ? await provider.getBlockNumber().catch(() => null)
+        : null;
+      const updated = recordTransaction(chain, account, tx, {
+        kind,
+        startBlock,
+      });
+      setTransactions(updated);
+      watch(updated[0]);
+    },
+    [account, chain, provider, watch]
+  );
+
+  const clearSettled = useCallback(() => {
+    if (!account || !chain) return;
+    setTransactions(clearSettledTransactions(chain, account));
+  }, [account, chain]);
+
+  const value = useMemo(
+    () => ({
+      transactions,
+      pendingCount: transactions.filter(tx => tx.status === TX_STATUS.PENDING)
+        .length,
+      trackTransaction,
+      clearSettled,
+    }),
+    [transactions, trackTransaction, clearSettled]
+  );
+
+  return (
+    <TransactionContext.Provider value={value}>
+      {children}
+    </TransactionContext.Provider>
+  );
+};
+
+export const useTransactions = () => {
+  const context = useContext(TransactionContext);
+  if (!context) {
+    throw new Error(
+      'useTransactions must be used within a TransactionProvider'
+    );
+  }
+  return context;
+};
+
+export default TransactionContext;
@@ -0,0 +1,56 @@
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useRouletteContract } from './useRouletteContract';
+import {
+  BANKROLL_LOOKBACK,
+  getMintHeadroom,
+  scanBankrollFlows,
+  summarizeBankroll,
+} from '../services/bankrollStats';
+
+/**
+ * Daily wager, payout and refund volumes from recent logs, their totals and
+ * realized house edge, and the mint headroom left for payouts. Lifetime
+ * counters come from useContractStats.
+ * @param {Object} [options]
+ * @param {Number} [options.lookback] - Blocks to scan back from the head
+ * @returns {Object} days, totals, headroom and query state
+ */
+export const useBankrollStats = ({ lookback = BANKROLL_LOOKBACK } = {}) => {
+  const { contract, tokenContract } = useRouletteContract();
+  const queryClient = useQueryClient();
+
+  const flowsQueryKey = ['bankrollFlows', contract?.target, lookback];
+  const flowsQuery = useQuery({
+    queryKey: flowsQueryKey,
+    // Refetches only scan the blocks mined since the last one
+    queryFn: () =>
+      scanBankrollFlows({
+        contract,
+        tokenContract,
+        lookback,
+        previous: queryClient.getQueryData(flowsQueryKey),
+      }),
+    enabled: !!contract && !!tokenContract,
+    refetchInterval: 60000,
+  });
+
+  const headroomQuery = useQuery({
+    queryKey: ['bankrollHeadroom'],
+    queryFn: () => getMintHeadroom({ contract, tokenContract }),
+    enabled: !!contract && !!tokenContract,
+    refetchInterval: 30000,
+  });
+
+  const days = flowsQuery.data?.days || [];
+
+  return {
+    days,
+    totals: flowsQuery.data ? summarizeBankroll(days) : null,
+    fromBlock: flowsQuery.data?.fromBlock ?? null,
+    isLoadingFlows: flowsQuery.isPending,
+    flowsError: flowsQuery.error,
+    headroom: headroomQuery.data || null,
+    headroomError: headroomQuery.error,
+    refresh: () => Promise.all([flowsQuery.refetch(), headroomQuery.refetch()]),
+  };
+};
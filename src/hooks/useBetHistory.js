@@ -1,60 +1,155 @@
-import { useState, useMemo, useCallback } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import {
+  useQuery,
+  useQueryClient,
+  keepPreviousData,
+} from '@tanstack/react-query';
 import { usePollingService } from '../services/pollingService.jsx';
-
-// Constants not used directly in this file but kept for reference
-// or potentially future use
-const _RESULT_FORCE_STOPPED = 254;
-const _RESULT_RECOVERED = 255;
-
+import { getRouletteClient } from '../services/contractClient';
+import { formatSpin } from '../utils/rouletteUtils';
+import { useIndexedHistory } from './useIndexedHistory';
+
+/**
+ * Paginated spin history, newest first. Once the log index has synced the
+ * pages come from it and cover every spin; otherwise they are read straight
+ * from the contract, which only keeps the last MAX_HISTORY_SIZE spins.
+ * Contract pages are offsets into the circular history buffer as ordered by
+ * getHistoryPage, so they stay in play order after the buffer wraps.
+ */
 export const useBetHistory = ({
   pageSize = 10,
-  _playerAddress = null, // Prefixed with underscore as unused
-  RouletteContract = null, // We don't actually need this directly anymore, but keeping for API compatibility
+  playerAddress = null,
+  RouletteContract = null,
 } = {}) => {
+  const { gameStatus, isNewUser } = usePollingService();
+  const queryClient = useQueryClient();
+  const [currentPage, setCurrentPage] = useState(1);
+
+  const indexed = useIndexedHistory({ playerAddress, RouletteContract });
+  const fromIndex = indexed.isEnabled && !!indexed.spins;
+  const refetchIndex = indexed.refetch;
+
+  const queryKey = useMemo(
+    () => ['betHistory', playerAddress, currentPage, pageSize],
+    [playerAddress, currentPage, pageSize]
+  );
+
   const {
-    betHistory: allBets,
+    data,
     isLoading,
     error,
-    refreshData,
-    isNewUser, // Get the isNewUser flag from polling service
-  } = usePollingService();
-  const [currentPage, setCurrentPage] = useState(1);
-
-  // Get the current page of bet history
-  const betHistory = useMemo(() => {
-    // For new users, return empty array without any processing
-    if (isNewUser) {
-      return [];
+    refetch: refetchPage,
+  } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const { spins, total } = await getRouletteClient(
+        RouletteContract
+      ).getHistoryPage(playerAddress, (currentPage - 1) * pageSize, pageSize);
+
+      return { spins: spins.map(formatSpin), total };
+    },
+    enabled: !!RouletteContract && !!playerAddress && !isNewUser && !fromIndex,
+    placeholderData: keepPreviousData,
+    staleTime: 10000, // Events and gameStatus changes trigger refreshes
+  });
+
+  const offset = (currentPage - 1) * pageSize;
+  const pageSpins = fromIndex
+    ? indexed.spins.slice(offset, offset + pageSize)
+    : data?.spins;
+  const betHistory = isNewUser ? [] : pageSpins || [];
+  const total = fromIndex ? indexed.spins.length : data?.total || 0;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+
+  // A new spin shifts every position, so reload the page when one starts
+  const lastRequestIdRef = useRef(gameStatus?.requestId);
+  useEffect(() => {
+    const requestId = gameStatus?.requestId;
+    if (!requestId || requestId === lastRequestIdRef.current) return;
+    lastRequestIdRef.current = requestId;
+    if (requestId !== '0' && !fromIndex) refetchPage();
+  }, [gameStatus?.requestId, refetchPage, fromIndex]);
+
+  // When the pending spin settles, refresh just that slot. The contract
+  // settles the last stored slot, so any other pending slot (possible after
+  // the buffer wraps) falls back to reloading the whole page. The log index
+  // keeps itself up to date.
+  const pendingSpin = fromIndex
+    ? undefined
+    : betHistory.find(spin => spin.isPending);
+  const pendingSlot = pendingSpin?.slot;
+  const pendingTimestamp = pendingSpin?.timestamp;
+  useEffect(() => {
+    // gameStatus describes the last stored slot; make sure it is this spin
+    // and not a status read from before the spin was placed
+    if (
+      pendingSlot === undefined ||
+      gameStatus?.isActive !== false ||
+      gameStatus?.lastPlayTimestamp !== pendingTimestamp
+    ) {
+      return;
     }
 
-    // Calculate pagination
-    if (!allBets || !Array.isArray(allBets)) {
-      return [];
+    if (pendingSlot !== total - 1) {
+      refetchPage();
+      return;
     }
 
-    const startIndex = (currentPage - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-
-    const paginatedBets = allBets.slice(startIndex, endIndex);
+    let cancelled = false;
+    getRouletteClient(RouletteContract)
+      .getBetDetails(playerAddress, pendingSlot)
+      .then(details => {
+        if (cancelled) return;
+        queryClient.setQueryData(queryKey, prev =>
+          prev
+            ? {
+                ...prev,
+                spins: prev.spins.map(spin =>
+                  spin.slot === pendingSlot
+                    ? formatSpin({
+                        ...spin,
+                        bets: details.bets,
+                        winningNumber: details.resultNumber,
+                        completed: true,
+                        isActive: false,
+                        totalPayout: details.bets.reduce(
+                          (sum, bet) => sum + bet.payout,
+                          BigInt(0)
+                        ),
+                      })
+                    : spin
+                ),
+              }
+            : prev
+        );
+      })
+      .catch(() => {
+        if (!cancelled) refetchPage();
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    pendingSlot,
+    pendingTimestamp,
+    gameStatus?.isActive,
+    gameStatus?.lastPlayTimestamp,
+    total,
+    RouletteContract,
+    playerAddress,
+    queryClient,
+    queryKey,
+    refetchPage,
+  ]);
 
-    return paginatedBets;
-  }, [allBets, currentPage, pageSize, isNewUser]);
-
-  // Calculate total pages
-  const totalPages = useMemo(() => {
-    if (isNewUser) return 1; // For new users, always return 1 page
-    return Math.ceil((allBets?.length || 0) / pageSize) || 1; // Ensure at least 1 page
-  }, [allBets, pageSize, isNewUser]);
-
-  // Use useCallback for all state-updating functions
   const goToPage = useCallback(
     page => {
-      const maxPage = Math.ceil((allBets?.length || 0) / pageSize) || 1;
-      if (page >= 1 && page <= maxPage) {
+      if (page >= 1 && page <= totalPages) {
         setCurrentPage(page);
       }
     },
-    [allBets, pageSize]
+    [totalPages]
   );
 
   const goToNextPage = useCallback(() => {
@@ -65,41 +160,24 @@ export const useBetHistory = ({
     goToPage(currentPage - 1);
   }, [goToPage, currentPage]);
 
-  // Direct fetch function in case polling service fails
-  const directFetch = useCallback(async () => {
-    // Skip direct fetch for new users
-    if (isNewUser) {
-      return;
-    }
-
-    if (
-      !RouletteContract ||
-      typeof RouletteContract.getBetHistory !== 'function'
-    ) {
-      return;
-    }
-
-    try {
-      refreshData();
-    } catch (err) {
-      // Handle error silently
-    }
-  }, [isNewUser, RouletteContract, refreshData]);
-
-  // Fix dependency array to avoid infinite loops
   const refetch = useCallback(() => {
-    // Skip refreshing for new users unless explicitly forced
+    // Skip refreshing for new users, there is nothing stored yet
     if (isNewUser) {
       return;
     }
-    refreshData();
-    return directFetch();
-  }, [isNewUser, refreshData, directFetch]);
+    return fromIndex ? refetchIndex() : refetchPage();
+  }, [isNewUser, fromIndex, refetchIndex, refetchPage]);
 
   return {
     betHistory,
-    isLoading,
-    error,
+    total,
+    isLoading: fromIndex ? false : isLoading,
+    // A failed catch-up scan keeps showing the indexed spins
+    error: fromIndex ? null : error,
+    syncError: indexed.error,
+    isIndexed: fromIndex,
+    isSyncing: indexed.isSyncing,
+    syncProgress: indexed.progress,
     currentPage,
     totalPages,
     hasNextPage: currentPage < totalPages,
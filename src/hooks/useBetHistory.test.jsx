@@ -0,0 +1,86 @@
+import { act, waitFor } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import { useBetHistory } from './useBetHistory';
+import { useWallet } from '../components/wallet/WalletProvider.jsx';
+import {
+  placeSpin,
+  renderHookWithProviders,
+  setupSimulatedWallet,
+  waitForWallet,
+} from '../test/renderWithProviders.jsx';
+
+// Wired the way GameHistory is on the Roulette page
+const usePlayerHistory = () => {
+  const { account, contracts } = useWallet();
+  return useBetHistory({
+    pageSize: 2,
+    playerAddress: account,
+    RouletteContract: contracts?.Roulette,
+  });
+};
+
+const renderHistory = async () => {
+  const { result } = renderHookWithProviders(usePlayerHistory);
+  await waitForWallet(result);
+  return result;
+};
+
+describe('useBetHistory', () => {
+  it('is empty for a player who has never spun', async () => {
+    await setupSimulatedWallet();
+    const result = await renderHistory();
+
+    await waitFor(() => expect(result.current.hook.isLoading).toBe(false));
+    expect(result.current.hook.betHistory).toEqual([]);
+    expect(result.current.hook.totalPages).toBe(1);
+    expect(result.current.hook.isIndexed).toBe(false);
+  });
+
+  it('pages through settled spins newest first', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    for (const winningNumber of [1, 2, 3]) {
+      await placeSpin(simulator, { winningNumber });
+    }
+    const result = await renderHistory();
+
+    await waitFor(() => expect(result.current.hook.total).toBe(3));
+    expect(result.current.hook.totalPages).toBe(2);
+    expect(result.current.hook.hasNextPage).toBe(true);
+    expect(
+      result.current.hook.betHistory.map(spin => spin.winningNumber)
+    ).toEqual([3, 2]);
+    // 1 and 3 are red, 2 is black
+    expect(result.current.hook.betHistory.map(spin => spin.status)).toEqual([
+      'Won',
+      'Lost',
+    ]);
+
+    act(() => result.current.hook.goToNextPage());
+
+    await waitFor(() => expect(result.current.hook.currentPage).toBe(2));
+    await waitFor(() =>
+      expect(
+        result.current.hook.betHistory.map(spin => spin.winningNumber)
+      ).toEqual([1])
+    );
+    expect(result.current.hook.hasNextPage).toBe(false);
+  });
+
+  it('shows a refunded spin as recovered', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const [player] = simulator.accounts;
+    await placeSpin(simulator);
+    simulator.passRecoveryWindow();
+    const { Roulette } = await simulator.getContracts(player);
+    await Roulette.recoverOwnStuckGame();
+
+    const result = await renderHistory();
+
+    await waitFor(() => expect(result.current.hook.total).toBe(1));
+    expect(result.current.hook.betHistory[0]).toMatchObject({
+      resultType: 'recovered',
+      status: 'Recovered',
+      isWin: false,
+    });
+  });
+});
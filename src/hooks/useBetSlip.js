@@ -0,0 +1,115 @@
+import { useState, useCallback, useMemo } from 'react';
+import {
+  MAX_BETS_PER_SPIN,
+  MAX_BET_AMOUNT,
+  MAX_TOTAL_BET_AMOUNT,
+} from '../constants/game';
+import { isSameBetSpot } from '../utils/rouletteUtils';
+import { validateBetSlip } from '../utils/betValidation';
+import { formatTokenAmount } from '../utils/formatting';
+
+/**
+ * Custom hook for the bet slip: the list of bets submitted in one spin
+ * @returns {Object} Slip bets, totals and mutators
+ */
+export const useBetSlip = () => {
+  // Each entry: { betTypeId, number, amount } with amount in wei
+  const [bets, setBets] = useState([]);
+
+  const totalAmount = useMemo(
+    () => bets.reduce((sum, bet) => sum + bet.amount, BigInt(0)),
+    [bets]
+  );
+
+  /**
+   * Add a chip to a table spot, stacking onto an existing bet on that spot
+   * @returns {String|null} Reason the chip was rejected, or null
+   */
+  const addBet = useCallback(
+    (spot, amount) => {
+      if (!spot || !amount || amount <= BigInt(0)) {
+        return 'Please enter a valid bet amount';
+      }
+
+      const index = bets.findIndex(bet => isSameBetSpot(bet, spot));
+
+      if (index === -1 && bets.length >= MAX_BETS_PER_SPIN) {
+        return `A spin can hold at most ${MAX_BETS_PER_SPIN} bets`;
+      }
+
+      const spotAmount =
+        (index === -1 ? BigInt(0) : bets[index].amount) + amount;
+      if (spotAmount > MAX_BET_AMOUNT) {
+        return `A single bet cannot exceed ${formatTokenAmount(MAX_BET_AMOUNT)} GAMA`;
+      }
+
+      if (totalAmount + amount > MAX_TOTAL_BET_AMOUNT) {
+        return `Total bets cannot exceed ${formatTokenAmount(MAX_TOTAL_BET_AMOUNT)} GAMA per spin`;
+      }
+
+      setBets(prev =>
+        index === -1
+          ? [
+              ...prev,
+              {
+                betTypeId: spot.betTypeId,
+                number: spot.number || 0,
+                amount,
+              },
+            ]
+          : prev.map((bet, i) =>
+              i === index ? { ...bet, amount: spotAmount } : bet
+            )
+      );
+
+      return null;
+    },
+    [bets, totalAmount]
+  );
+
+  const removeBet = useCallback(index => {
+    setBets(prev => prev.filter((_, i) => i !== index));
+  }, []);
+
+  // Amount edits are not capped here so the slip can flag them instead
+  const updateBetAmount = useCallback((index, amount) => {
+    setBets(prev =>
+      prev.map((bet, i) =>
+        i === index ? { ...bet, amount: amount || BigInt(0) } : bet
+      )
+    );
+  }, []);
+
+  const clearBets = useCallback(() => {
+    setBets([]);
+  }, []);
+
+  // Put back the whole slip of a spin placed before a reload
+  const replaceBets = useCallback(nextBets => {
+    setBets(nextBets.map(bet => ({ ...bet })));
+  }, []);
+
+  // Problems with the slip itself that would make placeBet revert, per bet
+  // and for the slip as a whole. An empty slip is not an error yet.
+  const { betErrors, slipErrors } = useMemo(() => {
+    const validation = validateBetSlip(bets);
+    return {
+      betErrors: validation.betErrors,
+      slipErrors: bets.length === 0 ? [] : validation.slipErrors,
+    };
+  }, [bets]);
+
+  return {
+    bets,
+    totalAmount,
+    slipErrors,
+    betErrors,
+    addBet,
+    removeBet,
+    updateBetAmount,
+    clearBets,
+    replaceBets,
+  };
+};
+
+export default useBetSlip;
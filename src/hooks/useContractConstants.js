@@ -1,5 +1,26 @@
 import { useQuery } from '@tanstack/react-query';
 import { useRouletteContract } from './useRouletteContract';
+import { getRouletteClient } from '../services/contractClient';
+import {
+  BET_TYPES,
+  DENOMINATOR,
+  MAX_BET_AMOUNT,
+  MAX_HISTORY_SIZE,
+  MAX_NUMBER,
+  MAX_POSSIBLE_PAYOUT,
+  MAX_TOTAL_BET_AMOUNT,
+  RESULT_FORCE_STOPPED,
+  RESULT_RECOVERED,
+} from '../constants/game';
+
+// Private in the contract, so they can't be read on-chain
+const DERIVED_CONSTANTS = {
+  MIN_BET_AMOUNT: BigInt(1), // 1 token in wei
+  MAX_Roulette_NUMBER: MAX_NUMBER,
+  MIN_Roulette_NUMBER: 0,
+  GAME_TIMEOUT: 3600, // 1 hour in seconds
+  BLOCK_THRESHOLD: 300, // Number of blocks to wait before recovery
+};
 
 export const useContractConstants = () => {
   const { contract } = useRouletteContract();
@@ -15,39 +36,14 @@ export const useContractConstants = () => {
         throw new Error('Contract not initialized');
       }
 
-      // Fetch all constant values in parallel
-      const [
-        maxBetAmount,
-        maxHistorySize,
-        maxPossiblePayout,
-        heads,
-        tails,
-        resultForceStoppedValue,
-        resultRecoveredValue,
-      ] = await Promise.all([
-        contract.MAX_BET_AMOUNT(),
-        contract.MAX_HISTORY_SIZE(),
-        contract.MAX_POSSIBLE_PAYOUT(),
-        contract.HEADS(),
-        contract.TAILS(),
-        contract.RESULT_FORCE_STOPPED(),
-        contract.RESULT_RECOVERED(),
-      ]);
+      // Reads every public constant declared in the ABI
+      const onChain = await getRouletteClient(contract).getConstants();
 
       return {
-        MAX_BET_AMOUNT: maxBetAmount,
-        MAX_HISTORY_SIZE: Number(maxHistorySize),
-        MAX_POSSIBLE_PAYOUT: maxPossiblePayout,
-        HEADS: Number(heads),
-        TAILS: Number(tails),
-        RESULT_FORCE_STOPPED: Number(resultForceStoppedValue),
-        RESULT_RECOVERED: Number(resultRecoveredValue),
-        // Derived constants
-        MIN_BET_AMOUNT: BigInt(1), // 1 token in wei
-        MAX_Roulette_NUMBER: 2, // TAILS (2)
-        MIN_Roulette_NUMBER: 1, // HEADS (1)
-        GAME_TIMEOUT: 3600, // 1 hour in seconds
-        BLOCK_THRESHOLD: 300, // Number of blocks to wait before recovery
+        ...onChain,
+        MAX_HISTORY_SIZE: Number(onChain.MAX_HISTORY_SIZE),
+        DENOMINATOR: Number(onChain.DENOMINATOR),
+        ...DERIVED_CONSTANTS,
       };
     },
     enabled: !!contract,
@@ -59,18 +55,16 @@ export const useContractConstants = () => {
   return {
     constants: constants || {
       // Default values if contract is not available
-      MAX_BET_AMOUNT: BigInt('10000000000000000000000000'), // 10,000,000 tokens
-      MAX_HISTORY_SIZE: 10,
-      MAX_POSSIBLE_PAYOUT: BigInt('20000000000000000000000000'), // 20,000,000 tokens
-      HEADS: 1,
-      TAILS: 2,
-      RESULT_FORCE_STOPPED: 254,
-      RESULT_RECOVERED: 255,
-      MIN_BET_AMOUNT: BigInt(1),
-      MAX_Roulette_NUMBER: 2, // TAILS (2)
-      MIN_Roulette_NUMBER: 1, // HEADS (1)
-      GAME_TIMEOUT: 3600,
-      BLOCK_THRESHOLD: 300,
+      ...BET_TYPES,
+      MAX_NUMBER,
+      DENOMINATOR,
+      MAX_BET_AMOUNT,
+      MAX_TOTAL_BET_AMOUNT,
+      MAX_HISTORY_SIZE,
+      MAX_POSSIBLE_PAYOUT,
+      RESULT_FORCE_STOPPED,
+      RESULT_RECOVERED,
+      ...DERIVED_CONSTANTS,
     },
     isLoading,
     error,
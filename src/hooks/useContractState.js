@@ -3,7 +3,10 @@ import { useRouletteContract } from './useRouletteContract';
 import { useWallet } from '../components/wallet/WalletProvider';
 import { useNotification } from '../contexts/NotificationContext';
 import { useEffect } from 'react';
-import { safeContractCall } from '../utils/contractUtils';
+import {
+  AbiMismatchError,
+  getRouletteClient,
+} from '../services/contractClient';
 import { ethers } from 'ethers';
 
 export const useContractState = () => {
@@ -18,31 +21,28 @@ export const useContractState = () => {
     isLoading,
     error,
   } = useQuery({
-    queryKey: ['contractState'],
+    // isOwner depends on the connected account
+    queryKey: ['contractState', account?.toLowerCase()],
     queryFn: async () => {
       if (!contract) {
         return { isPaused: false, isOwner: false };
       }
 
+      const client = getRouletteClient(contract);
+
       try {
-        // Use Promise.allSettled with our new safeContractCall utility
-        const [pausedResult, ownerResult] = await Promise.allSettled([
-          // Use safeContractCall for better error handling
-          safeContractCall(contract, 'paused', [], false),
-          safeContractCall(contract, 'owner', [], null),
+        const [isPaused, contractOwner] = await Promise.all([
+          client.paused(),
+          client.owner(),
         ]);
 
-        // Extract results or use defaults
-        const isPaused =
-          pausedResult.status === 'fulfilled' ? pausedResult.value : false;
-        const contractOwner =
-          ownerResult.status === 'fulfilled' ? ownerResult.value : null;
-
         return {
           isPaused,
           isOwner: account?.toLowerCase() === contractOwner?.toLowerCase(),
         };
       } catch (error) {
+        if (error instanceof AbiMismatchError) throw error;
+
         // Return a default state instead of throwing, to avoid breaking the UI
         return { isPaused: false, isOwner: false };
       }
@@ -65,26 +65,13 @@ export const useContractState = () => {
         throw new Error('Contract or account not available');
       }
 
-      // Use safeContractCall with custom error handling and transaction options
-      const tx = await safeContractCall(
-        contract,
-        'pause',
-        [],
-        null,
-        error => {
-          throw error;
-        }, // Rethrow to trigger onError
-        addToast
-      );
-
-      if (!tx) throw new Error('Failed to pause contract');
-
+      const tx = await getRouletteClient(contract).pause();
       await tx.wait();
       return true;
     },
     onSuccess: () => {
       addToast('Contract paused successfully', 'success');
-      queryClient.invalidateQueries(['contractState']);
+      queryClient.invalidateQueries({ queryKey: ['contractState'] });
     },
     onError: error => {
       addToast(error.message || 'Failed to pause contract', 'error');
@@ -98,26 +85,13 @@ export const useContractState = () => {
         throw new Error('Contract or account not available');
       }
 
-      // Use safeContractCall with custom error handling and transaction options
-      const tx = await safeContractCall(
-        contract,
-        'unpause',
-        [],
-        null,
-        error => {
-          throw error;
-        }, // Rethrow to trigger onError
-        addToast
-      );
-
-      if (!tx) throw new Error('Failed to unpause contract');
-
+      const tx = await getRouletteClient(contract).unpause();
       await tx.wait();
       return true;
     },
     onSuccess: () => {
       addToast('Contract unpaused successfully', 'success');
-      queryClient.invalidateQueries(['contractState']);
+      queryClient.invalidateQueries({ queryKey: ['contractState'] });
     },
     onError: error => {
       addToast(error.message || 'Failed to unpause contract', 'error');
@@ -132,17 +106,17 @@ export const useContractState = () => {
 
     try {
       const handlePaused = account => {
-        queryClient.invalidateQueries(['contractState']);
+        queryClient.invalidateQueries({ queryKey: ['contractState'] });
         addToast(`Contract paused by ${account}`, 'info');
       };
 
       const handleUnpaused = account => {
-        queryClient.invalidateQueries(['contractState']);
+        queryClient.invalidateQueries({ queryKey: ['contractState'] });
         addToast(`Contract unpaused by ${account}`, 'info');
       };
 
       const handleOwnershipTransferred = (previousOwner, newOwner) => {
-        queryClient.invalidateQueries(['contractState']);
+        queryClient.invalidateQueries({ queryKey: ['contractState'] });
         addToast(
           `Contract ownership transferred from ${previousOwner} to ${newOwner}`,
           'info'
@@ -180,7 +154,7 @@ export const useContractState = () => {
     error,
     pauseContract: pauseMutation.mutate,
     unpauseContract: unpauseMutation.mutate,
-    isPausing: pauseMutation.isLoading,
-    isUnpausing: unpauseMutation.isLoading,
+    isPausing: pauseMutation.isPending,
+    isUnpausing: unpauseMutation.isPending,
   };
 };
@@ -1,7 +1,11 @@
 import { useQuery } from '@tanstack/react-query';
 import { useRouletteContract } from './useRouletteContract';
+import { MAX_BET_AMOUNT, MAX_HISTORY_SIZE } from '../constants/game';
 import { useWallet } from '../components/wallet/WalletProvider';
-import { safeContractCall } from '../utils/contractUtils';
+import {
+  AbiMismatchError,
+  getRouletteClient,
+} from '../services/contractClient';
 
 export const useContractStats = () => {
   const { contract } = useRouletteContract();
@@ -19,78 +23,34 @@ export const useContractStats = () => {
         throw new Error('Contract not initialized');
       }
 
-      // Default values as fallback in case of errors
+      // Default values as fallback in case of errors; limits are constants
+      // in the contract so they are not re-read on every refetch
       let defaultStats = {
         totalGames: '0',
         totalPayout: '0',
         totalWagered: '0',
-        maxBetAmount: '1000000000000000000000', // Default 1000 tokens
-        maxHistorySize: 20,
+        maxBetAmount: MAX_BET_AMOUNT.toString(),
+        maxHistorySize: MAX_HISTORY_SIZE,
       };
 
+      const client = getRouletteClient(contract);
+
       try {
-        // Use Promise.allSettled with our new safeContractCall utility
-        const [
-          totalGamesResult,
-          totalPayoutResult,
-          maxBetAmountResult,
-          maxHistorySizeResult,
-        ] = await Promise.allSettled([
-          safeContractCall(
-            contract,
-            'totalGamesPlayed',
-            [],
-            defaultStats.totalGames
-          ),
-          safeContractCall(
-            contract,
-            'totalPayoutAmount',
-            [],
-            defaultStats.totalPayout
-          ),
-          safeContractCall(
-            contract,
-            'MAX_BET_AMOUNT',
-            [],
-            defaultStats.maxBetAmount
-          ),
-          safeContractCall(
-            contract,
-            'MAX_HISTORY_SIZE',
-            [],
-            defaultStats.maxHistorySize
-          ),
+        const [totalGames, totalPayout, totalWagered] = await Promise.all([
+          client.totalGamesPlayed(),
+          client.totalPayoutAmount(),
+          client.totalWageredAmount(),
         ]);
 
-        // Extract values or use defaults for any failed promises
-        const totalGames =
-          totalGamesResult.status === 'fulfilled'
-            ? totalGamesResult.value.toString()
-            : defaultStats.totalGames;
-
-        const totalPayout =
-          totalPayoutResult.status === 'fulfilled'
-            ? totalPayoutResult.value.toString()
-            : defaultStats.totalPayout;
-
-        const maxBetAmount =
-          maxBetAmountResult.status === 'fulfilled'
-            ? maxBetAmountResult.value.toString()
-            : defaultStats.maxBetAmount;
-
-        const maxHistorySize =
-          maxHistorySizeResult.status === 'fulfilled'
-            ? Number(maxHistorySizeResult.value)
-            : defaultStats.maxHistorySize;
-
         return {
-          totalGames,
-          totalPayout,
-          totalWagered: '0', // Remove totalWagered as it's not accessible as a function
-          maxBetAmount,
-          maxHistorySize,
+          ...defaultStats,
+          totalGames: totalGames.toString(),
+          totalPayout: totalPayout.toString(),
+          totalWagered: totalWagered.toString(),
         };
       } catch (error) {
+        if (error instanceof AbiMismatchError) throw error;
+
         // Return default values instead of throwing to prevent UI errors
         return defaultStats;
       }
@@ -3,24 +3,29 @@ import { ethers } from 'ethers';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
 
 // Import utilities and hooks
-import {
-  checkAndApproveToken,
-  parseGameResultEvent,
-} from '../utils/contractUtils';
+import { checkAndApproveToken } from '../utils/contractUtils';
 import { useLoadingState } from './useLoadingState';
 import { useErrorHandler } from './useErrorHandler';
 import { useRouletteContract } from './useRouletteContract';
 import { useWallet } from '../components/wallet/WalletProvider';
+import { useResponsibleGaming } from '../contexts/ResponsibleGamingContext';
 import { useContractState } from './useContractState';
 import { useContractStats } from './useContractStats';
 import { useRequestTracking } from './useRequestTracking';
 import { handleContractError } from '../utils/errorHandling';
+import { RESULT_FORCE_STOPPED, RESULT_RECOVERED } from '../constants/game';
+import { formatTokenAmount } from '../utils/formatting';
+import gameService from '../services/gameService';
+import { preflightBets } from '../services/betPreflight';
+import { useBetSlip } from './useBetSlip';
+import { useTransactionConfirmation } from './useTransactionConfirmation';
+import { useTransactions } from '../contexts/TransactionContext';
+import { TX_KINDS } from '../services/txTracker';
 
 // Custom hook for bet state management
 const useBetState = (initialBetAmount = '1000000000000000000') => {
   // Store betAmount as string to avoid serialization issues
   const [betAmount, setBetAmountRaw] = useState(initialBetAmount);
-  const [chosenNumber, setChosenNumber] = useState(1);
   const lastBetAmountRef = useRef(initialBetAmount);
 
   const setBetAmount = useCallback(amount => {
@@ -63,7 +68,6 @@ const useBetState = (initialBetAmount = '1000000000000000000') => {
   // Reset function to clear bet state
   const resetBetState = useCallback(() => {
     setBetAmountRaw(initialBetAmount);
-    setChosenNumber(1);
     lastBetAmountRef.current = initialBetAmount;
   }, [initialBetAmount]);
 
@@ -71,8 +75,6 @@ const useBetState = (initialBetAmount = '1000000000000000000') => {
     betAmount: betAmountBigInt,
     betAmountString: betAmount,
     setBetAmount,
-    chosenNumber,
-    setChosenNumber,
     resetBetState,
   };
 };
@@ -93,8 +95,13 @@ const useGameState = () => {
     setGameState(prev => ({ ...prev, isRolling }));
   }, []);
 
+  // Accepts an updater like setState, for merging a settled spin's outcome
   const setLastResult = useCallback(result => {
-    setGameState(prev => ({ ...prev, lastResult: result }));
+    setGameState(prev => ({
+      ...prev,
+      lastResult:
+        typeof result === 'function' ? result(prev.lastResult) : result,
+    }));
   }, []);
 
   // Reset function to clear game state
@@ -152,7 +159,7 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
   const queryClient = useQueryClient();
   const operationInProgress = useRef(false);
   const safetyTimeoutRef = useRef(null);
-  const RouletteTimeoutRef = useRef(null);
+  const unsubscribeResultRef = useRef(null);
   const [isApproving, setIsApproving] = useState(false);
   const [isBetting, withBetting] = useLoadingState(false);
   const handleError = useErrorHandler(onError, addToast);
@@ -162,11 +169,22 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
   const [error, _setError] = useState(null);
   const pendingTxRef = useRef(null);
   const previousAccountRef = useRef(walletAccount);
+  // Whether the spin in flight was rebuilt from the chain after a reload
+  const resumedSpinRef = useRef(false);
 
   // Add new hooks
   const { contractState: _contractState } = useContractState();
   const { stats } = useContractStats();
   const { userPendingRequest: _userPendingRequest } = useRequestTracking();
+  const { checkBet, recordWager, recordReturn } = useResponsibleGaming();
+  const {
+    confirmation,
+    isSimulating,
+    requestConfirmation,
+    confirmTransaction,
+    cancelTransaction,
+  } = useTransactionConfirmation();
+  const { transactions, trackTransaction } = useTransactions();
 
   // Helper to batch multiple query invalidations
   const invalidateQueries = useCallback(
@@ -199,14 +217,28 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
   }, [contracts, walletAccount, queryClient, invalidateQueries]);
 
   // Initialize state management hooks
+  const { betAmount, betAmountString, setBetAmount, resetBetState } =
+    useBetState();
+
+  // Bets stacked on the table for the next spin; betAmount is the chip value
   const {
-    betAmount,
-    betAmountString,
-    setBetAmount,
-    chosenNumber,
-    setChosenNumber,
-    resetBetState,
-  } = useBetState();
+    bets,
+    totalAmount: totalBetAmount,
+    slipErrors,
+    betErrors,
+    addBet,
+    removeBet,
+    updateBetAmount,
+    clearBets,
+    replaceBets,
+  } = useBetSlip();
+
+  // Problems the last pre-flight check found in the live contract state,
+  // cleared as soon as the slip changes
+  const [preflightErrors, setPreflightErrors] = useState([]);
+  useEffect(() => {
+    setPreflightErrors([]);
+  }, [bets]);
 
   const {
     gameState,
@@ -223,6 +255,7 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
       // Reset all game state
       resetGameState();
       resetBetState();
+      clearBets();
 
       // Reset operation flags
       operationInProgress.current = false;
@@ -236,6 +269,10 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
 
       // Cancel any pending transactions
       pendingTxRef.current = null;
+      if (unsubscribeResultRef.current) {
+        unsubscribeResultRef.current();
+        unsubscribeResultRef.current = null;
+      }
 
       // Update the ref to current account
       previousAccountRef.current = walletAccount;
@@ -245,7 +282,13 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
         invalidateQueries(['balance', 'gameStatus', 'betHistory']);
       }, 500);
     }
-  }, [walletAccount, resetGameState, resetBetState, invalidateQueries]);
+  }, [
+    walletAccount,
+    resetGameState,
+    resetBetState,
+    clearBets,
+    invalidateQueries,
+  ]);
 
   // Add effect to detect and handle contract changes
   useEffect(() => {
@@ -347,6 +390,30 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
     // Set local state immediately for better UI feedback
     setProcessingState(true);
 
+    // Dry run the approval like every other write; nothing is sent unless
+    // the player confirms
+    let confirmed = false;
+    try {
+      confirmed = await requestConfirmation({
+        title: 'Approve GAMA',
+        contract: contracts.token,
+        method: 'approve',
+        args: [
+          contracts.Roulette.target || contracts.Roulette.address,
+          ethers.MaxUint256,
+        ],
+        describe: () => 'Lets the game spend your GAMA for bets',
+      });
+    } catch (simulationError) {
+      handleError(simulationError);
+    }
+    if (!confirmed) {
+      operationInProgress.current = false;
+      setIsApproving(false);
+      setProcessingState(false);
+      return;
+    }
+
     // Setup safety timeout to reset state if the operation takes too long
     const clearSafetyTimeout = setupSafetyTimeout(safetyTimeoutRef, () => {
       operationInProgress.current = false;
@@ -387,7 +454,8 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
         walletAccount,
         isProcessing => setProcessingState(isProcessing),
         addToast,
-        2 // max retries
+        2, // max retries
+        tx => trackTransaction(tx, TX_KINDS.APPROVE)
       );
 
       if (success) {
@@ -466,6 +534,8 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
     isApproving,
     setProcessingState,
     checkAndApproveToken,
+    requestConfirmation,
+    trackTransaction,
     invalidateQueries,
   ]);
 
@@ -484,6 +554,206 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
     [stats]
   );
 
+  // Most the slip can return on one spin, using the contract's multipliers
+  const potentialPayout = useMemo(
+    () => gameService.calculatePotentialPayout(bets),
+    [bets]
+  );
+
+  // Put a chip of the current bet amount on a table spot
+  const handleAddBet = useCallback(
+    spot => {
+      const rejection = addBet(spot, betAmount);
+      if (rejection) {
+        addToast({
+          title: 'Bet Not Added',
+          description: rejection,
+          type: 'warning',
+        });
+      }
+    },
+    [addBet, betAmount, addToast]
+  );
+
+  /**
+   * Wait for a placed spin's VRF result, then settle the game state, the
+   * limits and the toasts
+   * @param {String} requestId - VRF request of the spin
+   * @param {BigInt} stake - Total staked on the spin
+   */
+  const watchSpinResult = useCallback(
+    (requestId, stake) => {
+      unsubscribeResultRef.current?.();
+      unsubscribeResultRef.current = gameService.subscribeToGameResult(
+        walletAccount,
+        requestId,
+        status => {
+          resumedSpinRef.current = false;
+          unsubscribeResultRef.current = null;
+          operationInProgress.current = false;
+          setProcessingState(false);
+          setRollingState(false);
+
+          const isSpecialResult =
+            status.winningNumber === RESULT_RECOVERED ||
+            status.winningNumber === RESULT_FORCE_STOPPED;
+
+          // Refunded spins give the whole stake back
+          recordReturn(isSpecialResult ? stake : status.totalPayout);
+
+          setLastResult(prev => ({
+            ...prev,
+            winningNumber: status.winningNumber,
+            // Existing result consumers read rolledNumber
+            rolledNumber: status.winningNumber,
+            totalPayout: status.totalPayout,
+            payout: status.totalPayout,
+            isWin: !isSpecialResult && status.totalPayout > BigInt(0),
+            isPending: false,
+            vrfPending: false,
+            vrfComplete: true,
+          }));
+
+          invalidateQueries(['balance', 'gameStatus', 'betHistory']);
+
+          if (isSpecialResult) {
+            addToast({
+              title: 'Game Refunded',
+              description: 'Your bet was refunded.',
+              type: 'info',
+            });
+          } else if (status.totalPayout > BigInt(0)) {
+            addToast({
+              title: 'You Won!',
+              description: `Landed on ${status.winningNumber}. You won ${formatTokenAmount(status.totalPayout)} GAMA!`,
+              type: 'success',
+            });
+          } else {
+            addToast({
+              title: 'Game Completed',
+              description: `Landed on ${status.winningNumber}. Better luck next time!`,
+              type: 'info',
+            });
+          }
+        }
+      );
+    },
+    [
+      walletAccount,
+      recordReturn,
+      addToast,
+      invalidateQueries,
+      setLastResult,
+      setProcessingState,
+      setRollingState,
+    ]
+  );
+
+  // Newest placeBet the tracker stored for this account; the resume check
+  // reruns when it is sent, mined, replaced or dropped
+  const latestBetTx =
+    transactions.find(
+      tx =>
+        tx.kind === TX_KINDS.PLACE_BET &&
+        tx.from?.toLowerCase() === walletAccount?.toLowerCase()
+    ) || null;
+  const latestBetTxRef = useRef(latestBetTx);
+  latestBetTxRef.current = latestBetTx;
+  const latestBetTxKey = latestBetTx
+    ? `${latestBetTx.hash}:${latestBetTx.status}`
+    : null;
+
+  // Re-checked when the tab is shown again, the spin may have been placed
+  // from another tab or device meanwhile
+  const [visibilityCheck, setVisibilityCheck] = useState(0);
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        setVisibilityCheck(count => count + 1);
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () =>
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  // Rebuild a spin placed before the page was reloaded, so the wheel, the
+  // latest bet and the slip pick up where they were and the result still
+  // settles here. A spin placed in this session is left to handlePlaceBet.
+  useEffect(() => {
+    if (!contracts?.Roulette || !walletAccount) return;
+    let cancelled = false;
+    const isOwnedByThisSession = () =>
+      operationInProgress.current && !resumedSpinRef.current;
+
+    const resume = async () => {
+      if (isOwnedByThisSession()) return;
+
+      let spin;
+      try {
+        gameService.init(contracts);
+        spin = await gameService.getActiveSpin(
+          walletAccount,
+          latestBetTxRef.current
+        );
+      } catch (error) {
+        // Nothing to resume from; the polling service still shows the status
+        return;
+      }
+      if (cancelled || isOwnedByThisSession()) return;
+
+      if (!spin) {
+        // The resumed transaction was dropped or cancelled
+        if (resumedSpinRef.current) {
+          resumedSpinRef.current = false;
+          unsubscribeResultRef.current?.();
+          unsubscribeResultRef.current = null;
+          operationInProgress.current = false;
+          setProcessingState(false);
+          setRollingState(false);
+          setLastResult(null);
+        }
+        return;
+      }
+
+      resumedSpinRef.current = true;
+      operationInProgress.current = true;
+      setProcessingState(true);
+      setRollingState(true);
+      if (spin.bets.length > 0) replaceBets(spin.bets);
+      setLastResult({
+        txHash: spin.txHash,
+        requestId: spin.requestId,
+        bets: spin.bets,
+        totalAmount: spin.totalAmount,
+        timestamp: spin.timestamp,
+        isPending: true,
+        vrfPending: !!spin.requestId,
+        resumed: true,
+      });
+
+      // Until the transaction is mined there is no VRF request to wait on
+      if (spin.requestId) {
+        watchSpinResult(spin.requestId, spin.totalAmount);
+      }
+    };
+
+    resume();
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    contracts,
+    walletAccount,
+    latestBetTxKey,
+    visibilityCheck,
+    replaceBets,
+    watchSpinResult,
+    setLastResult,
+    setProcessingState,
+    setRollingState,
+  ]);
+
   // Handle placing a bet with improved error handling and race condition prevention
   const handlePlaceBet = useCallback(async () => {
     if (!contracts?.Roulette || !walletAccount) {
@@ -527,31 +797,33 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
       }
     }
 
-    // Validate that a coin is chosen
-    if (chosenNumber === null || chosenNumber === undefined) {
+    // Validate that at least one chip is on the table
+    if (bets.length === 0) {
       addToast({
         title: 'Invalid Input',
-        description: 'Please select a coin side first',
+        description: 'Please place at least one bet on the table',
         type: 'warning',
       });
       return;
     }
 
-    // The chosenNumber should directly be either 1 (HEADS) or 2 (TAILS)
-    // No mapping is needed as the UI component now handles this conversion
-    if (chosenNumber !== 1 && chosenNumber !== 2) {
+    // Unknown bet types, bad numbers and amounts placeBet would reject
+    const slipProblem = slipErrors[0] || betErrors.find(Boolean);
+    if (slipProblem) {
       addToast({
         title: 'Invalid Input',
-        description: 'Please select either Heads or Tails',
+        description: slipProblem,
         type: 'warning',
       });
       return;
     }
 
-    if (betAmount <= BigInt(0)) {
+    // Responsible gaming limits and cool-off set by the player
+    const limitRejection = checkBet(totalBetAmount);
+    if (limitRejection) {
       addToast({
-        title: 'Invalid Input',
-        description: 'Please enter a valid bet amount',
+        title: 'Limit Reached',
+        description: limitRejection,
         type: 'warning',
       });
       return;
@@ -573,15 +845,64 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
     // Update UI state immediately to show processing
     setProcessingState(true);
 
+    // Check the slip against the live contracts before the wallet prompt,
+    // so a bet that would revert costs no gas. If the state can't be read
+    // the bet goes ahead and placeBet enforces the same rules.
+    try {
+      const preflight = await preflightBets({
+        bets,
+        contract: contracts.Roulette,
+        tokenContract: contracts.token,
+        player: walletAccount,
+      });
+      setPreflightErrors(preflight.slipErrors);
+      if (!preflight.isValid) {
+        addToast({
+          title: 'Bet Not Placed',
+          description:
+            preflight.slipErrors[0] || preflight.betErrors.find(Boolean),
+          type: 'warning',
+        });
+        operationInProgress.current = false;
+        setProcessingState(false);
+        return;
+      }
+    } catch (preflightError) {
+      setPreflightErrors([]);
+    }
+
+    // Dry run placeBet and show its outcome and gas cost; nothing is sent
+    // unless the player confirms
+    let confirmed = false;
+    try {
+      confirmed = await requestConfirmation({
+        title: 'Place bet',
+        contract: contracts.Roulette,
+        method: 'placeBet',
+        args: [gameService.toBetRequests(bets)],
+        describe: requestId =>
+          `Stakes ${formatTokenAmount(totalBetAmount)} GAMA on ${bets.length} bet${
+            bets.length === 1 ? '' : 's'
+          } and requests VRF spin ${requestId}`,
+      });
+    } catch (simulationError) {
+      handleError(simulationError);
+    }
+    if (!confirmed) {
+      operationInProgress.current = false;
+      setProcessingState(false);
+      return;
+    }
+
     try {
       await withBetting(async () => {
         // Update UI state to show rolling animation
         setRollingState(true);
 
-        // Clear any existing timeout
-        if (RouletteTimeoutRef.current) {
-          clearTimeout(RouletteTimeoutRef.current);
-          RouletteTimeoutRef.current = null;
+        // Stop waiting on any previous spin
+        if (unsubscribeResultRef.current) {
+          unsubscribeResultRef.current();
+          unsubscribeResultRef.current = null;
         }
 
         // Setup safety timeout
@@ -601,36 +922,9 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
         );
 
         try {
-          // Check contract availability
-          if (
-            !contracts.Roulette ||
-            typeof contracts.Roulette.flipCoin !== 'function'
-          ) {
-            throw new Error('Roulette contract is not properly initialized');
-          }
-
-          // Balance verification with fresh data
-          if (
-            !balanceData?.balance ||
-            balanceData.balance < betAmount * BigInt(2)
-          ) {
-            try {
-              const currentBalance =
-                await contracts.token.balanceOf(walletAccount);
-              const currentBalanceBigInt = BigInt(currentBalance.toString());
-              const betAmountBigInt = BigInt(betAmount.toString());
-
-              if (currentBalanceBigInt < betAmountBigInt) {
-                throw new Error(
-                  "You don't have enough tokens for this bet amount."
-                );
-              }
-            } catch (balanceError) {
-              handleContractError(balanceError, addToast);
-              clearSafetyTimeout();
-              return;
-            }
-          }
+          // Check contract availability and the slip against placeBet limits
+          gameService.init(contracts);
+          gameService.validateBets(bets);
 
           // Show notification
           addToast({
@@ -642,16 +936,19 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
           // Add transaction options
           const txOptions = {};
 
+          // Snapshot the slip so the result matches what was actually sent
+          const placedBets = bets.map(bet => ({ ...bet }));
+
           // Place bet
           let tx;
           try {
-            // Call the flipCoin function with the chosen side (1=HEADS, 2=TAILS) and bet amount
-            tx = await contracts.Roulette.flipCoin(
-              chosenNumber, // Use chosenNumber directly (1 or 2)
-              betAmount,
+            // The whole slip goes out as one BetRequest[] in a single spin
+            tx = await gameService.client.placeBet(
+              gameService.toBetRequests(placedBets),
               txOptions
             );
             pendingTxRef.current = tx;
+            trackTransaction(tx, TX_KINDS.PLACE_BET);
 
             // Show pending notification
             addToast({
@@ -670,7 +967,24 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
 
           // Wait for transaction confirmation
           try {
-            const receipt = await tx.wait();
+            let receipt;
+            try {
+              receipt = await tx.wait();
+            } catch (waitError) {
+              // A wallet's speed up mines the same bet under a new hash
+              if (
+                waitError.code !== 'TRANSACTION_REPLACED' ||
+                waitError.reason !== 'repriced'
+              ) {
+                throw waitError;
+              }
+              receipt = waitError.receipt;
+            }
+            const requestId = gameService.getRequestIdFromReceipt(receipt);
+
+            // The stake counts against the limits once the bet is mined; a
+            // reverted or dropped placeBet never took it
+            recordWager(totalBetAmount);
 
             // Update queries and state
             invalidateQueries(['balance', 'gameStatus', 'betHistory']);
@@ -678,50 +992,33 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
             // Set last result for animation
             setLastResult({
               txHash: receipt.hash,
+              requestId,
+              bets: placedBets,
+              totalAmount: gameService.validateBets(placedBets),
               timestamp: Date.now(),
               isPending: true,
               vrfPending: true,
             });
 
             // We're still processing because we're waiting for VRF callback
-            // Don't reset operationInProgress flag here
-
-            // Setup a polling mechanism to check for VRF result
-            const pollForVrfResult = async () => {
-              try {
-                // Check game status from contract
-                const gameStatus =
-                  await contracts.Roulette.getGameStatus(walletAccount);
-
-                // If the game is completed, reset processing state
-                if (!gameStatus.isActive || gameStatus.isCompleted) {
-                  operationInProgress.current = false;
-                  setProcessingState(false);
-                  setRollingState(false);
-                  clearSafetyTimeout();
-                  addToast({
-                    title: 'Game Completed',
-                    description: 'Your game has been completed!',
-                    type: 'success',
-                  });
-                  return;
-                }
-
-                // If still active and not completed, check again in a few seconds
-                RouletteTimeoutRef.current = setTimeout(pollForVrfResult, 5000);
-              } catch (error) {
-                // In case of error, reset processing state to allow new bets
-                operationInProgress.current = false;
-                setProcessingState(false);
-                setRollingState(false);
-                clearSafetyTimeout();
-              }
-            };
+            // Don't reset operationInProgress flag here. The VRF callback
+            // can take longer than the bet itself, so drop the safety timeout.
+            clearSafetyTimeout();
 
-            // Start polling for VRF result
-            RouletteTimeoutRef.current = setTimeout(pollForVrfResult, 5000);
+            watchSpinResult(requestId, totalBetAmount);
           } catch (confirmError) {
-            handleContractError(confirmError, addToast);
+            if (confirmError.code === 'TRANSACTION_REPLACED') {
+              // Cancelled or replaced by another call in the wallet: no
+              // spin started and the stake never left the account
+              addToast({
+                title: 'Bet Not Placed',
+                description:
+                  'The bet was cancelled or replaced in your wallet, so no spin was started.',
+                type: 'info',
+              });
+            } else {
+              handleContractError(confirmError, addToast);
+            }
             clearSafetyTimeout();
             operationInProgress.current = false;
             setProcessingState(false);
@@ -746,9 +1043,15 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
   }, [
     contracts,
     walletAccount,
-    chosenNumber,
-    betAmount,
-    balanceData,
+    bets,
+    totalBetAmount,
+    slipErrors,
+    betErrors,
+    checkBet,
+    requestConfirmation,
+    trackTransaction,
+    recordWager,
+    watchSpinResult,
     addToast,
     invalidateQueries,
     handleError,
@@ -785,7 +1088,11 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
       const allowanceBigInt = balanceData.allowance
         ? BigInt(balanceData.allowance.toString())
         : BigInt(0);
-      const betAmountBigInt = BigInt(betAmount.toString());
+      // Approval has to cover the whole slip, or the next chip if it is empty
+      const betAmountBigInt =
+        totalBetAmount > BigInt(0)
+          ? totalBetAmount
+          : BigInt(betAmount.toString());
 
       // If balance is zero, no need to approve (can't bet anyway)
       if (balanceBigInt <= BigInt(0)) {
@@ -799,7 +1106,7 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
     } catch (error) {
       return false; // Assume no approval needed on error
     }
-  }, [balanceData, betAmount]);
+  }, [balanceData, betAmount, totalBetAmount]);
 
   // Cancel any pending operation when component unmounts or user navigates away
   useEffect(() => {
@@ -818,10 +1125,10 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
         safetyTimeoutRef.current = null;
       }
 
-      // Clean up coin flip timeout
-      if (RouletteTimeoutRef.current) {
-        clearTimeout(RouletteTimeoutRef.current);
-        RouletteTimeoutRef.current = null;
+      // Stop listening for the spin result
+      if (unsubscribeResultRef.current) {
+        unsubscribeResultRef.current();
+        unsubscribeResultRef.current = null;
       }
     };
   }, []);
@@ -834,105 +1141,14 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
     }
   }, [gameState.lastResult, invalidateQueries]);
 
-  // Add a function to check for VRF results in history
-  const checkVrfResultInHistory = async txHash => {
-    try {
-      // Only proceed if we still have a pending VRF
-      const currentResult = queryClient.getQueryData(['lastResult']);
-      if (!currentResult || !currentResult.vrfPending) {
-        return;
-      }
-
-      // Fetch the latest history data
-      await queryClient.invalidateQueries(['gameHistory']);
-      const historyData = queryClient.getQueryData(['gameHistory']);
-
-      if (historyData && historyData.length > 0) {
-        // Find a matching transaction in history
-        const matchingGame = historyData.find(
-          game =>
-            game.txHash === txHash ||
-            (game.timestamp &&
-              currentResult.timestamp &&
-              Math.abs(game.timestamp - currentResult.timestamp) < 60)
-        );
-
-        if (
-          matchingGame &&
-          matchingGame.rolledNumber >= 1 &&
-          matchingGame.rolledNumber <= 6
-        ) {
-          // Create a complete result with the VRF data
-          const completeResult = {
-            ...currentResult,
-            rolledNumber: matchingGame.rolledNumber,
-            payout: BigInt(matchingGame.payout || '0'),
-            isWin: matchingGame.isWin,
-            vrfComplete: true,
-            vrfPending: false,
-            isPending: false,
-          };
-
-          // Update the game state with the complete result
-          setLastResult(completeResult);
-
-          // IMPORTANT: Explicitly stop rolling animation when VRF result is found
-          setRollingState(false);
-
-          // Show a notification
-          if (completeResult.isWin) {
-            addToast(`🎉 VRF completed - You won!`, 'success');
-          } else {
-            addToast(`VRF completed - Better luck next time!`, 'info');
-          }
-
-          // Force refresh all data
-          invalidateQueries(['balance', 'gameHistory', 'gameStats']);
-        } else {
-          // If still not found, schedule another check in a few seconds (max 5 retries)
-          if (!currentResult.vrfRetryCount || currentResult.vrfRetryCount < 5) {
-            // Update retry count
-            setLastResult(prev => ({
-              ...prev,
-              vrfRetryCount: (prev.vrfRetryCount || 0) + 1,
-            }));
-
-            setTimeout(() => checkVrfResultInHistory(txHash), 5000);
-          } else {
-            // After max retries, mark the VRF as complete but with unknown result
-            setLastResult(prev => ({
-              ...prev,
-              vrfComplete: true,
-              vrfPending: false,
-              isPending: false,
-              vrfTimedOut: true,
-            }));
-
-            // Stop the rolling animation
-            setRollingState(false);
-
-            addToast(
-              'Unable to retrieve VRF result. Please check your history.',
-              'warning'
-            );
-          }
-        }
-      } else {
-        // If no history data, retry
-        setTimeout(() => checkVrfResultInHistory(txHash), 5000);
-      }
-    } catch (error) {
-      // On error, make sure we stop the animation after a few retries
-      const currentResult = queryClient.getQueryData(['lastResult']);
-      if (currentResult && currentResult.vrfRetryCount >= 3) {
-        setRollingState(false);
-      }
-    }
-  };
-
   // Return all the necessary state and functions
   return {
-    chosenNumber,
+    bets,
+    totalBetAmount,
+    potentialPayout,
+    slipErrors,
+    betErrors,
+    preflightErrors,
     betAmount,
     betAmountString,
     gameState,
@@ -947,10 +1163,17 @@ export const useGameLogic = (contracts, account, onError, addToast) => {
     isBetting,
     isProcessing,
     error,
-    setChosenNumber,
     setBetAmount,
+    addBet: handleAddBet,
+    removeBet,
+    updateBetAmount,
+    clearBets,
     handleApproveToken,
     handlePlaceBet,
+    transactionConfirmation: confirmation,
+    isSimulating,
+    confirmTransaction,
+    cancelTransaction,
     invalidateQueries,
   };
 };
@@ -0,0 +1,413 @@
+import { act, screen, waitFor } from '@testing-library/react';
+import {
+  ContractTransactionResponse,
+  MaxUint256,
+  makeError,
+  parseEther,
+} from 'ethers';
+import { describe, expect, it, vi } from 'vitest';
+import { useGameLogic } from './useGameLogic';
+import { useWallet } from '../components/wallet/WalletProvider.jsx';
+import { useNotification } from '../contexts/NotificationContext.jsx';
+import { BET_TYPES } from '../constants/game';
+import { loadPlayerState, updateLimits } from '../services/responsibleGaming';
+import {
+  TX_KINDS,
+  loadTransactions,
+  recordTransaction,
+} from '../services/txTracker';
+import {
+  produceBlocks,
+  renderHookWithProviders,
+  setupSimulatedWallet,
+  waitForWallet,
+} from '../test/renderWithProviders.jsx';
+
+const reloadedSlip = [
+  { betTypeId: BET_TYPES.STRAIGHT_BET, number: 17, amount: parseEther('2') },
+  { betTypeId: BET_TYPES.RED_BET, number: 0, amount: parseEther('1') },
+];
+
+const onError = vi.fn();
+
+// Wired the way pages/Roulette.jsx wires it
+const useRouletteGame = () => {
+  const { contracts, account } = useWallet();
+  const { addToast } = useNotification();
+  return useGameLogic(contracts, account, onError, addToast);
+};
+
+const renderGame = async () => {
+  const { result } = renderHookWithProviders(useRouletteGame);
+  await waitForWallet(result);
+  await waitFor(() =>
+    expect(result.current.hook.balanceData.balance).toBe(parseEther('10000'))
+  );
+  return result;
+};
+
+// Start a write and confirm its dry run, as the player would in the dialog
+const sendAndConfirm = async (result, handler) => {
+  let sending;
+  act(() => {
+    sending = result.current.hook[handler]();
+  });
+  await waitFor(() =>
+    expect(result.current.hook.transactionConfirmation).toBeTruthy()
+  );
+  act(() => result.current.hook.confirmTransaction());
+  await act(() => sending);
+};
+
+const placeAndConfirm = result => sendAndConfirm(result, 'handlePlaceBet');
+
+// Have the next wait() reject the way ethers does when the wallet replaced
+// the transaction; the original still mines, standing in for the new one
+const replaceNextTransaction = reason => {
+  const { wait } = ContractTransactionResponse.prototype;
+  vi.spyOn(
+    ContractTransactionResponse.prototype,
+    'wait'
+  ).mockImplementationOnce(async function () {
+    const receipt = await wait.call(this);
+    throw makeError('transaction was replaced', 'TRANSACTION_REPLACED', {
+      reason,
+      cancelled: reason !== 'repriced',
+      hash: this.hash,
+      replacement: this,
+      receipt,
+    });
+  });
+};
+
+// Have the next wait() reject as if placeBet reverted once mined
+const revertNextTransaction = () => {
+  vi.spyOn(ContractTransactionResponse.prototype, 'wait').mockRejectedValueOnce(
+    makeError('transaction execution reverted', 'CALL_EXCEPTION')
+  );
+};
+
+describe('useGameLogic', () => {
+  it('approves the game to spend tokens', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const result = await renderGame();
+    expect(result.current.hook.needsApproval).toBe(true);
+
+    // Approval waits for a second confirmation
+    produceBlocks(simulator);
+    await sendAndConfirm(result, 'handleApproveToken');
+
+    await waitFor(() => expect(result.current.hook.needsApproval).toBe(false));
+    const { token } = await simulator.getContracts();
+    expect(
+      await token.allowance(simulator.accounts[0], simulator.addresses.Roulette)
+    ).toBe(MaxUint256);
+  }, 60000);
+
+  it('dry runs the approval and sends nothing when it is cancelled', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const result = await renderGame();
+
+    let approving;
+    act(() => {
+      approving = result.current.hook.handleApproveToken();
+    });
+    await waitFor(() =>
+      expect(result.current.hook.transactionConfirmation).toBeTruthy()
+    );
+
+    const { title, outcome, simulation } =
+      result.current.hook.transactionConfirmation;
+    expect(title).toBe('Approve GAMA');
+    expect(outcome).toBe('Lets the game spend your GAMA for bets');
+    expect(simulation.status).toBe('success');
+    expect(simulation.gasLimit > BigInt(0)).toBe(true);
+
+    act(() => result.current.hook.cancelTransaction());
+    await act(() => approving);
+
+    expect(result.current.hook.isApproving).toBe(false);
+    expect(result.current.hook.needsApproval).toBe(true);
+    const { token } = await simulator.getContracts();
+    expect(
+      await token.allowance(simulator.accounts[0], simulator.addresses.Roulette)
+    ).toBe(BigInt(0));
+  });
+
+  it('spins and settles a winning straight bet', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const { token } = await simulator.getContracts();
+    await token.approve(simulator.addresses.Roulette, MaxUint256);
+    const result = await renderGame();
+    await waitFor(() => expect(result.current.hook.needsApproval).toBe(false));
+
+    act(() =>
+      result.current.hook.addBet({
+        betTypeId: BET_TYPES.STRAIGHT_BET,
+        number: 17,
+      })
+    );
+    expect(result.current.hook.totalBetAmount).toBe(parseEther('1'));
+
+    await placeAndConfirm(result);
+    await waitFor(() =>
+      expect(result.current.hook.gameState.lastResult?.requestId).toBeTruthy()
+    );
+
+    const { lastResult } = result.current.hook.gameState;
+    expect(lastResult.isPending).toBe(true);
+    // The bet transaction is tracked until it is mined
+    await waitFor(() =>
+      expect(
+        loadTransactions(
+          result.current.wallet.chainId,
+          result.current.wallet.account
+        )
+      ).toMatchObject([{ kind: 'placeBet', status: 'confirmed' }])
+    );
+    expect(lastResult.bets).toEqual([
+      {
+        betTypeId: BET_TYPES.STRAIGHT_BET,
+        number: 17,
+        amount: parseEther('1'),
+      },
+    ]);
+
+    await simulator.vrf.fulfillWithNumber(lastResult.requestId, 17);
+
+    await waitFor(
+      () =>
+        expect(result.current.hook.gameState.lastResult.isPending).toBe(false),
+      { timeout: 10000 }
+    );
+    expect(result.current.hook.gameState.lastResult).toMatchObject({
+      winningNumber: 17,
+      totalPayout: parseEther('36'),
+      isWin: true,
+    });
+    expect(await screen.findByText(/Landed on 17/)).toBeTruthy();
+  });
+
+  it('keeps waiting on a bet sped up in the wallet', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const { token } = await simulator.getContracts();
+    await token.approve(simulator.addresses.Roulette, MaxUint256);
+    const result = await renderGame();
+    await waitFor(() => expect(result.current.hook.needsApproval).toBe(false));
+
+    act(() =>
+      result.current.hook.addBet({ betTypeId: BET_TYPES.RED_BET, number: 0 })
+    );
+    replaceNextTransaction('repriced');
+    await placeAndConfirm(result);
+
+    expect(result.current.hook.gameState).toMatchObject({
+      isRolling: true,
+      lastResult: { requestId: '1', isPending: true },
+    });
+    await simulator.vrf.fulfillWithNumber('1', 1);
+    await waitFor(
+      () =>
+        expect(result.current.hook.gameState.lastResult.isPending).toBe(false),
+      { timeout: 10000 }
+    );
+  });
+
+  it('drops a bet cancelled in the wallet without an error', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const [player] = simulator.accounts;
+    const { token } = await simulator.getContracts();
+    await token.approve(simulator.addresses.Roulette, MaxUint256);
+    const result = await renderGame();
+    await waitFor(() => expect(result.current.hook.needsApproval).toBe(false));
+
+    act(() =>
+      result.current.hook.addBet({ betTypeId: BET_TYPES.RED_BET, number: 0 })
+    );
+    replaceNextTransaction('cancelled');
+    await placeAndConfirm(result);
+
+    expect(
+      await screen.findByText(/cancelled or replaced in your wallet/)
+    ).toBeTruthy();
+    // The stake never left, so the session is untouched
+    expect(loadPlayerState(player).session).toBeNull();
+  });
+
+  it('shows the dry run and sends nothing when it is cancelled', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const { token } = await simulator.getContracts();
+    await token.approve(simulator.addresses.Roulette, MaxUint256);
+    const result = await renderGame();
+    await waitFor(() => expect(result.current.hook.needsApproval).toBe(false));
+
+    act(() =>
+      result.current.hook.addBet({ betTypeId: BET_TYPES.RED_BET, number: 0 })
+    );
+    let placing;
+    act(() => {
+      placing = result.current.hook.handlePlaceBet();
+    });
+    await waitFor(() =>
+      expect(result.current.hook.transactionConfirmation).toBeTruthy()
+    );
+
+    const { outcome, simulation } = result.current.hook.transactionConfirmation;
+    expect(simulation.status).toBe('success');
+    expect(outcome).toBe('Stakes 1 GAMA on 1 bet and requests VRF spin 1');
+    expect(simulation.gasLimit > BigInt(0)).toBe(true);
+    expect(simulation.canPayGas).toBe(true);
+
+    act(() => result.current.hook.cancelTransaction());
+    await act(() => placing);
+
+    expect(result.current.hook.transactionConfirmation).toBeNull();
+    expect(result.current.hook.isBetting).toBe(false);
+    expect(simulator.vrf.getPendingRequests()).toHaveLength(0);
+  });
+
+  it('does not start a spin the contract rejects', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const result = await renderGame();
+
+    // No allowance, so placeBet would revert when the token burns the stake;
+    // the pre-flight check stops it before the wallet prompt
+    act(() =>
+      result.current.hook.addBet({ betTypeId: BET_TYPES.RED_BET, number: 0 })
+    );
+    await act(() => result.current.hook.handlePlaceBet());
+
+    expect(result.current.hook.preflightErrors).toEqual([
+      'Approve at least 1 GAMA for the game first, 0 GAMA is approved',
+    ]);
+    expect(result.current.hook.gameState.lastResult).toBeFalsy();
+    expect(result.current.hook.isBetting).toBe(false);
+    expect(simulator.vrf.getPendingRequests()).toHaveLength(0);
+  });
+
+  it('does not count a bet that reverts once mined', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const [player] = simulator.accounts;
+    const { token } = await simulator.getContracts();
+    await token.approve(simulator.addresses.Roulette, MaxUint256);
+    const result = await renderGame();
+    await waitFor(() => expect(result.current.hook.needsApproval).toBe(false));
+
+    act(() =>
+      result.current.hook.addBet({ betTypeId: BET_TYPES.RED_BET, number: 0 })
+    );
+    revertNextTransaction();
+    await placeAndConfirm(result);
+
+    expect(result.current.hook.isBetting).toBe(false);
+    expect(loadPlayerState(player).session).toBeNull();
+  });
+
+  it('stops spinning once the session loss limit is reached', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const [player] = simulator.accounts;
+    const { token } = await simulator.getContracts();
+    await token.approve(simulator.addresses.Roulette, MaxUint256);
+    updateLimits(player, { lossLimit: parseEther('1') });
+    const result = await renderGame();
+    await waitFor(() => expect(result.current.hook.needsApproval).toBe(false));
+
+    act(() =>
+      result.current.hook.addBet({ betTypeId: BET_TYPES.RED_BET, number: 0 })
+    );
+    await placeAndConfirm(result);
+    await waitFor(() =>
+      expect(result.current.hook.gameState.lastResult?.requestId).toBeTruthy()
+    );
+    // 2 is black, so the whole stake is lost
+    await simulator.vrf.fulfillWithNumber(
+      result.current.hook.gameState.lastResult.requestId,
+      2
+    );
+    await waitFor(
+      () =>
+        expect(result.current.hook.gameState.lastResult.isPending).toBe(false),
+      { timeout: 10000 }
+    );
+    expect(loadPlayerState(player).session).toMatchObject({
+      wagered: parseEther('1'),
+      returned: BigInt(0),
+    });
+
+    await act(() => result.current.hook.handlePlaceBet());
+
+    expect(
+      await screen.findByText(/could take your session losses past your limit/)
+    ).toBeTruthy();
+    expect(simulator.vrf.getPendingRequests()).toHaveLength(0);
+  });
+
+  it('picks up a spin placed before a reload', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const { Roulette, token } = await simulator.getContracts();
+    await token.approve(simulator.addresses.Roulette, MaxUint256);
+    await (await Roulette.placeBet(reloadedSlip)).wait();
+
+    const { result } = renderHookWithProviders(useRouletteGame);
+    await waitForWallet(result);
+    await waitFor(() =>
+      expect(result.current.hook.gameState.lastResult?.resumed).toBe(true)
+    );
+
+    expect(result.current.hook.gameState).toMatchObject({
+      isProcessing: true,
+      isRolling: true,
+      lastResult: {
+        requestId: '1',
+        bets: reloadedSlip,
+        totalAmount: parseEther('3'),
+        isPending: true,
+        vrfPending: true,
+      },
+    });
+    expect(result.current.hook.bets).toEqual(reloadedSlip);
+
+    await simulator.vrf.fulfillWithNumber('1', 17);
+
+    await waitFor(
+      () =>
+        expect(result.current.hook.gameState.lastResult.isPending).toBe(false),
+      { timeout: 10000 }
+    );
+    expect(result.current.hook.gameState).toMatchObject({
+      isRolling: false,
+      lastResult: { winningNumber: 17, totalPayout: parseEther('72') },
+    });
+  });
+
+  it('shows a stored placeBet that is not mined yet', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const [player] = simulator.accounts;
+    const { Roulette } = await simulator.getContracts();
+    recordTransaction(
+      51,
+      player,
+      {
+        hash: `0x${'ab'.repeat(32)}`,
+        from: player,
+        to: simulator.addresses.Roulette,
+        nonce: 99,
+        data: Roulette.interface.encodeFunctionData('placeBet', [reloadedSlip]),
+      },
+      { kind: TX_KINDS.PLACE_BET, startBlock: 0 }
+    );
+
+    const { result } = renderHookWithProviders(useRouletteGame);
+    await waitForWallet(result);
+
+    await waitFor(() =>
+      expect(result.current.hook.gameState.lastResult).toMatchObject({
+        requestId: null,
+        bets: reloadedSlip,
+        isPending: true,
+        vrfPending: false,
+      })
+    );
+    expect(simulator.vrf.getPendingRequests()).toHaveLength(0);
+  });
+});
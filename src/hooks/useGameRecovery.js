@@ -4,6 +4,10 @@ import { useWallet } from '../components/wallet/WalletProvider';
 import { useRouletteContract } from './useRouletteContract';
 import { useNotification } from '../contexts/NotificationContext';
 import { usePollingService } from '../services/pollingService.jsx';
+import { useTransactionConfirmation } from './useTransactionConfirmation';
+import { useTransactions } from '../contexts/TransactionContext';
+import { TX_KINDS } from '../services/txTracker';
+import { formatTokenAmount } from '../utils/formatting';
 
 // Constants from contract
 const GAME_TIMEOUT = 3600; // 1 hour in seconds
@@ -18,10 +22,34 @@ export const useGameRecovery = ({ onSuccess, onError } = {}) => {
   const { contract: RouletteContract } = useRouletteContract();
   const { refreshData, gameStatus } = usePollingService();
   const { addToast } = useNotification();
+  const {
+    confirmation,
+    isSimulating,
+    requestConfirmation,
+    confirmTransaction,
+    cancelTransaction,
+  } = useTransactionConfirmation();
+  const { trackTransaction } = useTransactions();
+
+  const reportError = useCallback(
+    error => {
+      addToast({
+        title: 'Game Recovery Failed',
+        description:
+          error.message || 'Failed to recover game. Please try again.',
+        type: 'error',
+      });
+
+      if (onError) {
+        onError(error);
+      }
+    },
+    [addToast, onError]
+  );
 
   // Mutation for self-recovery
   const {
-    mutate: recoverGame,
+    mutate: sendRecovery,
     isLoading: isRecovering,
     error: recoveryError,
   } = useMutation({
@@ -31,6 +59,7 @@ export const useGameRecovery = ({ onSuccess, onError } = {}) => {
       }
 
       const tx = await RouletteContract.recoverOwnStuckGame();
+      trackTransaction(tx, TX_KINDS.RECOVER);
       const receipt = await tx.wait();
       return receipt;
     },
@@ -48,20 +77,42 @@ export const useGameRecovery = ({ onSuccess, onError } = {}) => {
         onSuccess(data);
       }
     },
-    onError: error => {
-      addToast({
-        title: 'Game Recovery Failed',
-        description:
-          error.message || 'Failed to recover game. Please try again.',
-        type: 'error',
-      });
-
-      if (onError) {
-        onError(error);
-      }
-    },
+    onError: error => reportError(error),
   });
 
+  // Dry run recoverOwnStuckGame and send it only once the player confirms
+  const recoverGame = useCallback(async () => {
+    if (!account || !RouletteContract) {
+      sendRecovery();
+      return;
+    }
+
+    let confirmed;
+    try {
+      confirmed = await requestConfirmation({
+        title: 'Recover stuck game',
+        contract: RouletteContract,
+        method: 'recoverOwnStuckGame',
+        describe: () =>
+          gameStatus?.totalAmount
+            ? `Ends your stuck spin and refunds ${formatTokenAmount(gameStatus.totalAmount)} GAMA`
+            : 'Ends your stuck spin and refunds its stake',
+      });
+    } catch (error) {
+      // Nothing was shown to confirm, so nothing gets sent
+      reportError(error);
+      return;
+    }
+    if (confirmed) sendRecovery();
+  }, [
+    account,
+    RouletteContract,
+    gameStatus,
+    requestConfirmation,
+    sendRecovery,
+    reportError,
+  ]);
+
   // Check if game is eligible for recovery
   const checkRecoveryEligibility = useCallback(
     async playerAddress => {
@@ -127,6 +178,12 @@ export const useGameRecovery = ({ onSuccess, onError } = {}) => {
 
     // Loading states
     isRecovering,
+    isSimulating,
+
+    // Dry run awaiting the player's confirmation
+    confirmation,
+    confirmTransaction,
+    cancelTransaction,
 
     // Errors
     recoveryError,
@@ -0,0 +1,125 @@
+import { act, waitFor } from '@testing-library/react';
+import { parseEther } from 'ethers';
+import { describe, expect, it, vi } from 'vitest';
+import { useGameRecovery } from './useGameRecovery';
+import { usePollingService } from '../services/pollingService.jsx';
+import { simulateTransaction } from '../services/txSimulation';
+import { RESULT_RECOVERED } from '../constants/game';
+import {
+  placeSpin,
+  renderHookWithProviders,
+  setupSimulatedWallet,
+  waitForWallet,
+} from '../test/renderWithProviders.jsx';
+
+// Passes through to the real dry run unless a test makes it fail
+vi.mock('../services/txSimulation', async importOriginal => {
+  const actual = await importOriginal();
+  return { ...actual, simulateTransaction: vi.fn(actual.simulateTransaction) };
+});
+
+const renderRecovery = async options => {
+  const { result } = renderHookWithProviders(() => ({
+    ...useGameRecovery(options),
+    polling: usePollingService(),
+  }));
+  await waitForWallet(result);
+  return result;
+};
+
+const waitForActiveGame = result =>
+  waitFor(
+    () => expect(result.current.hook.polling.gameStatus?.isActive).toBe(true),
+    { timeout: 10000 }
+  );
+
+describe('useGameRecovery', () => {
+  it('reports no active game when there is nothing to recover', async () => {
+    await setupSimulatedWallet();
+    const result = await renderRecovery();
+    await waitFor(() =>
+      expect(result.current.hook.polling.gameStatus).toBeTruthy()
+    );
+
+    expect(await result.current.hook.checkRecoveryEligibility()).toEqual({
+      eligible: false,
+      reason: 'No active game',
+    });
+  });
+
+  it('keeps a fresh stuck game ineligible and explains the revert', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    await placeSpin(simulator);
+    const onError = vi.fn();
+    const result = await renderRecovery({ onError });
+    await waitForActiveGame(result);
+
+    const eligibility = await result.current.hook.checkRecoveryEligibility();
+    expect(eligibility.eligible).toBe(false);
+    expect(eligibility.requestStatus.processed).toBe(false);
+
+    // The dry run reverts, so the dialog can only be closed
+    act(() => {
+      result.current.hook.recoverGame();
+    });
+    await waitFor(() => expect(result.current.hook.confirmation).toBeTruthy());
+    expect(result.current.hook.confirmation.simulation).toMatchObject({
+      status: 'reverted',
+      reason: 'Game not eligible for recovery yet',
+    });
+
+    act(() => result.current.hook.cancelTransaction());
+    await waitFor(() => expect(result.current.hook.confirmation).toBeNull());
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('reports a dry run that fails and sends nothing', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const [player] = simulator.accounts;
+    await placeSpin(simulator);
+    simulator.passRecoveryWindow();
+
+    const onError = vi.fn();
+    const result = await renderRecovery({ onError });
+    await waitForActiveGame(result);
+
+    const failure = new Error('Could not reach the network');
+    vi.mocked(simulateTransaction).mockRejectedValueOnce(failure);
+    await act(() => result.current.hook.recoverGame());
+
+    expect(onError).toHaveBeenCalledWith(failure);
+    expect(result.current.hook.confirmation).toBeNull();
+    const { Roulette } = await simulator.getContracts(player);
+    expect((await Roulette.getGameStatus(player)).isActive).toBe(true);
+  });
+
+  it('refunds a game stuck past the recovery window', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const [player] = simulator.accounts;
+    await placeSpin(simulator);
+    simulator.passRecoveryWindow();
+
+    const onSuccess = vi.fn();
+    const result = await renderRecovery({ onSuccess });
+    await waitForActiveGame(result);
+    expect(
+      (await result.current.hook.checkRecoveryEligibility()).eligible
+    ).toBe(true);
+
+    act(() => {
+      result.current.hook.recoverGame();
+    });
+    await waitFor(() => expect(result.current.hook.confirmation).toBeTruthy());
+    expect(result.current.hook.confirmation.outcome).toBe(
+      'Ends your stuck spin and refunds 1 GAMA'
+    );
+    act(() => result.current.hook.confirmTransaction());
+    await waitFor(() => expect(onSuccess).toHaveBeenCalled());
+
+    const { token, Roulette } = await simulator.getContracts(player);
+    expect(await token.balanceOf(player)).toBe(parseEther('10000'));
+    const status = await Roulette.getGameStatus(player);
+    expect(status.isActive).toBe(false);
+    expect(Number(status.winningNumber)).toBe(RESULT_RECOVERED);
+  });
+});
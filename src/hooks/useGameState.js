@@ -126,10 +126,9 @@ export const useGameState = () => {
       return {
         isWin: gameStatus.isWin,
         isCompleted: gameStatus.isCompleted,
-        chosenNumber: gameStatus.chosenNumber,
-        rolledNumber: gameStatus.result,
-        amount: gameStatus.amount,
-        payout: gameStatus.payout,
+        winningNumber: gameStatus.winningNumber,
+        amount: gameStatus.totalAmount,
+        payout: gameStatus.totalPayout,
       };
     }, [gameStatus]),
 
@@ -0,0 +1,79 @@
+import { useEffect, useRef, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useWallet } from '../components/wallet/WalletProvider';
+import { usePollingService } from '../services/pollingService.jsx';
+import { NETWORK_CONFIG } from '../config';
+import {
+  getIndexedSpins,
+  indexPlayerHistory,
+} from '../services/historyIndexer';
+import { formatSpin } from '../utils/rouletteUtils';
+
+const getStartBlock = chainId =>
+  Object.values(NETWORK_CONFIG).find(network => network.chainId === chainId)
+    ?.indexerStartBlock || 0;
+
+/**
+ * The player's full spin history from the IndexedDB log index, newest first.
+ * Disabled unless the current network has an indexer start block. Catches
+ * up on new logs whenever the game status changes.
+ */
+export const useIndexedHistory = ({
+  playerAddress = null,
+  RouletteContract = null,
+} = {}) => {
+  const { chainId } = useWallet();
+  const { gameStatus } = usePollingService();
+  const [progress, setProgress] = useState(null);
+
+  const startBlock = getStartBlock(chainId);
+  const isEnabled = !!RouletteContract && !!playerAddress && startBlock > 0;
+
+  const { data, isFetching, error, refetch } = useQuery({
+    queryKey: ['indexedHistory', chainId, playerAddress],
+    queryFn: async () => {
+      await indexPlayerHistory({
+        contract: RouletteContract,
+        player: playerAddress,
+        chainId,
+        startBlock,
+        onProgress: setProgress,
+      });
+
+      const spins = await getIndexedSpins({
+        chainId,
+        contract: await RouletteContract.getAddress(),
+        player: playerAddress,
+      });
+      return spins.map(formatSpin);
+    },
+    enabled: isEnabled,
+    staleTime: Infinity, // Re-indexed when the game status changes
+    retry: 1,
+  });
+
+  // Scan the new logs each time a spin starts or settles
+  const lastStatusRef = useRef(null);
+  useEffect(() => {
+    if (!isEnabled || !gameStatus) return;
+    const status = `${gameStatus.requestId}:${gameStatus.isActive}`;
+    if (lastStatusRef.current === null) {
+      lastStatusRef.current = status;
+      return;
+    }
+    if (status === lastStatusRef.current) return;
+    lastStatusRef.current = status;
+    // Several components can share this query; join a scan already running
+    // rather than starting a second one over the same blocks
+    refetch({ cancelRefetch: false });
+  }, [isEnabled, gameStatus, refetch]);
+
+  return {
+    spins: data || null,
+    isEnabled,
+    isSyncing: isFetching,
+    progress,
+    error,
+    refetch,
+  };
+};
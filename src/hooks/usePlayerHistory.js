@@ -0,0 +1,64 @@
+import { useEffect, useRef } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { usePollingService } from '../services/pollingService.jsx';
+import { getRouletteClient } from '../services/contractClient';
+import { MAX_HISTORY_SIZE } from '../constants/game';
+import { formatSpin } from '../utils/rouletteUtils';
+import { useIndexedHistory } from './useIndexedHistory';
+
+/**
+ * Every spin of the player the app can reach, newest first. Comes from the
+ * log index when the network has one, which covers the whole history;
+ * otherwise from the contract, which only keeps the last MAX_HISTORY_SIZE
+ * spins. `isComplete` tells the two apart.
+ */
+export const usePlayerHistory = ({
+  playerAddress = null,
+  RouletteContract = null,
+} = {}) => {
+  const { gameStatus } = usePollingService();
+  const indexed = useIndexedHistory({ playerAddress, RouletteContract });
+
+  const { data, isPending, error, refetch } = useQuery({
+    queryKey: ['playerHistory', playerAddress],
+    queryFn: async () => {
+      const { spins } = await getRouletteClient(
+        RouletteContract
+      ).getHistoryPage(playerAddress, 0, MAX_HISTORY_SIZE);
+      return spins.map(formatSpin);
+    },
+    enabled: !!RouletteContract && !!playerAddress && !indexed.isEnabled,
+    staleTime: 10000, // Refreshed when a spin starts or settles
+  });
+
+  // The log index catches up by itself; the contract copy is reloaded
+  const lastStatusRef = useRef(null);
+  useEffect(() => {
+    if (indexed.isEnabled || !gameStatus) return;
+    const status = `${gameStatus.requestId}:${gameStatus.isActive}`;
+    if (lastStatusRef.current !== null && status !== lastStatusRef.current) {
+      refetch();
+    }
+    lastStatusRef.current = status;
+  }, [indexed.isEnabled, gameStatus, refetch]);
+
+  if (indexed.isEnabled) {
+    return {
+      spins: indexed.spins || [],
+      isComplete: true,
+      isLoading: !indexed.spins && !indexed.error,
+      isSyncing: indexed.isSyncing,
+      syncProgress: indexed.progress,
+      error: indexed.spins ? null : indexed.error,
+    };
+  }
+
+  return {
+    spins: data || [],
+    isComplete: false,
+    isLoading: !!playerAddress && isPending,
+    isSyncing: false,
+    syncProgress: null,
+    error,
+  };
+};
@@ -1,6 +1,10 @@
 import { useQuery } from '@tanstack/react-query';
 import { useRouletteContract } from './useRouletteContract';
 import { useWallet } from '../components/wallet/WalletProvider';
+import {
+  AbiMismatchError,
+  getRouletteClient,
+} from '../services/contractClient';
 
 export const useRequestTracking = requestId => {
   const { contract } = useRouletteContract();
@@ -22,49 +26,12 @@ export const useRequestTracking = requestId => {
         };
       }
 
+      const client = getRouletteClient(contract);
+
       try {
-        // Catch potential errors in getPlayerForRequest
-        let player;
-        try {
-          // Check method existence first
-          if (
-            contract.getPlayerForRequest &&
-            typeof contract.getPlayerForRequest === 'function'
-          ) {
-            player = await contract.getPlayerForRequest(requestId);
-          } else {
-            return {
-              exists: false,
-              player: null,
-              hasPendingRequest: false,
-              error: 'Contract method not available',
-            };
-          }
-        } catch (playerErr) {
-          // Handle specific "missing revert data" error
-          if (
-            playerErr.message &&
-            playerErr.message.includes('missing revert data')
-          ) {
-            return {
-              exists: false,
-              player: null,
-              hasPendingRequest: false,
-              error: 'Contract data retrieval error',
-            };
-          }
-          return {
-            exists: false,
-            player: null,
-            hasPendingRequest: false,
-            error: 'Error fetching player information',
-          };
-        }
+        const player = await client.getPlayerForRequest(requestId);
 
-        if (
-          !player ||
-          player === '0x0000000000000000000000000000000000000000'
-        ) {
+        if (!player) {
           return {
             exists: false,
             player: null,
@@ -72,52 +39,10 @@ export const useRequestTracking = requestId => {
           };
         }
 
-        // Helper function to safely call a contract method with error handling
-        const safeContractCall = async (methodName, params, defaultValue) => {
-          if (
-            !contract[methodName] ||
-            typeof contract[methodName] !== 'function'
-          ) {
-            return defaultValue;
-          }
-
-          try {
-            return await contract[methodName](...params);
-          } catch (err) {
-            // Handle specific "missing revert data" error
-            if (err.message && err.message.includes('missing revert data')) {
-              return defaultValue;
-            }
-            return defaultValue;
-          }
-        };
-
-        // Use allSettled to handle partial failures
-        const [hasPendingRequestResult, gameStatusResult] =
-          await Promise.allSettled([
-            safeContractCall('hasPendingRequest', [player], false),
-            safeContractCall('getGameStatus', [player], {
-              isActive: false,
-              requestExists: false,
-              requestProcessed: false,
-              recoveryEligible: false,
-            }),
-          ]);
-
-        const hasPendingRequest =
-          hasPendingRequestResult.status === 'fulfilled'
-            ? hasPendingRequestResult.value
-            : false;
-
-        const gameStatus =
-          gameStatusResult.status === 'fulfilled'
-            ? gameStatusResult.value
-            : {
-                isActive: false,
-                requestExists: false,
-                requestProcessed: false,
-                recoveryEligible: false,
-              };
+        const [hasPendingRequest, gameStatus] = await Promise.all([
+          client.hasPendingRequest(player),
+          client.getGameStatus(player),
+        ]);
 
         return {
           exists: true,
@@ -131,6 +56,9 @@ export const useRequestTracking = requestId => {
           },
         };
       } catch (error) {
+        // A mismatched ABI is a deployment problem, not a transient one
+        if (error instanceof AbiMismatchError) throw error;
+
         // Return a default state instead of throwing
         return {
           exists: false,
@@ -156,25 +84,9 @@ export const useRequestTracking = requestId => {
         if (!contract || !account) return false;
 
         try {
-          // First check if method exists
-          if (
-            !contract.hasPendingRequest ||
-            typeof contract.hasPendingRequest !== 'function'
-          ) {
-            return false;
-          }
-
-          try {
-            const hasPending = await contract.hasPendingRequest(account);
-            return !!hasPending; // Ensure boolean return
-          } catch (err) {
-            // Handle specific "missing revert data" error
-            if (err.message && err.message.includes('missing revert data')) {
-              return false;
-            }
-            return false;
-          }
+          return await getRouletteClient(contract).hasPendingRequest(account);
         } catch (error) {
+          if (error instanceof AbiMismatchError) throw error;
           return false;
         }
       },
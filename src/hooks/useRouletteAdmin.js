@@ -0,0 +1,125 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { ethers } from 'ethers';
+import { useRouletteContract } from './useRouletteContract';
+import { useNotification } from '../contexts/NotificationContext';
+import { getRouletteClient } from '../services/contractClient';
+import { getRevertReason } from '../utils/errorHandling';
+
+// Blocks searched for BetPlaced logs, about a day on XDC's 2 second blocks.
+// A request still open after that is long past the force-stop window, and
+// its player can be looked up directly.
+export const ACTIVE_REQUEST_LOOKBACK = 43200;
+
+// Blocks per eth_getLogs call; XDC RPC endpoints cap the range they accept
+const SCAN_CHUNK_SIZE = 5000;
+
+/**
+ * Find spins still waiting on VRF. The contract keeps its set of open
+ * requests private, so players are taken from recent BetPlaced logs and
+ * each one's current game status is read.
+ * @param {Object} contract - Roulette ethers Contract
+ * @param {Object} [options]
+ * @param {Number} [options.lookback] - Blocks to search back from the head
+ * @returns {Promise<Array<GameStatus & {player: String}>>} Active games,
+ *   oldest first
+ */
+export const findActiveRequests = async (
+  contract,
+  { lookback = ACTIVE_REQUEST_LOOKBACK } = {}
+) => {
+  const client = getRouletteClient(contract);
+  const latestBlock = await contract.runner.provider.getBlockNumber();
+  const filter = contract.filters.BetPlaced();
+  const players = new Set();
+
+  for (
+    let fromBlock = Math.max(0, latestBlock - lookback + 1);
+    fromBlock <= latestBlock;
+    fromBlock += SCAN_CHUNK_SIZE
+  ) {
+    const toBlock = Math.min(fromBlock + SCAN_CHUNK_SIZE - 1, latestBlock);
+    const logs = await contract.queryFilter(filter, fromBlock, toBlock);
+    logs.forEach(log => players.add(ethers.getAddress(log.args.player)));
+  }
+
+  const statuses = await Promise.all(
+    [...players].map(async player => ({
+      player,
+      ...(await client.getGameStatus(player)),
+    }))
+  );
+
+  return statuses
+    .filter(status => status.isActive && status.requestId !== '0')
+    .sort((a, b) => a.lastPlayTimestamp - b.lastPlayTimestamp);
+};
+
+/**
+ * Owner tools for the admin console: player lookup, the list of open VRF
+ * requests and force-stopping a stuck game. Pause state and ownership come
+ * from useContractState.
+ * @param {Object} [options]
+ * @param {String} [options.player] - Address to look up
+ * @returns {Object} Queries and the forceStopGame mutation
+ */
+export const useRouletteAdmin = ({ player } = {}) => {
+  const { contract } = useRouletteContract();
+  const queryClient = useQueryClient();
+  const { addToast } = useNotification();
+  const isValidPlayer = !!player && ethers.isAddress(player);
+
+  const playerStatus = useQuery({
+    queryKey: ['adminPlayerStatus', isValidPlayer ? player.toLowerCase() : ''],
+    queryFn: () => getRouletteClient(contract).getGameStatus(player),
+    enabled: !!contract && isValidPlayer,
+  });
+
+  const activeRequests = useQuery({
+    queryKey: ['adminActiveRequests'],
+    queryFn: () => findActiveRequests(contract),
+    enabled: !!contract,
+    refetchInterval: 30000,
+  });
+
+  const forceStopMutation = useMutation({
+    mutationFn: async target => {
+      if (!contract) throw new Error('Contract not available');
+
+      const tx = await getRouletteClient(contract).forceStopGame(target);
+      await tx.wait();
+      return target;
+    },
+    onSuccess: target => {
+      addToast({
+        title: 'Game Force Stopped',
+        description: `The active game of ${target} was ended and refunded.`,
+        type: 'success',
+      });
+      queryClient.invalidateQueries({ queryKey: ['adminPlayerStatus'] });
+      queryClient.invalidateQueries({ queryKey: ['adminActiveRequests'] });
+    },
+    onError: error => {
+      addToast({
+        title: 'Force Stop Failed',
+        description: getRevertReason(error),
+        type: 'error',
+      });
+    },
+  });
+
+  return {
+    isValidPlayer,
+    playerStatus: playerStatus.data || null,
+    isLoadingPlayer: playerStatus.isFetching,
+    playerError: playerStatus.error,
+    activeRequests: activeRequests.data || [],
+    isLoadingRequests: activeRequests.isFetching,
+    requestsError: activeRequests.error,
+    refreshRequests: activeRequests.refetch,
+    forceStopGame: forceStopMutation.mutate,
+    isForceStopping: forceStopMutation.isPending,
+    forceStopTarget: forceStopMutation.isPending
+      ? forceStopMutation.variables
+      : null,
+  };
+};
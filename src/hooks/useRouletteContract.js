@@ -4,6 +4,21 @@ import { ethers } from 'ethers';
 import { useNetwork } from '../contexts/NetworkContext';
 import RouletteABI from '../contracts/abi/Roulette.json';
 import TokenABI from '../contracts/abi/GamaToken.json';
+import {
+  AbiMismatchError,
+  getRouletteClient,
+  getTokenClient,
+} from '../services/contractClient';
+
+// Only a confirmed mismatch is fatal; if getCode itself fails (RPC hiccup)
+// the contract is still used and calls will surface their own errors
+const verifyClientDeployment = async client => {
+  try {
+    await client.verifyDeployment();
+  } catch (error) {
+    if (error instanceof AbiMismatchError) throw error;
+  }
+};
 
 export const useRouletteContract = () => {
   const { provider, account } = useWallet();
@@ -58,6 +73,7 @@ export const useRouletteContract = () => {
             RouletteABI.abi,
             signer
           );
+          await verifyClientDeployment(getRouletteClient(RouletteContract));
           setContract(RouletteContract);
         } catch (RouletteError) {
           setError(
@@ -76,8 +92,12 @@ export const useRouletteContract = () => {
               TokenABI.abi,
               signer
             );
+            await verifyClientDeployment(getTokenClient(token));
             setTokenContract(token);
           } catch (tokenError) {
+            if (tokenError instanceof AbiMismatchError) {
+              setError(tokenError);
+            }
             setTokenContract(null);
           }
         }
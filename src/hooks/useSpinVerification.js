@@ -0,0 +1,33 @@
+import { useQuery } from '@tanstack/react-query';
+import { verifySpin } from '../services/fairnessVerifier';
+
+/**
+ * Check a settled spin against the random word its VRF fulfilment
+ * delivered. A settled spin never changes, so the verdict is kept for the
+ * session once fetched.
+ */
+export const useSpinVerification = ({
+  spin = null,
+  playerAddress = null,
+  RouletteContract = null,
+} = {}) => {
+  const { data, isPending, error, refetch } = useQuery({
+    queryKey: [
+      'spinVerification',
+      playerAddress,
+      spin?.requestId ?? spin?.timestamp,
+    ],
+    queryFn: () =>
+      verifySpin({ contract: RouletteContract, player: playerAddress, spin }),
+    enabled: !!RouletteContract && !!playerAddress && !!spin,
+    staleTime: Infinity,
+    retry: false,
+  });
+
+  return {
+    verification: data || null,
+    isLoading: isPending,
+    error,
+    retry: refetch,
+  };
+};
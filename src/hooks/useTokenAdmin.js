@@ -0,0 +1,201 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { ethers } from 'ethers';
+import { useRouletteContract } from './useRouletteContract';
+import { useWallet } from '../components/wallet/WalletProvider';
+import { useNotification } from '../contexts/NotificationContext';
+import { getTokenClient } from '../services/contractClient';
+import { getRevertReason } from '../utils/errorHandling';
+
+/**
+ * GamaToken roles, in the order the panel lists them
+ */
+export const TOKEN_ROLE_NAMES = [
+  'DEFAULT_ADMIN_ROLE',
+  'MINTER_ROLE',
+  'BURNER_ROLE',
+  'PAUSER_ROLE',
+  'SUB_ADMIN_ROLE',
+];
+
+// Recipients per airdrop transaction, to stay well inside the block gas
+// limit; each one costs a mint and an event
+export const AIRDROP_BATCH_SIZE = 100;
+
+// Which roles an account holds, by name
+const readRoles = async (client, account) => {
+  const roles = await client.getRoles();
+  const held = await Promise.all(
+    TOKEN_ROLE_NAMES.map(name => client.hasRole(roles[name], account))
+  );
+  return Object.fromEntries(TOKEN_ROLE_NAMES.map((name, i) => [name, held[i]]));
+};
+
+// Shared success and failure handling for the admin transactions
+const useAdminMutation = (
+  tokenContract,
+  mutationFn,
+  { title, failureTitle, describe }
+) => {
+  const queryClient = useQueryClient();
+  const { addToast } = useNotification();
+
+  return useMutation({
+    mutationFn: async variables => {
+      if (!tokenContract) throw new Error('Token contract not available');
+      await mutationFn(getTokenClient(tokenContract), variables);
+      return variables;
+    },
+    onSuccess: variables => {
+      addToast({
+        title,
+        description: describe(variables),
+        type: 'success',
+      });
+      queryClient.invalidateQueries({ queryKey: ['tokenAdmin'] });
+    },
+    onError: error => {
+      addToast({
+        title: failureTitle,
+        description: getRevertReason(error),
+        type: 'error',
+      });
+      queryClient.invalidateQueries({ queryKey: ['tokenAdmin'] });
+    },
+  });
+};
+
+/**
+ * Token administration for the connected account: its roles, mint supply,
+ * a role and blacklist lookup for another address, and the role, blacklist
+ * and airdrop transactions. The contract checks every role itself; the
+ * roles here only decide what the panel offers.
+ * @param {Object} [options]
+ * @param {String} [options.address] - Address to look up
+ * @returns {Object} Queries and mutations
+ */
+export const useTokenAdmin = ({ address } = {}) => {
+  const { tokenContract, isLoading: isLoadingContracts } =
+    useRouletteContract();
+  const { account } = useWallet();
+  const isValidAddress = !!address && ethers.isAddress(address);
+
+  const rolesQuery = useQuery({
+    queryKey: ['tokenAdmin', 'roles', account?.toLowerCase()],
+    queryFn: () => readRoles(getTokenClient(tokenContract), account),
+    enabled: !!tokenContract && !!account,
+  });
+  const roles = rolesQuery.data || null;
+  const isTokenAdmin = !!roles?.DEFAULT_ADMIN_ROLE;
+
+  // The supply getters are restricted to MINTER_ROLE
+  const supplyQuery = useQuery({
+    queryKey: ['tokenAdmin', 'supply'],
+    queryFn: async () => {
+      const client = getTokenClient(tokenContract);
+      const [maxMintable, totalMinted, totalSupply, paused] = await Promise.all(
+        [
+          client.getMaxMintable(),
+          client.getTotalMinted(),
+          client.totalSupply(),
+          client.paused(),
+        ]
+      );
+      return { maxMintable, totalMinted, totalSupply, paused };
+    },
+    enabled: !!tokenContract && !!roles?.MINTER_ROLE,
+  });
+
+  const lookupQuery = useQuery({
+    queryKey: ['tokenAdmin', 'lookup', isValidAddress ? address : ''],
+    queryFn: async () => {
+      const client = getTokenClient(tokenContract);
+      const [heldRoles, isBlacklisted, balance] = await Promise.all([
+        readRoles(client, address),
+        client.isBlacklisted(address),
+        client.balanceOf(address),
+      ]);
+      return { roles: heldRoles, isBlacklisted, balance };
+    },
+    enabled: !!tokenContract && isValidAddress,
+  });
+
+  const roleMutation = useAdminMutation(
+    tokenContract,
+    async (client, { role, target, grant }) => {
+      const roleHashes = await client.getRoles();
+      const tx = grant
+        ? await client.grantRole(roleHashes[role], target)
+        : await client.revokeRole(roleHashes[role], target);
+      await tx.wait();
+    },
+    {
+      title: 'Role Updated',
+      failureTitle: 'Role Change Failed',
+      describe: ({ role, target, grant }) =>
+        `${grant ? 'Granted' : 'Revoked'} ${role} ${grant ? 'to' : 'from'} ${target}.`,
+    }
+  );
+
+  const blacklistMutation = useAdminMutation(
+    tokenContract,
+    async (client, { target, value }) => {
+      const tx = await client.setBlacklist(target, value);
+      await tx.wait();
+    },
+    {
+      title: 'Blacklist Updated',
+      failureTitle: 'Blacklist Change Failed',
+      describe: ({ target, value }) =>
+        `${target} was ${value ? 'added to' : 'removed from'} the blacklist.`,
+    }
+  );
+
+  // Batches go out one after another, so a failure stops the rest and the
+  // toast says how far it got
+  const airdropMutation = useAdminMutation(
+    tokenContract,
+    async (client, { recipients, amount, onProgress }) => {
+      for (let sent = 0; sent < recipients.length;) {
+        const batch = recipients.slice(sent, sent + AIRDROP_BATCH_SIZE);
+        try {
+          const tx = await client.airdrop(batch, amount);
+          await tx.wait();
+        } catch (error) {
+          if (sent === 0) throw error;
+          throw new Error(
+            `${getRevertReason(error)} (after ${sent} of ${recipients.length} recipients were paid)`,
+            { cause: error }
+          );
+        }
+        sent += batch.length;
+        onProgress?.(sent);
+      }
+    },
+    {
+      title: 'Airdrop Sent',
+      failureTitle: 'Airdrop Failed',
+      describe: ({ recipients, amount }) =>
+        `${ethers.formatEther(amount)} GAMA sent to ${recipients.length} recipient${recipients.length === 1 ? '' : 's'}.`,
+    }
+  );
+
+  return {
+    // Transactions need the token contract, which loads after mount
+    isReady: !!tokenContract,
+    roles,
+    isLoadingRoles:
+      isLoadingContracts || (!!tokenContract && rolesQuery.isPending),
+    hasAnyRole: !!roles && Object.values(roles).some(Boolean),
+    isTokenAdmin,
+    supply: supplyQuery.data || null,
+    supplyError: supplyQuery.error,
+    lookup: lookupQuery.data || null,
+    isLoadingLookup: lookupQuery.isFetching,
+    setRole: roleMutation.mutate,
+    isUpdatingRole: roleMutation.isPending,
+    setBlacklist: blacklistMutation.mutate,
+    isUpdatingBlacklist: blacklistMutation.isPending,
+    airdrop: airdropMutation.mutate,
+    isAirdropping: airdropMutation.isPending,
+  };
+};
@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useWallet } from '../components/wallet/WalletProvider';
+import { simulateTransaction } from '../services/txSimulation';
+
+/**
+ * Dry run a write and wait for the player to confirm it. requestConfirmation
+ * simulates the call, exposes the result as `confirmation` for
+ * TransactionConfirmation to show, and resolves true once the player
+ * confirms or false if they cancel.
+ * @returns {Object} confirmation, isSimulating, requestConfirmation,
+ *   confirmTransaction and cancelTransaction
+ */
+export const useTransactionConfirmation = () => {
+  const { getXDCBalance } = useWallet();
+  const [confirmation, setConfirmation] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  const resolveRef = useRef(null);
+
+  const settle = useCallback(confirmed => {
+    resolveRef.current?.(confirmed);
+    resolveRef.current = null;
+    setConfirmation(null);
+  }, []);
+
+  /**
+   * @param {Object} params
+   * @param {String} params.title - What the transaction does, e.g. 'Place bet'
+   * @param {Object} params.contract - ethers Contract connected to a signer
+   * @param {String} params.method - Function name
+   * @param {Array} [params.args] - Function arguments
+   * @param {Function} [params.describe] - Builds the outcome summary from the
+   *   simulated return value
+   * @returns {Promise<Boolean>} Whether the player confirmed
+   */
+  const requestConfirmation = useCallback(
+    async ({ title, contract, method, args, describe }) => {
+      // A newer request replaces one still on screen
+      settle(false);
+      setIsSimulating(true);
+      let simulation;
+      try {
+        // getXDCBalance reports 0 when the read fails; only `raw` tells a
+        // real balance apart, so a failed read leaves the gas check unknown
+        const { raw } = await getXDCBalance();
+        simulation = await simulateTransaction({
+          contract,
+          method,
+          args,
+          xdcBalance: raw,
+        });
+      } finally {
+        setIsSimulating(false);
+      }
+
+      const outcome =
+        simulation.status === 'success' && describe
+          ? describe(simulation.result)
+          : null;
+      return new Promise(resolve => {
+        resolveRef.current = resolve;
+        setConfirmation({ title, outcome, simulation });
+      });
+    },
+    [getXDCBalance, settle]
+  );
+
+  const confirmTransaction = useCallback(() => settle(true), [settle]);
+  const cancelTransaction = useCallback(() => settle(false), [settle]);
+
+  // Don't leave a caller waiting on a dialog that is gone
+  useEffect(() => () => resolveRef.current?.(false), []);
+
+  return {
+    confirmation,
+    isSimulating,
+    requestConfirmation,
+    confirmTransaction,
+    cancelTransaction,
+  };
+};
+
+export default useTransactionConfirmation;
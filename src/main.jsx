@@ -1,10 +1,87 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import {
+  DEFAULT_NETWORK,
+  MOCK_WALLET_CONFIG,
+  NETWORK_CONFIG,
+  SIMULATOR_CONFIG,
+} from './config';
 import './index.css';
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// Stand the simulator in for the network before the app looks for a wallet
+const installSimulator = async () => {
+  const { createSimulator } = await import('./simulator');
+  const simulator = createSimulator({ seed: SIMULATOR_CONFIG.seed });
+  await simulator.ready;
+  simulator.vrf.setAutoFulfill(SIMULATOR_CONFIG.vrfDelay);
+
+  window.ethereum = simulator.chain;
+  window.rouletteSimulator = simulator;
+  return simulator;
+};
+
+// Stand the mock wallet in for the injected extension. Its chains are the
+// app's networks, with Apothem served by the simulator when that is on.
+const installMockWallet = async simulator => {
+  const { createMockWallet, confirmApproval } = await import('./mockWallet');
+  const approvals = {
+    auto: true,
+    reject: false,
+    confirm: confirmApproval,
+  }[MOCK_WALLET_CONFIG.approvals];
+
+  const chains = Object.entries(NETWORK_CONFIG).map(([networkId, network]) => ({
+    chainId: `0x${network.chainId.toString(16)}`,
+    chainName: network.name,
+    nativeCurrency: { name: 'XDC', symbol: 'XDC', decimals: 18 },
+    rpcUrls: [network.rpcUrl],
+    blockExplorerUrls: [network.explorer],
+    ...(simulator && networkId === 'apothem'
+      ? { transport: simulator.chain }
+      : {}),
+  }));
+
+  window.ethereum = createMockWallet({
+    chains,
+    chainId: NETWORK_CONFIG[DEFAULT_NETWORK].chainId,
+    mnemonic: MOCK_WALLET_CONFIG.mnemonic,
+    approvals: approvals ?? true,
+  });
+  window.mockWallet = window.ethereum;
+};
+
+const installDevTools = async () => {
+  const simulator = SIMULATOR_CONFIG.enabled ? await installSimulator() : null;
+  if (MOCK_WALLET_CONFIG.enabled) {
+    await installMockWallet(simulator);
+  }
+};
+
+const render = devToolsError => {
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      {devToolsError && (
+        <div
+          role="alert"
+          className="p-3 bg-red-50 border-b border-red-200 text-sm text-red-700"
+        >
+          The simulator or mock wallet could not be installed:{' '}
+          {devToolsError.message}
+        </div>
+      )}
+      <App />
+    </React.StrictMode>
+  );
+};
+
+// The DEV check lets production builds drop the dev-only chunks entirely
+if (
+  import.meta.env.DEV &&
+  (SIMULATOR_CONFIG.enabled || MOCK_WALLET_CONFIG.enabled)
+) {
+  // The app renders either way, with a notice if an install failed
+  installDevTools().then(() => render(), render);
+} else {
+  render();
+}
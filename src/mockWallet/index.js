@@ -0,0 +1,339 @@
+/**
+ * Scriptable EIP-1193 wallet for development and tests.
+ *
+ * `createMockWallet` stands in for an injected extension such as MetaMask.
+ * It keeps a local keystore, asks for approval before connecting, signing,
+ * sending or changing chains, signs transactions itself and sends them raw
+ * to the selected chain, and emits accountsChanged / chainChanged like an
+ * extension does. Approvals come from configuration or a callback, so the
+ * whole connect flow can be demoed and tested with no extension installed.
+ */
+
+import { Transaction, getBytes, isHexString, toQuantity } from 'ethers';
+import { createKeystore } from './keystore';
+import { createRpcTransport } from './transport';
+
+export { DEFAULT_MNEMONIC } from './keystore';
+export { createRpcTransport } from './transport';
+
+/**
+ * Prompts the wallet asks approval for. Each can be configured on its own.
+ */
+export const APPROVAL_KINDS = {
+  CONNECT: 'connect',
+  SIGN: 'sign',
+  TRANSACTION: 'transaction',
+  SWITCH_CHAIN: 'switchChain',
+  ADD_CHAIN: 'addChain',
+};
+
+// EIP-1193 and EIP-1474 provider errors
+const providerError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+const rejected = () => providerError(4001, 'User rejected the request.');
+
+const unauthorized = () =>
+  providerError(
+    4100,
+    'The requested account and/or method has not been authorized by the user.'
+  );
+
+/**
+ * Approval callback that asks through the browser's confirm dialog
+ * @param {Object} prompt - { kind, method, params }
+ * @returns {Boolean} Whether the user approved
+ */
+export const confirmApproval = ({ kind, method, params }) =>
+  window.confirm(
+    `Mock wallet: approve ${kind}?\n\n${method} ${JSON.stringify(params, null, 2)}`
+  );
+
+/**
+ * Create a mock wallet
+ * @param {Object} [options]
+ * @param {Object[]} options.chains - Known chains in wallet_addEthereumChain
+ *   form ({ chainId, chainName, rpcUrls, ... }), each optionally with a
+ *   `transport` ({ request }) used instead of its first RPC URL
+ * @param {Number} [options.chainId] - Chain selected at start, the first
+ *   known chain by default
+ * @param {String} [options.mnemonic] - Keystore mnemonic, Hardhat's default
+ *   phrase if omitted
+ * @param {Number} [options.accountCount] - Accounts derived from the mnemonic
+ * @param {String[]} [options.privateKeys] - Keys to load instead
+ * @param {Boolean|Function|Object} [options.approvals] - true to approve
+ *   every prompt, false to reject them all, a callback receiving
+ *   { kind, method, params } and returning a boolean (or a promise of one),
+ *   or an object giving any of these per APPROVAL_KINDS value. Kinds left
+ *   out of the object are approved.
+ * @param {Boolean} [options.connected] - Whether the app already has
+ *   permission to see the accounts, as after an earlier visit
+ * @returns {Object} EIP-1193 provider with controls for scripting
+ */
+export const createMockWallet = ({
+  chains: initialChains = [],
+  chainId: initialChainId,
+  mnemonic,
+  accountCount,
+  privateKeys,
+  approvals: initialApprovals = true,
+  connected: initiallyConnected = false,
+} = {}) => {
+  const keystore = createKeystore({
+    mnemonic,
+    count: accountCount,
+    privateKeys,
+  });
+  const chains = new Map();
+  const listeners = new Map();
+  let approvals = initialApprovals;
+  let connected = initiallyConnected;
+  let selectedAccount = keystore.accounts[0];
+
+  const addChain = ({ transport, ...params }) => {
+    const chainId = Number(params.chainId);
+    if (!transport && !params.rpcUrls?.[0]) {
+      throw providerError(-32602, `No RPC URL for chain ${chainId}`);
+    }
+    chains.set(chainId, {
+      ...params,
+      chainId,
+      transport: transport || createRpcTransport(params.rpcUrls[0]),
+    });
+  };
+
+  initialChains.forEach(addChain);
+  let currentChainId = Number(initialChainId ?? initialChains[0]?.chainId);
+  if (!chains.has(currentChainId)) {
+    throw new Error(`Mock wallet has no chain ${currentChainId}`);
+  }
+
+  const emit = (event, payload) => {
+    [...(listeners.get(event) || [])].forEach(listener => listener(payload));
+  };
+
+  const exposedAccounts = () => (connected ? [selectedAccount] : []);
+
+  const approve = async (kind, { method, params }) => {
+    const policy =
+      approvals !== null && typeof approvals === 'object'
+        ? (approvals[kind] ?? true)
+        : approvals;
+    const approved =
+      typeof policy === 'function'
+        ? await policy({ kind, method, params })
+        : policy;
+    if (!approved) throw rejected();
+  };
+
+  const selectChain = chainId => {
+    if (chainId === currentChainId) return;
+    currentChainId = chainId;
+    emit('chainChanged', toQuantity(chainId));
+  };
+
+  const forward = (method, params = []) =>
+    chains.get(currentChainId).transport.request({ method, params });
+
+  // Only the selected account of a connected wallet may sign
+  const getSigner = address => {
+    if (
+      !connected ||
+      !address ||
+      address.toLowerCase() !== selectedAccount.toLowerCase()
+    ) {
+      throw unauthorized();
+    }
+    return keystore.getWallet(address);
+  };
+
+  const toMessage = message =>
+    isHexString(message) ? getBytes(message) : message;
+
+  const sendTransaction = async tx => {
+    const from = tx.from || selectedAccount;
+    const signer = getSigner(from);
+    const call = { from, to: tx.to, data: tx.data, value: tx.value };
+
+    // Fill in what the app left out, as an extension does before signing
+    const [nonce, gasLimit, gasPrice] = await Promise.all([
+      tx.nonce ?? forward('eth_getTransactionCount', [from, 'pending']),
+      tx.gas ?? tx.gasLimit ?? forward('eth_estimateGas', [call]),
+      tx.gasPrice ?? forward('eth_gasPrice'),
+    ]);
+
+    const signed = await signer.signTransaction(
+      Transaction.from({
+        type: 0,
+        chainId: currentChainId,
+        nonce: Number(nonce),
+        to: tx.to || null,
+        data: tx.data || '0x',
+        value: tx.value || 0,
+        gasLimit,
+        gasPrice,
+      })
+    );
+    return forward('eth_sendRawTransaction', [signed]);
+  };
+
+  const handlers = {
+    eth_chainId: () => toQuantity(currentChainId),
+    net_version: () => String(currentChainId),
+    eth_accounts: () => exposedAccounts(),
+
+    eth_requestAccounts: async request => {
+      if (!connected) {
+        await approve(APPROVAL_KINDS.CONNECT, request);
+        connected = true;
+        emit('connect', { chainId: toQuantity(currentChainId) });
+        emit('accountsChanged', exposedAccounts());
+      }
+      return exposedAccounts();
+    },
+
+    wallet_switchEthereumChain: async request => {
+      const chainId = Number(request.params[0]?.chainId);
+      if (!chains.has(chainId)) {
+        throw providerError(
+          4902,
+          `Unrecognized chain ID "${request.params[0]?.chainId}". Try adding the chain using wallet_addEthereumChain first.`
+        );
+      }
+      if (chainId !== currentChainId) {
+        await approve(APPROVAL_KINDS.SWITCH_CHAIN, request);
+        selectChain(chainId);
+      }
+      return null;
+    },
+
+    // Like MetaMask, adding a chain offers to switch to it straight away
+    wallet_addEthereumChain: async request => {
+      const params = request.params[0] || {};
+      const chainId = Number(params.chainId);
+      if (!isHexString(params.chainId) || !Number.isSafeInteger(chainId)) {
+        throw providerError(-32602, 'Expected a hex chainId');
+      }
+      if (!chains.has(chainId)) {
+        if (!params.rpcUrls?.length) {
+          throw providerError(-32602, 'Expected at least one RPC URL');
+        }
+        await approve(APPROVAL_KINDS.ADD_CHAIN, request);
+        addChain(params);
+      }
+      if (chainId !== currentChainId) {
+        await approve(APPROVAL_KINDS.SWITCH_CHAIN, request);
+        selectChain(chainId);
+      }
+      return null;
+    },
+
+    personal_sign: async request => {
+      const [message, address] = request.params;
+      const signer = getSigner(address);
+      await approve(APPROVAL_KINDS.SIGN, request);
+      return signer.signMessage(toMessage(message));
+    },
+
+    eth_sign: async request => {
+      const [address, message] = request.params;
+      const signer = getSigner(address);
+      await approve(APPROVAL_KINDS.SIGN, request);
+      return signer.signMessage(toMessage(message));
+    },
+
+    eth_signTypedData_v4: async request => {
+      const [address, typedData] = request.params;
+      const signer = getSigner(address);
+      const { domain, types, message } =
+        typeof typedData === 'string' ? JSON.parse(typedData) : typedData;
+      // ethers derives the domain type itself
+      const { EIP712Domain: _domainType, ...messageTypes } = types;
+      await approve(APPROVAL_KINDS.SIGN, request);
+      return signer.signTypedData(domain, messageTypes, message);
+    },
+
+    eth_sendTransaction: async request => {
+      const [tx] = request.params;
+      getSigner(tx.from || selectedAccount);
+      await approve(APPROVAL_KINDS.TRANSACTION, request);
+      return sendTransaction(tx);
+    },
+  };
+
+  return {
+    isMetaMask: true,
+    isMockWallet: true,
+
+    /**
+     * EIP-1193 request. Wallet methods are handled here, everything else
+     * goes to the selected chain.
+     * @param {Object} args - { method, params }
+     * @returns {Promise<any>} JSON-RPC result
+     */
+    request: async ({ method, params = [] }) => {
+      const handler = handlers[method];
+      return handler ? handler({ method, params }) : forward(method, params);
+    },
+
+    on: (event, listener) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+    },
+
+    removeListener: (event, listener) => {
+      listeners.get(event)?.delete(listener);
+    },
+
+    accounts: keystore.accounts,
+
+    getSelectedAccount: () => selectedAccount,
+
+    getChainId: () => currentChainId,
+
+    isConnected: () => connected,
+
+    /**
+     * Change the approval configuration
+     * @param {Boolean|Function|Object} nextApprovals - See `approvals`
+     */
+    setApprovals: nextApprovals => {
+      approvals = nextApprovals;
+    },
+
+    /**
+     * Select another keystore account, as a user would in the extension
+     * @param {String|Number} account - Address or index into `accounts`
+     */
+    selectAccount: account => {
+      const address =
+        typeof account === 'number' ? keystore.accounts[account] : account;
+      if (!keystore.has(address)) {
+        throw new Error(`Mock wallet has no account ${account}`);
+      }
+      if (address.toLowerCase() === selectedAccount.toLowerCase()) return;
+      selectedAccount = keystore.getWallet(address).address;
+      if (connected) emit('accountsChanged', exposedAccounts());
+    },
+
+    /**
+     * Switch chain from the wallet side, without asking
+     * @param {Number} chainId - A known chain
+     */
+    switchChain: chainId => {
+      if (!chains.has(Number(chainId))) {
+        throw new Error(`Mock wallet has no chain ${chainId}`);
+      }
+      selectChain(Number(chainId));
+    },
+
+    /**
+     * Revoke the app's access to the accounts
+     */
+    disconnect: () => {
+      if (!connected) return;
+      connected = false;
+      emit('accountsChanged', []);
+    },
+  };
+};
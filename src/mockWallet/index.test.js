@@ -0,0 +1,263 @@
+// @vitest-environment node
+// The wallet has no DOM code, and jsdom's typed arrays trip up the Node
+// crypto ethers uses to derive keys from the mnemonic
+import {
+  BrowserProvider,
+  TypedDataEncoder,
+  parseEther,
+  toQuantity,
+  verifyMessage,
+  verifyTypedData,
+} from 'ethers';
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+import { APPROVAL_KINDS, createMockWallet } from './index';
+import { createSimulator, SIMULATOR_ACCOUNTS } from '../simulator';
+
+const APOTHEM = { chainId: '0x33', chainName: 'XDC Apothem Testnet' };
+const MAINNET = { chainId: '0x32', chainName: 'XDC Mainnet' };
+
+let apothem;
+let mainnet;
+
+beforeAll(async () => {
+  apothem = createSimulator({ chainId: 51, seed: 'wallet' });
+  mainnet = createSimulator({ chainId: 50, seed: 'wallet' });
+  await Promise.all([apothem.ready, mainnet.ready]);
+});
+
+const createWallet = options =>
+  createMockWallet({
+    chains: [
+      { ...APOTHEM, transport: apothem.chain },
+      { ...MAINNET, transport: mainnet.chain },
+    ],
+    ...options,
+  });
+
+// Record the payloads of a wallet event
+const recordEvents = (wallet, event) => {
+  const payloads = [];
+  wallet.on(event, payload => payloads.push(payload));
+  return payloads;
+};
+
+describe('createMockWallet', () => {
+  it('holds the Hardhat accounts by default, matching the simulator', () => {
+    const wallet = createWallet();
+
+    expect(wallet.accounts).toEqual(SIMULATOR_ACCOUNTS);
+    expect(wallet.getSelectedAccount()).toBe(SIMULATOR_ACCOUNTS[0]);
+  });
+
+  describe('connecting', () => {
+    it('hides accounts until the user approves the connection', async () => {
+      const wallet = createWallet();
+      const accountsChanged = recordEvents(wallet, 'accountsChanged');
+
+      expect(await wallet.request({ method: 'eth_accounts' })).toEqual([]);
+      expect(await wallet.request({ method: 'eth_requestAccounts' })).toEqual([
+        SIMULATOR_ACCOUNTS[0],
+      ]);
+      expect(await wallet.request({ method: 'eth_accounts' })).toEqual([
+        SIMULATOR_ACCOUNTS[0],
+      ]);
+      expect(accountsChanged).toEqual([[SIMULATOR_ACCOUNTS[0]]]);
+    });
+
+    it('rejects with 4001 when the user declines', async () => {
+      const wallet = createWallet({ approvals: false });
+
+      await expect(
+        wallet.request({ method: 'eth_requestAccounts' })
+      ).rejects.toMatchObject({ code: 4001 });
+      expect(wallet.isConnected()).toBe(false);
+    });
+
+    it('asks an approval callback with the prompt details', async () => {
+      const approvals = vi.fn(async () => true);
+      const wallet = createWallet({ approvals });
+
+      await wallet.request({ method: 'eth_requestAccounts' });
+
+      expect(approvals).toHaveBeenCalledWith({
+        kind: APPROVAL_KINDS.CONNECT,
+        method: 'eth_requestAccounts',
+        params: [],
+      });
+    });
+  });
+
+  describe('accounts', () => {
+    it('emits accountsChanged when another account is selected', async () => {
+      const wallet = createWallet({ connected: true });
+      const accountsChanged = recordEvents(wallet, 'accountsChanged');
+
+      wallet.selectAccount(1);
+
+      expect(accountsChanged).toEqual([[SIMULATOR_ACCOUNTS[1]]]);
+      expect(await wallet.request({ method: 'eth_accounts' })).toEqual([
+        SIMULATOR_ACCOUNTS[1],
+      ]);
+    });
+
+    it('reports no accounts after disconnecting', async () => {
+      const wallet = createWallet({ connected: true });
+      const accountsChanged = recordEvents(wallet, 'accountsChanged');
+
+      wallet.disconnect();
+
+      expect(accountsChanged).toEqual([[]]);
+      expect(await wallet.request({ method: 'eth_accounts' })).toEqual([]);
+    });
+  });
+
+  describe('chains', () => {
+    it('switches to a known chain and emits chainChanged', async () => {
+      const wallet = createWallet();
+      const chainChanged = recordEvents(wallet, 'chainChanged');
+
+      await wallet.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: MAINNET.chainId }],
+      });
+
+      expect(chainChanged).toEqual([MAINNET.chainId]);
+      expect(await wallet.request({ method: 'eth_chainId' })).toBe('0x32');
+      // Reads now go to the mainnet simulator
+      expect(await wallet.request({ method: 'eth_blockNumber' })).toBe(
+        toQuantity(mainnet.chain.getBlockNumber())
+      );
+    });
+
+    it('answers 4902 for a chain it does not know', async () => {
+      const wallet = createWallet();
+
+      await expect(
+        wallet.request({
+          method: 'wallet_switchEthereumChain',
+          params: [{ chainId: '0x1' }],
+        })
+      ).rejects.toMatchObject({ code: 4902 });
+    });
+
+    it('stays put when the switch is rejected', async () => {
+      const wallet = createWallet({
+        approvals: { [APPROVAL_KINDS.SWITCH_CHAIN]: false },
+      });
+      const chainChanged = recordEvents(wallet, 'chainChanged');
+
+      await expect(
+        wallet.request({
+          method: 'wallet_switchEthereumChain',
+          params: [{ chainId: MAINNET.chainId }],
+        })
+      ).rejects.toMatchObject({ code: 4001 });
+      expect(wallet.getChainId()).toBe(51);
+      expect(chainChanged).toEqual([]);
+    });
+
+    it('adds a chain over its RPC URL and switches to it', async () => {
+      const wallet = createWallet();
+      const chainChanged = recordEvents(wallet, 'chainChanged');
+
+      await wallet.request({
+        method: 'wallet_addEthereumChain',
+        params: [
+          {
+            chainId: '0x1',
+            chainName: 'Ethereum',
+            rpcUrls: ['https://rpc.example.org'],
+          },
+        ],
+      });
+
+      expect(chainChanged).toEqual(['0x1']);
+      expect(await wallet.request({ method: 'eth_blockNumber' })).toBe('0x1');
+      expect(fetch).toHaveBeenCalledWith(
+        'https://rpc.example.org',
+        expect.objectContaining({ method: 'POST' })
+      );
+    });
+  });
+
+  describe('signing', () => {
+    it('signs personal messages with the selected account', async () => {
+      const wallet = createWallet({ connected: true });
+      const [account] = wallet.accounts;
+
+      const signature = await wallet.request({
+        method: 'personal_sign',
+        params: ['0x68656c6c6f', account],
+      });
+
+      expect(verifyMessage('hello', signature)).toBe(account);
+    });
+
+    it('signs EIP-712 typed data', async () => {
+      const wallet = createWallet({ connected: true });
+      const [account] = wallet.accounts;
+      const domain = { name: 'Roulette', version: '1', chainId: 51 };
+      const types = { Spin: [{ name: 'number', type: 'uint8' }] };
+      const message = { number: 17 };
+
+      const signature = await wallet.request({
+        method: 'eth_signTypedData_v4',
+        params: [
+          account,
+          JSON.stringify(TypedDataEncoder.getPayload(domain, types, message)),
+        ],
+      });
+
+      expect(verifyTypedData(domain, types, message, signature)).toBe(account);
+    });
+
+    it('refuses accounts the app has not been given', async () => {
+      const wallet = createWallet({ connected: true });
+
+      await expect(
+        wallet.request({
+          method: 'personal_sign',
+          params: ['0x00', wallet.accounts[1]],
+        })
+      ).rejects.toMatchObject({ code: 4100 });
+    });
+  });
+
+  describe('transactions', () => {
+    it('signs locally and sends the raw transaction to the chain', async () => {
+      const wallet = createWallet({ connected: true });
+      const [sender, recipient] = wallet.accounts;
+      const signer = await new BrowserProvider(wallet).getSigner();
+      const { token } = await apothem.getContracts(sender);
+      const before = await token.balanceOf(recipient);
+
+      const tx = await token
+        .connect(signer)
+        .transfer(recipient, parseEther('5'));
+      const receipt = await tx.wait();
+
+      expect(receipt.status).toBe(1);
+      expect(tx.from).toBe(sender);
+      expect(await token.balanceOf(recipient)).toBe(before + parseEther('5'));
+    });
+
+    it('surfaces a declined transaction as ACTION_REJECTED', async () => {
+      const wallet = createWallet({
+        connected: true,
+        approvals: { [APPROVAL_KINDS.TRANSACTION]: false },
+      });
+      const signer = await new BrowserProvider(wallet).getSigner();
+      const { token } = await apothem.getContracts();
+      const nonce = await apothem.provider.getTransactionCount(
+        wallet.accounts[0]
+      );
+
+      await expect(
+        token.connect(signer).transfer(wallet.accounts[1], parseEther('1'))
+      ).rejects.toMatchObject({ code: 'ACTION_REJECTED' });
+      expect(
+        await apothem.provider.getTransactionCount(wallet.accounts[0])
+      ).toBe(nonce);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { HDNodeWallet, Wallet, getAddress } from 'ethers';
+
+// Hardhat's default mnemonic; its first accounts are the simulator's
+export const DEFAULT_MNEMONIC =
+  'test test test test test test test test test test test junk';
+
+const DEFAULT_PATH = "m/44'/60'/0'/0";
+
+/**
+ * Local keys the mock wallet signs with
+ * @param {Object} [options]
+ * @param {String} [options.mnemonic] - BIP-39 phrase, accounts are derived
+ *   along the standard Ethereum path
+ * @param {Number} [options.count] - Accounts to derive from the mnemonic
+ * @param {String[]} [options.privateKeys] - Keys to use instead of a
+ *   mnemonic
+ * @returns {Object} { accounts, has, getWallet }
+ */
+export const createKeystore = ({
+  mnemonic = DEFAULT_MNEMONIC,
+  count = 3,
+  privateKeys,
+} = {}) => {
+  let wallets;
+  if (privateKeys?.length) {
+    wallets = privateKeys.map(key => new Wallet(key));
+  } else {
+    // One seed derivation, then cheap child derivations
+    const root = HDNodeWallet.fromPhrase(mnemonic, undefined, DEFAULT_PATH);
+    wallets = Array.from({ length: count }, (_, i) => root.deriveChild(i));
+  }
+
+  const byAddress = new Map(
+    wallets.map(wallet => [wallet.address.toLowerCase(), wallet])
+  );
+
+  return {
+    accounts: wallets.map(wallet => getAddress(wallet.address)),
+
+    /**
+     * Whether the keystore holds an address's key
+     * @param {String} address - Account address
+     * @returns {Boolean}
+     */
+    has: address => byAddress.has(String(address).toLowerCase()),
+
+    /**
+     * Signer for an address
+     * @param {String} address - Account address
+     * @returns {Object|undefined} ethers Wallet
+     */
+    getWallet: address => byAddress.get(String(address).toLowerCase()),
+  };
+};
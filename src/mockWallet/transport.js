@@ -0,0 +1,38 @@
+let nextRequestId = 1;
+
+/**
+ * Minimal EIP-1193 transport over HTTP JSON-RPC. Node errors are passed
+ * through with their code and data, the way an extension relays them, so
+ * ethers can still decode reverts.
+ * @param {String} rpcUrl - JSON-RPC endpoint
+ * @returns {Object} { request }
+ */
+export const createRpcTransport = rpcUrl => ({
+  request: async ({ method, params = [] }) => {
+    const response = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: nextRequestId++,
+        method,
+        params,
+      }),
+    });
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`HTTP error: ${response.status}`), {
+        code: -32603,
+      });
+    }
+
+    const { result, error } = await response.json();
+    if (error) {
+      throw Object.assign(new Error(error.message), {
+        code: error.code,
+        ...(error.data ? { data: error.data } : {}),
+      });
+    }
+    return result;
+  },
+});
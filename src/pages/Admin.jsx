@@ -0,0 +1,123 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faLock, faPause, faPlay } from '@fortawesome/free-solid-svg-icons';
+import Card from '../components/ui/Card.jsx';
+import Button from '../components/ui/Button.jsx';
+import LoadingSpinner from '../components/ui/LoadingSpinner.jsx';
+import PlayerLookup from '../components/admin/PlayerLookup.jsx';
+import ActiveRequests from '../components/admin/ActiveRequests.jsx';
+import BankrollDashboard from '../components/admin/BankrollDashboard.jsx';
+import TokenAdminPanel from '../components/admin/TokenAdminPanel.jsx';
+import { useWallet } from '../components/wallet/WalletProvider.jsx';
+import { useContractState } from '../hooks/useContractState.js';
+import { useTokenAdmin } from '../hooks/useTokenAdmin.js';
+
+const AccessNotice = ({ children }) => (
+  <Card className="max-w-xl mx-auto text-center space-y-3">
+    <FontAwesomeIcon icon={faLock} className="text-3xl text-secondary-400" />
+    {children}
+  </Card>
+);
+
+const ContractControls = () => {
+  const {
+    contractState,
+    pauseContract,
+    unpauseContract,
+    isPausing,
+    isUnpausing,
+  } = useContractState();
+  const { isPaused } = contractState;
+
+  return (
+    <Card className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+      <div>
+        <h2 className="text-2xl font-bold text-secondary-800">Betting</h2>
+        <p className="text-sm text-gray-500">
+          Pausing stops new bets; spins already placed still settle.
+        </p>
+      </div>
+      <div className="flex items-center gap-3">
+        <span
+          className={`px-2 py-1 rounded text-sm ${
+            isPaused ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'
+          }`}
+        >
+          {isPaused ? 'Paused' : 'Active'}
+        </span>
+        <Button
+          onClick={() => (isPaused ? unpauseContract() : pauseContract())}
+          variant={isPaused ? 'success' : 'danger'}
+          disabled={isPausing || isUnpausing}
+          className="gap-2"
+        >
+          <FontAwesomeIcon icon={isPaused ? faPlay : faPause} />
+          {isPaused ? 'Unpause Contract' : 'Pause Contract'}
+        </Button>
+      </div>
+    </Card>
+  );
+};
+
+/**
+ * Console at /admin for the operations otherwise done through a block
+ * explorer. The Roulette owner gets pausing, the house bankroll, player
+ * lookup, open VRF requests and force-stops; GAMA token role holders get
+ * the token panel. Everyone else gets a notice; the contracts enforce their roles regardless.
+ */
+const AdminPage = () => {
+  const { account } = useWallet();
+  const { contractState, isLoading } = useContractState();
+  const { hasAnyRole, isLoadingRoles } = useTokenAdmin();
+
+  let content;
+  if (!account) {
+    content = (
+      <AccessNotice>
+        <p className="text-secondary-700">
+          Connect an admin wallet to use the admin console.
+        </p>
+      </AccessNotice>
+    );
+  } else if (isLoading || !contractState || isLoadingRoles) {
+    content = (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  } else if (!contractState.isOwner && !hasAnyRole) {
+    content = (
+      <AccessNotice>
+        <p className="text-secondary-700">
+          The admin console is only available to the Roulette contract owner and
+          GAMA token role holders.
+        </p>
+      </AccessNotice>
+    );
+  } else {
+    content = (
+      <div className="space-y-6">
+        {contractState.isOwner && (
+          <>
+            <ContractControls />
+            <BankrollDashboard />
+            <PlayerLookup />
+            <ActiveRequests />
+          </>
+        )}
+        {hasAnyRole && <TokenAdminPanel />}
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+      <h1 className="text-4xl font-bold text-center bg-clip-text text-transparent bg-gradient-to-r from-gaming-primary to-gaming-primary-light">
+        Admin Console
+      </h1>
+      {content}
+    </div>
+  );
+};
+
+export default AdminPage;
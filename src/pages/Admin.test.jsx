@@ -0,0 +1,82 @@
+import React from 'react';
+import { fireEvent, screen, within } from '@testing-library/react';
+import { parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import AdminPage from './Admin.jsx';
+import { RESULT_FORCE_STOPPED } from '../constants/game';
+import { SIMULATOR_ACCOUNTS } from '../simulator';
+import {
+  placeSpin,
+  renderWithProviders,
+  setupSimulatedWallet,
+} from '../test/renderWithProviders.jsx';
+
+const findConsole = () =>
+  screen.findByText('Active VRF Requests', {}, { timeout: 10000 });
+
+describe('AdminPage', () => {
+  it('turns away accounts other than the owner', async () => {
+    await setupSimulatedWallet({
+      wallet: { account: SIMULATOR_ACCOUNTS[1] },
+    });
+
+    renderWithProviders(<AdminPage />);
+
+    expect(
+      await screen.findByText(
+        /only available to the Roulette contract owner/,
+        {},
+        { timeout: 10000 }
+      )
+    ).toBeTruthy();
+    expect(screen.queryByText('Active VRF Requests')).toBeNull();
+  });
+
+  it('force-stops a stuck spin from the open request list', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const player = simulator.accounts[1];
+    const requestId = await placeSpin(simulator, { account: player });
+    simulator.passRecoveryWindow();
+
+    renderWithProviders(<AdminPage />);
+    await findConsole();
+
+    // The bankroll's spin count shows the same number outside the table
+    const table = await screen.findByRole('table', {}, { timeout: 10000 });
+    const row = (await within(table).findByText(requestId.toString())).closest(
+      'tr'
+    );
+    expect(within(row).getByText(player)).toBeTruthy();
+
+    fireEvent.click(within(row).getByText('Force stop'));
+    fireEvent.click(within(row).getByText('Confirm force stop'));
+
+    expect(
+      await screen.findByText('No open requests.', {}, { timeout: 10000 })
+    ).toBeTruthy();
+    const { token, Roulette } = await simulator.getContracts(player);
+    expect(await token.balanceOf(player)).toBe(parseEther('10000'));
+    const status = await Roulette.getGameStatus(player);
+    expect(Number(status.winningNumber)).toBe(RESULT_FORCE_STOPPED);
+  });
+
+  it('looks up a player and holds back a force-stop until eligible', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const player = simulator.accounts[1];
+    await placeSpin(simulator, { account: player });
+
+    renderWithProviders(<AdminPage />);
+    await findConsole();
+
+    fireEvent.change(screen.getByLabelText('Player address'), {
+      target: { value: player.toLowerCase() },
+    });
+    fireEvent.click(screen.getByText('Look up'));
+
+    expect(
+      await screen.findByText('Waiting for VRF', {}, { timeout: 10000 })
+    ).toBeTruthy();
+    expect(screen.getAllByText(/Not eligible yet/).length).toBeGreaterThan(0);
+    expect(screen.queryByText('Force stop')).toBeNull();
+  });
+});
@@ -14,14 +14,18 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 // Import components
 import BalancePanel from '../components/Roulette/BalancePanel.jsx';
 import BetInput from '../components/Roulette/BetInput.jsx';
+import BetSlip from '../components/Roulette/BetSlip.jsx';
 import RouletteVisualizer from '../components/Roulette/RouletteVisualizer.jsx';
 import LatestBet from '../components/Roulette/LatestBet.jsx';
 import GameHistory from '../components/Roulette/GameHistory.jsx';
-import NumberSelector from '../components/Roulette/NumberSelector.jsx';
+import BettingTable from '../components/Roulette/BettingTable.jsx';
 import LoadingSpinner from '../components/ui/LoadingSpinner.jsx';
+import TransactionConfirmation from '../components/ui/TransactionConfirmation.jsx';
 import { VrfRecoveryModal } from '../components/vrf/index.jsx';
 import { useWallet } from '../components/wallet/WalletProvider.jsx';
 import ApprovalGuide from '../components/Roulette/ApprovalGuide.jsx';
+import ResponsibleGamingPanel from '../components/responsibleGaming/ResponsibleGamingPanel.jsx';
+import { useResponsibleGaming } from '../contexts/ResponsibleGamingContext.jsx';
 
 // Import custom hooks
 import useGameLogic from '../hooks/useGameLogic.js';
@@ -53,13 +57,13 @@ const WelcomeBanner = ({ onConnectClick }) => (
             />
           </div>
           <h2 className="text-3xl font-bold text-[#22AD74] bg-clip-text text-transparent bg-gradient-to-r from-[#22AD74] to-[#22AD74]/70">
-            Welcome to GAMA FLIP
+            Welcome to GAMA ROULETTE
           </h2>
         </div>
 
         <p className="text-gray-700 mb-5 text-lg">
-          Choose your number, place your bet, and flip the Coin for a chance to
-          win up to 2x your stake!
+          Place your chips on the table and spin the wheel for a chance to win
+          up to 36x your stake!
         </p>
 
         <div className="bg-white/70 backdrop-blur-sm p-4 rounded-xl border border-[#22AD74]/15 mb-4 shadow-sm">
@@ -84,7 +88,7 @@ const WelcomeBanner = ({ onConnectClick }) => (
               <div className="w-6 h-6 rounded-full bg-[#22AD74]/20 flex items-center justify-center text-xs text-[#22AD74] font-bold shadow-inner">
                 3
               </div>
-              <span>Win instantly when the Coin Flips</span>
+              <span>Win instantly when the wheel stops</span>
             </li>
           </ul>
         </div>
@@ -122,6 +126,10 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
   const queryClient = useQueryClient();
   const [isVrfModalOpen, setIsVrfModalOpen] = useState(false);
   const { connectWallet, isWalletConnected } = useWallet();
+  const { blockedReason, coolOffUntil, selfExcludedUntil } =
+    useResponsibleGaming();
+  // Cool-off and self-exclusion lock the table, not just the spin
+  const isBettingLocked = Boolean(coolOffUntil || selfExcludedUntil);
 
   // Get game status for VRF recovery and use the refreshData function
   const {
@@ -159,7 +167,12 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
 
   // Use our custom game logic hook
   const {
-    chosenNumber,
+    bets,
+    totalBetAmount,
+    potentialPayout,
+    slipErrors,
+    betErrors,
+    preflightErrors,
     betAmount,
     gameState,
     balanceData,
@@ -168,36 +181,30 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
     needsApproval,
     isApproving,
     isBetting,
-    setChosenNumber,
     setBetAmount,
+    addBet,
+    removeBet,
+    updateBetAmount,
+    clearBets,
     handleApproveToken,
     handlePlaceBet,
+    transactionConfirmation,
+    isSimulating,
+    confirmTransaction,
+    cancelTransaction,
   } = useGameLogic(contracts, account, onError, addToast);
 
-  // Convert between UI representation (heads/tails) and contract values (1/2)
-  const handleCoinSideSelected = side => {
-    // HEADS = 1, TAILS = 2 in the contract
-    setChosenNumber(side === 'heads' ? 1 : 2);
-  };
-
-  // Get current UI value from contract value
-  const getCurrentSelectedSide = () => {
-    if (chosenNumber === 1) return 'heads';
-    if (chosenNumber === 2) return 'tails';
-    return null;
-  };
-
   // When bet is placed, immediately update UI with the result
   useEffect(() => {
     if (gameState.lastResult) {
       // Store last bet details for LatestBet component
       setLastBetDetails({
         result: gameState.lastResult,
-        chosenNumber,
-        betAmount,
+        bets,
+        betAmount: totalBetAmount,
       });
     }
-  }, [gameState.lastResult, chosenNumber, betAmount]);
+  }, [gameState.lastResult, bets, totalBetAmount]);
 
   // Store last bet amount when a bet is placed
   useEffect(() => {
@@ -220,18 +227,19 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
     setLastBetDetails({
       // Use existing result if available
       result: gameState.lastResult,
-      // Store current chosen number and bet amount
-      chosenNumber,
-      betAmount,
+      // Store the current slip and its total
+      bets,
+      betAmount: totalBetAmount,
     });
 
     // Call the original bet handler
     handlePlaceBet();
-  }, [handlePlaceBet, chosenNumber, betAmount, gameState.lastResult]);
+  }, [handlePlaceBet, bets, totalBetAmount, gameState.lastResult]);
 
   // Add state for dropdown sections
   const [isRulesOpen, setIsRulesOpen] = useState(false);
   const [isHistoryOpen, setIsHistoryOpen] = useState(true);
+  const [isLimitsOpen, setIsLimitsOpen] = useState(false);
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -243,11 +251,11 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
       >
         <div className="text-center">
           <h1 className="text-4xl md:text-5xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-gaming-primary to-gaming-primary-light mb-4">
-            GAMA FLIP
+            GAMA ROULETTE
           </h1>
           <p className="text-secondary-700 text-lg max-w-2xl mx-auto">
-            Choose Heads or Tails, place your bet, and test your luck! Win up to
-            2x your bet amount.
+            European roulette on XDC. Stack up to 15 bets per spin and win up to
+            36x on a straight number.
           </p>
         </div>
 
@@ -285,15 +293,32 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
               </div>
 
               <div className="mb-4">
-                <NumberSelector
-                  value={getCurrentSelectedSide()}
-                  onChange={handleCoinSideSelected}
+                <BettingTable
+                  bets={bets}
+                  onSelect={addBet}
+                  disabled={gameState.isProcessing || isBettingLocked}
+                />
+              </div>
+
+              <div className="mb-6">
+                <BetSlip
+                  bets={bets}
+                  totalAmount={totalBetAmount}
+                  potentialPayout={potentialPayout}
+                  errors={[...slipErrors, ...preflightErrors]}
+                  betErrors={betErrors}
+                  onUpdate={updateBetAmount}
+                  onRemove={removeBet}
+                  onClear={clearBets}
                   disabled={gameState.isProcessing}
                 />
               </div>
 
               <div className="mb-8">
                 <div className="space-y-4">
+                  <label className="block text-gray-600 text-sm font-medium">
+                    Chip Value:
+                  </label>
                   <BetInput
                     value={betAmount}
                     onChange={setBetAmount}
@@ -305,7 +330,9 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                     <BalancePanel
                       userBalance={balanceData?.balance || BigInt(0)}
                       allowance={balanceData?.allowance || BigInt(0)}
-                      betAmount={betAmount}
+                      betAmount={
+                        totalBetAmount > BigInt(0) ? totalBetAmount : betAmount
+                      }
                       isLoading={balanceLoading}
                     />
                   </BetInput>
@@ -372,6 +399,13 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                   </button>
                 </div>
 
+                {/* Limits and cool-off are enforced on spin, say why up front */}
+                {isWalletConnected && account && blockedReason && (
+                  <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+                    {blockedReason}
+                  </div>
+                )}
+
                 <motion.button
                   whileHover={{ scale: 1.02 }}
                   whileTap={{ scale: 0.98 }}
@@ -383,9 +417,12 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                       !gameStatus?.isCompleted) ||
                     isApproving ||
                     isBetting ||
-                    !chosenNumber ||
+                    bets.length === 0 ||
+                    slipErrors.length > 0 ||
+                    betErrors.some(Boolean) ||
                     needsApproval ||
-                    hasNoTokens
+                    hasNoTokens ||
+                    isBettingLocked
                   }
                   className="h-14 w-full bg-gradient-to-r from-gaming-primary to-gaming-accent hover:from-gaming-primary/90 hover:to-gaming-accent/90 font-medium rounded-lg transition-all shadow-lg disabled:opacity-60 disabled:cursor-not-allowed"
                 >
@@ -399,20 +436,22 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                         {gameState.isRolling &&
                         gameStatus?.isActive &&
                         !gameStatus?.isCompleted
-                          ? 'Rolling Coin...'
+                          ? 'Spinning Wheel...'
                           : gameState.isProcessing && gameState.lastResult
                             ? 'Finalizing bet...'
                             : isBetting
                               ? 'Confirming transaction...'
-                              : 'Processing your bet...'}
+                              : isSimulating
+                                ? 'Simulating transaction...'
+                                : 'Processing your bet...'}
                       </span>
                     </span>
                   ) : hasNoTokens ? (
                     'Not enough tokens for betting'
                   ) : needsApproval ? (
                     'Approve tokens first'
-                  ) : !chosenNumber ? (
-                    'Choose a coin to bet on'
+                  ) : bets.length === 0 ? (
+                    'Place chips on the table'
                   ) : (
                     <span className="flex items-center justify-center">
                       <svg
@@ -435,7 +474,7 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                           d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
                         ></path>
                       </svg>
-                      Flip Coin
+                      Spin
                     </span>
                   )}
                 </motion.button>
@@ -510,7 +549,6 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                   <RouletteVisualizer
                     isRolling={gameState.isRolling}
                     result={gameState.lastResult}
-                    chosenNumber={chosenNumber}
                   />
                 </div>
               </div>
@@ -524,8 +562,7 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
             >
               <LatestBet
                 betResult={lastBetDetails?.result || gameState.lastResult}
-                chosenNumber={lastBetDetails?.chosenNumber || chosenNumber}
-                betAmount={lastBetDetails?.betAmount || betAmount}
+                betAmount={lastBetDetails?.betAmount || totalBetAmount}
               />
             </motion.div>
           </div>
@@ -591,6 +628,61 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
           </AnimatePresence>
         </motion.div>
 
+        {/* Responsible gaming limits - with dropdown */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5, delay: 0.55 }}
+          className="bg-white backdrop-blur-md rounded-xl border border-secondary-200 shadow-xl overflow-hidden"
+          data-section="responsible-gaming"
+        >
+          <div
+            className="p-6 flex justify-between items-center cursor-pointer relative z-10 hover:bg-gray-50/50 transition-colors duration-200"
+            onClick={() => setIsLimitsOpen(!isLimitsOpen)}
+            role="button"
+            aria-expanded={isLimitsOpen}
+            tabIndex={0}
+            onKeyPress={e => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                setIsLimitsOpen(!isLimitsOpen);
+              }
+            }}
+          >
+            <h2 className="text-2xl font-bold text-secondary-800">
+              Play Responsibly
+            </h2>
+            <motion.div
+              animate={{ rotate: isLimitsOpen ? 180 : 0 }}
+              transition={{ duration: 0.3 }}
+              className="w-8 h-8 bg-gray-100 rounded-full flex items-center justify-center text-gray-600 hover:bg-gray-200 hover:text-gray-700"
+            >
+              <FontAwesomeIcon icon={faChevronDown} />
+            </motion.div>
+
+            {/* Invisible overlay to increase clickable area */}
+            <div
+              className="absolute inset-0 z-0"
+              onClick={() => setIsLimitsOpen(!isLimitsOpen)}
+            ></div>
+          </div>
+
+          <AnimatePresence>
+            {isLimitsOpen && (
+              <motion.div
+                initial={{ height: 0, opacity: 0 }}
+                animate={{ height: 'auto', opacity: 1 }}
+                exit={{ height: 0, opacity: 0 }}
+                transition={{ duration: 0.3 }}
+                className="overflow-hidden relative z-0"
+              >
+                <div className="px-6 pb-6">
+                  <ResponsibleGamingPanel />
+                </div>
+              </motion.div>
+            )}
+          </AnimatePresence>
+        </motion.div>
+
         {/* Game rules and odds - Enhanced & Modernized with dropdown */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -664,7 +756,9 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                           <div className="w-5 h-5 rounded-full bg-[#22AD74]/20 flex flex-shrink-0 items-center justify-center text-xs text-[#22AD74] font-bold mt-0.5">
                             1
                           </div>
-                          <span>Choose either Heads or Tails</span>
+                          <span>
+                            Pick a number, dozen, column or even-money bet
+                          </span>
                         </li>
                         <li className="flex items-start gap-3">
                           <div className="w-5 h-5 rounded-full bg-[#22AD74]/20 flex flex-shrink-0 items-center justify-center text-xs text-[#22AD74] font-bold mt-0.5">
@@ -676,9 +770,7 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                           <div className="w-5 h-5 rounded-full bg-[#22AD74]/20 flex flex-shrink-0 items-center justify-center text-xs text-[#22AD74] font-bold mt-0.5">
                             3
                           </div>
-                          <span>
-                            Click &quot;Flip Coin&quot; to place your bet
-                          </span>
+                          <span>Click &quot;Spin&quot; to place your bets</span>
                         </li>
                         <li className="flex items-start gap-3">
                           <div className="w-5 h-5 rounded-full bg-[#22AD74]/20 flex flex-shrink-0 items-center justify-center text-xs text-[#22AD74] font-bold mt-0.5">
@@ -691,7 +783,7 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                             5
                           </div>
                           <span>
-                            If the Coin Flip matches your choice, you win
+                            Every bet covering the winning number pays out
                             instantly!
                           </span>
                         </li>
@@ -718,37 +810,39 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                         <table className="w-full">
                           <tbody>
                             <tr className="border-b border-gray-100">
-                              <td className="py-2.5">Win Probability:</td>
-                              <td className="py-2.5 text-right font-semibold">
-                                50% (1/2)
+                              <td className="py-2.5">Straight (1 number):</td>
+                              <td className="py-2.5 text-right font-semibold text-[#22AD74]">
+                                35:1
                               </td>
                             </tr>
                             <tr className="border-b border-gray-100">
-                              <td className="py-2.5">Payout Multiplier:</td>
+                              <td className="py-2.5">Dozen / Column:</td>
                               <td className="py-2.5 text-right font-semibold text-[#22AD74]">
-                                2x
+                                2:1
                               </td>
                             </tr>
                             <tr className="border-b border-gray-100">
-                              <td className="py-2.5">House Edge:</td>
-                              <td className="py-2.5 text-right font-semibold">
-                                0%
+                              <td className="py-2.5">
+                                Red/Black, Even/Odd, Low/High:
+                              </td>
+                              <td className="py-2.5 text-right font-semibold text-[#22AD74]">
+                                1:1
                               </td>
                             </tr>
                             <tr className="border-b border-gray-100">
-                              <td className="py-2.5">Coin Flip Outcome:</td>
+                              <td className="py-2.5">House Edge:</td>
                               <td className="py-2.5 text-right font-semibold">
-                                Heads or Tails
+                                2.7% (single zero)
                               </td>
                             </tr>
                           </tbody>
                         </table>
                         <div className="pt-3 mt-1">
                           <p className="text-sm text-gray-600">
-                            For each coin flip, you choose either Heads or
-                            Tails. When you win (the flip matches your chosen
-                            side), you receive 2x your bet amount, giving the
-                            game a true 0% house edge with fair odds.
+                            The wheel has 37 pockets, 0 to 36. Winning bets
+                            return their stake plus winnings, so a straight win
+                            pays 36x in total. When the ball lands on 0 only a
+                            straight bet on 0 wins.
                           </p>
                           <p className="text-xs text-[#22AD74] italic mt-2">
                             Note: Blockchain transaction fees apply to all bets
@@ -775,7 +869,7 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                       </h3>
                       <div className="space-y-3.5 text-gray-700">
                         <p>
-                          GAMA FLIP uses{' '}
+                          GAMA ROULETTE uses{' '}
                           <span className="font-medium">
                             Plugin&apos;s Verifiable Random Function (VRF)
                           </span>{' '}
@@ -797,7 +891,7 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                               randomness
                             </li>
                             <li>
-                              The coin flip result (Heads or Tails) is
+                              The winning number (random word mod 37) is
                               determined transparently on-chain
                             </li>
                             <li>
@@ -859,18 +953,18 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
                               </tr>
                               <tr className="border-b border-gray-100">
                                 <td className="py-1.5 text-gray-700">
-                                  Maximum Bet:
+                                  Maximum Bet (each):
                                 </td>
                                 <td className="py-1.5 text-right font-medium text-gray-800">
-                                  10,000,000 GAMA
+                                  100,000 GAMA
                                 </td>
                               </tr>
                               <tr>
                                 <td className="py-1.5 text-gray-700">
-                                  Maximum Win:
+                                  Maximum Total per Spin:
                                 </td>
                                 <td className="py-1.5 text-right font-medium text-gray-800">
-                                  20,000,000 GAMA
+                                  500,000 GAMA
                                 </td>
                               </tr>
                             </tbody>
@@ -909,6 +1003,13 @@ const RoulettePage = ({ contracts, account, onError, addToast }) => {
         </motion.div>
       </motion.div>
 
+      {/* placeBet dry run, confirmed before the wallet prompt */}
+      <TransactionConfirmation
+        confirmation={transactionConfirmation}
+        onConfirm={confirmTransaction}
+        onCancel={cancelTransaction}
+      />
+
       {/* VRF Recovery Modal */}
       <VrfRecoveryModal
         isOpen={isVrfModalOpen}
@@ -0,0 +1,211 @@
+import React, { useMemo, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faChartLine, faWallet } from '@fortawesome/free-solid-svg-icons';
+import Card from '../components/ui/Card.jsx';
+import Button from '../components/ui/Button.jsx';
+import LoadingSpinner from '../components/ui/LoadingSpinner.jsx';
+import NumberList from '../components/stats/NumberList.jsx';
+import {
+  ProfitChart,
+  WinRateChart,
+} from '../components/stats/PlayerCharts.jsx';
+import { useWallet } from '../components/wallet/WalletProvider.jsx';
+import { useRouletteContract } from '../hooks/useRouletteContract';
+import { usePlayerHistory } from '../hooks/usePlayerHistory';
+import { MAX_HISTORY_SIZE } from '../constants/game';
+import { computePlayerStats, filterSpinsByDate } from '../utils/playerStats';
+import { formatTokenAmount } from '../utils/formatting';
+
+const formatSigned = value =>
+  `${value > BigInt(0) ? '+' : ''}${formatTokenAmount(value)} GAMA`;
+
+const Stat = ({ label, value, hint }) => (
+  <div className="p-4 rounded-lg bg-white border border-gray-200">
+    <div className="text-xs text-gray-500">{label}</div>
+    <div className="text-xl font-semibold text-secondary-800">{value}</div>
+    {hint && <div className="text-xs text-gray-500">{hint}</div>}
+  </div>
+);
+
+const DateInput = ({ label, value, onChange }) => (
+  <label className="flex items-center gap-2 text-sm text-gray-600">
+    {label}
+    <input
+      type="date"
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      aria-label={label}
+      className="px-3 py-1.5 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-green-500/40"
+    />
+  </label>
+);
+
+const PlayerStats = ({ stats }) => {
+  const winRate = stats.spins ? (stats.wins / stats.spins) * 100 : 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        <Stat
+          label="Net profit"
+          value={formatSigned(stats.netProfit)}
+          hint={`${formatTokenAmount(stats.wagered)} GAMA wagered`}
+        />
+        <Stat
+          label="Win rate"
+          value={`${winRate.toFixed(1)}%`}
+          hint={`${stats.wins} of ${stats.spins} spins`}
+        />
+        <Stat
+          label="Average stake"
+          value={`${formatTokenAmount(stats.averageStake, 2)} GAMA`}
+        />
+        <Stat
+          label="Biggest win"
+          value={
+            stats.biggestWin
+              ? formatSigned(stats.biggestWin.net)
+              : 'No wins yet'
+          }
+        />
+        <Stat label="Longest win streak" value={stats.longestWinStreak} />
+        <Stat label="Longest losing streak" value={stats.longestLoseStreak} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card>
+          <h2 className="text-lg font-semibold text-secondary-800 mb-3">
+            Net profit over time
+          </h2>
+          <ProfitChart series={stats.profitSeries} />
+        </Card>
+        <Card>
+          <h2 className="text-lg font-semibold text-secondary-800 mb-3">
+            Win rate per bet type
+          </h2>
+          <WinRateChart rows={stats.winRateByBetType} />
+        </Card>
+      </div>
+
+      <Card className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <NumberList
+          title="Favorite numbers"
+          numbers={stats.favoriteNumbers}
+          unit="bets"
+          emptyText="No straight bets yet."
+        />
+        <NumberList
+          title="Hot numbers"
+          numbers={stats.hotNumbers}
+          unit="hits"
+        />
+        <NumberList
+          title="Cold numbers"
+          numbers={stats.coldNumbers}
+          unit="hits"
+        />
+      </Card>
+    </div>
+  );
+};
+
+/**
+ * Personal statistics at /stats, built from the connected player's spin
+ * history and narrowed to a date range
+ */
+const StatsPage = () => {
+  const { account } = useWallet();
+  const { contract } = useRouletteContract();
+  const [range, setRange] = useState({ from: '', to: '' });
+  const { spins, isComplete, isLoading, isSyncing, error } = usePlayerHistory({
+    playerAddress: account,
+    RouletteContract: contract,
+  });
+
+  const stats = useMemo(
+    () => computePlayerStats(filterSpinsByDate(spins, range)),
+    [spins, range]
+  );
+
+  let content;
+  if (!account) {
+    content = (
+      <Card className="max-w-xl mx-auto text-center space-y-3">
+        <FontAwesomeIcon
+          icon={faWallet}
+          className="text-3xl text-secondary-400"
+        />
+        <p className="text-secondary-700">
+          Connect your wallet to see your statistics.
+        </p>
+      </Card>
+    );
+  } else if (isLoading) {
+    content = (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  } else if (error) {
+    content = (
+      <Card className="text-center text-red-600">
+        Could not load your spin history: {error.message}
+      </Card>
+    );
+  } else {
+    content = (
+      <div className="space-y-6">
+        <div className="flex flex-wrap items-center gap-4">
+          <DateInput
+            label="From"
+            value={range.from}
+            onChange={from => setRange(prev => ({ ...prev, from }))}
+          />
+          <DateInput
+            label="To"
+            value={range.to}
+            onChange={to => setRange(prev => ({ ...prev, to }))}
+          />
+          {(range.from || range.to) && (
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => setRange({ from: '', to: '' })}
+            >
+              All time
+            </Button>
+          )}
+          {isSyncing && (
+            <span className="text-xs text-gray-500">Syncing history...</span>
+          )}
+        </div>
+        {!isComplete && (
+          <p className="text-xs text-gray-500">
+            Based on your last {MAX_HISTORY_SIZE} spins, the most the contract
+            keeps; older spins need the history index, which this network does
+            not have.
+          </p>
+        )}
+        {stats.spins === 0 ? (
+          <Card className="text-center text-gray-500">
+            No settled spins in this range.
+          </Card>
+        ) : (
+          <PlayerStats stats={stats} />
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+      <h1 className="flex items-center justify-center gap-3 text-4xl font-bold text-center bg-clip-text text-transparent bg-gradient-to-r from-gaming-primary to-gaming-primary-light">
+        <FontAwesomeIcon icon={faChartLine} className="text-[#22AD74]" />
+        My Statistics
+      </h1>
+      {content}
+    </div>
+  );
+};
+
+export default StatsPage;
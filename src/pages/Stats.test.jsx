@@ -0,0 +1,68 @@
+import React from 'react';
+import { fireEvent, screen, within } from '@testing-library/react';
+import { parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import StatsPage from './Stats.jsx';
+import { BET_TYPES } from '../constants/game';
+import {
+  placeSpin,
+  renderWithProviders,
+  setupSimulatedWallet,
+} from '../test/renderWithProviders.jsx';
+
+const straight = (number, amount) => ({
+  betTypeId: BET_TYPES.STRAIGHT_BET,
+  number,
+  amount: parseEther(amount),
+});
+const red = amount => ({
+  betTypeId: BET_TYPES.RED_BET,
+  number: 0,
+  amount: parseEther(amount),
+});
+
+describe('StatsPage', () => {
+  it('summarizes the spins of the connected player', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    await placeSpin(simulator, {
+      bets: [straight(17, '10')],
+      winningNumber: 17,
+    });
+    await placeSpin(simulator, { bets: [red('20')], winningNumber: 2 });
+    await placeSpin(simulator, { bets: [red('5')], winningNumber: 1 });
+
+    renderWithProviders(<StatsPage />);
+
+    const profit = await screen.findByText(
+      'Net profit',
+      {},
+      { timeout: 10000 }
+    );
+    // 350 won on 17, 20 lost on red, then 5 won on red
+    expect(within(profit.parentElement).getByText('+335 GAMA')).toBeTruthy();
+    expect(screen.getByText('66.7%')).toBeTruthy();
+    expect(screen.getByText('+350 GAMA')).toBeTruthy();
+    expect(screen.getByText('11.66 GAMA')).toBeTruthy();
+    expect(
+      within(screen.getByLabelText('Favorite numbers')).getByText('17')
+    ).toBeTruthy();
+    expect(screen.getByLabelText('Net profit over time')).toBeTruthy();
+    expect(screen.getByText(/Based on your last 10 spins/)).toBeTruthy();
+  });
+
+  it('narrows the stats to a date range', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    await placeSpin(simulator, { bets: [red('5')], winningNumber: 1 });
+
+    renderWithProviders(<StatsPage />);
+    await screen.findByText('Net profit', {}, { timeout: 10000 });
+
+    fireEvent.change(screen.getByLabelText('From'), {
+      target: { value: '2999-01-01' },
+    });
+    expect(screen.getByText('No settled spins in this range.')).toBeTruthy();
+
+    fireEvent.click(screen.getByText('All time'));
+    expect(screen.getByText('Net profit')).toBeTruthy();
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * House bankroll figures for the admin dashboard.
+ *
+ * Roulette events carry no amounts, so wagers, payouts and refunds are read
+ * from the GAMA token's mint and burn logs instead: a bet burns the stake in
+ * the BetPlaced transaction, a win mints the payout in the GameCompleted
+ * transaction and a recovery or force-stop mints the refund in the
+ * GameRecovered one. Each flow is matched to its game event by transaction
+ * hash and player, then bucketed by UTC day.
+ */
+
+import { ethers } from 'ethers';
+import { getTokenClient } from './contractClient';
+import { MAX_POSSIBLE_PAYOUT } from '../constants/game';
+
+// European wheel: every bet pays as if there were 36 pockets out of 37
+export const THEORETICAL_HOUSE_EDGE = 1 / 37;
+
+// Blocks scanned by default, about a week on XDC's 2 second blocks
+export const BANKROLL_LOOKBACK = 302400;
+
+// Blocks per eth_getLogs call; XDC RPC endpoints cap the range they accept
+const SCAN_CHUNK_SIZE = 5000;
+
+// getBlock calls in flight at once while dating game logs
+const BLOCK_FETCH_BATCH_SIZE = 10;
+
+const GAME_EVENTS = ['BetPlaced', 'GameCompleted', 'GameRecovered'];
+
+const ZERO_TOPIC = ethers.zeroPadValue(ethers.ZeroAddress, 32);
+
+const ZERO = BigInt(0);
+
+const emptyDay = day => ({
+  day,
+  spins: 0,
+  wagered: ZERO,
+  paidOut: ZERO,
+  refunded: ZERO,
+});
+
+// Token amounts moved to or from an address, per transaction
+const sumTransfers = (logs, tokenInterface, side) => {
+  const totals = new Map();
+  for (const log of logs) {
+    const { args } = tokenInterface.parseLog(log);
+    const key = `${log.transactionHash}:${args[side].toLowerCase()}`;
+    totals.set(key, (totals.get(key) || ZERO) + args.value);
+  }
+  return totals;
+};
+
+const toDay = timestamp =>
+  new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+// Block timestamps, a batch of getBlock calls at a time
+const fetchBlockTimestamps = async (provider, blockNumbers) => {
+  const timestamps = new Map();
+  for (let i = 0; i < blockNumbers.length; i += BLOCK_FETCH_BATCH_SIZE) {
+    const batch = blockNumbers.slice(i, i + BLOCK_FETCH_BATCH_SIZE);
+    const blocks = await Promise.all(batch.map(n => provider.getBlock(n)));
+    blocks.forEach((block, j) => timestamps.set(batch[j], block.timestamp));
+  }
+  return timestamps;
+};
+
+/**
+ * Share of net stakes the house kept
+ * @param {Object} totals - Summed wagered, paidOut and refunded (wei)
+ * @returns {Number|null} Realized edge, or null before any settled stake
+ */
+export const getRealizedEdge = ({ wagered, paidOut, refunded }) => {
+  const netStaked = wagered - refunded;
+  if (netStaked <= ZERO) return null;
+  return Number(((netStaked - paidOut) * BigInt(1e6)) / netStaked) / 1e6;
+};
+
+/**
+ * Add up daily buckets
+ * @param {Array<Object>} days - Buckets from scanBankrollFlows
+ * @returns {Object} Totals with spins, wagered, paidOut, refunded and
+ *   realizedEdge
+ */
+export const summarizeBankroll = days => {
+  const totals = days.reduce(
+    (sum, day) => ({
+      spins: sum.spins + day.spins,
+      wagered: sum.wagered + day.wagered,
+      paidOut: sum.paidOut + day.paidOut,
+      refunded: sum.refunded + day.refunded,
+    }),
+    emptyDay()
+  );
+  const { day: _day, ...rest } = totals;
+  return { ...rest, realizedEdge: getRealizedEdge(totals) };
+};
+
+/**
+ * Scan recent game and token logs into daily wager, payout and refund
+ * totals. Payouts are counted on the day the game settled, which may be
+ * after the day it was placed. Given the previous scan, only the blocks
+ * mined since are read and added to its buckets, so the range keeps its
+ * start and grows with the chain.
+ * @param {Object} params
+ * @param {Object} params.contract - Roulette ethers Contract
+ * @param {Object} params.tokenContract - GamaToken ethers Contract
+ * @param {Number} [params.lookback] - Blocks to scan back from the head
+ * @param {Object} [params.previous] - Earlier result for the same contracts
+ * @returns {Promise<{days: Array<Object>, fromBlock: Number, toBlock: Number}>}
+ *   Buckets oldest first, each with day (YYYY-MM-DD), spins, wagered,
+ *   paidOut and refunded (wei)
+ */
+export const scanBankrollFlows = async ({
+  contract,
+  tokenContract,
+  lookback = BANKROLL_LOOKBACK,
+  previous = null,
+}) => {
+  if (!contract || !tokenContract) {
+    throw new Error('Roulette and token contracts are required');
+  }
+
+  const provider = contract.runner?.provider || contract.runner;
+  const [rouletteAddress, tokenAddress] = await Promise.all([
+    contract.getAddress(),
+    tokenContract.getAddress(),
+  ]);
+  const gameTopics = GAME_EVENTS.map(
+    name => contract.interface.getEvent(name).topicHash
+  );
+  const transferTopic = tokenContract.interface.getEvent('Transfer').topicHash;
+
+  const latestBlock = await provider.getBlockNumber();
+  if (previous && previous.toBlock >= latestBlock) return previous;
+  const startBlock = previous
+    ? previous.toBlock + 1
+    : Math.max(0, latestBlock - lookback + 1);
+  const gameLogs = [];
+  const mintLogs = [];
+  const burnLogs = [];
+
+  for (
+    let fromBlock = startBlock;
+    fromBlock <= latestBlock;
+    fromBlock += SCAN_CHUNK_SIZE
+  ) {
+    const toBlock = Math.min(fromBlock + SCAN_CHUNK_SIZE - 1, latestBlock);
+    const range = { fromBlock, toBlock };
+    const [games, mints, burns] = await Promise.all([
+      provider.getLogs({
+        ...range,
+        address: rouletteAddress,
+        topics: [gameTopics],
+      }),
+      provider.getLogs({
+        ...range,
+        address: tokenAddress,
+        topics: [transferTopic, ZERO_TOPIC],
+      }),
+      provider.getLogs({
+        ...range,
+        address: tokenAddress,
+        topics: [transferTopic, null, ZERO_TOPIC],
+      }),
+    ]);
+    gameLogs.push(...games);
+    mintLogs.push(...mints);
+    burnLogs.push(...burns);
+  }
+
+  const minted = sumTransfers(mintLogs, tokenContract.interface, 'to');
+  const burned = sumTransfers(burnLogs, tokenContract.interface, 'from');
+
+  const blockTimestamps = await fetchBlockTimestamps(provider, [
+    ...new Set(gameLogs.map(log => log.blockNumber)),
+  ]);
+
+  const days = new Map(
+    (previous?.days || []).map(bucket => [bucket.day, { ...bucket }])
+  );
+  for (const log of gameLogs) {
+    const { name, args } = contract.interface.parseLog(log);
+    const day = toDay(blockTimestamps.get(log.blockNumber));
+    const bucket = days.get(day) || emptyDay(day);
+    const key = `${log.transactionHash}:${args.player.toLowerCase()}`;
+
+    if (name === 'BetPlaced') {
+      bucket.spins += 1;
+      bucket.wagered += burned.get(key) || ZERO;
+    } else if (name === 'GameCompleted') {
+      bucket.paidOut += minted.get(key) || ZERO;
+    } else {
+      bucket.refunded += minted.get(key) || ZERO;
+    }
+    days.set(day, bucket);
+  }
+
+  return {
+    days: [...days.values()].sort((a, b) => a.day.localeCompare(b.day)),
+    fromBlock: previous?.fromBlock ?? startBlock,
+    toBlock: latestBlock,
+  };
+};
+
+/**
+ * Read how much more GAMA the Roulette contract can mint, and so how many
+ * maximum-payout spins it can still cover. placeBet rejects a bet whose
+ * maximum payout exceeds this. The token only answers MINTER_ROLE holders,
+ * so the call is made as the Roulette contract, through the provider since
+ * a signer refuses a foreign `from`.
+ * @param {Object} params
+ * @param {Object} params.contract - Roulette ethers Contract
+ * @param {Object} params.tokenContract - GamaToken ethers Contract
+ * @param {BigInt} [params.maxPossiblePayout] - Largest payout of a single
+ *   spin (wei)
+ * @returns {Promise<{remaining: BigInt, maxPayoutSpins: BigInt,
+ *   isBelowMaxPayout: Boolean}>} Headroom (wei) and coverage
+ */
+export const getMintHeadroom = async ({
+  contract,
+  tokenContract,
+  maxPossiblePayout = MAX_POSSIBLE_PAYOUT,
+}) => {
+  const provider = tokenContract.runner?.provider || tokenContract.runner;
+  const remaining = await getTokenClient(
+    tokenContract.connect(provider)
+  ).getRemainingMintable({ from: await contract.getAddress() });
+  return {
+    remaining,
+    maxPayoutSpins: remaining / maxPossiblePayout,
+    isBelowMaxPayout: remaining < maxPossiblePayout,
+  };
+};
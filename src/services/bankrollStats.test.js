@@ -0,0 +1,171 @@
+import { parseEther } from 'ethers';
+import { describe, expect, it, vi } from 'vitest';
+import {
+  getMintHeadroom,
+  getRealizedEdge,
+  scanBankrollFlows,
+  summarizeBankroll,
+} from './bankrollStats';
+import { BET_TYPES } from '../constants/game';
+import { createSimulator } from '../simulator';
+import { placeSpin } from '../test/renderWithProviders.jsx';
+
+const DAY = 24 * 60 * 60;
+const START = Date.UTC(2026, 0, 1, 12) / 1000;
+
+const redBet = amount => [
+  { betTypeId: BET_TYPES.RED_BET, number: 0, amount: parseEther(amount) },
+];
+
+const setup = async options => {
+  const simulator = createSimulator({ seed: 'bankroll', ...options });
+  await simulator.ready;
+  const { Roulette, token } = await simulator.getContracts();
+  return { simulator, contract: Roulette, tokenContract: token };
+};
+
+describe('bankrollStats', () => {
+  it('buckets wagers, payouts and refunds by the day they happened', async () => {
+    const { simulator, contract, tokenContract } = await setup({
+      startTime: START,
+    });
+    const [, alice, bob] = simulator.accounts;
+
+    // Day one: a 10 GAMA win on red (1) and a 5 GAMA loss on black (2)
+    await placeSpin(simulator, {
+      account: alice,
+      bets: redBet('10'),
+      winningNumber: 1,
+    });
+    await placeSpin(simulator, {
+      account: bob,
+      bets: redBet('5'),
+      winningNumber: 2,
+    });
+
+    // Day two: a 3 GAMA spin that never settles and is recovered
+    simulator.chain.increaseTime(DAY);
+    await placeSpin(simulator, { account: alice, bets: redBet('3') });
+    simulator.passRecoveryWindow();
+    const { Roulette } = await simulator.getContracts(alice);
+    await Roulette.recoverOwnStuckGame();
+
+    const { days } = await scanBankrollFlows({ contract, tokenContract });
+
+    expect(days).toEqual([
+      {
+        day: '2026-01-01',
+        spins: 2,
+        wagered: parseEther('15'),
+        paidOut: parseEther('20'),
+        refunded: parseEther('0'),
+      },
+      {
+        day: '2026-01-02',
+        spins: 1,
+        wagered: parseEther('3'),
+        paidOut: parseEther('0'),
+        refunded: parseEther('3'),
+      },
+    ]);
+
+    const totals = summarizeBankroll(days);
+    expect(totals.spins).toBe(3);
+    // Net stakes of 15 against 20 paid out
+    expect(totals.realizedEdge).toBeCloseTo(-1 / 3, 5);
+    expect(totals.paidOut).toBe(await contract.totalPayoutAmount());
+  });
+
+  it('ignores airdrops and transfers that are not game flows', async () => {
+    const { simulator, contract, tokenContract } = await setup();
+    const [, alice, bob] = simulator.accounts;
+
+    await tokenContract.airdrop([alice], parseEther('50'));
+    const { token } = await simulator.getContracts(alice);
+    await token.transfer(bob, parseEther('1'));
+
+    const { days } = await scanBankrollFlows({ contract, tokenContract });
+    expect(days).toEqual([]);
+    expect(summarizeBankroll(days).realizedEdge).toBeNull();
+  });
+
+  it('adds only the blocks mined since the previous scan', async () => {
+    const { simulator, contract, tokenContract } = await setup({
+      startTime: START,
+    });
+    const [, alice] = simulator.accounts;
+
+    await placeSpin(simulator, {
+      account: alice,
+      bets: redBet('10'),
+      winningNumber: 2,
+    });
+    const first = await scanBankrollFlows({ contract, tokenContract });
+
+    await placeSpin(simulator, {
+      account: alice,
+      bets: redBet('4'),
+      winningNumber: 1,
+    });
+    const getLogs = vi.spyOn(simulator.provider, 'getLogs');
+    const second = await scanBankrollFlows({
+      contract,
+      tokenContract,
+      previous: first,
+    });
+
+    expect(getLogs).toHaveBeenCalledTimes(3);
+    expect(getLogs.mock.calls[0][0].fromBlock).toBe(first.toBlock + 1);
+    expect(second.fromBlock).toBe(first.fromBlock);
+    expect(second.days).toEqual([
+      {
+        day: '2026-01-01',
+        spins: 2,
+        wagered: parseEther('14'),
+        paidOut: parseEther('8'),
+        refunded: parseEther('0'),
+      },
+    ]);
+    expect(first.days[0].spins).toBe(1);
+
+    getLogs.mockClear();
+    expect(
+      await scanBankrollFlows({ contract, tokenContract, previous: second })
+    ).toBe(second);
+    expect(getLogs).not.toHaveBeenCalled();
+  });
+
+  it('reports no edge until a stake has settled', () => {
+    const zero = parseEther('0');
+    expect(
+      getRealizedEdge({ wagered: zero, paidOut: zero, refunded: zero })
+    ).toBeNull();
+    expect(
+      getRealizedEdge({
+        wagered: parseEther('100'),
+        paidOut: parseEther('90'),
+        refunded: zero,
+      })
+    ).toBe(0.1);
+  });
+
+  it('reads mint headroom as the Roulette contract', async () => {
+    const { contract, tokenContract } = await setup();
+    const headroom = await getMintHeadroom({ contract, tokenContract });
+
+    // 1bn cap less three 10,000 GAMA airdrops, 17.5M per maximum payout
+    expect(headroom.remaining).toBe(parseEther('999970000'));
+    expect(headroom.maxPayoutSpins).toBe(BigInt(57));
+    expect(headroom.isBelowMaxPayout).toBe(false);
+  });
+
+  it('flags headroom below a single maximum payout', async () => {
+    const { contract, tokenContract } = await setup({
+      maxMintable: '10000000',
+    });
+    const headroom = await getMintHeadroom({ contract, tokenContract });
+
+    expect(headroom.maxPayoutSpins).toBe(BigInt(0));
+    expect(headroom.isBelowMaxPayout).toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Pre-flight check of a bet slip against the live contracts.
+ *
+ * placeBet reverts on a paused game, a spin already in progress, a reserve
+ * of winnings the token can no longer mint, a short balance or allowance,
+ * and a Roulette that lost its burner or minter role. Reading that state
+ * first lets the slip explain the problem before the wallet asks the
+ * player to sign and pay gas for a transaction that would fail.
+ */
+
+import { ethers } from 'ethers';
+import { getRouletteClient, getTokenClient } from './contractClient';
+import { validateBetSlip } from '../utils/betValidation';
+
+const BURNER_ROLE = ethers.id('BURNER_ROLE');
+const MINTER_ROLE = ethers.id('MINTER_ROLE');
+
+/**
+ * Read everything placeBet checks about the player and the contracts
+ * @param {Object} params
+ * @param {Object} params.contract - Roulette ethers Contract
+ * @param {Object} params.tokenContract - GamaToken ethers Contract
+ * @param {String} params.player - Player address
+ * @returns {Promise<Object>} State in the shape validateBetSlip takes
+ */
+export const readPreflightState = async ({
+  contract,
+  tokenContract,
+  player,
+}) => {
+  if (!contract || !tokenContract || !player) {
+    throw new Error('Contracts and player are required for a pre-flight check');
+  }
+
+  const roulette = getRouletteClient(contract);
+  const token = getTokenClient(tokenContract);
+  const rouletteAddress = await contract.getAddress();
+  const provider = tokenContract.runner?.provider || tokenContract.runner;
+
+  const [
+    paused,
+    canStartNewGame,
+    balance,
+    allowance,
+    hasBurnerRole,
+    hasMinterRole,
+    remainingMintable,
+  ] = await Promise.all([
+    roulette.paused(),
+    roulette.canStartNewGame(player),
+    token.balanceOf(player),
+    token.allowance(player, rouletteAddress),
+    token.hasRole(BURNER_ROLE, rouletteAddress),
+    token.hasRole(MINTER_ROLE, rouletteAddress),
+    // Only minters may ask, so ask as the Roulette, the caller in placeBet.
+    // Without the role the read reverts and hasMinterRole explains why.
+    getTokenClient(tokenContract.connect(provider))
+      .getRemainingMintable({ from: rouletteAddress })
+      .catch(() => undefined),
+  ]);
+
+  return {
+    paused,
+    canStartNewGame,
+    balance,
+    allowance,
+    hasBurnerRole,
+    hasMinterRole,
+    remainingMintable,
+  };
+};
+
+/**
+ * Check a bet slip against the slip rules and the live contract state
+ * @param {Object} params
+ * @param {Object[]} params.bets - Bets with betTypeId, number and amount
+ * @param {Object} params.contract - Roulette ethers Contract
+ * @param {Object} params.tokenContract - GamaToken ethers Contract
+ * @param {String} params.player - Player address
+ * @returns {Promise<Object>} validateBetSlip result
+ */
+export const preflightBets = async ({ bets, ...params }) =>
+  validateBetSlip(bets, await readPreflightState(params));
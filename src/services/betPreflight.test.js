@@ -0,0 +1,78 @@
+import { MaxUint256, ethers, parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import { preflightBets, readPreflightState } from './betPreflight';
+import { BET_TYPES } from '../constants/game';
+import { createSimulator } from '../simulator';
+import { placeSpin } from '../test/renderWithProviders.jsx';
+
+const redBet = amount => [
+  { betTypeId: BET_TYPES.RED_BET, number: 0, amount: parseEther(amount) },
+];
+
+const setup = async () => {
+  const simulator = createSimulator({ seed: 'preflight' });
+  await simulator.ready;
+  const [owner, player] = simulator.accounts;
+  const { Roulette, token } = await simulator.getContracts(player);
+  return { simulator, owner, player, contract: Roulette, tokenContract: token };
+};
+
+describe('betPreflight', () => {
+  it('reads what placeBet checks', async () => {
+    const { player, contract, tokenContract } = await setup();
+
+    const state = await readPreflightState({
+      contract,
+      tokenContract,
+      player,
+    });
+
+    expect(state).toMatchObject({
+      paused: false,
+      canStartNewGame: true,
+      balance: parseEther('10000'),
+      allowance: BigInt(0),
+      hasBurnerRole: true,
+      hasMinterRole: true,
+    });
+    expect(state.remainingMintable > BigInt(0)).toBe(true);
+  });
+
+  it('stops a bet that would revert before it is signed', async () => {
+    const { simulator, player, contract, tokenContract } = await setup();
+    const params = { contract, tokenContract, player };
+
+    const unapproved = await preflightBets({ ...params, bets: redBet('1') });
+    expect(unapproved.isValid).toBe(false);
+    expect(unapproved.slipErrors).toEqual([
+      'Approve at least 1 GAMA for the game first, 0 GAMA is approved',
+    ]);
+
+    await tokenContract.approve(simulator.addresses.Roulette, MaxUint256);
+    expect(
+      (await preflightBets({ ...params, bets: redBet('1') })).isValid
+    ).toBe(true);
+
+    await placeSpin(simulator, { account: player });
+    const busy = await preflightBets({ ...params, bets: redBet('1') });
+    expect(busy.slipErrors).toEqual(['You already have a spin in progress']);
+  });
+
+  it('explains a Roulette that can no longer mint payouts', async () => {
+    const { simulator, owner, player, contract, tokenContract } = await setup();
+    const { token } = await simulator.getContracts(owner);
+    await token.revokeRole(
+      ethers.id('MINTER_ROLE'),
+      simulator.addresses.Roulette
+    );
+
+    const state = await readPreflightState({
+      contract,
+      tokenContract,
+      player,
+    });
+
+    expect(state.hasMinterRole).toBe(false);
+    expect(state.remainingMintable).toBeUndefined();
+  });
+});
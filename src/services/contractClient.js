@@ -0,0 +1,868 @@
+import { ethers } from 'ethers';
+import RouletteABI from '../contracts/abi/Roulette.json';
+import TokenABI from '../contracts/abi/GamaToken.json';
+import { BET_KINDS, BET_TYPES, MAX_HISTORY_SIZE } from '../constants/game';
+import {
+  getBetTypeIdFromDetails,
+  getHistorySlotsNewestFirst,
+} from '../utils/rouletteUtils';
+
+/**
+ * Typed wrappers around the Roulette and GamaToken contracts.
+ *
+ * Every function in src/contracts/abi/*.json has a wrapper here. Reads return
+ * plain objects: uint256 amounts become BigInt, small integers (uint8
+ * numbers, timestamps, counts) become Number, request IDs become strings and
+ * enum values are decoded. Writes return the ethers transaction response and
+ * leave contract errors untouched so handleContractError can decode them.
+ *
+ * Instead of probing methods at runtime, clients check the contract instance
+ * against the bundled ABI when they are created and throw AbiMismatchError if
+ * the two disagree. verifyDeployment() does the same against the bytecode
+ * deployed at the configured address.
+ */
+
+/**
+ * @typedef {Object} GameStatus
+ * @property {Boolean} isActive - A spin is waiting for its VRF result
+ * @property {Boolean} isWin - The last spin paid out
+ * @property {Boolean} isCompleted - The last spin has settled
+ * @property {Number} winningNumber - Pocket 0-36, or a RESULT_* code
+ * @property {BigInt} totalAmount - Total staked on the last spin (wei)
+ * @property {BigInt} totalPayout - Total returned by the last spin (wei)
+ * @property {String} requestId - VRF request ID of the last spin
+ * @property {Boolean} requestExists - The VRF request is known to the contract
+ * @property {Boolean} requestProcessed - The VRF request has been fulfilled
+ * @property {Boolean} recoveryEligible - recoverOwnStuckGame would succeed
+ * @property {Number} lastPlayTimestamp - Unix time of the last spin
+ */
+
+/**
+ * @typedef {Object} BetDetails
+ * @property {Number} betKind - BetType enum value
+ * @property {String} betKindName - BetType enum name, e.g. 'Dozen'
+ * @property {Number|null} betTypeId - Bet type ID as accepted by placeBet
+ * @property {Number} number - Straight bet number, 0 for other bets
+ * @property {Number[]} numbers - Numbers covered by the bet
+ * @property {BigInt} amount - Amount staked (wei)
+ * @property {BigInt} payout - Amount returned, 0 if the bet lost (wei)
+ */
+
+/**
+ * @typedef {Object} Bet
+ * @property {Number} timestamp - Unix time the spin was placed
+ * @property {BetDetails[]} bets - Individual bets on the spin
+ * @property {Number} winningNumber - Pocket 0-36, or a RESULT_* code
+ * @property {Boolean} completed - The spin has settled
+ * @property {Boolean} isActive - The spin is waiting for its VRF result
+ * @property {BigInt} totalAmount - Sum of bet amounts (wei)
+ * @property {BigInt} totalPayout - Sum of bet payouts (wei)
+ */
+
+/**
+ * @typedef {Object} BetTypeInfo
+ * @property {Number} betTypeId - Bet type ID
+ * @property {String} name - Display name
+ * @property {Boolean} requiresNumber - Whether a number must be supplied
+ * @property {Number} multiplier - Payout multiplier in DENOMINATOR units
+ */
+
+/**
+ * @typedef {Object} UserData
+ * @property {Number} maxHistorySize - Size of the circular history buffer
+ * @property {String} currentRequestId - VRF request ID of the current spin
+ * @property {Boolean} requestFulfilled - The current request was fulfilled
+ * @property {Number} lastPlayedTimestamp - Unix time of the last spin
+ * @property {Number} lastPlayedBlock - Block number of the last spin
+ * @property {Number} historyIndex - Next write slot in the history buffer
+ */
+
+/**
+ * Thrown when the ABI bundled with the app does not match the contract it
+ * is talking to
+ */
+export class AbiMismatchError extends Error {
+  constructor(message, { contractName, method, cause } = {}) {
+    super(message);
+    this.name = 'AbiMismatchError';
+    this.contractName = contractName;
+    this.method = method;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Normalize a getGameStatus result
+ * @param {Object} status - Raw ethers Result
+ * @returns {GameStatus} Normalized status
+ */
+export const normalizeGameStatus = status => ({
+  isActive: status.isActive,
+  isWin: status.isWin,
+  isCompleted: status.isCompleted,
+  winningNumber: Number(status.winningNumber),
+  totalAmount: BigInt(status.totalAmount),
+  totalPayout: BigInt(status.totalPayout),
+  requestId: status.requestId.toString(),
+  requestExists: status.requestExists,
+  requestProcessed: status.requestProcessed,
+  recoveryEligible: status.recoveryEligible,
+  lastPlayTimestamp: Number(status.lastPlayTimestamp),
+});
+
+/**
+ * Normalize a BetDetails struct
+ * @param {Object} details - Raw ethers Result
+ * @returns {BetDetails} Normalized bet
+ */
+export const normalizeBetDetails = details => {
+  const betKind = Number(details.betType);
+  const numbers = Array.from(details.numbers, Number);
+  const betTypeId = getBetTypeIdFromDetails(betKind, numbers);
+
+  return {
+    betKind,
+    betKindName: BET_KINDS[betKind] || 'Unknown',
+    betTypeId,
+    number: betTypeId === BET_TYPES.STRAIGHT_BET ? numbers[0] : 0,
+    numbers,
+    amount: BigInt(details.amount),
+    payout: BigInt(details.payout),
+  };
+};
+
+/**
+ * Normalize a Bet struct from the player's history
+ * @param {Object} bet - Raw ethers Result
+ * @returns {Bet} Normalized spin
+ */
+export const normalizeBet = bet => {
+  const bets = Array.from(bet.bets, normalizeBetDetails);
+
+  return {
+    timestamp: Number(bet.timestamp),
+    bets,
+    winningNumber: Number(bet.winningNumber),
+    completed: bet.completed,
+    isActive: bet.isActive,
+    totalAmount: bets.reduce((sum, b) => sum + b.amount, BigInt(0)),
+    totalPayout: bets.reduce((sum, b) => sum + b.payout, BigInt(0)),
+  };
+};
+
+/**
+ * Normalize a userData mapping entry
+ * @param {Object} data - Raw ethers Result
+ * @returns {UserData} Normalized user data
+ */
+export const normalizeUserData = data => ({
+  maxHistorySize: Number(data.maxHistorySize),
+  currentRequestId: data.currentRequestId.toString(),
+  requestFulfilled: data.requestFulfilled,
+  lastPlayedTimestamp: Number(data.lastPlayedTimestamp),
+  lastPlayedBlock: Number(data.lastPlayedBlock),
+  historyIndex: Number(data.historyIndex),
+});
+
+// Trailing call overrides are only passed when given, since ethers treats an
+// extra argument as overrides
+const withOverrides = overrides => (overrides ? [overrides] : []);
+
+// ethers reports BAD_DATA when a call returns bytes that cannot be decoded
+// with the ABI, e.g. '0x' from an address without that function
+const isAbiMismatch = error => error?.code === 'BAD_DATA';
+
+/**
+ * Check that the bytecode at the contract address implements every
+ * function in its ABI
+ * @param {Object} contract - ethers Contract instance
+ * @param {String} contractName - Name used in error messages
+ * @returns {Promise<true>} Resolves when the deployment matches
+ * @throws {AbiMismatchError} When code is missing or selectors are absent
+ */
+export const verifyDeployment = async (contract, contractName) => {
+  const provider = contract.runner?.provider || contract.runner;
+  const address = await contract.getAddress();
+  const code = await provider.getCode(address);
+
+  if (!code || code === '0x') {
+    throw new AbiMismatchError(
+      `No ${contractName} contract is deployed at ${address}`,
+      { contractName }
+    );
+  }
+
+  // Solidity dispatchers compare calldata against each 4-byte selector, so
+  // every external function's selector appears in the runtime bytecode
+  const bytecode = code.toLowerCase();
+  const missing = [];
+  contract.interface.forEachFunction(fragment => {
+    if (!bytecode.includes(fragment.selector.slice(2))) {
+      missing.push(fragment.name);
+    }
+  });
+
+  if (missing.length > 0) {
+    throw new AbiMismatchError(
+      `${contractName} at ${address} does not implement: ${missing.join(', ')}`,
+      { contractName }
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Build the read/send primitives shared by both clients
+ * @param {Object} contract - ethers Contract instance
+ * @param {Array} abi - Expected ABI
+ * @param {String} contractName - Name used in error messages
+ * @returns {Object} read and send helpers
+ */
+const createBaseClient = (contract, abi, contractName) => {
+  if (!contract?.interface) {
+    throw new Error(`${contractName} contract not initialized`);
+  }
+
+  // A contract instance built from an older ABI would be missing functions
+  const missing = abi
+    .filter(item => item.type === 'function')
+    .filter(item => !contract.interface.getFunction(item.name))
+    .map(item => item.name);
+
+  if (missing.length > 0) {
+    throw new AbiMismatchError(
+      `${contractName} contract instance is missing ABI functions: ${missing.join(', ')}`,
+      { contractName }
+    );
+  }
+
+  const read = async (method, ...args) => {
+    try {
+      return await contract.getFunction(method).staticCall(...args);
+    } catch (error) {
+      if (isAbiMismatch(error)) {
+        throw new AbiMismatchError(
+          `${contractName}.${method} returned data that does not match the ABI`,
+          { contractName, method, cause: error }
+        );
+      }
+      throw error;
+    }
+  };
+
+  const send = (method, args = [], overrides) =>
+    overrides
+      ? contract.getFunction(method).send(...args, overrides)
+      : contract.getFunction(method).send(...args);
+
+  return { read, send };
+};
+
+/**
+ * Create a typed client for the Roulette contract
+ * @param {Object} contract - ethers Contract built from Roulette.json
+ * @returns {Object} Roulette client
+ * @throws {AbiMismatchError} When the contract instance does not match the ABI
+ */
+export const createRouletteClient = contract => {
+  const { read, send } = createBaseClient(
+    contract,
+    RouletteABI.abi,
+    'Roulette'
+  );
+
+  const client = {
+    contract,
+
+    /** @returns {Promise<true>} Resolves when the deployed code matches */
+    verifyDeployment: () => verifyDeployment(contract, 'Roulette'),
+
+    // ---- Game state ----
+
+    /**
+     * @param {String} player - Player address
+     * @returns {Promise<GameStatus>} Current or last spin status
+     */
+    getGameStatus: async player =>
+      normalizeGameStatus(await read('getGameStatus', player)),
+
+    /**
+     * @param {String} player - Player address
+     * @returns {Promise<Boolean>} Whether placeBet would accept a new spin
+     */
+    canStartNewGame: player => read('canStartNewGame', player),
+
+    /**
+     * @param {String} player - Player address
+     * @returns {Promise<Boolean>} Whether a VRF request is outstanding
+     */
+    hasPendingRequest: player => read('hasPendingRequest', player),
+
+    /**
+     * @param {String|BigInt} requestId - VRF request ID
+     * @returns {Promise<String|null>} Player address, or null if unknown
+     */
+    getPlayerForRequest: async requestId => {
+      const player = await read('getPlayerForRequest', requestId);
+      return player === ethers.ZeroAddress ? null : player;
+    },
+
+    /**
+     * @param {String|BigInt} requestId - VRF request ID
+     * @returns {Promise<{fulfilled: Boolean, exists: Boolean}>} Request state
+     */
+    getRequest: async requestId => {
+      const request = await read('s_requests', requestId);
+      return { fulfilled: request.fulfilled, exists: request.exists };
+    },
+
+    /**
+     * @param {String} player - Player address
+     * @param {Object} [overrides] - Call overrides, e.g. { blockTag }
+     * @returns {Promise<UserData>} Stored per-player data
+     */
+    getUserData: async (player, overrides) =>
+      normalizeUserData(
+        await read('userData', player, ...withOverrides(overrides))
+      ),
+
+    // ---- History ----
+
+    /**
+     * Read a slice of the player's history buffer in storage order. Once the
+     * buffer is full it wraps, so storage order is not chronological.
+     * @param {String} player - Player address
+     * @param {Number} offset - First slot to read
+     * @param {Number} limit - Number of slots to read
+     * @param {Object} [overrides] - Call overrides, e.g. { blockTag }
+     * @returns {Promise<{bets: Bet[], total: Number}>} Spins and buffer length
+     */
+    getUserBetHistory: async (
+      player,
+      offset = 0,
+      limit = MAX_HISTORY_SIZE,
+      overrides
+    ) => {
+      const [bets, total] = await read(
+        'getUserBetHistory',
+        player,
+        offset,
+        limit,
+        ...withOverrides(overrides)
+      );
+      return { bets: Array.from(bets, normalizeBet), total: Number(total) };
+    },
+
+    /**
+     * Read the player's spins newest first. Slots are ordered from the
+     * buffer's write position, so the order survives wraparound; contiguous
+     * slots are fetched with one getUserBetHistory call each.
+     * @param {String} player - Player address
+     * @param {Number} offset - Spins to skip, counting from the newest
+     * @param {Number} limit - Maximum spins to return
+     * @param {Object} [overrides] - Call overrides, e.g. { blockTag } to
+     *   read the history as it was at a past block
+     * @returns {Promise<{spins: Array<Bet & {slot: Number}>, total: Number}>}
+     *   Spins with their buffer slot, and the number of spins stored
+     */
+    getHistoryPage: async (
+      player,
+      offset = 0,
+      limit = MAX_HISTORY_SIZE,
+      overrides
+    ) => {
+      const [{ total }, { historyIndex }] = await Promise.all([
+        client.getUserBetHistory(player, 0, 0, overrides),
+        client.getUserData(player, overrides),
+      ]);
+
+      const slots = getHistorySlotsNewestFirst(total, historyIndex).slice(
+        offset,
+        offset + limit
+      );
+
+      const ranges = [];
+      [...slots]
+        .sort((a, b) => a - b)
+        .forEach(slot => {
+          const last = ranges[ranges.length - 1];
+          if (last && slot === last.start + last.count) {
+            last.count++;
+          } else {
+            ranges.push({ start: slot, count: 1 });
+          }
+        });
+
+      const results = await Promise.all(
+        ranges.map(range =>
+          client.getUserBetHistory(player, range.start, range.count, overrides)
+        )
+      );
+
+      const bySlot = new Map();
+      ranges.forEach((range, i) => {
+        results[i].bets.forEach((bet, j) => bySlot.set(range.start + j, bet));
+      });
+
+      return {
+        spins: slots
+          .filter(slot => bySlot.has(slot))
+          .map(slot => ({ slot, ...bySlot.get(slot) })),
+        total,
+      };
+    },
+
+    /**
+     * @param {String} player - Player address
+     * @param {Number} betIndex - Slot in the history buffer
+     * @returns {Promise<{timestamp: Number, bets: BetDetails[], resultNumber: Number, isWin: Boolean}>}
+     *   Spin details
+     */
+    getBetDetails: async (player, betIndex) => {
+      const [timestamp, betDetails, resultNumber, isWin] = await read(
+        'getBetDetails',
+        player,
+        betIndex
+      );
+      return {
+        timestamp: Number(timestamp),
+        bets: Array.from(betDetails, normalizeBetDetails),
+        resultNumber: Number(resultNumber),
+        isWin,
+      };
+    },
+
+    // ---- Bet types ----
+
+    /** @returns {Promise<BetTypeInfo[]>} Every bet type the contract accepts */
+    getAllBetTypes: async () => {
+      const [betTypeIds, names, requiresNumbers, multipliers] =
+        await read('getAllBetTypes');
+      return Array.from(betTypeIds, (id, i) => ({
+        betTypeId: Number(id),
+        name: names[i],
+        requiresNumber: requiresNumbers[i],
+        multiplier: Number(multipliers[i]),
+      }));
+    },
+
+    /**
+     * @param {Number} betTypeId - Bet type ID
+     * @returns {Promise<BetTypeInfo>} Bet type details
+     */
+    getBetTypeInfo: async betTypeId => {
+      const [name, requiresNumber, multiplier] = await read(
+        'getBetTypeInfo',
+        betTypeId
+      );
+      return {
+        betTypeId: Number(betTypeId),
+        name,
+        requiresNumber,
+        multiplier: Number(multiplier),
+      };
+    },
+
+    /**
+     * @param {Number} betTypeId - Bet type ID
+     * @returns {Promise<Number[]>} Numbers that win for the bet type
+     */
+    getPossibleWinningNumbers: async betTypeId =>
+      Array.from(await read('getPossibleWinningNumbers', betTypeId), Number),
+
+    // ---- Contract state and totals ----
+
+    /** @returns {Promise<Boolean>} Whether betting is paused */
+    paused: () => read('paused'),
+
+    /** @returns {Promise<String>} Owner address */
+    owner: () => read('owner'),
+
+    /** @returns {Promise<String>} GAMA token address */
+    gamaToken: () => read('gamaToken'),
+
+    /** @returns {Promise<BigInt>} Spins played across all players */
+    totalGamesPlayed: () => read('totalGamesPlayed'),
+
+    /** @returns {Promise<BigInt>} Tokens paid out across all players */
+    totalPayoutAmount: () => read('totalPayoutAmount'),
+
+    /** @returns {Promise<BigInt>} Tokens wagered across all players */
+    totalWageredAmount: () => read('totalWageredAmount'),
+
+    /**
+     * Read the public constants declared by the contract
+     * @returns {Promise<Object>} Limits, result codes, bet type IDs and roles
+     */
+    getConstants: async () => {
+      const getters = RouletteABI.abi.filter(
+        item =>
+          item.type === 'function' &&
+          item.inputs.length === 0 &&
+          /^[A-Z][A-Z0-9_]*$/.test(item.name)
+      );
+      const values = await Promise.all(getters.map(item => read(item.name)));
+
+      // uint8 IDs and result codes become Numbers; amounts stay BigInt
+      return Object.fromEntries(
+        getters.map((item, i) => [
+          item.name,
+          item.outputs[0].type === 'uint8' ? Number(values[i]) : values[i],
+        ])
+      );
+    },
+
+    // ---- Writes ----
+
+    /**
+     * @param {Array<{betTypeId: Number, number: Number, amount: BigInt}>} betRequests
+     *   BetRequest tuples
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    placeBet: (betRequests, overrides) =>
+      send('placeBet', [betRequests], overrides),
+
+    /**
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    recoverOwnStuckGame: overrides =>
+      send('recoverOwnStuckGame', [], overrides),
+
+    /**
+     * Owner only: refund and end a player's active spin
+     * @param {String} player - Player address
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    forceStopGame: (player, overrides) =>
+      send('forceStopGame', [player], overrides),
+
+    /**
+     * Owner only
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    pause: overrides => send('pause', [], overrides),
+
+    /**
+     * Owner only
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    unpause: overrides => send('unpause', [], overrides),
+
+    /**
+     * Owner only
+     * @param {String} newOwner - New owner address
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    transferOwnership: (newOwner, overrides) =>
+      send('transferOwnership', [newOwner], overrides),
+
+    /**
+     * Owner only
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    renounceOwnership: overrides => send('renounceOwnership', [], overrides),
+
+    /**
+     * VRF coordinator only; reverts for any other caller
+     * @param {String|BigInt} requestId - VRF request ID
+     * @param {BigInt[]} randomWords - Random words
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    rawFulfillRandomWords: (requestId, randomWords, overrides) =>
+      send('rawFulfillRandomWords', [requestId, randomWords], overrides),
+  };
+
+  return client;
+};
+
+/**
+ * Create a typed client for the GamaToken contract
+ * @param {Object} contract - ethers Contract built from GamaToken.json
+ * @returns {Object} Token client
+ * @throws {AbiMismatchError} When the contract instance does not match the ABI
+ */
+export const createTokenClient = contract => {
+  const { read, send } = createBaseClient(contract, TokenABI.abi, 'GamaToken');
+
+  return {
+    contract,
+
+    /** @returns {Promise<true>} Resolves when the deployed code matches */
+    verifyDeployment: () => verifyDeployment(contract, 'GamaToken'),
+
+    // ---- ERC20 ----
+
+    /** @returns {Promise<String>} Token name */
+    name: () => read('name'),
+
+    /** @returns {Promise<String>} Token symbol */
+    symbol: () => read('symbol'),
+
+    /** @returns {Promise<Number>} Token decimals */
+    decimals: async () => Number(await read('decimals')),
+
+    /** @returns {Promise<BigInt>} Total supply (wei) */
+    totalSupply: () => read('totalSupply'),
+
+    /**
+     * @param {String} account - Holder address
+     * @returns {Promise<BigInt>} Balance (wei)
+     */
+    balanceOf: account => read('balanceOf', account),
+
+    /**
+     * @param {String} owner - Holder address
+     * @param {String} spender - Spender address
+     * @returns {Promise<BigInt>} Remaining allowance (wei)
+     */
+    allowance: (owner, spender) => read('allowance', owner, spender),
+
+    /**
+     * @param {String} spender - Spender address
+     * @param {BigInt} amount - Allowance (wei)
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    approve: (spender, amount, overrides) =>
+      send('approve', [spender, amount], overrides),
+
+    /**
+     * @param {String} to - Recipient address
+     * @param {BigInt} amount - Amount (wei)
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    transfer: (to, amount, overrides) =>
+      send('transfer', [to, amount], overrides),
+
+    /**
+     * @param {String} from - Holder address
+     * @param {String} to - Recipient address
+     * @param {BigInt} amount - Amount (wei)
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    transferFrom: (from, to, amount, overrides) =>
+      send('transferFrom', [from, to, amount], overrides),
+
+    // ---- Supply ----
+
+    /**
+     * @param {Object} [overrides] - Call overrides, e.g. { from }
+     * @returns {Promise<BigInt>} Mint cap (wei)
+     */
+    getMaxMintable: overrides =>
+      read('getMaxMintable', ...withOverrides(overrides)),
+
+    /**
+     * @param {Object} [overrides] - Call overrides, e.g. { from }
+     * @returns {Promise<BigInt>} Tokens still mintable under the cap (wei)
+     */
+    getRemainingMintable: overrides =>
+      read('getRemainingMintable', ...withOverrides(overrides)),
+
+    /**
+     * @param {Object} [overrides] - Call overrides, e.g. { from }
+     * @returns {Promise<BigInt>} Tokens minted so far (wei)
+     */
+    getTotalMinted: overrides =>
+      read('getTotalMinted', ...withOverrides(overrides)),
+
+    /**
+     * @param {String} subAdmin - Sub-admin address
+     * @returns {Promise<BigInt>} Sub-admin mint limit (wei)
+     */
+    subAdminMintLimit: subAdmin => read('subAdminMintLimit', subAdmin),
+
+    /**
+     * @param {String} subAdmin - Sub-admin address
+     * @returns {Promise<BigInt>} Tokens minted by the sub-admin (wei)
+     */
+    subAdminMinted: subAdmin => read('subAdminMinted', subAdmin),
+
+    /**
+     * @param {String} to - Recipient address
+     * @param {BigInt} amount - Amount (wei)
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    mint: (to, amount, overrides) => send('mint', [to, amount], overrides),
+
+    /**
+     * @param {String[]} recipients - Recipient addresses
+     * @param {BigInt} amount - Amount per recipient (wei)
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    airdrop: (recipients, amount, overrides) =>
+      send('airdrop', [recipients, amount], overrides),
+
+    /**
+     * @param {BigInt} amount - Amount to burn from the caller (wei)
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    controlledBurn: (amount, overrides) =>
+      send('controlledBurn', [amount], overrides),
+
+    /**
+     * @param {String} account - Holder address
+     * @param {BigInt} amount - Amount to burn (wei)
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    controlledBurnFrom: (account, amount, overrides) =>
+      send('controlledBurnFrom', [account, amount], overrides),
+
+    /**
+     * @param {BigInt} amount - New mint cap (wei)
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    setMaxMintable: (amount, overrides) =>
+      send('setMaxMintable', [amount], overrides),
+
+    /**
+     * @param {String} subAdmin - Sub-admin address
+     * @param {BigInt} limit - Mint limit (wei)
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    setSubAdminLimit: (subAdmin, limit, overrides) =>
+      send('setSubAdminLimit', [subAdmin, limit], overrides),
+
+    // ---- Access control ----
+
+    /**
+     * Read the role identifiers declared by the token
+     * @returns {Promise<Object>} Role name to bytes32 hash
+     */
+    getRoles: async () => {
+      const names = [
+        'DEFAULT_ADMIN_ROLE',
+        'MINTER_ROLE',
+        'BURNER_ROLE',
+        'PAUSER_ROLE',
+        'SUB_ADMIN_ROLE',
+      ];
+      const values = await Promise.all(names.map(name => read(name)));
+      return Object.fromEntries(names.map((name, i) => [name, values[i]]));
+    },
+
+    /**
+     * @param {String} role - bytes32 role hash
+     * @param {String} account - Account address
+     * @returns {Promise<Boolean>} Whether the account holds the role
+     */
+    hasRole: (role, account) => read('hasRole', role, account),
+
+    /**
+     * @param {String} role - bytes32 role hash
+     * @returns {Promise<String>} Admin role hash
+     */
+    getRoleAdmin: role => read('getRoleAdmin', role),
+
+    /**
+     * @param {String} role - bytes32 role hash
+     * @param {String} account - Account address
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    grantRole: (role, account, overrides) =>
+      send('grantRole', [role, account], overrides),
+
+    /**
+     * @param {String} role - bytes32 role hash
+     * @param {String} account - Account address
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    revokeRole: (role, account, overrides) =>
+      send('revokeRole', [role, account], overrides),
+
+    /**
+     * @param {String} role - bytes32 role hash
+     * @param {String} callerConfirmation - Must equal the caller address
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    renounceRole: (role, callerConfirmation, overrides) =>
+      send('renounceRole', [role, callerConfirmation], overrides),
+
+    /**
+     * @param {String} interfaceId - bytes4 interface ID
+     * @returns {Promise<Boolean>} Whether the interface is supported
+     */
+    supportsInterface: interfaceId => read('supportsInterface', interfaceId),
+
+    // ---- Blacklist and pause ----
+
+    /**
+     * @param {String} account - Account address
+     * @returns {Promise<Boolean>} Whether the account is blacklisted
+     */
+    isBlacklisted: account => read('isBlacklisted', account),
+
+    /**
+     * @param {String} account - Account address
+     * @param {Boolean} value - Blacklisted or not
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    setBlacklist: (account, value, overrides) =>
+      send('setBlacklist', [account, value], overrides),
+
+    /** @returns {Promise<Boolean>} Whether transfers are paused */
+    paused: () => read('paused'),
+
+    /**
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    pause: overrides => send('pause', [], overrides),
+
+    /**
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} Transaction response
+     */
+    unpause: overrides => send('unpause', [], overrides),
+  };
+};
+
+// Clients are cached per contract instance so hooks can call the getters on
+// every render without rebuilding them
+const rouletteClients = new WeakMap();
+const tokenClients = new WeakMap();
+
+/**
+ * Get the cached Roulette client for a contract instance
+ * @param {Object} contract - ethers Contract built from Roulette.json
+ * @returns {Object} Roulette client
+ */
+export const getRouletteClient = contract => {
+  if (!rouletteClients.has(contract)) {
+    rouletteClients.set(contract, createRouletteClient(contract));
+  }
+  return rouletteClients.get(contract);
+};
+
+/**
+ * Get the cached GamaToken client for a contract instance
+ * @param {Object} contract - ethers Contract built from GamaToken.json
+ * @returns {Object} Token client
+ */
+export const getTokenClient = contract => {
+  if (!tokenClients.has(contract)) {
+    tokenClients.set(contract, createTokenClient(contract));
+  }
+  return tokenClients.get(contract);
+};
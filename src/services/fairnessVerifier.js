@@ -0,0 +1,326 @@
+/**
+ * Independent check of a settled spin's result.
+ *
+ * Roulette.fulfillRandomWords takes the winning number as
+ * `randomWords[0] % 37` and pays every bet with _calculatePayout. To let a
+ * player confirm this, the spin's GameCompleted log is located, the
+ * transaction that emitted it is fetched and the random word is decoded
+ * from its call data. The word is then run through the same rules as the
+ * contract and the result compared with what the contract recorded.
+ *
+ * Two kinds of fulfilment transaction are understood:
+ * - the coordinator calling rawFulfillRandomWords on the Roulette directly,
+ *   where the words are plain arguments;
+ * - a VRF v2 coordinator's fulfillRandomWords(proof, commitment), where the
+ *   words are derived from the proof's gamma point the same way the
+ *   coordinator derives them. The proof itself is checked by the
+ *   coordinator on chain and is not re-verified here.
+ */
+
+import { AbiCoder, Interface, keccak256 } from 'ethers';
+import {
+  DENOMINATOR,
+  MAX_NUMBER,
+  RED_NUMBERS,
+  RESULT_FORCE_STOPPED,
+  RESULT_RECOVERED,
+} from '../constants/game';
+
+// Blocks per eth_getLogs call; XDC RPC endpoints cap the range they accept
+const SCAN_CHUNK_SIZE = 5000;
+
+// Blocks searched for a BetPlaced log from the first one at the spin's time
+const PLACEMENT_WINDOW = 100;
+
+// VRF.sol domain separator for turning a proof into its random output
+const VRF_RANDOM_OUTPUT_HASH_PREFIX = 3;
+
+const fulfilmentInterface = new Interface([
+  'function rawFulfillRandomWords(uint256 requestId, uint256[] randomWords)',
+  'function fulfillRandomWords((uint256[2] pk, uint256[2] gamma, uint256 c, uint256 s, uint256 seed, address uWitness, uint256[2] cGammaWitness, uint256[2] sHashWitness, uint256 zInv) proof, (uint64 blockNum, uint64 subId, uint32 callbackGasLimit, uint32 numWords, address sender) rc)',
+]);
+
+const abi = AbiCoder.defaultAbiCoder();
+
+const ZERO = BigInt(0);
+
+// Winnings per unit staked by BetType, as in Roulette.getPayoutMultiplier
+const KIND_MULTIPLIERS = {
+  Straight: 35,
+  Dozen: 2,
+  Column: 2,
+};
+
+const hashWords = (types, values) =>
+  BigInt(keccak256(abi.encode(types, values)));
+
+// Request ID and random words a VRF v2 coordinator delivers for a proof
+const deriveFromProof = (proof, rc) => {
+  const keyHash = keccak256(abi.encode(['uint256[2]'], [proof.pk]));
+  const randomness = hashWords(
+    ['uint256', 'uint256[2]'],
+    [VRF_RANDOM_OUTPUT_HASH_PREFIX, proof.gamma]
+  );
+
+  return {
+    requestId: hashWords(['bytes32', 'uint256'], [keyHash, proof.seed]),
+    randomWords: Array.from({ length: Number(rc.numWords) }, (_, i) =>
+      hashWords(['uint256', 'uint256'], [randomness, i])
+    ),
+  };
+};
+
+/**
+ * Read the request ID and random words out of a fulfilment transaction's
+ * call data
+ * @param {String} data - Transaction input
+ * @returns {{source: String, requestId: BigInt, randomWords: BigInt[]}|null}
+ *   source is 'consumer' for a direct rawFulfillRandomWords call and
+ *   'coordinator' for a proof; null if the call data is neither
+ */
+export const decodeFulfilment = data => {
+  let call;
+  try {
+    call = fulfilmentInterface.parseTransaction({ data });
+  } catch {
+    return null;
+  }
+  if (!call) return null;
+
+  if (call.name === 'rawFulfillRandomWords') {
+    return {
+      source: 'consumer',
+      requestId: call.args.requestId,
+      randomWords: [...call.args.randomWords],
+    };
+  }
+  return {
+    source: 'coordinator',
+    ...deriveFromProof(call.args.proof, call.args.rc),
+  };
+};
+
+/**
+ * Check a recorded bet against a winning number, following
+ * Roulette._isBetWinning. Works on the bet as stored by the contract, its
+ * BetType and covered numbers, rather than the bet type ID it was placed
+ * with.
+ * @param {Object} bet - BetDetails with betKindName and numbers
+ * @param {Number} winningNumber - Pocket 0-36
+ * @returns {Boolean} True if the bet wins
+ */
+export const isRecordedBetWinning = (bet, winningNumber) => {
+  const number = Number(winningNumber);
+  if (number > MAX_NUMBER) return false;
+
+  const numbers = bet.numbers.map(Number);
+  if (number === 0) {
+    return (
+      bet.betKindName === 'Straight' && numbers.length === 1 && numbers[0] === 0
+    );
+  }
+
+  switch (bet.betKindName) {
+    case 'Red':
+      return RED_NUMBERS.includes(number);
+    case 'Black':
+      return !RED_NUMBERS.includes(number);
+    case 'Even':
+      return number % 2 === 0;
+    case 'Odd':
+      return number % 2 === 1;
+    case 'Low':
+      return number >= 1 && number <= 18;
+    case 'High':
+      return number >= 19 && number <= 36;
+    default:
+      return numbers.includes(number);
+  }
+};
+
+/**
+ * Amount a recorded bet returns, following Roulette._calculatePayout
+ * @param {Object} bet - BetDetails with betKindName, numbers and amount
+ * @param {Number} winningNumber - Pocket 0-36
+ * @returns {BigInt} Winnings plus stake, or 0 for a losing bet
+ */
+export const calculateRecordedPayout = (bet, winningNumber) => {
+  const amount = BigInt(bet.amount);
+  if (amount === ZERO || !isRecordedBetWinning(bet, winningNumber)) {
+    return ZERO;
+  }
+
+  const multiplier = BigInt(
+    (KIND_MULTIPLIERS[bet.betKindName] || 1) * DENOMINATOR
+  );
+  return (amount * multiplier) / BigInt(DENOMINATOR) + amount;
+};
+
+/**
+ * Recompute a spin from its random word and compare with the record
+ * @param {Object} spin - Settled spin with winningNumber and bets
+ * @param {BigInt} randomWord - First random word delivered for the spin
+ * @returns {Object} winningNumber, bets with expectedPayout and matches,
+ *   expectedTotal, recordedTotal and whether the number and every payout
+ *   match
+ */
+export const recomputeSpin = (spin, randomWord) => {
+  const winningNumber = Number(BigInt(randomWord) % BigInt(MAX_NUMBER + 1));
+  const bets = spin.bets.map(bet => {
+    const expectedPayout = calculateRecordedPayout(bet, winningNumber);
+    return {
+      ...bet,
+      expectedPayout,
+      matches: expectedPayout === BigInt(bet.payout),
+    };
+  });
+
+  return {
+    winningNumber,
+    numberMatches: winningNumber === Number(spin.winningNumber),
+    payoutsMatch: bets.every(bet => bet.matches),
+    bets,
+    expectedTotal: bets.reduce((sum, bet) => sum + bet.expectedPayout, ZERO),
+    recordedTotal: bets.reduce((sum, bet) => sum + BigInt(bet.payout), ZERO),
+  };
+};
+
+const getProvider = contract => contract.runner?.provider || contract.runner;
+
+// First block mined at or after a timestamp, by binary search
+const findFirstBlockAt = async (provider, timestamp, latestBlock) => {
+  let low = 0;
+  let high = latestBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const block = await provider.getBlock(middle);
+    if (block.timestamp < timestamp) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+// Player's BetPlaced log for the spin. Spins read from the contract carry
+// no request ID, but their timestamp is the placing block's, so that block
+// is found by time and the log matched in the few blocks from it.
+const findPlacement = async ({ contract, player, spin }) => {
+  const provider = getProvider(contract);
+  const requestId = spin.requestId ? String(spin.requestId) : null;
+  const latestBlock = await provider.getBlockNumber();
+  const fromBlock = await findFirstBlockAt(
+    provider,
+    spin.timestamp,
+    latestBlock
+  );
+  const logs = await contract.queryFilter(
+    contract.filters.BetPlaced(player),
+    fromBlock,
+    Math.min(fromBlock + PLACEMENT_WINDOW - 1, latestBlock)
+  );
+
+  for (const log of logs) {
+    if (requestId) {
+      if (log.args.requestId.toString() === requestId) return log;
+      continue;
+    }
+    const block = await provider.getBlock(log.blockNumber);
+    if (block.timestamp === spin.timestamp) return log;
+    if (block.timestamp > spin.timestamp) return null;
+  }
+  return null;
+};
+
+// Player's GameCompleted log for the request, searched forwards
+const findSettlement = async ({ contract, player, requestId, fromBlock }) => {
+  const latestBlock = await getProvider(contract).getBlockNumber();
+  const filter = contract.filters.GameCompleted(player);
+
+  for (let start = fromBlock; start <= latestBlock; start += SCAN_CHUNK_SIZE) {
+    const end = Math.min(start + SCAN_CHUNK_SIZE - 1, latestBlock);
+    const logs = await contract.queryFilter(filter, start, end);
+    const log = logs.find(
+      ({ args }) => args.requestId.toString() === requestId
+    );
+    if (log) return log;
+  }
+  return null;
+};
+
+/**
+ * Tell whether a spin can be verified: only spins the VRF settled have a
+ * random word to check
+ * @param {Object} spin - Formatted spin
+ * @returns {Boolean} True for a completed spin with a winning number
+ */
+export const isVerifiableSpin = spin =>
+  !!spin &&
+  !spin.isActive &&
+  spin.completed !== false &&
+  spin.winningNumber !== RESULT_FORCE_STOPPED &&
+  spin.winningNumber !== RESULT_RECOVERED &&
+  Number(spin.winningNumber) <= MAX_NUMBER;
+
+/**
+ * Verify a settled spin against the random word the VRF delivered
+ * @param {Object} params
+ * @param {Object} params.contract - Roulette ethers Contract
+ * @param {String} params.player - Player address
+ * @param {Object} params.spin - Settled spin, with requestId and
+ *   settledBlock when it comes from the history index
+ * @returns {Promise<Object>} Verdict with passed, requestId,
+ *   fulfilmentTxHash, source, randomWord and the recomputeSpin fields
+ */
+export const verifySpin = async ({ contract, player, spin }) => {
+  if (!contract || !player) {
+    throw new Error('Contract and player are required to verify a spin');
+  }
+  if (!isVerifiableSpin(spin)) {
+    throw new Error('Only spins settled by the VRF can be verified');
+  }
+
+  let requestId = spin.requestId ? String(spin.requestId) : null;
+  let fromBlock = spin.settledBlock ?? spin.placedBlock;
+  if (!requestId || fromBlock === undefined) {
+    const placement = await findPlacement({ contract, player, spin });
+    if (!placement) {
+      throw new Error('Could not find the transaction that placed this spin');
+    }
+    requestId = placement.args.requestId.toString();
+    fromBlock = placement.blockNumber;
+  }
+
+  const settlement = await findSettlement({
+    contract,
+    player,
+    requestId,
+    fromBlock,
+  });
+  if (!settlement) {
+    throw new Error(
+      `Could not find the VRF fulfilment of request ${requestId}`
+    );
+  }
+
+  const fulfilmentTxHash = settlement.transactionHash;
+  const tx = await getProvider(contract).getTransaction(fulfilmentTxHash);
+  const fulfilment = tx && decodeFulfilment(tx.data);
+  if (!fulfilment || fulfilment.randomWords.length === 0) {
+    throw new Error(
+      'The fulfilment transaction is not a VRF call this page can decode'
+    );
+  }
+
+  const randomWord = fulfilment.randomWords[0];
+  const requestMatches = fulfilment.requestId.toString() === requestId;
+  const result = recomputeSpin(spin, randomWord);
+
+  return {
+    ...result,
+    passed: requestMatches && result.numberMatches && result.payoutsMatch,
+    requestId,
+    requestMatches,
+    fulfilmentTxHash,
+    source: fulfilment.source,
+    randomWord,
+  };
+};
@@ -0,0 +1,194 @@
+import { AbiCoder, Interface, keccak256, parseEther } from 'ethers';
+import { describe, expect, it, vi } from 'vitest';
+import {
+  calculateRecordedPayout,
+  decodeFulfilment,
+  isRecordedBetWinning,
+  verifySpin,
+} from './fairnessVerifier';
+import { getRouletteClient } from './contractClient';
+import { BET_TYPES, MAX_HISTORY_SIZE } from '../constants/game';
+import { createSimulator } from '../simulator';
+import { formatSpin } from '../utils/rouletteUtils';
+import { placeSpin } from '../test/renderWithProviders.jsx';
+
+const setup = async () => {
+  const simulator = createSimulator({ seed: 'fairness' });
+  await simulator.ready;
+  const { Roulette } = await simulator.getContracts();
+  const [, player] = simulator.accounts;
+  return { simulator, contract: Roulette, player };
+};
+
+// Player's spins as the history reads them from the contract, newest first
+const readSpins = async (contract, player) => {
+  const { spins } = await getRouletteClient(contract).getHistoryPage(
+    player,
+    0,
+    MAX_HISTORY_SIZE
+  );
+  return spins.map(formatSpin);
+};
+
+const mixedBets = [
+  { betTypeId: BET_TYPES.STRAIGHT_BET, number: 17, amount: parseEther('2') },
+  { betTypeId: BET_TYPES.DOZEN_BET_SECOND, number: 0, amount: parseEther('3') },
+  { betTypeId: BET_TYPES.RED_BET, number: 0, amount: parseEther('5') },
+];
+
+describe('fairnessVerifier', () => {
+  it('recomputes a spin read from the contract from its VRF random word', async () => {
+    const { simulator, contract, player } = await setup();
+    await placeSpin(simulator, { account: player, winningNumber: 4 });
+    await placeSpin(simulator, {
+      account: player,
+      bets: mixedBets,
+      winningNumber: 17,
+    });
+
+    const [spin] = await readSpins(contract, player);
+    const verification = await verifySpin({ contract, player, spin });
+
+    expect(verification.passed).toBe(true);
+    expect(verification.source).toBe('consumer');
+    expect(verification.requestId).toBe('2');
+    expect(verification.randomWord).toBe(BigInt(17));
+    expect(verification.winningNumber).toBe(17);
+    // 17 is the straight bet's number, in the second dozen and black
+    expect(verification.bets.map(bet => bet.expectedPayout)).toEqual([
+      parseEther('72'),
+      parseEther('9'),
+      BigInt(0),
+    ]);
+  });
+
+  it('finds an old placement by its time instead of scanning back', async () => {
+    const { simulator, contract, player } = await setup();
+    simulator.chain.mine(20000);
+    await placeSpin(simulator, { account: player, winningNumber: 9 });
+    simulator.chain.mine(20000);
+
+    const [spin] = await readSpins(contract, player);
+    const provider = contract.runner.provider;
+    const getLogs = vi.spyOn(provider, 'getLogs');
+    const getBlock = vi.spyOn(provider, 'getBlock');
+    const verification = await verifySpin({ contract, player, spin });
+
+    expect(verification.passed).toBe(true);
+    expect(verification.winningNumber).toBe(9);
+    // One query for the placement and one for its settlement
+    expect(getLogs).toHaveBeenCalledTimes(2);
+    expect(getBlock.mock.calls.length).toBeLessThan(20);
+  });
+
+  it('uses the request ID and settlement block of an indexed spin', async () => {
+    const { simulator, contract, player } = await setup();
+    const requestId = await placeSpin(simulator, {
+      account: player,
+      winningNumber: 0,
+    });
+    const settledBlock = await contract.runner.provider.getBlockNumber();
+
+    const [spin] = await readSpins(contract, player);
+    const verification = await verifySpin({
+      contract,
+      player,
+      spin: { ...spin, requestId: requestId.toString(), settledBlock },
+    });
+
+    expect(verification.passed).toBe(true);
+    expect(verification.winningNumber).toBe(0);
+    expect(verification.expectedTotal).toBe(BigInt(0));
+  });
+
+  it('fails a record that does not follow from the random word', async () => {
+    const { simulator, contract, player } = await setup();
+    await placeSpin(simulator, { account: player, winningNumber: 2 });
+
+    const [spin] = await readSpins(contract, player);
+    const tampered = {
+      ...spin,
+      bets: spin.bets.map(bet => ({ ...bet, payout: bet.amount * BigInt(2) })),
+    };
+    const verification = await verifySpin({
+      contract,
+      player,
+      spin: tampered,
+    });
+
+    expect(verification.passed).toBe(false);
+    expect(verification.numberMatches).toBe(true);
+    expect(verification.payoutsMatch).toBe(false);
+  });
+
+  it('refuses spins the VRF never settled', async () => {
+    const { simulator, contract, player } = await setup();
+    await placeSpin(simulator, { account: player });
+
+    const [spin] = await readSpins(contract, player);
+
+    await expect(verifySpin({ contract, player, spin })).rejects.toThrow(
+      'Only spins settled by the VRF can be verified'
+    );
+  });
+
+  it('derives the words of a coordinator proof like a VRF v2 coordinator', () => {
+    const abi = AbiCoder.defaultAbiCoder();
+    const coordinator = new Interface([
+      'function fulfillRandomWords((uint256[2] pk, uint256[2] gamma, uint256 c, uint256 s, uint256 seed, address uWitness, uint256[2] cGammaWitness, uint256[2] sHashWitness, uint256 zInv) proof, (uint64 blockNum, uint64 subId, uint32 callbackGasLimit, uint32 numWords, address sender) rc)',
+    ]);
+    const proof = {
+      pk: [1, 2],
+      gamma: [3, 4],
+      c: 5,
+      s: 6,
+      seed: 7,
+      uWitness: '0x0000000000000000000000000000000000000001',
+      cGammaWitness: [8, 9],
+      sHashWitness: [10, 11],
+      zInv: 12,
+    };
+    const rc = {
+      blockNum: 100,
+      subId: 1,
+      callbackGasLimit: 500000,
+      numWords: 1,
+      sender: '0x0000000000000000000000000000000000000002',
+    };
+
+    const fulfilment = decodeFulfilment(
+      coordinator.encodeFunctionData('fulfillRandomWords', [proof, rc])
+    );
+
+    const keyHash = keccak256(abi.encode(['uint256[2]'], [[1, 2]]));
+    const randomness = keccak256(
+      abi.encode(['uint256', 'uint256[2]'], [3, [3, 4]])
+    );
+    expect(fulfilment.source).toBe('coordinator');
+    expect(fulfilment.requestId).toBe(
+      BigInt(keccak256(abi.encode(['bytes32', 'uint256'], [keyHash, 7])))
+    );
+    expect(fulfilment.randomWords).toEqual([
+      BigInt(keccak256(abi.encode(['uint256', 'uint256'], [randomness, 0]))),
+    ]);
+    expect(decodeFulfilment('0x12345678')).toBeNull();
+  });
+
+  it('only pays a straight bet on zero when zero comes up', () => {
+    const red = {
+      betKindName: 'Red',
+      numbers: [],
+      amount: parseEther('1'),
+    };
+    const zero = {
+      betKindName: 'Straight',
+      numbers: [0],
+      amount: parseEther('1'),
+    };
+
+    expect(isRecordedBetWinning(red, 0)).toBe(false);
+    expect(isRecordedBetWinning(red, 1)).toBe(true);
+    expect(calculateRecordedPayout(zero, 0)).toBe(parseEther('36'));
+    expect(calculateRecordedPayout(zero, 1)).toBe(BigInt(0));
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Subscriptions to the Roulette game events for a single player.
+ *
+ * BetPlaced, GameCompleted and GameRecovered all index the player, so the
+ * filters below only deliver the connected account's logs. The events carry
+ * the request ID but not the result; handlers are expected to read
+ * getGameStatus once they fire.
+ */
+
+const PLAYER_EVENTS = {
+  BetPlaced: 'onBetPlaced',
+  GameCompleted: 'onGameCompleted',
+  GameRecovered: 'onGameRecovered',
+};
+
+/**
+ * Check that the provider can serve logs for the contract. Some RPC
+ * endpoints reject eth_getLogs, in which case listeners would never fire.
+ * @param {Object} contract - Roulette contract instance
+ * @param {Object} filter - Event filter to query
+ * @returns {Promise<void>} Rejects if logs can't be fetched
+ */
+const probeLogs = async (contract, filter) => {
+  const provider = contract.runner?.provider || contract.runner;
+  const blockNumber = await provider.getBlockNumber();
+  await contract.queryFilter(filter, blockNumber, blockNumber);
+};
+
+/**
+ * Subscribe to a player's game events
+ * @param {Object} contract - Roulette contract instance
+ * @param {String} player - Player address
+ * @param {Object} handlers - onBetPlaced, onGameCompleted and/or
+ *   onGameRecovered, each called with (requestId: String, payload)
+ * @returns {Promise<Function>} Unsubscribe function. Rejects if the provider
+ *   can't deliver logs, so callers can fall back to polling.
+ */
+export const subscribeToPlayerEvents = async (contract, player, handlers) => {
+  if (!contract || !player) {
+    throw new Error('Contract and player are required to subscribe');
+  }
+
+  const listeners = Object.entries(PLAYER_EVENTS)
+    .filter(([, handlerName]) => typeof handlers[handlerName] === 'function')
+    .map(([eventName, handlerName]) => ({
+      filter: contract.filters[eventName](player),
+      // ethers doesn't spread the args for filter subscriptions, only the
+      // payload, which always comes last and carries the decoded log
+      listener: (...args) => {
+        const payload = args[args.length - 1];
+        handlers[handlerName](payload.args.requestId.toString(), payload);
+      },
+    }));
+
+  if (listeners.length === 0) {
+    return () => {};
+  }
+
+  const unsubscribe = () => {
+    listeners.forEach(({ filter, listener }) => {
+      contract.off(filter, listener).catch(() => {
+        // Listener already removed or provider gone
+      });
+    });
+  };
+
+  try {
+    await probeLogs(contract, listeners[0].filter);
+    await Promise.all(
+      listeners.map(({ filter, listener }) => contract.on(filter, listener))
+    );
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+
+  return unsubscribe;
+};
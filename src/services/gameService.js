@@ -1,8 +1,18 @@
+import { BET_TYPES, MAX_BETS_PER_SPIN } from '../constants/game';
+import { calculateMaxSpinPayout } from '../utils/rouletteUtils';
+import { validateBetSlip } from '../utils/betValidation';
+import { ErrorCodes, decodeContractError } from '../utils/errorHandling';
+import { getRouletteClient } from './contractClient';
+import { subscribeToPlayerEvents } from './gameEvents';
+import { TX_STATUS } from './txTracker';
+
+// Safety-net poll while event subscriptions are live
+const EVENT_FALLBACK_POLL_INTERVAL = 15000;
+
 class GameService {
   constructor() {
     this.RouletteContract = null;
-    this.HEADS = 1;
-    this.TAILS = 2;
+    this.client = null;
   }
 
   // Initialize game service with contracts
@@ -20,49 +30,254 @@ class GameService {
       throw new Error('Roulette contract not provided');
     }
 
-    // Validate that the contract has the necessary methods
-    if (
-      !this.RouletteContract.flipCoin ||
-      typeof this.RouletteContract.flipCoin !== 'function'
-    ) {
-      throw new Error('Invalid Roulette contract: missing flipCoin method');
-    }
+    // Throws AbiMismatchError if the instance doesn't match Roulette.json
+    this.client = getRouletteClient(this.RouletteContract);
 
     return this;
   }
 
-  // Play Roulette game
-  async playRoulette(chosenSide, amount) {
+  // Check a bet slip against the same limits placeBet enforces
+  validateBets(bets) {
+    if (!Array.isArray(bets)) {
+      throw new Error('Place at least one bet');
+    }
+
+    const { betErrors, slipErrors, totalAmount } = validateBetSlip(bets);
+    const reason = slipErrors[0] || betErrors.find(Boolean);
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    return totalAmount;
+  }
+
+  // Convert slip entries to the BetRequest tuples placeBet expects
+  toBetRequests(bets) {
+    return bets.map(bet => ({
+      betTypeId: bet.betTypeId,
+      number: bet.betTypeId === BET_TYPES.STRAIGHT_BET ? bet.number : 0,
+      amount: BigInt(bet.amount),
+    }));
+  }
+
+  // Send placeBet and return the pending transaction
+  async submitBets(bets, txOptions = {}) {
     if (!this.RouletteContract) {
       throw new Error('Roulette contract not initialized');
     }
 
-    if (
-      !chosenSide ||
-      (chosenSide !== this.HEADS && chosenSide !== this.TAILS)
-    ) {
-      throw new Error('Invalid side selected. Choose HEADS (1) or TAILS (2).');
-    }
+    this.validateBets(bets);
 
-    if (!amount || amount <= 0) {
-      throw new Error('Invalid bet amount');
+    try {
+      return await this.client.placeBet(this.toBetRequests(bets), txOptions);
+    } catch (error) {
+      throw this.parseContractError(error);
     }
+  }
+
+  // Play a roulette spin: place the bets and wait for the BetPlaced receipt
+  async playRoulette(bets, txOptions = {}) {
+    const tx = await this.submitBets(bets, txOptions);
 
     try {
-      const tx = await this.RouletteContract.flipCoin(chosenSide, amount);
       const receipt = await tx.wait();
 
       return {
         success: true,
         transaction: receipt,
+        requestId: this.getRequestIdFromReceipt(receipt),
       };
     } catch (error) {
       throw this.parseContractError(error);
     }
   }
 
+  // Read the VRF request ID from the BetPlaced event in a receipt
+  getRequestIdFromReceipt(receipt) {
+    if (!receipt?.logs || !this.RouletteContract?.interface) return null;
+
+    for (const log of receipt.logs) {
+      try {
+        const parsed = this.RouletteContract.interface.parseLog(log);
+        if (parsed?.name === 'BetPlaced') {
+          return parsed.args.requestId.toString();
+        }
+      } catch (error) {
+        // Log from another contract (e.g. the token burn), skip it
+      }
+    }
+
+    return null;
+  }
+
+  // Fetch and normalize the player's current game status
+  async getGameStatus(player) {
+    if (!this.RouletteContract) {
+      throw new Error('Roulette contract not initialized');
+    }
+
+    return this.client.getGameStatus(player);
+  }
+
+  /**
+   * Wait for a spin to settle. Resolves as soon as GameCompleted or
+   * GameRecovered is emitted for the player, with a slow getGameStatus poll
+   * as a safety net. If the provider can't deliver logs the poll runs at
+   * pollInterval instead. Calls onResult once with the final game status.
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToGameResult(player, requestId, onResult, pollInterval = 2000) {
+    const contract = this.RouletteContract;
+    if (!contract) {
+      throw new Error('Roulette contract not initialized');
+    }
+
+    let settled = false;
+    let pollTimeout = null;
+    let currentInterval = pollInterval;
+    let unsubscribeEvents = null;
+
+    const settle = async () => {
+      if (settled) return;
+      try {
+        const status = await this.getGameStatus(player);
+        if (settled || status.isActive) return;
+        settled = true;
+        cleanup();
+        onResult(status);
+      } catch (error) {
+        // Keep waiting, the next event or poll will retry
+      }
+    };
+
+    const handleEvent = eventRequestId => {
+      if (!requestId || eventRequestId === requestId.toString()) {
+        settle();
+      }
+    };
+
+    const poll = async () => {
+      await settle();
+      if (!settled) {
+        pollTimeout = setTimeout(poll, currentInterval);
+      }
+    };
+    pollTimeout = setTimeout(poll, currentInterval);
+
+    subscribeToPlayerEvents(contract, player, {
+      onGameCompleted: handleEvent,
+      onGameRecovered: handleEvent,
+    })
+      .then(unsubscribe => {
+        if (settled) {
+          unsubscribe();
+          return;
+        }
+        unsubscribeEvents = unsubscribe;
+        currentInterval = EVENT_FALLBACK_POLL_INTERVAL;
+        // The result may have landed before the listeners were attached
+        settle();
+      })
+      .catch(() => {
+        // No log delivery, keep polling at pollInterval
+      });
+
+    function cleanup() {
+      if (pollTimeout) {
+        clearTimeout(pollTimeout);
+        pollTimeout = null;
+      }
+      if (unsubscribeEvents) {
+        unsubscribeEvents();
+        unsubscribeEvents = null;
+      }
+    }
+
+    return () => {
+      settled = true;
+      cleanup();
+    };
+  }
+
+  // Slip entries sent by a stored placeBet transaction
+  getBetsFromTransaction(tx) {
+    try {
+      const [betRequests] = this.RouletteContract.interface.decodeFunctionData(
+        'placeBet',
+        tx.data
+      );
+      return Array.from(betRequests, bet => ({
+        betTypeId: Number(bet.betTypeId),
+        number: Number(bet.number),
+        amount: BigInt(bet.amount),
+      }));
+    } catch (error) {
+      // Not a placeBet call after all
+      return [];
+    }
+  }
+
+  /**
+   * Rebuild the player's spin that is still in flight, e.g. after a reload.
+   * A spin waiting for VRF comes from getGameStatus and the newest history
+   * entry; a placeBet that isn't mined yet only from its stored transaction.
+   * @param {String} player - Player address
+   * @param {Object} [placeBetTx] - Newest placeBet the tracker stored
+   * @returns {Promise<Object|null>} { txHash, requestId, bets, totalAmount,
+   *   timestamp }, with requestId null while the transaction is pending, or
+   *   null when no spin is in flight
+   */
+  async getActiveSpin(player, placeBetTx = null) {
+    const status = await this.getGameStatus(player);
+
+    if (!status.isActive) {
+      if (placeBetTx?.status !== TX_STATUS.PENDING) return null;
+      const bets = this.getBetsFromTransaction(placeBetTx);
+      return {
+        txHash: placeBetTx.hash,
+        requestId: null,
+        bets,
+        totalAmount: bets.reduce((sum, bet) => sum + bet.amount, BigInt(0)),
+        timestamp: placeBetTx.submittedAt,
+      };
+    }
+
+    const [{ spins }, { lastPlayedBlock }] = await Promise.all([
+      this.client.getHistoryPage(player, 0, 1),
+      this.client.getUserData(player),
+    ]);
+    // The stored transaction only counts if it placed this spin
+    const isThisSpin =
+      placeBetTx?.status === TX_STATUS.CONFIRMED &&
+      placeBetTx.blockNumber === lastPlayedBlock;
+    const bets = spins[0]?.isActive
+      ? spins[0].bets.map(({ betTypeId, number, amount }) => ({
+          betTypeId,
+          number,
+          amount,
+        }))
+      : isThisSpin
+        ? this.getBetsFromTransaction(placeBetTx)
+        : [];
+
+    return {
+      txHash: isThisSpin ? placeBetTx.hash : null,
+      requestId: status.requestId,
+      bets,
+      totalAmount: status.totalAmount,
+      timestamp: status.lastPlayTimestamp * 1000,
+    };
+  }
+
   // Parse contract errors
   parseContractError(error) {
+    // Custom errors carry amounts worth showing; InvalidBetParameters only a
+    // reason string, which the patterns below reword
+    const decoded = decodeContractError(error);
+    if (decoded && decoded.name !== ErrorCodes.INVALID_BET_PARAMETERS) {
+      return new Error(decoded.message);
+    }
+
     // Check for known error patterns
     const errorString = error.toString();
 
@@ -74,30 +289,38 @@ class GameService {
       return new Error('Transaction rejected by user');
     }
 
-    if (errorString.includes('Invalid chosen side')) {
-      return new Error('Please choose HEADS (1) or TAILS (2)');
+    if (errorString.includes('Invalid bet type ID')) {
+      return new Error('One of your bets has an invalid bet type');
     }
 
-    if (errorString.includes('Bet amount cannot be zero')) {
-      return new Error('Bet amount cannot be zero');
+    if (errorString.includes('Invalid number for straight bet')) {
+      return new Error('Straight bets must be on a number from 0 to 36');
     }
 
-    if (errorString.includes('Bet amount too large')) {
-      return new Error('Bet amount exceeds the maximum allowed');
+    if (
+      errorString.includes('No bets provided') ||
+      errorString.includes('Too many bets')
+    ) {
+      return new Error(`A spin can hold 1 to ${MAX_BETS_PER_SPIN} bets`);
     }
 
-    if (errorString.includes('Token burn failed')) {
-      return new Error('Failed to place bet. Token transfer issue.');
+    if (errorString.includes('Invalid bet amount')) {
+      return new Error('Bet amount cannot be zero');
     }
 
-    if (errorString.includes('InsufficientUserBalance')) {
-      return new Error('Insufficient token balance');
+    if (
+      errorString.includes('Single bet amount too large') ||
+      errorString.includes('Total bet amount too large') ||
+      errorString.includes('Bet amount exceeds maximum')
+    ) {
+      return new Error('Bet amount exceeds the maximum allowed');
     }
 
-    if (errorString.includes('InsufficientAllowance')) {
-      return new Error(
-        'Insufficient token allowance. Please approve tokens first.'
-      );
+    if (
+      errorString.includes('User has an active game') ||
+      errorString.includes('User has a pending request')
+    ) {
+      return new Error('You already have a spin in progress');
     }
 
     if (errorString.includes('execution reverted')) {
@@ -110,10 +333,10 @@ class GameService {
     );
   }
 
-  // Calculate potential payout
-  calculatePotentialPayout(amount) {
-    if (!amount) return BigInt(0);
-    return amount * BigInt(2);
+  // Calculate the most a bet slip can return on a single spin
+  calculatePotentialPayout(bets) {
+    if (!bets || bets.length === 0) return BigInt(0);
+    return calculateMaxSpinPayout(bets);
   }
 }
 
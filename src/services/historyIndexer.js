@@ -0,0 +1,258 @@
+/**
+ * Client-side index of a player's full spin history.
+ *
+ * The contract only keeps the last MAX_HISTORY_SIZE spins per player, so
+ * older spins are rebuilt from logs: every BetPlaced, GameCompleted and
+ * GameRecovered log is matched to the spin it belongs to by reading the
+ * player's history buffer at that log's block. Results are stored in
+ * IndexedDB together with the last scanned block, so each session only
+ * scans the blocks added since the previous one.
+ *
+ * Historical reads need an RPC endpoint that serves state at past blocks.
+ */
+
+import { getRouletteClient } from './contractClient';
+import { MAX_HISTORY_SIZE } from '../constants/game';
+
+const DB_NAME = 'roulette-history';
+const DB_VERSION = 1;
+const SPINS_STORE = 'spins';
+const CURSORS_STORE = 'cursors';
+const PLAYER_INDEX = 'byPlayer';
+
+// Blocks per eth_getLogs call; XDC RPC endpoints cap the range they accept
+const SCAN_CHUNK_SIZE = 5000;
+
+const OUTCOME_EVENTS = {
+  GameCompleted: 'completed',
+  GameRecovered: 'recovered',
+};
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const spins = db.createObjectStore(SPINS_STORE, { keyPath: 'key' });
+      spins.createIndex(PLAYER_INDEX, ['chainId', 'contract', 'player']);
+      db.createObjectStore(CURSORS_STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(error => {
+    // Allow a later call to retry, e.g. after the user leaves private mode
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+// Run fn against the given stores inside one transaction and resolve with
+// its result once the transaction commits
+const withStores = async (storeNames, mode, fn) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = storeNames.map(name => tx.objectStore(name));
+    let result;
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+
+    const request = fn(...stores);
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+  });
+};
+
+const getScope = ({ chainId, contract, player }) => ({
+  chainId: Number(chainId),
+  contract: contract.toLowerCase(),
+  player: player.toLowerCase(),
+});
+
+const scopeKey = scope => `${scope.chainId}:${scope.contract}:${scope.player}`;
+
+/**
+ * Read every indexed spin for a player, newest first
+ * @param {Object} scope - { chainId, contract, player }
+ * @returns {Promise<Object[]>} Stored spins in the shape of a normalized Bet,
+ *   plus requestId, placedBlock, settledBlock, txHash and outcome
+ */
+export const getIndexedSpins = async scope => {
+  const { chainId, contract, player } = getScope(scope);
+  const spins = await withStores([SPINS_STORE], 'readonly', store =>
+    store.index(PLAYER_INDEX).getAll([chainId, contract, player])
+  );
+
+  return (spins || []).sort(
+    (a, b) => b.timestamp - a.timestamp || b.placedBlock - a.placedBlock
+  );
+};
+
+/**
+ * Forget a player's indexed spins and scan position
+ * @param {Object} scope - { chainId, contract, player }
+ * @returns {Promise<void>}
+ */
+export const clearIndexedHistory = async scope => {
+  const normalized = getScope(scope);
+  const keys = await withStores([SPINS_STORE], 'readonly', store =>
+    store
+      .index(PLAYER_INDEX)
+      .getAllKeys([normalized.chainId, normalized.contract, normalized.player])
+  );
+
+  await withStores([SPINS_STORE, CURSORS_STORE], 'readwrite', (spins, cur) => {
+    (keys || []).forEach(key => spins.delete(key));
+    cur.delete(scopeKey(normalized));
+  });
+};
+
+const getCursor = async scope => {
+  const cursor = await withStores([CURSORS_STORE], 'readonly', store =>
+    store.get(scopeKey(scope))
+  );
+  return cursor?.lastScannedBlock ?? null;
+};
+
+const getStoredSpin = (scope, requestId) =>
+  withStores([SPINS_STORE], 'readonly', store =>
+    store.get(`${scopeKey(scope)}:${requestId}`)
+  );
+
+// Save the chunk's spins and advance the cursor in one transaction, so an
+// interrupted scan never skips logs
+const saveChunk = (scope, spins, lastScannedBlock) =>
+  withStores([SPINS_STORE, CURSORS_STORE], 'readwrite', (store, cursors) => {
+    spins.forEach(spin => store.put(spin));
+    cursors.put({ key: scopeKey(scope), lastScannedBlock });
+  });
+
+/**
+ * Pick the spin a log refers to from the history buffer at the log's block
+ * @param {Object[]} snapshot - Spins newest first, from getHistoryPage
+ * @param {Boolean} isPlacement - BetPlaced rather than an outcome event
+ * @param {Object} [known] - Already indexed record for the request
+ * @returns {Object|undefined} The matching spin
+ */
+const findSpin = (snapshot, isPlacement, known) => {
+  // Only one game can be active per player, so the newest slot at the end
+  // of the placement block is the spin that was just placed
+  if (isPlacement) return snapshot[0];
+
+  // An outcome matches the spin placed at the recorded timestamp. Without a
+  // placement record, skip a spin placed later in the same block.
+  if (known) {
+    return snapshot.find(spin => spin.timestamp === known.timestamp);
+  }
+  return snapshot.find(spin => !spin.isActive);
+};
+
+/**
+ * Scan new logs for a player and store the spins they describe
+ * @param {Object} options
+ * @param {Object} options.contract - Roulette contract instance
+ * @param {String} options.player - Player address
+ * @param {Number} options.chainId - Chain the contract is deployed on
+ * @param {Number} options.startBlock - First block to scan, usually the
+ *   contract's deployment block
+ * @param {Function} [options.onProgress] - Called with
+ *   { fromBlock, toBlock, latestBlock } after each chunk
+ * @returns {Promise<{lastScannedBlock: Number, indexed: Number}>} Scan
+ *   position and the number of spins written
+ */
+export const indexPlayerHistory = async ({
+  contract,
+  player,
+  chainId,
+  startBlock,
+  onProgress,
+}) => {
+  if (!contract || !player || !chainId) {
+    throw new Error('Contract, player and chain are required to index');
+  }
+
+  const contractAddress = await contract.getAddress();
+  const scope = getScope({ chainId, contract: contractAddress, player });
+  const provider = contract.runner?.provider || contract.runner;
+  const client = getRouletteClient(contract);
+
+  const eventTopics = ['BetPlaced', 'GameCompleted', 'GameRecovered'].map(
+    name => contract.interface.getEvent(name).topicHash
+  );
+  const [, playerTopic] = await contract.filters
+    .BetPlaced(player)
+    .getTopicFilter();
+
+  const cursor = await getCursor(scope);
+  const latestBlock = await provider.getBlockNumber();
+  let fromBlock = cursor === null ? startBlock : cursor + 1;
+  let indexed = 0;
+
+  while (fromBlock <= latestBlock) {
+    const toBlock = Math.min(fromBlock + SCAN_CHUNK_SIZE - 1, latestBlock);
+    const logs = await provider.getLogs({
+      address: contractAddress,
+      topics: [eventTopics, playerTopic],
+      fromBlock,
+      toBlock,
+    });
+
+    // Later logs in the chunk may update a spin placed earlier in it
+    const pending = new Map();
+
+    for (const log of logs) {
+      const { name, args } = contract.interface.parseLog(log);
+      const requestId = args.requestId.toString();
+      const key = `${scopeKey(scope)}:${requestId}`;
+      const known = pending.get(key) || (await getStoredSpin(scope, requestId));
+      const isPlacement = name === 'BetPlaced';
+
+      const { spins: snapshot } = await client.getHistoryPage(
+        player,
+        0,
+        MAX_HISTORY_SIZE,
+        { blockTag: log.blockNumber }
+      );
+      const spin = findSpin(snapshot, isPlacement, known);
+      if (!spin && !known) continue;
+
+      // The buffer slot is reused once it wraps, so it isn't stored
+      const { slot: _slot, ...stored } = spin || known;
+      pending.set(key, {
+        ...known,
+        ...stored,
+        ...scope,
+        key,
+        requestId,
+        placedBlock: isPlacement ? log.blockNumber : known?.placedBlock,
+        txHash: isPlacement ? log.transactionHash : known?.txHash,
+        settledBlock: isPlacement ? known?.settledBlock : log.blockNumber,
+        outcome: isPlacement ? known?.outcome || null : OUTCOME_EVENTS[name],
+      });
+    }
+
+    await saveChunk(scope, [...pending.values()], toBlock);
+    indexed += pending.size;
+    onProgress?.({ fromBlock, toBlock, latestBlock });
+    fromBlock = toBlock + 1;
+  }
+
+  return { lastScannedBlock: latestBlock, indexed };
+};
@@ -6,6 +6,9 @@ import {
   useRef,
   useCallback,
 } from 'react';
+import { AbiMismatchError, getRouletteClient } from './contractClient';
+import { subscribeToPlayerEvents } from './gameEvents';
+import { formatSpin } from '../utils/rouletteUtils';
 
 // Create a context to share polling data
 export const PollingContext = createContext(null);
@@ -16,6 +19,7 @@ export const PollingProvider = ({
   account,
   activeGameInterval = 2000, // Poll more frequently during active games
   inactiveInterval = 10000, // Poll less frequently when idle
+  eventFallbackInterval = 30000, // Safety-net poll while events are live
 }) => {
   // State to hold all fetched data
   const [gameData, setGameData] = useState({
@@ -30,6 +34,9 @@ export const PollingProvider = ({
   // Add state to track if there's an active game
   const [hasActiveGame, setHasActiveGame] = useState(false);
 
+  // Whether BetPlaced / GameCompleted / GameRecovered subscriptions are live
+  const [eventsConnected, setEventsConnected] = useState(false);
+
   // Use refs for values we need to access in effects but don't want to cause re-renders
   const isNewUserRef = useRef(gameData.isNewUser);
   const RouletteContractRef = useRef(RouletteContract);
@@ -42,10 +49,13 @@ export const PollingProvider = ({
     accountRef.current = account;
   }, [gameData.isNewUser, RouletteContract, account]);
 
-  // Determine current polling interval based on game state
-  const currentPollingInterval = hasActiveGame
-    ? activeGameInterval
-    : inactiveInterval;
+  // Determine current polling interval. With live events polling is only a
+  // fallback for missed logs; otherwise it follows the game state
+  const currentPollingInterval = eventsConnected
+    ? eventFallbackInterval
+    : hasActiveGame
+      ? activeGameInterval
+      : inactiveInterval;
 
   // Fetch data from blockchain
   const fetchData = useCallback(async () => {
@@ -60,95 +70,61 @@ export const PollingProvider = ({
     setGameData(prev => ({ ...prev, isLoading: true }));
 
     try {
-      // Check which methods exist on the contract
-      const hasGetGameStatus =
-        typeof currentContract.getGameStatus === 'function';
-      const hasGetBetHistory =
-        typeof currentContract.getBetHistory === 'function';
-
-      // Define promises based on available methods
-      let promises = [];
-      let promiseTypes = [];
-
-      // 1. Game status
-      if (hasGetGameStatus) {
-        promises.push(
-          currentContract.getGameStatus(currentAccount).catch(_error => {
-            // Handle error silently
-            return null;
-          })
-        );
-        promiseTypes.push('gameStatus');
-      } else {
-        promises.push(Promise.resolve(null));
-        promiseTypes.push('gameStatus');
-      }
+      const client = getRouletteClient(currentContract);
 
-      // 2. Bet history - Only fetch if user has placed bets before or there's an active game
+      // Bet history is only fetched if user has placed bets before or there's an active game
       // For new users without any bets yet, we'll skip this call to save resources
       const currentIsNewUser = isNewUserRef.current;
-      if (hasGetBetHistory && (!currentIsNewUser || hasActiveGame)) {
-        promises.push(
-          currentContract.getBetHistory(currentAccount).catch(_error => {
-            // Handle error silently
-            return [];
-          })
-        );
-        promiseTypes.push('betHistory');
-      } else {
-        promises.push(Promise.resolve([]));
-        promiseTypes.push('betHistory');
-      }
-
-      // Wait for all promises to resolve
-      const results = await Promise.allSettled(promises);
+      const [statusResult, historyResult] = await Promise.allSettled([
+        client.getGameStatus(currentAccount),
+        !currentIsNewUser || hasActiveGame
+          ? client.getHistoryPage(currentAccount)
+          : Promise.resolve({ spins: [], total: 0 }),
+      ]);
+
+      // An ABI mismatch won't fix itself on the next poll, so surface it
+      [statusResult, historyResult].forEach(result => {
+        if (
+          result.status === 'rejected' &&
+          result.reason instanceof AbiMismatchError
+        ) {
+          throw result.reason;
+        }
+      });
 
       // Extract results
       let gameStatus = {};
       let betHistory = [];
       let userHasPlacedBets = false;
 
-      // Process results by checking the type we stored
-      results.forEach((result, index) => {
-        const type = promiseTypes[index];
-
-        if (result.status === 'fulfilled') {
-          if (type === 'gameStatus' && result.value) {
-            const status = result.value;
-
-            gameStatus = {
-              isActive: status.isActive,
-              isWin: status.isWin,
-              isCompleted: status.isCompleted,
-              chosenNumber: status.chosenSide
-                ? Number(status.chosenSide)
-                : null,
-              amount: status.amount.toString(),
-              result: Number(status.result),
-              payout: status.payout.toString(),
-              requestId: status.requestId.toString(),
-              recoveryEligible: status.recoveryEligible,
-              lastPlayTimestamp: Number(status.lastPlayTimestamp),
-              requestExists: status.requestExists,
-              requestProcessed: status.requestProcessed,
-              // Derive requestFulfilled from requestProcessed which is what the contract returns
-              requestFulfilled: status.requestProcessed,
-            };
-
-            // Check if user has placed bets before based on lastPlayTimestamp
-            if (status.lastPlayTimestamp > 0) {
-              userHasPlacedBets = true;
-            }
-          } else if (type === 'betHistory') {
-            betHistory = processBetHistory(result.value);
-
-            // If we got any bet history, user is not new
-            if (betHistory && betHistory.length > 0) {
-              userHasPlacedBets = true;
-            }
-          }
+      if (statusResult.status === 'fulfilled') {
+        const status = statusResult.value;
+
+        gameStatus = {
+          ...status,
+          totalAmount: status.totalAmount.toString(),
+          totalPayout: status.totalPayout.toString(),
+          // Derive requestFulfilled from requestProcessed which is what the contract returns
+          requestFulfilled: status.requestProcessed,
+        };
+
+        // Check if user has placed bets before based on lastPlayTimestamp
+        if (status.lastPlayTimestamp > 0) {
+          userHasPlacedBets = true;
         }
-      });
+      }
+
+      if (historyResult.status === 'fulfilled') {
+        // Settled spins only, newest first; the active spin is in gameStatus
+        betHistory = historyResult.value.spins
+          .filter(spin => !spin.isActive)
+          .map(formatSpin);
+
+        // If we got any bet history, user is not new
+        if (betHistory.length > 0) {
+          userHasPlacedBets = true;
+        }
+      }
 
       // Update state with all data in a single setState call to avoid multiple re-renders
       setGameData({
@@ -174,57 +150,49 @@ export const PollingProvider = ({
     }
   }, [hasActiveGame]); // Only depend on hasActiveGame, use refs for other values
 
-  // Process bet history data
-  const processBetHistory = bets => {
-    if (!bets || !Array.isArray(bets)) return [];
-
-    const RESULT_FORCE_STOPPED = 254;
-    const RESULT_RECOVERED = 255;
-    const HEADS = 1;
-    const TAILS = 2;
-
-    const processedBets = bets
-      .map(bet => {
-        try {
-          const rolledNumber = Number(bet.flippedResult);
-          let resultType = 'normal';
-
-          if (rolledNumber === RESULT_FORCE_STOPPED)
-            resultType = 'force_stopped';
-          else if (rolledNumber === RESULT_RECOVERED) resultType = 'recovered';
-          else if (rolledNumber !== HEADS && rolledNumber !== TAILS)
-            resultType = 'unknown';
-
-          return {
-            timestamp: Number(bet.timestamp),
-            chosenNumber: Number(bet.chosenSide),
-            rolledNumber,
-            amount: bet.amount.toString(),
-            payout: bet.payout.toString(),
-            isWin:
-              resultType === 'normal' &&
-              rolledNumber === Number(bet.chosenSide),
-            resultType,
-            status:
-              resultType === 'force_stopped'
-                ? 'Force Stopped'
-                : resultType === 'recovered'
-                  ? 'Recovered'
-                  : resultType === 'normal'
-                    ? rolledNumber === Number(bet.chosenSide)
-                      ? 'Won'
-                      : 'Lost'
-                    : 'Unknown',
-          };
-        } catch (error) {
-          return null;
+  // Keep the latest fetchData for event handlers so they don't resubscribe
+  const fetchDataRef = useRef(fetchData);
+  useEffect(() => {
+    fetchDataRef.current = fetchData;
+  }, [fetchData]);
+
+  // Subscribe to the connected account's game events
+  useEffect(() => {
+    if (!RouletteContract || !account) {
+      setEventsConnected(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    let unsubscribe = null;
+
+    subscribeToPlayerEvents(RouletteContract, account, {
+      onBetPlaced: () => {
+        setHasActiveGame(true);
+        fetchDataRef.current();
+      },
+      onGameCompleted: () => fetchDataRef.current(),
+      onGameRecovered: () => fetchDataRef.current(),
+    })
+      .then(unsub => {
+        if (cancelled) {
+          unsub();
+          return;
         }
+        unsubscribe = unsub;
+        setEventsConnected(true);
       })
-      .filter(Boolean)
-      .sort((a, b) => b.timestamp - a.timestamp);
+      .catch(() => {
+        // Provider can't deliver logs, stay on interval polling
+        if (!cancelled) setEventsConnected(false);
+      });
 
-    return processedBets;
-  };
+    return () => {
+      cancelled = true;
+      if (unsubscribe) unsubscribe();
+      setEventsConnected(false);
+    };
+  }, [RouletteContract, account]);
 
   // Set up polling interval - Only poll if user has placed bets or has an active game
   useEffect(() => {
@@ -245,6 +213,7 @@ export const PollingProvider = ({
     ...gameData,
     refreshData: fetchData,
     hasActiveGame,
+    eventsConnected,
   };
 
   return (
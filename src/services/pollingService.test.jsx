@@ -0,0 +1,71 @@
+import { act, waitFor } from '@testing-library/react';
+import { parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import { usePollingService } from './pollingService.jsx';
+import {
+  placeSpin,
+  renderHookWithProviders,
+  setupSimulatedWallet,
+  waitForWallet,
+} from '../test/renderWithProviders.jsx';
+
+const EVENT_TIMEOUT = { timeout: 10000 };
+
+describe('PollingProvider', () => {
+  it('reports a new user with no active game', async () => {
+    await setupSimulatedWallet();
+    const { result } = renderHookWithProviders(usePollingService);
+    await waitForWallet(result);
+
+    await waitFor(() => expect(result.current.hook.gameStatus).toBeTruthy());
+    expect(result.current.hook.gameStatus.isActive).toBe(false);
+    expect(result.current.hook.isNewUser).toBe(true);
+    expect(result.current.hook.betHistory).toEqual([]);
+  });
+
+  it('follows a spin from BetPlaced to GameCompleted', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const { result } = renderHookWithProviders(usePollingService);
+    await waitForWallet(result);
+    await waitFor(() => expect(result.current.hook.eventsConnected).toBe(true));
+
+    const requestId = await placeSpin(simulator);
+
+    await waitFor(
+      () => expect(result.current.hook.gameStatus?.isActive).toBe(true),
+      EVENT_TIMEOUT
+    );
+    expect(result.current.hook.hasActiveGame).toBe(true);
+    expect(result.current.hook.gameStatus.totalAmount).toBe(
+      parseEther('1').toString()
+    );
+
+    // 1 is red, so the bet pays evens
+    simulator.vrf.fulfillWithNumber(requestId, 1);
+
+    await waitFor(
+      () => expect(result.current.hook.gameStatus.isActive).toBe(false),
+      EVENT_TIMEOUT
+    );
+    await waitFor(() => expect(result.current.hook.betHistory).toHaveLength(1));
+    expect(result.current.hook.isNewUser).toBe(false);
+    expect(result.current.hook.betHistory[0]).toMatchObject({
+      winningNumber: 1,
+      isWin: true,
+      payout: parseEther('2').toString(),
+    });
+  });
+
+  it('picks up a spin on refreshData without waiting for events', async () => {
+    const { simulator } = await setupSimulatedWallet();
+    const { result } = renderHookWithProviders(usePollingService);
+    await waitForWallet(result);
+    await waitFor(() => expect(result.current.hook.gameStatus).toBeTruthy());
+
+    await placeSpin(simulator);
+    await act(() => result.current.hook.refreshData());
+
+    expect(result.current.hook.gameStatus.isActive).toBe(true);
+    expect(result.current.hook.gameStatus.requestProcessed).toBe(false);
+  });
+});
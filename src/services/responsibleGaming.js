@@ -0,0 +1,474 @@
+/**
+ * Per-account responsible gaming limits.
+ *
+ * Players can cap how much they lose and wager in a session and how long a
+ * session lasts, take a cool-off break or self-exclude for months, and get
+ * reality checks on their session at a chosen interval. Everything is kept
+ * in localStorage under the account's address, so reloading the page or
+ * reconnecting does not reset a session or a lock.
+ *
+ * A session starts with the first spin and ends after SESSION_IDLE_TIMEOUT
+ * without one. Tighter limits apply at once; looser ones only after
+ * LIMIT_INCREASE_DELAY, so a limit can't be lifted in the heat of a session.
+ */
+
+import { formatTokenAmount } from '../utils/formatting';
+
+const STORAGE_KEY_PREFIX = 'gama_Roulette_limits_';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const SESSION_IDLE_TIMEOUT = 30 * MINUTE;
+export const LIMIT_INCREASE_DELAY = DAY;
+
+export const COOL_OFF_OPTIONS = [
+  { label: '24 hours', duration: DAY },
+  { label: '7 days', duration: 7 * DAY },
+  { label: '30 days', duration: 30 * DAY },
+];
+
+export const SELF_EXCLUSION_OPTIONS = [
+  { label: '6 months', duration: 183 * DAY },
+  { label: '1 year', duration: 365 * DAY },
+  { label: '5 years', duration: 5 * 365 * DAY },
+];
+
+// Minutes between reality checks; 0 turns them off
+export const REALITY_CHECK_OPTIONS = [0, 15, 30, 60];
+export const DEFAULT_REALITY_CHECK_MINUTES = 30;
+
+// Spins are stamped with their block time, which can be a little earlier
+// than the session start recorded once the receipt arrived
+const SESSION_SPIN_GRACE = 5 * MINUTE;
+
+// Amount limits are in wei, the session limit in minutes; null means unset
+export const LIMIT_KEYS = ['lossLimit', 'wagerLimit', 'sessionMinutes'];
+
+const EMPTY_LIMITS = {
+  lossLimit: null,
+  wagerLimit: null,
+  sessionMinutes: null,
+};
+
+const storageKey = account =>
+  `${STORAGE_KEY_PREFIX}${String(account).toLowerCase()}`;
+
+const toBigIntOrNull = value =>
+  value === null || value === undefined || value === '' ? null : BigInt(value);
+
+const toNumberOrNull = value =>
+  value === null || value === undefined || value === '' ? null : Number(value);
+
+// Only the keys present are converted, so pending changes stay partial
+const parseLimits = (limits = {}) =>
+  Object.fromEntries(
+    LIMIT_KEYS.filter(key => key in limits).map(key => [
+      key,
+      key === 'sessionMinutes'
+        ? toNumberOrNull(limits[key])
+        : toBigIntOrNull(limits[key]),
+    ])
+  );
+
+const serializeLimits = limits =>
+  Object.fromEntries(
+    Object.entries(limits).map(([key, value]) => [
+      key,
+      typeof value === 'bigint' ? value.toString() : value,
+    ])
+  );
+
+const readState = account => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey(account)));
+    if (!stored) return null;
+
+    return {
+      limits: { ...EMPTY_LIMITS, ...parseLimits(stored.limits) },
+      pendingLimits: stored.pendingLimits
+        ? {
+            limits: parseLimits(stored.pendingLimits.limits),
+            effectiveAt: stored.pendingLimits.effectiveAt,
+          }
+        : null,
+      coolOffUntil: stored.coolOffUntil ?? null,
+      selfExcludedUntil: stored.selfExcludedUntil ?? null,
+      realityCheckMinutes:
+        stored.realityCheckMinutes ?? DEFAULT_REALITY_CHECK_MINUTES,
+      session: stored.session
+        ? {
+            startedAt: stored.session.startedAt,
+            lastActivityAt: stored.session.lastActivityAt,
+            wagered: BigInt(stored.session.wagered),
+            returned: BigInt(stored.session.returned),
+            lastRealityCheckAt: stored.session.lastRealityCheckAt ?? null,
+            spins: stored.session.spins || {},
+          }
+        : null,
+    };
+  } catch (error) {
+    // Unreadable entries are treated as no settings at all
+    return null;
+  }
+};
+
+const writeState = (account, state) => {
+  localStorage.setItem(
+    storageKey(account),
+    JSON.stringify({
+      limits: serializeLimits(state.limits),
+      pendingLimits: state.pendingLimits
+        ? {
+            limits: serializeLimits(state.pendingLimits.limits),
+            effectiveAt: state.pendingLimits.effectiveAt,
+          }
+        : null,
+      coolOffUntil: state.coolOffUntil,
+      selfExcludedUntil: state.selfExcludedUntil,
+      realityCheckMinutes: state.realityCheckMinutes,
+      session: state.session
+        ? {
+            ...state.session,
+            wagered: state.session.wagered.toString(),
+            returned: state.session.returned.toString(),
+          }
+        : null,
+    })
+  );
+};
+
+// A null limit is the loosest possible value
+const isLooser = (next, current) =>
+  current !== null && (next === null || next > current);
+
+/**
+ * Load an account's settings and session, applying anything that has
+ * expired or come into effect by `now`
+ * @param {String} account - Player address
+ * @param {Number} [now] - Current time in ms
+ * @returns {Object} { limits, pendingLimits, coolOffUntil,
+ *   selfExcludedUntil, realityCheckMinutes, session }
+ */
+export const loadPlayerState = (account, now = Date.now()) => {
+  const state = readState(account) || {
+    limits: { ...EMPTY_LIMITS },
+    pendingLimits: null,
+    coolOffUntil: null,
+    selfExcludedUntil: null,
+    realityCheckMinutes: DEFAULT_REALITY_CHECK_MINUTES,
+    session: null,
+  };
+
+  if (state.pendingLimits && state.pendingLimits.effectiveAt <= now) {
+    state.limits = { ...state.limits, ...state.pendingLimits.limits };
+    state.pendingLimits = null;
+  }
+  if (state.coolOffUntil && state.coolOffUntil <= now) {
+    state.coolOffUntil = null;
+  }
+  if (state.selfExcludedUntil && state.selfExcludedUntil <= now) {
+    state.selfExcludedUntil = null;
+  }
+  if (
+    state.session &&
+    now - state.session.lastActivityAt >= SESSION_IDLE_TIMEOUT
+  ) {
+    state.session = null;
+  }
+
+  return state;
+};
+
+/**
+ * Change an account's limits. Limits that get tighter apply immediately,
+ * limits that get looser or are removed wait LIMIT_INCREASE_DELAY.
+ * @param {String} account - Player address
+ * @param {Object} limits - Any of lossLimit, wagerLimit (BigInt wei) and
+ *   sessionMinutes (Number), null to remove
+ * @param {Number} [now] - Current time in ms
+ * @returns {Object} Updated player state
+ */
+export const updateLimits = (account, limits, now = Date.now()) => {
+  const state = loadPlayerState(account, now);
+  const immediate = {};
+  const delayed = {};
+
+  LIMIT_KEYS.filter(key => key in limits).forEach(key => {
+    const next = limits[key] ?? null;
+    if (isLooser(next, state.limits[key])) {
+      delayed[key] = next;
+    } else {
+      immediate[key] = next;
+    }
+  });
+
+  state.limits = { ...state.limits, ...immediate };
+
+  // A tightened limit also cancels any loosening still waiting for it
+  const stillPending = state.pendingLimits
+    ? Object.fromEntries(
+        Object.entries(state.pendingLimits.limits).filter(
+          ([key]) => !(key in immediate) && !(key in delayed)
+        )
+      )
+    : {};
+  const pending = { ...stillPending, ...delayed };
+
+  if (Object.keys(delayed).length > 0) {
+    state.pendingLimits = {
+      limits: pending,
+      effectiveAt: now + LIMIT_INCREASE_DELAY,
+    };
+  } else if (Object.keys(pending).length > 0) {
+    state.pendingLimits = { ...state.pendingLimits, limits: pending };
+  } else {
+    state.pendingLimits = null;
+  }
+
+  writeState(account, state);
+  return state;
+};
+
+/**
+ * Block betting for a while. A cool-off can be extended but never cut short.
+ * @param {String} account - Player address
+ * @param {Number} duration - Length of the break in ms
+ * @param {Number} [now] - Current time in ms
+ * @returns {Object} Updated player state
+ */
+export const startCoolOff = (account, duration, now = Date.now()) => {
+  const state = loadPlayerState(account, now);
+  state.coolOffUntil = Math.max(state.coolOffUntil || 0, now + duration);
+  writeState(account, state);
+  return state;
+};
+
+/**
+ * Lock betting on the account for months. Like a cool-off, self-exclusion
+ * can be extended but never lifted early.
+ * @param {String} account - Player address
+ * @param {Number} duration - Length of the exclusion in ms
+ * @param {Number} [now] - Current time in ms
+ * @returns {Object} Updated player state
+ */
+export const startSelfExclusion = (account, duration, now = Date.now()) => {
+  const state = loadPlayerState(account, now);
+  state.selfExcludedUntil = Math.max(
+    state.selfExcludedUntil || 0,
+    now + duration
+  );
+  writeState(account, state);
+  return state;
+};
+
+/**
+ * Set how often reality checks interrupt a session
+ * @param {String} account - Player address
+ * @param {Number} minutes - One of REALITY_CHECK_OPTIONS, 0 for never
+ * @param {Number} [now] - Current time in ms
+ * @returns {Object} Updated player state
+ */
+export const setRealityCheckInterval = (account, minutes, now = Date.now()) => {
+  const state = loadPlayerState(account, now);
+  state.realityCheckMinutes = minutes;
+  writeState(account, state);
+  return state;
+};
+
+/**
+ * Mark the current reality check as seen, starting the next interval
+ * @param {String} account - Player address
+ * @param {Number} [now] - Current time in ms
+ * @returns {Object} Updated player state
+ */
+export const acknowledgeRealityCheck = (account, now = Date.now()) => {
+  const state = loadPlayerState(account, now);
+  if (!state.session) return state;
+
+  state.session = { ...state.session, lastRealityCheckAt: now };
+  writeState(account, state);
+  return state;
+};
+
+/**
+ * Keep the session's settled spins from the player's on-chain history. The
+ * contract only returns the latest spins, so they are collected as they
+ * show up to cover sessions longer than its history buffer.
+ * @param {String} account - Player address
+ * @param {Object[]} spins - Settled spins from the polling service
+ * @param {Number} [now] - Current time in ms
+ * @returns {Object} Updated player state
+ */
+export const recordSessionSpins = (account, spins, now = Date.now()) => {
+  const state = loadPlayerState(account, now);
+  if (!state.session) return state;
+
+  const since = state.session.startedAt - SESSION_SPIN_GRACE;
+  const fresh = spins.filter(
+    spin =>
+      !spin.isPending &&
+      spin.timestamp * 1000 >= since &&
+      !(spin.timestamp in state.session.spins)
+  );
+  if (fresh.length === 0) return state;
+
+  const added = Object.fromEntries(
+    fresh.map(spin => [
+      spin.timestamp,
+      {
+        amount: spin.totalAmount.toString(),
+        // Refunded spins neither win nor lose
+        payout:
+          spin.resultType === 'normal'
+            ? spin.totalPayout.toString()
+            : spin.totalAmount.toString(),
+      },
+    ])
+  );
+  state.session = {
+    ...state.session,
+    spins: { ...state.session.spins, ...added },
+  };
+  writeState(account, state);
+  return state;
+};
+
+/**
+ * Summary shown in a reality check, from the session's recorded spins
+ * @param {Object|null} session - Player state session
+ * @param {Number} [now] - Current time in ms
+ * @returns {Object} { elapsed (ms), spinCount, wagered, returned, net }
+ */
+export const getSessionSummary = (session, now = Date.now()) => {
+  const spins = Object.values(session?.spins || {});
+  const wagered = spins.reduce(
+    (sum, spin) => sum + BigInt(spin.amount),
+    BigInt(0)
+  );
+  const returned = spins.reduce(
+    (sum, spin) => sum + BigInt(spin.payout),
+    BigInt(0)
+  );
+
+  return {
+    elapsed: session ? now - session.startedAt : 0,
+    spinCount: spins.length,
+    wagered,
+    returned,
+    net: returned - wagered,
+  };
+};
+
+/**
+ * Whether a reality check is due for the session
+ * @param {Object} state - From loadPlayerState
+ * @param {Number} [now] - Current time in ms
+ * @returns {Boolean}
+ */
+export const isRealityCheckDue = (state, now = Date.now()) => {
+  const { session, realityCheckMinutes } = state;
+  if (!session || !realityCheckMinutes) return false;
+
+  const since = session.lastRealityCheckAt ?? session.startedAt;
+  return now - since >= realityCheckMinutes * MINUTE;
+};
+
+/**
+ * Add a placed spin's stake to the session, starting one if needed
+ * @param {String} account - Player address
+ * @param {BigInt} amount - Total stake in wei
+ * @param {Number} [now] - Current time in ms
+ * @returns {Object} Updated player state
+ */
+export const recordWager = (account, amount, now = Date.now()) => {
+  const state = loadPlayerState(account, now);
+  const session = state.session || {
+    startedAt: now,
+    lastActivityAt: now,
+    wagered: BigInt(0),
+    returned: BigInt(0),
+    lastRealityCheckAt: null,
+    spins: {},
+  };
+
+  state.session = {
+    ...session,
+    lastActivityAt: now,
+    wagered: session.wagered + amount,
+  };
+  writeState(account, state);
+  return state;
+};
+
+/**
+ * Add a settled spin's payout or refund to the session
+ * @param {String} account - Player address
+ * @param {BigInt} amount - Amount paid back in wei
+ * @param {Number} [now] - Current time in ms
+ * @returns {Object} Updated player state
+ */
+export const recordReturn = (account, amount, now = Date.now()) => {
+  const state = loadPlayerState(account, now);
+  // The session ended while the spin was waiting on VRF; nothing to credit
+  if (!state.session) return state;
+
+  state.session = {
+    ...state.session,
+    lastActivityAt: now,
+    returned: state.session.returned + amount,
+  };
+  writeState(account, state);
+  return state;
+};
+
+/**
+ * Session loss so far, never negative
+ * @param {Object|null} session - Player state session
+ * @returns {BigInt} Net loss in wei
+ */
+export const getSessionLoss = session =>
+  session && session.wagered > session.returned
+    ? session.wagered - session.returned
+    : BigInt(0);
+
+/**
+ * Why a spin of `amount` would break the player's limits
+ * @param {Object} state - From loadPlayerState
+ * @param {BigInt} amount - Total stake of the spin in wei
+ * @param {Number} [now] - Current time in ms
+ * @returns {String|null} Message for the player, or null if allowed
+ */
+export const getBetRejection = (state, amount, now = Date.now()) => {
+  const { limits, coolOffUntil, selfExcludedUntil, session } = state;
+
+  if (selfExcludedUntil && selfExcludedUntil > now) {
+    return `This address is self-excluded until ${new Date(selfExcludedUntil).toLocaleString()}. Betting is locked until then.`;
+  }
+
+  if (coolOffUntil && coolOffUntil > now) {
+    return `You are on a cool-off break until ${new Date(coolOffUntil).toLocaleString()}. Betting is paused until then.`;
+  }
+
+  if (
+    session &&
+    limits.sessionMinutes !== null &&
+    now - session.startedAt >= limits.sessionMinutes * MINUTE
+  ) {
+    return `You have reached your session time limit of ${limits.sessionMinutes} minutes. Take a break: a new session starts after ${SESSION_IDLE_TIMEOUT / MINUTE} minutes without play.`;
+  }
+
+  const wagered = session?.wagered || BigInt(0);
+  if (limits.wagerLimit !== null && wagered + amount > limits.wagerLimit) {
+    return `This spin would take your session wagers past your limit of ${formatTokenAmount(limits.wagerLimit)} GAMA (${formatTokenAmount(wagered)} GAMA wagered so far).`;
+  }
+
+  // Judge against the worst case, the whole stake being lost
+  const loss = getSessionLoss(session);
+  if (limits.lossLimit !== null && loss + amount > limits.lossLimit) {
+    return `This spin could take your session losses past your limit of ${formatTokenAmount(limits.lossLimit)} GAMA (${formatTokenAmount(loss)} GAMA lost so far).`;
+  }
+
+  return null;
+};
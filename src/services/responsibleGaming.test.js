@@ -0,0 +1,187 @@
+import { parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import {
+  LIMIT_INCREASE_DELAY,
+  SESSION_IDLE_TIMEOUT,
+  acknowledgeRealityCheck,
+  getBetRejection,
+  getSessionSummary,
+  isRealityCheckDue,
+  loadPlayerState,
+  recordReturn,
+  recordSessionSpins,
+  recordWager,
+  setRealityCheckInterval,
+  startCoolOff,
+  startSelfExclusion,
+  updateLimits,
+} from './responsibleGaming';
+
+const PLAYER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const NOW = Date.UTC(2026, 0, 1);
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('responsibleGaming', () => {
+  it('keeps limits per account across loads', () => {
+    updateLimits(PLAYER, { wagerLimit: parseEther('50') }, NOW);
+
+    expect(loadPlayerState(PLAYER.toLowerCase(), NOW).limits).toEqual({
+      lossLimit: null,
+      wagerLimit: parseEther('50'),
+      sessionMinutes: null,
+    });
+    expect(
+      loadPlayerState('0x70997970C51812dc3A010C7d01b50e0d17dc79C8', NOW).limits
+        .wagerLimit
+    ).toBeNull();
+  });
+
+  it('applies a tighter limit at once and a looser one after a delay', () => {
+    updateLimits(PLAYER, { lossLimit: parseEther('100') }, NOW);
+    updateLimits(PLAYER, { lossLimit: parseEther('10') }, NOW);
+    expect(loadPlayerState(PLAYER, NOW).limits.lossLimit).toBe(
+      parseEther('10')
+    );
+
+    const state = updateLimits(PLAYER, { lossLimit: null }, NOW);
+    expect(state.limits.lossLimit).toBe(parseEther('10'));
+    expect(state.pendingLimits).toEqual({
+      limits: { lossLimit: null },
+      effectiveAt: NOW + LIMIT_INCREASE_DELAY,
+    });
+
+    const later = NOW + LIMIT_INCREASE_DELAY;
+    expect(loadPlayerState(PLAYER, later - 1).limits.lossLimit).toBe(
+      parseEther('10')
+    );
+    expect(loadPlayerState(PLAYER, later).limits.lossLimit).toBeNull();
+  });
+
+  it('drops a pending loosening when the limit is tightened again', () => {
+    updateLimits(PLAYER, { sessionMinutes: 60 }, NOW);
+    updateLimits(PLAYER, { sessionMinutes: 120 }, NOW);
+    const state = updateLimits(PLAYER, { sessionMinutes: 30 }, NOW);
+
+    expect(state.limits.sessionMinutes).toBe(30);
+    expect(state.pendingLimits).toBeNull();
+  });
+
+  it('blocks spins that could push the session past its limits', () => {
+    updateLimits(
+      PLAYER,
+      { lossLimit: parseEther('10'), wagerLimit: parseEther('25') },
+      NOW
+    );
+    recordWager(PLAYER, parseEther('8'), NOW);
+    recordReturn(PLAYER, parseEther('2'), NOW);
+    let state = loadPlayerState(PLAYER, NOW);
+
+    expect(getBetRejection(state, parseEther('4'), NOW)).toBeNull();
+    expect(getBetRejection(state, parseEther('5'), NOW)).toMatch(
+      /session losses past your limit of 10 GAMA \(6 GAMA lost so far\)/
+    );
+
+    recordWager(PLAYER, parseEther('16'), NOW);
+    recordReturn(PLAYER, parseEther('16'), NOW);
+    state = loadPlayerState(PLAYER, NOW);
+    expect(getBetRejection(state, parseEther('2'), NOW)).toMatch(
+      /session wagers past your limit of 25 GAMA/
+    );
+  });
+
+  it('ends the session time limit with a break', () => {
+    updateLimits(PLAYER, { sessionMinutes: 60 }, NOW);
+    // Spins close enough together to keep one session going
+    [0, 25, 50].forEach(minutes =>
+      recordWager(PLAYER, parseEther('1'), NOW + minutes * MINUTE)
+    );
+
+    const atLimit = NOW + 60 * MINUTE;
+    expect(
+      getBetRejection(loadPlayerState(PLAYER, atLimit), BigInt(1), atLimit)
+    ).toMatch(/session time limit of 60 minutes/);
+
+    // A new session starts once the player has been idle long enough
+    const rested = NOW + 50 * MINUTE + SESSION_IDLE_TIMEOUT;
+    const state = loadPlayerState(PLAYER, rested);
+    expect(state.session).toBeNull();
+    expect(getBetRejection(state, BigInt(1), rested)).toBeNull();
+  });
+
+  it('holds a cool-off until it expires and never shortens it', () => {
+    startCoolOff(PLAYER, 7 * 24 * 60 * MINUTE, NOW);
+    const state = startCoolOff(PLAYER, 24 * 60 * MINUTE, NOW);
+    const end = NOW + 7 * 24 * 60 * MINUTE;
+
+    expect(state.coolOffUntil).toBe(end);
+    expect(getBetRejection(state, BigInt(1), end - 1)).toMatch(
+      /cool-off break until/
+    );
+    expect(
+      getBetRejection(loadPlayerState(PLAYER, end), BigInt(1), end)
+    ).toBeNull();
+  });
+
+  it('keeps a self-exclusion that cool-offs and shorter ones cannot lift', () => {
+    const year = 365 * DAY;
+    startSelfExclusion(PLAYER, year, NOW);
+    startSelfExclusion(PLAYER, 183 * DAY, NOW);
+    const state = startCoolOff(PLAYER, 24 * 60 * MINUTE, NOW);
+
+    expect(state.selfExcludedUntil).toBe(NOW + year);
+    expect(getBetRejection(state, BigInt(0), NOW)).toMatch(/self-excluded/);
+    expect(loadPlayerState(PLAYER, NOW + year).selfExcludedUntil).toBeNull();
+  });
+
+  it('falls due for a reality check each interval after the last one', () => {
+    recordWager(PLAYER, parseEther('1'), NOW);
+    setRealityCheckInterval(PLAYER, 15, NOW);
+
+    const due = NOW + 15 * MINUTE;
+    expect(isRealityCheckDue(loadPlayerState(PLAYER, due - 1), due - 1)).toBe(
+      false
+    );
+    expect(isRealityCheckDue(loadPlayerState(PLAYER, due), due)).toBe(true);
+
+    const state = acknowledgeRealityCheck(PLAYER, due);
+    expect(isRealityCheckDue(state, due + 14 * MINUTE)).toBe(false);
+    expect(isRealityCheckDue(state, due + 15 * MINUTE)).toBe(true);
+
+    setRealityCheckInterval(PLAYER, 0, due);
+    expect(isRealityCheckDue(loadPlayerState(PLAYER, due), NOW + DAY)).toBe(
+      false
+    );
+  });
+
+  it('sums settled session spins once each, refunds as break-even', () => {
+    recordWager(PLAYER, parseEther('3'), NOW);
+    const spin = (minutes, overrides) => ({
+      timestamp: (NOW + minutes * MINUTE) / 1000,
+      totalAmount: parseEther('1'),
+      totalPayout: BigInt(0),
+      resultType: 'normal',
+      isPending: false,
+      ...overrides,
+    });
+    const history = [
+      spin(2, { totalPayout: parseEther('2') }),
+      spin(1),
+      spin(0.5, { resultType: 'recovered' }),
+      spin(0, { isPending: true }),
+      // Before the session started
+      spin(-60),
+    ];
+
+    recordSessionSpins(PLAYER, history, NOW + 3 * MINUTE);
+    const state = recordSessionSpins(PLAYER, history, NOW + 4 * MINUTE);
+
+    expect(getSessionSummary(state.session, NOW + 10 * MINUTE)).toEqual({
+      elapsed: 10 * MINUTE,
+      spinCount: 3,
+      wagered: parseEther('3'),
+      returned: parseEther('3'),
+      net: BigInt(0),
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Dry run of a contract write before the wallet is asked to sign it.
+ *
+ * The call is first made with eth_call from the sending account, which
+ * returns what the write would return or the error it would revert with,
+ * decoded against the contract ABIs. If it succeeds, eth_estimateGas and the
+ * current gas price give the XDC the transaction should cost, which is
+ * compared with the account's native balance.
+ */
+
+import { decodeContractError, getRevertReason } from '../utils/errorHandling';
+
+/**
+ * @typedef {Object} Simulation
+ * @property {String} status - 'success', 'reverted', or 'unknown' when the
+ *   node could not be asked
+ * @property {*} result - Value the write would return, on success
+ * @property {Object|null} revert - decodeContractError result, when reverted
+ * @property {String|null} reason - Why the write would fail or could not be
+ *   simulated
+ * @property {BigInt|undefined} gasLimit - Estimated gas
+ * @property {BigInt|undefined} gasPrice - Current gas price (wei)
+ * @property {BigInt|undefined} gasCost - gasLimit * gasPrice (wei of XDC)
+ * @property {BigInt|undefined} xdcBalance - Sender's native balance (wei)
+ * @property {Boolean|undefined} canPayGas - xdcBalance covers gasCost;
+ *   undefined when either is unknown
+ */
+
+const getProvider = contract => contract.runner?.provider || contract.runner;
+
+// eth_call rejects with CALL_EXCEPTION (or revert data ethers could not
+// place) when the contract reverts; anything else is the node or network
+const isRevert = error =>
+  error?.code === 'CALL_EXCEPTION' || !!decodeContractError(error);
+
+/**
+ * Simulate a contract write from the contract's signer
+ * @param {Object} params
+ * @param {Object} params.contract - ethers Contract connected to a signer
+ * @param {String} params.method - Function name
+ * @param {Array} [params.args] - Function arguments
+ * @param {BigInt} [params.xdcBalance] - Sender's native balance, to check
+ *   it covers gas
+ * @returns {Promise<Simulation>} Outcome of the dry run
+ */
+export const simulateTransaction = async ({
+  contract,
+  method,
+  args = [],
+  xdcBalance,
+}) => {
+  const fn = contract.getFunction(method);
+  const simulation = {
+    status: 'success',
+    result: undefined,
+    revert: null,
+    reason: null,
+    gasLimit: undefined,
+    gasPrice: undefined,
+    gasCost: undefined,
+    xdcBalance,
+    canPayGas: undefined,
+  };
+
+  try {
+    simulation.result = await fn.staticCall(...args);
+  } catch (error) {
+    const reverted = isRevert(error);
+    return {
+      ...simulation,
+      status: reverted ? 'reverted' : 'unknown',
+      revert: decodeContractError(error),
+      reason: reverted
+        ? getRevertReason(error)
+        : `Could not simulate the transaction: ${error.shortMessage || error.message}`,
+    };
+  }
+
+  try {
+    const [gasLimit, feeData] = await Promise.all([
+      fn.estimateGas(...args),
+      getProvider(contract).getFeeData(),
+    ]);
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas;
+    simulation.gasLimit = gasLimit;
+    if (gasPrice !== null && gasPrice !== undefined) {
+      simulation.gasPrice = gasPrice;
+      simulation.gasCost = gasLimit * gasPrice;
+    }
+  } catch {
+    // The call itself succeeded, so send without a cost estimate
+  }
+
+  if (simulation.gasCost !== undefined && xdcBalance !== undefined) {
+    simulation.canPayGas = BigInt(xdcBalance) >= simulation.gasCost;
+  }
+  return simulation;
+};
@@ -0,0 +1,82 @@
+import { MaxUint256, parseEther, parseUnits } from 'ethers';
+import { describe, expect, it, vi } from 'vitest';
+import { simulateTransaction } from './txSimulation';
+import { BET_TYPES } from '../constants/game';
+import { createSimulator } from '../simulator';
+
+const redBet = amount => [
+  { betTypeId: BET_TYPES.RED_BET, number: 0, amount: parseEther(amount) },
+];
+
+const setup = async () => {
+  const simulator = createSimulator({ seed: 'simulation' });
+  await simulator.ready;
+  const [, player] = simulator.accounts;
+  const { Roulette, token } = await simulator.getContracts(player);
+  return { simulator, player, contract: Roulette, token };
+};
+
+describe('txSimulation', () => {
+  it('returns what the write would return and its gas cost', async () => {
+    const { simulator, contract, token } = await setup();
+    await token.approve(simulator.addresses.Roulette, MaxUint256);
+    vi.spyOn(contract.runner.provider, 'getFeeData').mockResolvedValue({
+      gasPrice: parseUnits('12.5', 'gwei'),
+    });
+
+    const simulation = await simulateTransaction({
+      contract,
+      method: 'placeBet',
+      args: [redBet('1')],
+      xdcBalance: parseEther('1'),
+    });
+
+    expect(simulation.status).toBe('success');
+    expect(simulation.result).toBe(BigInt(1));
+    expect(simulation.gasLimit > BigInt(0)).toBe(true);
+    expect(simulation.gasCost).toBe(
+      simulation.gasLimit * parseUnits('12.5', 'gwei')
+    );
+    expect(simulation.canPayGas).toBe(true);
+    // The dry run sent nothing
+    expect(simulator.vrf.getPendingRequests()).toHaveLength(0);
+  });
+
+  it('decodes the revert without estimating gas', async () => {
+    const { contract } = await setup();
+
+    const simulation = await simulateTransaction({
+      contract,
+      method: 'placeBet',
+      args: [redBet('1')],
+    });
+
+    expect(simulation).toMatchObject({
+      status: 'reverted',
+      revert: {
+        name: 'InsufficientAllowance',
+        args: { required: parseEther('1'), allowed: BigInt(0) },
+      },
+      gasLimit: undefined,
+    });
+    expect(simulation.reason).toMatch(/^The game needs an allowance of 1 GAMA/);
+  });
+
+  it('warns when the XDC balance cannot cover gas', async () => {
+    const { simulator, contract, token } = await setup();
+    await token.approve(simulator.addresses.Roulette, MaxUint256);
+    vi.spyOn(contract.runner.provider, 'getFeeData').mockResolvedValue({
+      gasPrice: parseUnits('1', 'gwei'),
+    });
+
+    const simulation = await simulateTransaction({
+      contract,
+      method: 'placeBet',
+      args: [redBet('1')],
+      xdcBalance: BigInt(1000),
+    });
+
+    expect(simulation.status).toBe('success');
+    expect(simulation.canPayGas).toBe(false);
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * Persistent record of the transactions the app sends.
+ *
+ * Every approve, placeBet and recoverOwnStuckGame transaction is kept in
+ * localStorage under the chain and account that sent it, so reloading the
+ * page doesn't lose track of one that is still pending. watchTransaction
+ * follows a stored transaction block by block until it has a receipt, or
+ * until another transaction with the same nonce is mined in its place: a
+ * wallet's "speed up" resends the same call at a higher gas price, its
+ * "cancel" sends nothing to the account itself.
+ */
+
+const STORAGE_KEY_PREFIX = 'gama_Roulette_txs_';
+
+// Older entries are dropped once an account has this many
+export const MAX_TRACKED_TRANSACTIONS = 25;
+
+// Blocks searched for a replacement, from the send block or, when that is
+// unknown, back from the head. A replacement not found in range is recorded
+// without its hash rather than fetching every block since.
+const REPLACEMENT_SCAN_BLOCKS = 100;
+
+export const TX_KINDS = {
+  APPROVE: 'approve',
+  PLACE_BET: 'placeBet',
+  RECOVER: 'recover',
+};
+
+export const TX_KIND_LABELS = {
+  [TX_KINDS.APPROVE]: 'Approve GAMA',
+  [TX_KINDS.PLACE_BET]: 'Place bet',
+  [TX_KINDS.RECOVER]: 'Recover stuck game',
+};
+
+export const TX_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  // Mined under another hash: sped up, or replaced by a different call
+  REPLACED: 'replaced',
+  // The wallet's cancel, an empty transaction to the sender
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * @typedef {Object} TrackedTransaction
+ * @property {String} hash - Transaction hash
+ * @property {String} kind - One of TX_KINDS
+ * @property {String} status - One of TX_STATUS
+ * @property {String} from - Sender
+ * @property {String|null} to - Recipient contract
+ * @property {Number} nonce - Sender nonce
+ * @property {String} data - Call data
+ * @property {String} value - Native value sent (wei, decimal string)
+ * @property {Number|null} startBlock - Head block when it was sent
+ * @property {Number|null} blockNumber - Block it was mined in
+ * @property {String|null} replacedBy - Hash mined in its place
+ * @property {Number} submittedAt - Unix time in ms
+ * @property {Number} updatedAt - Unix time in ms of the last change
+ */
+
+const storageKey = (chainId, account) =>
+  `${STORAGE_KEY_PREFIX}${Number(chainId)}_${String(account).toLowerCase()}`;
+
+/**
+ * Read the stored transactions of an account, newest first
+ * @param {Number} chainId - Chain the transactions were sent on
+ * @param {String} account - Sender
+ * @returns {TrackedTransaction[]} Stored transactions
+ */
+export const loadTransactions = (chainId, account) => {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(storageKey(chainId, account))
+    );
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    // Unreadable entries are treated as no history at all
+    return [];
+  }
+};
+
+const saveTransactions = (chainId, account, transactions) => {
+  const kept = transactions.slice(0, MAX_TRACKED_TRANSACTIONS);
+  localStorage.setItem(storageKey(chainId, account), JSON.stringify(kept));
+  return kept;
+};
+
+/**
+ * Start tracking a transaction that was just sent
+ * @param {Number} chainId - Chain it was sent on
+ * @param {String} account - Sender
+ * @param {Object} tx - ethers TransactionResponse
+ * @param {Object} options
+ * @param {String} options.kind - One of TX_KINDS
+ * @param {Number} [options.startBlock] - Head block when it was sent
+ * @returns {TrackedTransaction[]} Updated list, newest first
+ */
+export const recordTransaction = (
+  chainId,
+  account,
+  tx,
+  { kind, startBlock = null }
+) => {
+  const now = Date.now();
+  const record = {
+    hash: tx.hash,
+    kind,
+    status: TX_STATUS.PENDING,
+    from: tx.from,
+    to: tx.to ?? null,
+    nonce: Number(tx.nonce),
+    data: tx.data || '0x',
+    value: BigInt(tx.value ?? 0).toString(),
+    startBlock,
+    blockNumber: null,
+    replacedBy: null,
+    submittedAt: now,
+    updatedAt: now,
+  };
+
+  return saveTransactions(chainId, account, [
+    record,
+    ...loadTransactions(chainId, account).filter(
+      stored => stored.hash !== tx.hash
+    ),
+  ]);
+};
+
+/**
+ * Apply what watchTransaction learned about a stored transaction. A
+ * replacement is stored as a transaction of its own, of the same kind.
+ * @param {Number} chainId - Chain it was sent on
+ * @param {String} account - Sender
+ * @param {String} hash - Stored transaction
+ * @param {Object} changes - Fields to update
+ * @param {Object} [replacement] - Fields of the transaction mined in its
+ *   place, with at least hash and status
+ * @returns {TrackedTransaction[]} Updated list, newest first
+ */
+export const updateTransaction = (
+  chainId,
+  account,
+  hash,
+  changes,
+  replacement
+) => {
+  const now = Date.now();
+  const transactions = loadTransactions(chainId, account);
+  const original = transactions.find(tx => tx.hash === hash);
+  if (!original) return transactions;
+
+  const updated = transactions.map(tx =>
+    tx.hash === hash ? { ...tx, ...changes, updatedAt: now } : tx
+  );
+  if (!replacement || updated.some(tx => tx.hash === replacement.hash)) {
+    return saveTransactions(chainId, account, updated);
+  }
+
+  return saveTransactions(chainId, account, [
+    {
+      ...original,
+      replacedBy: null,
+      ...replacement,
+      submittedAt: now,
+      updatedAt: now,
+    },
+    ...updated,
+  ]);
+};
+
+/**
+ * Drop transactions that are no longer pending
+ * @param {Number} chainId - Chain they were sent on
+ * @param {String} account - Sender
+ * @returns {TrackedTransaction[]} The pending transactions left
+ */
+export const clearSettledTransactions = (chainId, account) =>
+  saveTransactions(
+    chainId,
+    account,
+    loadTransactions(chainId, account).filter(
+      tx => tx.status === TX_STATUS.PENDING
+    )
+  );
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// A wallet's cancel is an empty transaction to the sender itself; anything
+// else mined under the same nonce, usually a sped-up copy, replaced it
+const replacementStatus = tx =>
+  tx.data === '0x' && sameAddress(tx.to, tx.from) && !BigInt(tx.value)
+    ? TX_STATUS.CANCELLED
+    : TX_STATUS.REPLACED;
+
+// The sender's transaction with the record's nonce, searched forward from
+// the block the record was sent at. `exhausted` is set when searching again
+// won't find it: the range ended before the head, or the send block is
+// unknown and the blocks behind the head were all there was to search.
+const findReplacement = async (provider, record, latestBlock) => {
+  const firstBlock =
+    record.startBlock ?? Math.max(0, latestBlock - REPLACEMENT_SCAN_BLOCKS);
+  const lastBlock = Math.min(latestBlock, firstBlock + REPLACEMENT_SCAN_BLOCKS);
+
+  for (let number = firstBlock; number <= lastBlock; number++) {
+    const block = await provider.getBlock(number, true);
+    const tx = block?.prefetchedTransactions.find(
+      candidate =>
+        sameAddress(candidate.from, record.from) &&
+        Number(candidate.nonce) === record.nonce
+    );
+    if (tx) return { tx, exhausted: false };
+  }
+  return {
+    tx: null,
+    exhausted: record.startBlock === null || lastBlock < latestBlock,
+  };
+};
+
+const receiptChanges = receipt => ({
+  status: receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED,
+  blockNumber: receipt.blockNumber,
+});
+
+/**
+ * Check a pending transaction once
+ * @param {Object} provider - ethers Provider
+ * @param {TrackedTransaction} record - Stored transaction
+ * @returns {Promise<Object>} { changes, replacement, settled }: fields to
+ *   store, the transaction mined in its place if any, and whether it is
+ *   final
+ */
+export const checkTransaction = async (provider, record) => {
+  const receipt = await provider.getTransactionReceipt(record.hash);
+  if (receipt) {
+    return { changes: receiptChanges(receipt), settled: true };
+  }
+
+  const [latestBlock, minedNonce] = await Promise.all([
+    provider.getBlockNumber(),
+    provider.getTransactionCount(record.from, 'latest'),
+  ]);
+
+  // Its nonce is still free, so it can still be mined
+  if (minedNonce <= record.nonce) {
+    return {
+      changes: record.startBlock === null ? { startBlock: latestBlock } : {},
+      settled: false,
+    };
+  }
+
+  const { tx, exhausted } = await findReplacement(
+    provider,
+    record,
+    latestBlock
+  );
+  if (!tx && exhausted) {
+    return {
+      changes: { status: TX_STATUS.REPLACED, replacedBy: null },
+      settled: true,
+    };
+  }
+
+  const replacementReceipt =
+    tx && (await provider.getTransactionReceipt(tx.hash));
+  if (!replacementReceipt) {
+    // Mined just now; the next block will tell
+    return { changes: {}, settled: false };
+  }
+
+  // The transaction itself, mined since its receipt was asked for
+  if (tx.hash === record.hash) {
+    return { changes: receiptChanges(replacementReceipt), settled: true };
+  }
+
+  return {
+    changes: {
+      status: replacementStatus(tx),
+      replacedBy: tx.hash,
+    },
+    replacement: {
+      hash: tx.hash,
+      to: tx.to,
+      data: tx.data,
+      value: BigInt(tx.value).toString(),
+      ...receiptChanges(replacementReceipt),
+    },
+    settled: true,
+  };
+};
+
+/**
+ * Follow a pending transaction on every new block until it settles
+ * @param {Object} params
+ * @param {Object} params.provider - ethers Provider
+ * @param {TrackedTransaction} params.record - Stored transaction
+ * @param {Function} params.onUpdate - Called with (changes, replacement,
+ *   settled) whenever something is learned
+ * @returns {Function} Stop watching
+ */
+export const watchTransaction = ({ provider, record, onUpdate }) => {
+  let stopped = false;
+  let checking = false;
+  let current = record;
+
+  const stop = () => {
+    stopped = true;
+    provider.off('block', check);
+  };
+
+  async function check() {
+    if (stopped || checking) return;
+    checking = true;
+    try {
+      const { changes, replacement, settled } = await checkTransaction(
+        provider,
+        current
+      );
+      if (stopped) return;
+      current = { ...current, ...changes };
+      if (settled || replacement || Object.keys(changes).length > 0) {
+        onUpdate(changes, replacement, settled);
+      }
+      if (settled) stop();
+    } catch (error) {
+      // The node may be briefly unreachable; try again on the next block
+    } finally {
+      checking = false;
+    }
+  }
+
+  provider.on('block', check);
+  check();
+  return stop;
+};
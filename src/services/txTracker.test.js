@@ -0,0 +1,208 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  MAX_TRACKED_TRANSACTIONS,
+  TX_KINDS,
+  TX_STATUS,
+  checkTransaction,
+  clearSettledTransactions,
+  loadTransactions,
+  recordTransaction,
+  updateTransaction,
+  watchTransaction,
+} from './txTracker';
+
+const PLAYER = '0x00000000000000000000000000000000000000aA';
+const ROULETTE = '0x00000000000000000000000000000000000000bB';
+const CHAIN = 51;
+
+const sentTx = (hash, overrides = {}) => ({
+  hash,
+  from: PLAYER,
+  to: ROULETTE,
+  nonce: 7,
+  data: '0x1234',
+  value: BigInt(0),
+  ...overrides,
+});
+
+const record = (overrides = {}) => ({
+  ...recordTransaction(CHAIN, PLAYER, sentTx('0xa1'), {
+    kind: TX_KINDS.PLACE_BET,
+    startBlock: 10,
+  })[0],
+  ...overrides,
+});
+
+// Just enough of an ethers provider: mined transactions by block and
+// receipts by hash
+const fakeProvider = ({
+  receipts = {},
+  blocks = {},
+  latestBlock = 12,
+  minedNonce = 7,
+} = {}) => ({
+  getTransactionReceipt: vi.fn(async hash => receipts[hash] ?? null),
+  getBlockNumber: vi.fn(async () => latestBlock),
+  getTransactionCount: vi.fn(async () => minedNonce),
+  getBlock: vi.fn(async number => ({
+    prefetchedTransactions: blocks[number] ?? [],
+  })),
+  on: vi.fn(),
+  off: vi.fn(),
+});
+
+describe('txTracker', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('keeps transactions per chain and account, newest first', () => {
+    recordTransaction(CHAIN, PLAYER, sentTx('0xa1'), {
+      kind: TX_KINDS.APPROVE,
+    });
+    recordTransaction(CHAIN, PLAYER.toLowerCase(), sentTx('0xa2'), {
+      kind: TX_KINDS.PLACE_BET,
+    });
+
+    expect(loadTransactions(CHAIN, PLAYER)).toMatchObject([
+      { hash: '0xa2', kind: 'placeBet', status: 'pending', nonce: 7 },
+      { hash: '0xa1', kind: 'approve', value: '0' },
+    ]);
+    expect(loadTransactions(50, PLAYER)).toEqual([]);
+
+    for (let i = 0; i < MAX_TRACKED_TRANSACTIONS; i++) {
+      recordTransaction(CHAIN, PLAYER, sentTx(`0xb${i}`), {
+        kind: TX_KINDS.PLACE_BET,
+      });
+    }
+    expect(loadTransactions(CHAIN, PLAYER)).toHaveLength(
+      MAX_TRACKED_TRANSACTIONS
+    );
+  });
+
+  it('stores a replacement as its own transaction', () => {
+    record();
+    updateTransaction(
+      CHAIN,
+      PLAYER,
+      '0xa1',
+      { status: TX_STATUS.REPLACED, replacedBy: '0xc1' },
+      { hash: '0xc1', status: TX_STATUS.CONFIRMED, blockNumber: 11 }
+    );
+
+    expect(loadTransactions(CHAIN, PLAYER)).toMatchObject([
+      {
+        hash: '0xc1',
+        kind: 'placeBet',
+        status: 'confirmed',
+        replacedBy: null,
+      },
+      { hash: '0xa1', status: 'replaced', replacedBy: '0xc1' },
+    ]);
+
+    expect(clearSettledTransactions(CHAIN, PLAYER)).toEqual([]);
+  });
+
+  it('settles on the receipt', async () => {
+    const provider = fakeProvider({
+      receipts: { '0xa1': { status: 0, blockNumber: 11 } },
+    });
+
+    expect(await checkTransaction(provider, record())).toEqual({
+      changes: { status: 'failed', blockNumber: 11 },
+      settled: true,
+    });
+  });
+
+  it('stays pending while its nonce is free', async () => {
+    const provider = fakeProvider({ latestBlock: 15 });
+
+    expect(
+      await checkTransaction(provider, record({ startBlock: null }))
+    ).toEqual({ changes: { startBlock: 15 }, settled: false });
+    expect(provider.getBlock).not.toHaveBeenCalled();
+  });
+
+  it('finds a sped-up copy mined under the same nonce', async () => {
+    const provider = fakeProvider({
+      minedNonce: 8,
+      blocks: { 11: [sentTx('0xc1')] },
+      receipts: { '0xc1': { status: 1, blockNumber: 11 } },
+    });
+
+    expect(await checkTransaction(provider, record())).toMatchObject({
+      changes: { status: 'replaced', replacedBy: '0xc1' },
+      replacement: { hash: '0xc1', status: 'confirmed', blockNumber: 11 },
+      settled: true,
+    });
+  });
+
+  it('confirms a transaction mined while it was being checked', async () => {
+    const provider = fakeProvider({
+      minedNonce: 8,
+      blocks: { 11: [sentTx('0xa1')] },
+      receipts: { '0xa1': { status: 1, blockNumber: 11 } },
+    });
+    provider.getTransactionReceipt.mockResolvedValueOnce(null);
+
+    expect(await checkTransaction(provider, record())).toEqual({
+      changes: { status: 'confirmed', blockNumber: 11 },
+      settled: true,
+    });
+  });
+
+  it('searches forward from the send block, up to a limit', async () => {
+    const provider = fakeProvider({
+      latestBlock: 50000,
+      minedNonce: 8,
+      blocks: { 11: [sentTx('0xc1')] },
+      receipts: { '0xc1': { status: 1, blockNumber: 11 } },
+    });
+
+    const { changes } = await checkTransaction(provider, record());
+    expect(changes.replacedBy).toBe('0xc1');
+    expect(provider.getBlock.mock.calls.map(([number]) => number)).toEqual([
+      10, 11,
+    ]);
+
+    provider.getBlock.mockClear();
+    expect(
+      await checkTransaction(provider, record({ startBlock: 20 }))
+    ).toEqual({
+      changes: { status: 'replaced', replacedBy: null },
+      settled: true,
+    });
+    expect(provider.getBlock).toHaveBeenCalledTimes(101);
+  });
+
+  it('recognises a wallet cancel', async () => {
+    const cancel = sentTx('0xc2', { to: PLAYER, data: '0x' });
+    const provider = fakeProvider({
+      minedNonce: 8,
+      blocks: { 12: [cancel] },
+      receipts: { '0xc2': { status: 1, blockNumber: 12 } },
+    });
+
+    const { changes } = await checkTransaction(provider, record());
+    expect(changes).toEqual({ status: 'cancelled', replacedBy: '0xc2' });
+  });
+
+  it('stops watching once the transaction settles', async () => {
+    const provider = fakeProvider({
+      receipts: { '0xa1': { status: 1, blockNumber: 11 } },
+    });
+    const onUpdate = vi.fn();
+
+    watchTransaction({ provider, record: record(), onUpdate });
+
+    await vi.waitFor(() =>
+      expect(onUpdate).toHaveBeenCalledWith(
+        { status: 'confirmed', blockNumber: 11 },
+        undefined,
+        true
+      )
+    );
+    expect(provider.off).toHaveBeenCalledWith(
+      'block',
+      provider.on.mock.calls[0][1]
+    );
+  });
+});
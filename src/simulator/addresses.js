@@ -0,0 +1,13 @@
+// Addresses a local Hardhat node would give the first deployments and
+// accounts, so configs and wallets pointed at one work with the other
+export const SIMULATOR_ADDRESSES = {
+  token: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  vrfCoordinator: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+  Roulette: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0',
+};
+
+export const SIMULATOR_ACCOUNTS = [
+  '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+  '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+];
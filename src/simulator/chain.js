@@ -0,0 +1,629 @@
+/**
+ * In-process chain that answers the JSON-RPC calls ethers makes.
+ *
+ * Contracts are plain JavaScript: each one declares its ABI, initial state
+ * and a method per ABI function. Calldata is decoded and results encoded
+ * with the real ABI, so `ethers.Contract` instances built on top behave as
+ * they would against a node, including custom error reverts, events and
+ * reads at past blocks.
+ *
+ * Every transaction runs on a copy of the state that only replaces the
+ * committed state if it succeeds, and is mined in a block of its own.
+ */
+
+import {
+  AbiCoder,
+  Interface,
+  Transaction,
+  ZeroHash,
+  concat,
+  getAddress,
+  keccak256,
+  toBeHex,
+  toQuantity,
+  toUtf8Bytes,
+} from 'ethers';
+
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+const BLOCK_GAS_LIMIT = BigInt(420000000);
+const TX_GAS = BigInt(300000);
+const EMPTY_BLOOM = `0x${'00'.repeat(256)}`;
+
+/**
+ * A revert raised by simulated contract code
+ */
+export class SimulatedRevert extends Error {
+  constructor(data, reason) {
+    super(reason ? `execution reverted: ${reason}` : 'execution reverted');
+    this.name = 'SimulatedRevert';
+    this.data = data;
+    this.reason = reason || null;
+  }
+}
+
+/**
+ * Revert with a require-style Error(string) reason
+ * @param {String} reason - Revert reason
+ */
+export const revertWithReason = reason => {
+  throw new SimulatedRevert(
+    concat([
+      ERROR_SELECTOR,
+      AbiCoder.defaultAbiCoder().encode(['string'], [reason]),
+    ]),
+    reason
+  );
+};
+
+/**
+ * Solidity's require()
+ * @param {Boolean} condition - Must hold for execution to continue
+ * @param {String} reason - Revert reason otherwise
+ */
+export const requireThat = (condition, reason) => {
+  if (!condition) revertWithReason(reason);
+};
+
+/**
+ * Revert with Panic(uint256), the way checked arithmetic and failed asserts
+ * stop a contract
+ * @param {Number} code - Panic code, e.g. 0x11 for an overflow
+ */
+export const panic = code => {
+  throw new SimulatedRevert(
+    concat([
+      PANIC_SELECTOR,
+      AbiCoder.defaultAbiCoder().encode(['uint256'], [code]),
+    ])
+  );
+};
+
+// EIP-1193 errors carry a numeric code and, for reverts, the revert data
+const rpcError = (code, message, data) =>
+  Object.assign(new Error(message), { code, ...(data ? { data } : {}) });
+
+const normalizeAddress = address => address.toLowerCase();
+
+const fakeSignature = hash => ({
+  r: keccak256(hash),
+  // Keep s in the lower half of the curve order so ethers accepts it
+  s: `0x0${keccak256(concat([hash, '0x01'])).slice(3)}`,
+  v: '0x1b',
+});
+
+/**
+ * Create a simulated chain
+ * @param {Object} options
+ * @param {Number} options.chainId - Chain ID reported to wallets
+ * @param {String[]} options.accounts - Accounts eth_accounts reports
+ * @param {Number} [options.startTime] - Timestamp of the genesis block,
+ *   defaults to now
+ * @param {Number} [options.blockTime] - Seconds between blocks
+ * @param {BigInt} [options.nativeBalance] - Native coin balance of each
+ *   account, in wei
+ * @returns {Object} Chain with deploy, request and time controls
+ */
+export const createChain = ({
+  chainId,
+  accounts = [],
+  startTime = Math.floor(Date.now() / 1000),
+  blockTime = 2,
+  nativeBalance = BigInt(1000) * BigInt(10) ** BigInt(18),
+}) => {
+  const contracts = new Map();
+  const blocks = [];
+  const blocksByHash = new Map();
+  const transactions = new Map();
+  const receipts = new Map();
+  const logs = [];
+  const filters = new Map();
+  const nonces = new Map();
+  const listeners = new Set();
+  let nextFilterId = 1;
+  let timeOffset = 0;
+
+  // Committed contract state, and a snapshot per block for past reads
+  let states = {};
+  const snapshots = [];
+
+  const latestBlock = () => blocks[blocks.length - 1];
+
+  const mineBlock = (txHashes = [], blockLogs = []) => {
+    const parent = latestBlock();
+    const number = parent ? parent.number + 1 : 0;
+    const timestamp = parent
+      ? parent.timestamp + blockTime + timeOffset
+      : startTime;
+    timeOffset = 0;
+    const hash = keccak256(
+      concat([toBeHex(number, 32), parent?.hash || ZeroHash])
+    );
+
+    const block = {
+      number,
+      hash,
+      parentHash: parent?.hash || ZeroHash,
+      timestamp,
+      transactions: txHashes,
+    };
+    blocks.push(block);
+    blocksByHash.set(hash, block);
+    snapshots[number] = states;
+
+    blockLogs.forEach((log, logIndex) => {
+      logs.push({ ...log, blockNumber: number, blockHash: hash, logIndex });
+    });
+    txHashes.forEach(txHash => {
+      const receipt = receipts.get(txHash);
+      receipt.blockNumber = number;
+      receipt.blockHash = hash;
+      receipt.logs = logs.filter(log => log.transactionHash === txHash);
+    });
+
+    listeners.forEach(listener => listener(block));
+    return block;
+  };
+
+  const resolveBlockNumber = tag => {
+    const latest = latestBlock().number;
+    if (tag === undefined || tag === null) return latest;
+    if (typeof tag === 'object') {
+      if (tag.blockHash) {
+        const block = blocksByHash.get(tag.blockHash);
+        if (!block) throw rpcError(-32000, 'header not found');
+        return block.number;
+      }
+      return resolveBlockNumber(tag.blockNumber);
+    }
+    if (['latest', 'pending', 'safe', 'finalized'].includes(tag)) {
+      return latest;
+    }
+    if (tag === 'earliest') return 0;
+
+    const number = Number(BigInt(tag));
+    if (number > latest) throw rpcError(-32000, 'header not found');
+    return number;
+  };
+
+  /**
+   * Run a call or transaction against a copy of the state at a block
+   * @returns {Object} { returnData, logs, states } or { revert }
+   */
+  const execute = ({ from, to, data = '0x' }, blockNumber, block) => {
+    const working = structuredClone(snapshots[blockNumber]);
+    const pendingLogs = [];
+
+    const invoke = (sender, target, method, args) => {
+      const contract = contracts.get(normalizeAddress(target));
+      if (!contract) {
+        throw new SimulatedRevert('0x', `no contract at ${target}`);
+      }
+      const impl = contract.methods[method];
+      if (!impl) throw new SimulatedRevert('0x', `${method} not implemented`);
+
+      const ctx = {
+        sender: getAddress(sender),
+        self: contract.address,
+        block,
+        state: working[contract.key],
+        emit: (eventName, eventArgs) => {
+          const { data: logData, topics } = contract.interface.encodeEventLog(
+            eventName,
+            eventArgs
+          );
+          pendingLogs.push({
+            address: contract.address,
+            topics,
+            data: logData,
+          });
+        },
+        revert: (errorName, errorArgs = []) => {
+          throw new SimulatedRevert(
+            contract.interface.encodeErrorResult(errorName, errorArgs),
+            errorName
+          );
+        },
+        call: (callTarget, callMethod, ...callArgs) =>
+          invoke(contract.address, callTarget, callMethod, callArgs),
+      };
+
+      return impl(ctx, ...args);
+    };
+
+    const contract = to && contracts.get(normalizeAddress(to));
+    if (!contract) return { returnData: '0x', logs: [], states: working };
+
+    const parsed = contract.interface.parseTransaction({ data });
+    if (!parsed) return { revert: new SimulatedRevert('0x') };
+
+    try {
+      const result = invoke(from, to, parsed.name, Array.from(parsed.args));
+      const outputs = parsed.fragment.outputs;
+      const returnData = contract.interface.encodeFunctionResult(
+        parsed.fragment,
+        outputs.length === 1 ? [result] : outputs.length === 0 ? [] : result
+      );
+      return { returnData, logs: pendingLogs, states: working };
+    } catch (error) {
+      if (error instanceof SimulatedRevert) return { revert: error };
+      throw error;
+    }
+  };
+
+  const pendingBlock = () => {
+    const parent = latestBlock();
+    return {
+      number: parent.number + 1,
+      timestamp: parent.timestamp + blockTime + timeOffset,
+    };
+  };
+
+  const throwRevert = revert => {
+    throw rpcError(3, revert.message, revert.data);
+  };
+
+  const call = (tx, tag) => {
+    const blockNumber = resolveBlockNumber(tag);
+    const block = blocks[blockNumber];
+    const result = execute(tx, blockNumber, {
+      number: block.number,
+      timestamp: block.timestamp,
+    });
+    if (result.revert) throwRevert(result.revert);
+    return result.returnData;
+  };
+
+  const estimateGas = tx => {
+    const result = execute(tx, latestBlock().number, pendingBlock());
+    if (result.revert) throwRevert(result.revert);
+    return toQuantity(TX_GAS);
+  };
+
+  // Unsigned transactions are trusted to come from `from`; signed ones pass
+  // their own hash and signature
+  const sendTransaction = (tx, signed = null) => {
+    if (!tx.from) throw rpcError(-32602, 'missing from address');
+    const from = getAddress(tx.from);
+    const nonce = nonces.get(normalizeAddress(from)) || 0;
+    nonces.set(normalizeAddress(from), nonce + 1);
+
+    const block = pendingBlock();
+    const result = execute(tx, latestBlock().number, block);
+    const hash =
+      signed?.hash ||
+      keccak256(
+        concat([from, toBeHex(nonce, 32), toUtf8Bytes(String(chainId))])
+      );
+    const to = tx.to ? getAddress(tx.to) : null;
+
+    transactions.set(hash, {
+      hash,
+      from,
+      to,
+      nonce,
+      data: tx.data || tx.input || '0x',
+      value: BigInt(tx.value || 0),
+      gasLimit: BigInt(tx.gas || tx.gasLimit || TX_GAS),
+      ...(signed?.signature || fakeSignature(hash)),
+    });
+    receipts.set(hash, {
+      transactionHash: hash,
+      from,
+      to,
+      status: result.revert ? 0 : 1,
+      logs: [],
+    });
+
+    // A failed transaction is still mined, it just changes nothing
+    const txLogs = result.revert
+      ? []
+      : result.logs.map(log => ({ ...log, transactionHash: hash }));
+    if (!result.revert) states = result.states;
+    mineBlock([hash], txLogs);
+
+    return hash;
+  };
+
+  const sendRawTransaction = raw => {
+    let signed;
+    try {
+      signed = Transaction.from(raw);
+    } catch (error) {
+      throw rpcError(-32602, 'invalid raw transaction');
+    }
+    if (!signed.from) throw rpcError(-32602, 'transaction is not signed');
+    if (signed.chainId !== BigInt(0) && signed.chainId !== BigInt(chainId)) {
+      throw rpcError(-32000, 'invalid chain id for signer');
+    }
+
+    const expected = nonces.get(normalizeAddress(signed.from)) || 0;
+    if (signed.nonce !== expected) {
+      throw rpcError(
+        -32000,
+        `nonce too ${signed.nonce < expected ? 'low' : 'high'}`
+      );
+    }
+
+    const { r, s, v } = signed.signature;
+    return sendTransaction(
+      {
+        from: signed.from,
+        to: signed.to,
+        data: signed.data,
+        value: signed.value,
+        gas: signed.gasLimit,
+      },
+      { hash: signed.hash, signature: { r, s, v: toQuantity(v) } }
+    );
+  };
+
+  const matchesFilter = (log, { address, topics = [] }) => {
+    if (address) {
+      const addresses = (Array.isArray(address) ? address : [address]).map(
+        normalizeAddress
+      );
+      if (!addresses.includes(normalizeAddress(log.address))) return false;
+    }
+    return topics.every((topic, i) => {
+      if (topic === null || topic === undefined) return true;
+      const options = (Array.isArray(topic) ? topic : [topic]).map(t =>
+        t.toLowerCase()
+      );
+      return options.includes(log.topics[i]?.toLowerCase());
+    });
+  };
+
+  const getLogs = filter => {
+    let fromBlock;
+    let toBlock;
+    if (filter.blockHash) {
+      fromBlock = toBlock = resolveBlockNumber({ blockHash: filter.blockHash });
+    } else {
+      fromBlock = resolveBlockNumber(filter.fromBlock ?? 'latest');
+      toBlock = resolveBlockNumber(filter.toBlock ?? 'latest');
+    }
+    return logs.filter(
+      log =>
+        log.blockNumber >= fromBlock &&
+        log.blockNumber <= toBlock &&
+        matchesFilter(log, filter)
+    );
+  };
+
+  const formatLog = log => ({
+    address: log.address,
+    topics: log.topics,
+    data: log.data,
+    blockNumber: toQuantity(log.blockNumber),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    transactionIndex: '0x0',
+    logIndex: toQuantity(log.logIndex),
+    removed: false,
+  });
+
+  const formatBlock = (block, fullTransactions) =>
+    block && {
+      number: toQuantity(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: toQuantity(block.timestamp),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: toQuantity(BLOCK_GAS_LIMIT),
+      gasUsed: toQuantity(TX_GAS * BigInt(block.transactions.length)),
+      miner: '0x0000000000000000000000000000000000000000',
+      extraData: '0x',
+      transactions: fullTransactions
+        ? block.transactions.map(hash => formatTransaction(hash))
+        : block.transactions,
+    };
+
+  const formatTransaction = hash => {
+    const tx = transactions.get(hash);
+    if (!tx) return null;
+    const receipt = receipts.get(hash);
+    return {
+      hash,
+      blockHash: receipt.blockHash,
+      blockNumber: toQuantity(receipt.blockNumber),
+      transactionIndex: '0x0',
+      type: '0x0',
+      from: tx.from,
+      to: tx.to,
+      nonce: toQuantity(tx.nonce),
+      gas: toQuantity(tx.gasLimit),
+      gasPrice: '0x0',
+      value: toQuantity(tx.value),
+      input: tx.data,
+      chainId: toQuantity(chainId),
+      r: tx.r,
+      s: tx.s,
+      v: tx.v,
+    };
+  };
+
+  const formatReceipt = hash => {
+    const receipt = receipts.get(hash);
+    if (!receipt) return null;
+    return {
+      transactionHash: hash,
+      transactionIndex: '0x0',
+      blockHash: receipt.blockHash,
+      blockNumber: toQuantity(receipt.blockNumber),
+      from: receipt.from,
+      to: receipt.to,
+      contractAddress: null,
+      cumulativeGasUsed: toQuantity(TX_GAS),
+      gasUsed: toQuantity(TX_GAS),
+      effectiveGasPrice: '0x0',
+      logsBloom: EMPTY_BLOOM,
+      logs: receipt.logs.map(formatLog),
+      status: toQuantity(receipt.status),
+      type: '0x0',
+    };
+  };
+
+  const getFilterChanges = filterId => {
+    const filter = filters.get(filterId);
+    if (!filter) throw rpcError(-32000, 'filter not found');
+    const latest = latestBlock().number;
+    const from = filter.lastBlock + 1;
+    filter.lastBlock = latest;
+    if (from > latest) return [];
+
+    if (filter.type === 'block') {
+      return blocks.slice(from, latest + 1).map(block => block.hash);
+    }
+    return getLogs({
+      ...filter.criteria,
+      fromBlock: toQuantity(from),
+      toBlock: toQuantity(latest),
+    }).map(formatLog);
+  };
+
+  const handlers = {
+    web3_clientVersion: () => 'RouletteSimulator/1.0.0',
+    eth_chainId: () => toQuantity(chainId),
+    net_version: () => String(chainId),
+    eth_accounts: () => accounts,
+    eth_requestAccounts: () => accounts,
+    eth_blockNumber: () => toQuantity(latestBlock().number),
+    eth_gasPrice: () => '0x0',
+    eth_getBalance: ([address]) =>
+      toQuantity(
+        accounts.some(a => normalizeAddress(a) === normalizeAddress(address))
+          ? nativeBalance
+          : 0
+      ),
+    eth_getTransactionCount: ([address]) =>
+      toQuantity(nonces.get(normalizeAddress(address)) || 0),
+    eth_getCode: ([address, tag]) => {
+      resolveBlockNumber(tag);
+      return contracts.get(normalizeAddress(address))?.code || '0x';
+    },
+    eth_getBlockByNumber: ([tag, full]) =>
+      formatBlock(blocks[resolveBlockNumber(tag)], full),
+    eth_getBlockByHash: ([hash, full]) =>
+      formatBlock(blocksByHash.get(hash) || null, full),
+    eth_call: ([tx, tag]) => call(tx, tag),
+    eth_estimateGas: ([tx]) => estimateGas(tx),
+    eth_sendTransaction: ([tx]) => sendTransaction(tx),
+    eth_sendRawTransaction: ([raw]) => sendRawTransaction(raw),
+    eth_getTransactionByHash: ([hash]) => formatTransaction(hash),
+    eth_getTransactionReceipt: ([hash]) => formatReceipt(hash),
+    eth_getLogs: ([filter]) => getLogs(filter).map(formatLog),
+    eth_newFilter: ([criteria]) => {
+      const filterId = toQuantity(nextFilterId++);
+      filters.set(filterId, {
+        type: 'log',
+        criteria,
+        lastBlock: latestBlock().number,
+      });
+      return filterId;
+    },
+    eth_newBlockFilter: () => {
+      const filterId = toQuantity(nextFilterId++);
+      filters.set(filterId, { type: 'block', lastBlock: latestBlock().number });
+      return filterId;
+    },
+    eth_getFilterChanges: ([filterId]) => getFilterChanges(filterId),
+    eth_getFilterLogs: ([filterId]) =>
+      getLogs(filters.get(filterId)?.criteria || {}).map(formatLog),
+    eth_uninstallFilter: ([filterId]) => filters.delete(filterId),
+  };
+
+  const chain = {
+    chainId,
+    accounts,
+
+    /**
+     * Register a contract at an address. Its state is part of the next
+     * block's snapshot.
+     * @param {Object} definition - { name, address, abi, state, methods }
+     * @returns {Object} The deployed contract's address and interface
+     */
+    deploy: ({ name, address, abi, state, methods }) => {
+      const iface = new Interface(abi);
+      const key = normalizeAddress(address);
+      const selectors = [];
+      iface.forEachFunction(fragment => selectors.push(fragment.selector));
+
+      contracts.set(key, {
+        name,
+        key,
+        address: getAddress(address),
+        interface: iface,
+        methods,
+        // Enough bytecode for deployment checks that look for selectors
+        code: concat(['0x6080604052', ...selectors]),
+      });
+      states = { ...states, [key]: state };
+      mineBlock();
+
+      return { address: getAddress(address), interface: iface };
+    },
+
+    /**
+     * EIP-1193 request handler
+     * @param {Object} args - { method, params }
+     * @returns {Promise<any>} JSON-RPC result
+     */
+    request: async ({ method, params = [] }) => {
+      const handler = handlers[method];
+      if (!handler) {
+        throw rpcError(4200, `The simulator does not support ${method}`);
+      }
+      return handler(params);
+    },
+
+    /**
+     * Send a transaction outside the wallet, e.g. from the VRF coordinator
+     * @param {Object} tx - { from, to, data }
+     * @returns {Object} The transaction receipt
+     */
+    sendTransaction: tx => formatReceipt(sendTransaction(tx)),
+
+    /**
+     * Read committed contract state directly, for assertions
+     * @param {String} address - Contract address
+     * @returns {Object} A copy of the contract's state
+     */
+    getState: address => structuredClone(states[normalizeAddress(address)]),
+
+    /**
+     * Mine empty blocks
+     * @param {Number} count - Number of blocks
+     */
+    mine: (count = 1) => {
+      for (let i = 0; i < count; i++) mineBlock();
+    },
+
+    /**
+     * Move the clock forward, applied to the next block
+     * @param {Number} seconds - Seconds to add on top of the block time
+     */
+    increaseTime: seconds => {
+      timeOffset += seconds;
+    },
+
+    getBlockNumber: () => latestBlock().number,
+    getTimestamp: () => latestBlock().timestamp,
+
+    /**
+     * Subscribe to new blocks
+     * @param {Function} listener - Called with each mined block
+     * @returns {Function} Unsubscribe function
+     */
+    onBlock: listener => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  // Genesis
+  mineBlock();
+
+  return chain;
+};
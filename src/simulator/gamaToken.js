@@ -0,0 +1,310 @@
+/**
+ * GamaToken port for the simulator: an OpenZeppelin ERC20 with
+ * AccessControl, Pausable, a blacklist, sub-admin mint limits and the
+ * controlled burns Roulette uses to take stakes.
+ */
+
+import { ZeroAddress, ZeroHash, id } from 'ethers';
+import TokenABI from '../contracts/abi/GamaToken.json';
+import { requireThat } from './chain';
+
+export const TOKEN_ROLES = {
+  DEFAULT_ADMIN_ROLE: ZeroHash,
+  MINTER_ROLE: id('MINTER_ROLE'),
+  PAUSER_ROLE: id('PAUSER_ROLE'),
+  SUB_ADMIN_ROLE: id('SUB_ADMIN_ROLE'),
+  BURNER_ROLE: id('BURNER_ROLE'),
+};
+
+const key = address => address.toLowerCase();
+
+const hasRole = (state, role, account) => !!state.roles[role]?.[key(account)];
+
+const onlyRole = (ctx, role) => {
+  if (!hasRole(ctx.state, role, ctx.sender)) {
+    ctx.revert('AccessControlUnauthorizedAccount', [ctx.sender, role]);
+  }
+};
+
+const whenNotPaused = ctx => {
+  if (ctx.state.paused) ctx.revert('EnforcedPause');
+};
+
+const grantRole = (ctx, role, account) => {
+  const members = (ctx.state.roles[role] ||= {});
+  if (members[key(account)]) return;
+  members[key(account)] = true;
+  ctx.emit('RoleGranted', [role, account, ctx.sender]);
+};
+
+const revokeRole = (ctx, role, account) => {
+  const members = ctx.state.roles[role] || {};
+  if (!members[key(account)]) return;
+  delete members[key(account)];
+  ctx.emit('RoleRevoked', [role, account, ctx.sender]);
+};
+
+const balanceOf = (state, account) => state.balances[key(account)] || BigInt(0);
+
+const allowanceOf = (state, owner, spender) =>
+  state.allowances[key(owner)]?.[key(spender)] || BigInt(0);
+
+const setAllowance = (ctx, owner, spender, value) => {
+  (ctx.state.allowances[key(owner)] ||= {})[key(spender)] = value;
+  ctx.emit('Approval', [owner, spender, value]);
+};
+
+// ERC20._update with the token's pause and blacklist checks
+const update = (ctx, from, to, value) => {
+  const { state } = ctx;
+  requireThat(!state.paused, 'Token transfer while paused');
+  requireThat(!state.blacklist[key(from)], 'Sender is blacklisted');
+  requireThat(!state.blacklist[key(to)], 'Recipient is blacklisted');
+
+  if (from === ZeroAddress) {
+    state.totalSupply += value;
+  } else {
+    const fromBalance = balanceOf(state, from);
+    if (fromBalance < value) {
+      ctx.revert('ERC20InsufficientBalance', [from, fromBalance, value]);
+    }
+    state.balances[key(from)] = fromBalance - value;
+  }
+
+  if (to === ZeroAddress) {
+    state.totalSupply -= value;
+  } else {
+    state.balances[key(to)] = balanceOf(state, to) + value;
+  }
+
+  ctx.emit('Transfer', [from, to, value]);
+};
+
+const mintTo = (ctx, to, value) => {
+  if (to === ZeroAddress) ctx.revert('ERC20InvalidReceiver', [ZeroAddress]);
+  update(ctx, ZeroAddress, to, value);
+};
+
+const burnFrom = (ctx, account, value) => {
+  if (account === ZeroAddress) ctx.revert('ERC20InvalidSender', [ZeroAddress]);
+  update(ctx, account, ZeroAddress, value);
+};
+
+const transfer = (ctx, from, to, value) => {
+  if (from === ZeroAddress) ctx.revert('ERC20InvalidSender', [ZeroAddress]);
+  if (to === ZeroAddress) ctx.revert('ERC20InvalidReceiver', [ZeroAddress]);
+  update(ctx, from, to, value);
+};
+
+/**
+ * Initial token state, as left by the constructor
+ * @param {Object} options
+ * @param {String} options.admin - Deployer, granted every constructor role
+ * @param {BigInt} options.maxMintable - Mint cap
+ * @returns {Object} Token state
+ */
+export const createTokenState = ({ admin, maxMintable }) => ({
+  name: 'Gama Token',
+  symbol: 'GAMA',
+  decimals: 18,
+  totalSupply: BigInt(0),
+  balances: {},
+  allowances: {},
+  roles: {
+    [TOKEN_ROLES.DEFAULT_ADMIN_ROLE]: { [key(admin)]: true },
+    [TOKEN_ROLES.MINTER_ROLE]: { [key(admin)]: true },
+    [TOKEN_ROLES.PAUSER_ROLE]: { [key(admin)]: true },
+    [TOKEN_ROLES.BURNER_ROLE]: { [key(admin)]: true },
+  },
+  paused: false,
+  blacklist: {},
+  subAdminMinted: {},
+  subAdminMintLimit: {},
+  maxMintable,
+  totalMinted: BigInt(0),
+});
+
+export const tokenMethods = {
+  ...Object.fromEntries(
+    Object.entries(TOKEN_ROLES).map(([name, role]) => [name, () => role])
+  ),
+  name: ({ state }) => state.name,
+  symbol: ({ state }) => state.symbol,
+  decimals: ({ state }) => state.decimals,
+  totalSupply: ({ state }) => state.totalSupply,
+  balanceOf: ({ state }, account) => balanceOf(state, account),
+  allowance: ({ state }, owner, spender) => allowanceOf(state, owner, spender),
+  paused: ({ state }) => state.paused,
+  isBlacklisted: ({ state }, account) => !!state.blacklist[key(account)],
+  subAdminMinted: ({ state }, account) =>
+    state.subAdminMinted[key(account)] || BigInt(0),
+  subAdminMintLimit: ({ state }, account) =>
+    state.subAdminMintLimit[key(account)] || BigInt(0),
+  supportsInterface: (ctx, interfaceId) =>
+    ['0x01ffc9a7', '0x7965db0b'].includes(interfaceId),
+
+  hasRole: ({ state }, role, account) => hasRole(state, role, account),
+  // Every role is administered by DEFAULT_ADMIN_ROLE
+  getRoleAdmin: () => TOKEN_ROLES.DEFAULT_ADMIN_ROLE,
+  grantRole: (ctx, role, account) => {
+    onlyRole(ctx, TOKEN_ROLES.DEFAULT_ADMIN_ROLE);
+    grantRole(ctx, role, account);
+  },
+  revokeRole: (ctx, role, account) => {
+    onlyRole(ctx, TOKEN_ROLES.DEFAULT_ADMIN_ROLE);
+    revokeRole(ctx, role, account);
+  },
+  renounceRole: (ctx, role, callerConfirmation) => {
+    if (key(callerConfirmation) !== key(ctx.sender)) {
+      ctx.revert('AccessControlBadConfirmation');
+    }
+    revokeRole(ctx, role, callerConfirmation);
+  },
+
+  pause: ctx => {
+    onlyRole(ctx, TOKEN_ROLES.PAUSER_ROLE);
+    whenNotPaused(ctx);
+    ctx.state.paused = true;
+    ctx.emit('Paused', [ctx.sender]);
+  },
+  unpause: ctx => {
+    onlyRole(ctx, TOKEN_ROLES.PAUSER_ROLE);
+    if (!ctx.state.paused) ctx.revert('ExpectedPause');
+    ctx.state.paused = false;
+    ctx.emit('Unpaused', [ctx.sender]);
+  },
+
+  mint: (ctx, to, amount) => {
+    const { state, sender } = ctx;
+    whenNotPaused(ctx);
+    requireThat(!state.blacklist[key(to)], 'Recipient is blacklisted');
+    requireThat(!state.blacklist[key(sender)], 'Sender is blacklisted');
+
+    if (hasRole(state, TOKEN_ROLES.SUB_ADMIN_ROLE, sender)) {
+      const minted = (state.subAdminMinted[key(sender)] || BigInt(0)) + amount;
+      requireThat(
+        minted <= (state.subAdminMintLimit[key(sender)] || BigInt(0)),
+        'Sub-admin mint limit exceeded'
+      );
+      state.subAdminMinted[key(sender)] = minted;
+    } else {
+      requireThat(
+        hasRole(state, TOKEN_ROLES.MINTER_ROLE, sender),
+        'Caller is not a minter or sub-admin'
+      );
+    }
+
+    requireThat(
+      state.totalMinted + amount <= state.maxMintable,
+      'Max mintable limit exceeded'
+    );
+    state.totalMinted += amount;
+    mintTo(ctx, to, amount);
+  },
+
+  approve: (ctx, spender, amount) => {
+    const { state, sender } = ctx;
+    requireThat(!state.paused, 'Approve while paused');
+    requireThat(!state.blacklist[key(sender)], 'Approver is blacklisted');
+    requireThat(!state.blacklist[key(spender)], 'Spender is blacklisted');
+    if (spender === ZeroAddress) ctx.revert('ERC20InvalidSpender', [spender]);
+    setAllowance(ctx, sender, spender, amount);
+    return true;
+  },
+
+  transfer: (ctx, to, amount) => {
+    transfer(ctx, ctx.sender, to, amount);
+    return true;
+  },
+
+  transferFrom: (ctx, from, to, amount) => {
+    const current = allowanceOf(ctx.state, from, ctx.sender);
+    if (current < amount) {
+      ctx.revert('ERC20InsufficientAllowance', [ctx.sender, current, amount]);
+    }
+    // OpenZeppelin treats a max allowance as infinite and skips the event
+    if (current !== BigInt(2) ** BigInt(256) - BigInt(1)) {
+      (ctx.state.allowances[key(from)] ||= {})[key(ctx.sender)] =
+        current - amount;
+    }
+    transfer(ctx, from, to, amount);
+    return true;
+  },
+
+  controlledBurn: (ctx, amount) => {
+    whenNotPaused(ctx);
+    onlyRole(ctx, TOKEN_ROLES.BURNER_ROLE);
+    requireThat(!ctx.state.blacklist[key(ctx.sender)], 'Caller is blacklisted');
+    burnFrom(ctx, ctx.sender, amount);
+    ctx.state.totalMinted -= amount;
+  },
+
+  controlledBurnFrom: (ctx, account, amount) => {
+    const { state, sender } = ctx;
+    whenNotPaused(ctx);
+    onlyRole(ctx, TOKEN_ROLES.BURNER_ROLE);
+    requireThat(!state.blacklist[key(sender)], 'Caller is blacklisted');
+    requireThat(!state.blacklist[key(account)], 'Account is blacklisted');
+
+    const current = allowanceOf(state, account, sender);
+    requireThat(current >= amount, 'ERC20: burn amount exceeds allowance');
+    setAllowance(ctx, account, sender, current - amount);
+
+    burnFrom(ctx, account, amount);
+    state.totalMinted -= amount;
+  },
+
+  setBlacklist: (ctx, account, value) => {
+    onlyRole(ctx, TOKEN_ROLES.DEFAULT_ADMIN_ROLE);
+    ctx.state.blacklist[key(account)] = value;
+    ctx.emit('Blacklisted', [account, value]);
+  },
+
+  setSubAdminLimit: (ctx, subAdmin, limit) => {
+    onlyRole(ctx, TOKEN_ROLES.DEFAULT_ADMIN_ROLE);
+    requireThat(
+      limit >= (ctx.state.subAdminMinted[key(subAdmin)] || BigInt(0)),
+      'New limit cannot be less than already minted'
+    );
+    ctx.state.subAdminMintLimit[key(subAdmin)] = limit;
+    ctx.emit('SubAdminLimitUpdated', [subAdmin, limit]);
+  },
+
+  airdrop: (ctx, recipients, amount) => {
+    onlyRole(ctx, TOKEN_ROLES.DEFAULT_ADMIN_ROLE);
+    whenNotPaused(ctx);
+    recipients.forEach(recipient => {
+      requireThat(
+        !ctx.state.blacklist[key(recipient)],
+        'Recipient is blacklisted'
+      );
+      mintTo(ctx, recipient, amount);
+      ctx.state.totalMinted += amount;
+      ctx.emit('Airdrop', [recipient, amount]);
+    });
+  },
+
+  setMaxMintable: (ctx, newMaxMintable) => {
+    onlyRole(ctx, TOKEN_ROLES.DEFAULT_ADMIN_ROLE);
+    requireThat(
+      newMaxMintable >= ctx.state.totalMinted,
+      'New limit cannot be less than already minted'
+    );
+    ctx.state.maxMintable = newMaxMintable;
+  },
+
+  getMaxMintable: ctx => {
+    onlyRole(ctx, TOKEN_ROLES.MINTER_ROLE);
+    return ctx.state.maxMintable;
+  },
+  getTotalMinted: ctx => {
+    onlyRole(ctx, TOKEN_ROLES.MINTER_ROLE);
+    return ctx.state.totalMinted;
+  },
+  getRemainingMintable: ctx => {
+    onlyRole(ctx, TOKEN_ROLES.MINTER_ROLE);
+    return ctx.state.maxMintable - ctx.state.totalMinted;
+  },
+};
+
+export const tokenAbi = TokenABI.abi;
@@ -0,0 +1,154 @@
+/**
+ * In-process simulator of the GamaToken and Roulette contracts.
+ *
+ * `createSimulator` deploys both contracts and a mock VRF coordinator on a
+ * simulated chain, funds the given accounts and hands back an EIP-1193
+ * provider. The app talks to it exactly as it talks to a wallet, and
+ * `getContracts` returns the same ethers contracts `initializeContracts`
+ * does, so headless tests exercise the real contract bindings too.
+ */
+
+import { BrowserProvider, Contract, parseEther } from 'ethers';
+import { createChain } from './chain';
+import { SIMULATOR_ADDRESSES, SIMULATOR_ACCOUNTS } from './addresses';
+import {
+  TOKEN_ROLES,
+  createTokenState,
+  tokenAbi,
+  tokenMethods,
+} from './gamaToken';
+import {
+  ROULETTE_LIMITS,
+  createRouletteState,
+  rouletteAbi,
+  rouletteMethods,
+} from './roulette';
+import {
+  createVrfController,
+  createVrfCoordinatorState,
+  vrfCoordinatorAbi,
+  vrfCoordinatorMethods,
+} from './vrfCoordinator';
+
+export { SIMULATOR_ADDRESSES, SIMULATOR_ACCOUNTS } from './addresses';
+export { SimulatedRevert } from './chain';
+
+/**
+ * Create a simulator with deployed contracts
+ * @param {Object} [options]
+ * @param {Number} [options.chainId] - Chain ID, Apothem by default so the
+ *   app's network checks pass
+ * @param {String[]} [options.accounts] - Player accounts; the first one
+ *   deploys and owns the contracts
+ * @param {String} [options.initialBalance] - GAMA given to each account
+ * @param {String} [options.maxMintable] - Token mint cap
+ * @param {Boolean} [options.grantRoles] - Give Roulette the MINTER and
+ *   BURNER roles it needs to take bets
+ * @param {String} [options.seed] - Seed for VRF words
+ * @param {Number} [options.startTime] - Genesis timestamp in seconds
+ * @param {Number} [options.pollingInterval] - How often `provider` polls
+ *   for events, in ms
+ * @returns {Object} Simulator
+ */
+export const createSimulator = ({
+  chainId = 51,
+  accounts = SIMULATOR_ACCOUNTS,
+  initialBalance = '10000',
+  maxMintable = '1000000000',
+  grantRoles = true,
+  seed,
+  startTime,
+  pollingInterval = 250,
+} = {}) => {
+  const [deployer] = accounts;
+  const chain = createChain({ chainId, accounts, startTime });
+
+  chain.deploy({
+    name: 'GamaToken',
+    address: SIMULATOR_ADDRESSES.token,
+    abi: tokenAbi,
+    state: createTokenState({
+      admin: deployer,
+      maxMintable: parseEther(maxMintable),
+    }),
+    methods: tokenMethods,
+  });
+  chain.deploy({
+    name: 'VRFCoordinatorV2Mock',
+    address: SIMULATOR_ADDRESSES.vrfCoordinator,
+    abi: vrfCoordinatorAbi,
+    state: createVrfCoordinatorState(),
+    methods: vrfCoordinatorMethods,
+  });
+  chain.deploy({
+    name: 'Roulette',
+    address: SIMULATOR_ADDRESSES.Roulette,
+    abi: rouletteAbi,
+    state: createRouletteState({
+      owner: deployer,
+      token: SIMULATOR_ADDRESSES.token,
+      vrfCoordinator: SIMULATOR_ADDRESSES.vrfCoordinator,
+    }),
+    methods: rouletteMethods,
+  });
+
+  // The chain answers instantly and its clock can jump between identical
+  // calls, so ethers' short-lived request cache would only hide changes
+  const provider = new BrowserProvider(chain, chainId, {
+    cacheTimeout: -1,
+    pollingInterval,
+  });
+  const vrf = createVrfController(chain, SIMULATOR_ADDRESSES.vrfCoordinator, {
+    seed,
+  });
+
+  /**
+   * Contracts connected to an account's signer, as initializeContracts
+   * builds them
+   * @param {String} [account] - Signing account, the first one by default
+   * @returns {Promise<Object>} { token, Roulette }
+   */
+  const getContracts = async (account = deployer) => {
+    const signer = await provider.getSigner(account);
+    return {
+      token: new Contract(SIMULATOR_ADDRESSES.token, tokenAbi, signer),
+      Roulette: new Contract(SIMULATOR_ADDRESSES.Roulette, rouletteAbi, signer),
+    };
+  };
+
+  // Deployment script: roles for Roulette and starting balances
+  const setup = async () => {
+    const { token } = await getContracts(deployer);
+    if (grantRoles) {
+      await token.grantRole(
+        TOKEN_ROLES.MINTER_ROLE,
+        SIMULATOR_ADDRESSES.Roulette
+      );
+      await token.grantRole(
+        TOKEN_ROLES.BURNER_ROLE,
+        SIMULATOR_ADDRESSES.Roulette
+      );
+    }
+    if (Number(initialBalance) > 0) {
+      await token.airdrop(accounts, parseEther(initialBalance));
+    }
+  };
+
+  return {
+    chain,
+    provider,
+    vrf,
+    accounts,
+    addresses: SIMULATOR_ADDRESSES,
+    ready: setup(),
+    getContracts,
+
+    /**
+     * Let enough blocks and time pass for a stuck game to be recoverable
+     */
+    passRecoveryWindow: () => {
+      chain.increaseTime(ROULETTE_LIMITS.GAME_TIMEOUT);
+      chain.mine(ROULETTE_LIMITS.BLOCK_THRESHOLD + 1);
+    },
+  };
+};
@@ -0,0 +1,636 @@
+/**
+ * Roulette port for the simulator. Mirrors Roulette.sol check for check,
+ * including revert reasons and the order they are hit in, so the UI sees
+ * the same errors it would on chain.
+ */
+
+import { ZeroAddress, ZeroHash, parseEther } from 'ethers';
+import RouletteABI from '../contracts/abi/Roulette.json';
+import { panic, requireThat } from './chain';
+import { TOKEN_ROLES } from './gamaToken';
+
+const MAX_NUMBER = 36;
+const DENOMINATOR = BigInt(10000);
+const MAX_HISTORY_SIZE = 10;
+const MAX_BETS_PER_SPIN = 15;
+const MAX_BET_AMOUNT = parseEther('100000');
+const MAX_TOTAL_BET_AMOUNT = parseEther('500000');
+const MAX_POSSIBLE_PAYOUT = parseEther('17500000');
+const GAME_TIMEOUT = 60 * 60;
+const BLOCK_THRESHOLD = 300;
+const FULFILLMENT_GRACE_BLOCKS = 10;
+const RESULT_FORCE_STOPPED = 254;
+const RESULT_RECOVERED = 255;
+const UINT8_MAX = 255;
+const PANIC_ARITHMETIC_OVERFLOW = 0x11;
+
+export const ROULETTE_LIMITS = {
+  GAME_TIMEOUT,
+  BLOCK_THRESHOLD,
+};
+
+// Contract BetType enum
+const BetType = {
+  Straight: 0,
+  Dozen: 1,
+  Column: 2,
+  Red: 3,
+  Black: 4,
+  Even: 5,
+  Odd: 6,
+  Low: 7,
+  High: 8,
+};
+
+const BET_TYPE_INFO = [
+  ['Straight', true, BigInt(35) * DENOMINATOR],
+  ['First Dozen (1-12)', false, BigInt(2) * DENOMINATOR],
+  ['Second Dozen (13-24)', false, BigInt(2) * DENOMINATOR],
+  ['Third Dozen (25-36)', false, BigInt(2) * DENOMINATOR],
+  ['First Column', false, BigInt(2) * DENOMINATOR],
+  ['Second Column', false, BigInt(2) * DENOMINATOR],
+  ['Third Column', false, BigInt(2) * DENOMINATOR],
+  ['Red', false, DENOMINATOR],
+  ['Black', false, DENOMINATOR],
+  ['Even', false, DENOMINATOR],
+  ['Odd', false, DENOMINATOR],
+  ['Low (1-18)', false, DENOMINATOR],
+  ['High (19-36)', false, DENOMINATOR],
+];
+
+const RED_NUMBERS = [
+  1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36,
+];
+const BLACK_NUMBERS = [
+  2, 4, 6, 8, 10, 11, 13, 15, 17, 20, 22, 24, 26, 28, 29, 31, 33, 35,
+];
+
+const key = address => address.toLowerCase();
+const range = (length, fn) => Array.from({ length }, (_, i) => fn(i));
+
+const getUser = (state, player) =>
+  state.users[key(player)] || {
+    recentBets: [],
+    maxHistorySize: BigInt(0),
+    currentRequestId: BigInt(0),
+    requestFulfilled: false,
+    lastPlayedTimestamp: BigInt(0),
+    lastPlayedBlock: BigInt(0),
+    historyIndex: 0,
+  };
+
+const writableUser = (state, player) =>
+  (state.users[key(player)] ||= getUser(state, player));
+
+const currentBetOf = user => user.recentBets[user.recentBets.length - 1];
+
+const getRequest = (state, requestId) =>
+  state.requests[String(requestId)] || { fulfilled: false, exists: false };
+
+const clearRequest = (state, requestId) => {
+  delete state.requests[String(requestId)];
+  delete state.requestToPlayer[String(requestId)];
+};
+
+const invalidBet = (ctx, reason) =>
+  ctx.revert('InvalidBetParameters', [reason]);
+
+const processBetRequest = (ctx, { betTypeId, number }) => {
+  const id = Number(betTypeId);
+  if (id === 0) {
+    requireThat(
+      Number(number) <= MAX_NUMBER,
+      'Invalid number for straight bet'
+    );
+    return { betType: BetType.Straight, numbers: [Number(number)] };
+  }
+  if (id >= 1 && id <= 3) {
+    const start = [1, 13, 25][id - 1];
+    return { betType: BetType.Dozen, numbers: range(12, i => start + i) };
+  }
+  if (id >= 4 && id <= 6) {
+    const start = id - 3;
+    return { betType: BetType.Column, numbers: range(12, i => start + i * 3) };
+  }
+  if (id >= 7 && id <= 12) {
+    return { betType: BetType.Red + (id - 7), numbers: [] };
+  }
+  return invalidBet(ctx, 'Invalid bet type ID');
+};
+
+const getPayoutMultiplier = betType => {
+  if (betType === BetType.Straight) return BigInt(35) * DENOMINATOR;
+  if (betType === BetType.Dozen || betType === BetType.Column) {
+    return BigInt(2) * DENOMINATOR;
+  }
+  return DENOMINATOR;
+};
+
+const isRed = number => RED_NUMBERS.includes(number);
+
+const isBetWinning = (numbers, betType, winningNumber) => {
+  if (winningNumber > MAX_NUMBER) return false;
+  if (winningNumber === 0) {
+    return (
+      betType === BetType.Straight && numbers.length === 1 && numbers[0] === 0
+    );
+  }
+
+  switch (betType) {
+    case BetType.Red:
+      return isRed(winningNumber);
+    case BetType.Black:
+      return !isRed(winningNumber);
+    case BetType.Even:
+      return winningNumber % 2 === 0;
+    case BetType.Odd:
+      return winningNumber % 2 === 1;
+    case BetType.Low:
+      return winningNumber <= 18;
+    case BetType.High:
+      return winningNumber >= 19;
+    default:
+      return numbers.includes(winningNumber);
+  }
+};
+
+const calculatePayout = ({ numbers, betType, amount }, winningNumber) => {
+  if (amount === BigInt(0) || !isBetWinning(numbers, betType, winningNumber)) {
+    return BigInt(0);
+  }
+  return (amount * getPayoutMultiplier(betType)) / DENOMINATOR + amount;
+};
+
+const validateAndCalculateTotals = (ctx, betRequests) => {
+  let totalAmount = BigInt(0);
+  let maxPossiblePayout = BigInt(0);
+
+  betRequests.forEach(bet => {
+    if (bet.amount === BigInt(0)) invalidBet(ctx, 'Invalid bet amount');
+    if (bet.amount > MAX_BET_AMOUNT) {
+      invalidBet(ctx, 'Single bet amount too large');
+    }
+    totalAmount += bet.amount;
+
+    const { betType } = processBetRequest(ctx, bet);
+    maxPossiblePayout +=
+      (bet.amount * getPayoutMultiplier(betType)) / DENOMINATOR;
+
+    if (totalAmount > MAX_TOTAL_BET_AMOUNT) {
+      invalidBet(ctx, 'Total bet amount too large');
+    }
+  });
+
+  return { totalAmount, maxPossiblePayout };
+};
+
+const checkBalancesAndAllowances = (ctx, player, totalAmount) => {
+  const { token } = ctx.state;
+  const balance = ctx.call(token, 'balanceOf', player);
+  if (balance < totalAmount) {
+    ctx.revert('InsufficientUserBalance', [totalAmount, balance]);
+  }
+
+  const allowance = ctx.call(token, 'allowance', player, ctx.self);
+  if (allowance < totalAmount) {
+    ctx.revert('InsufficientAllowance', [totalAmount, allowance]);
+  }
+
+  [TOKEN_ROLES.BURNER_ROLE, TOKEN_ROLES.MINTER_ROLE].forEach(role => {
+    if (!ctx.call(token, 'hasRole', role, ctx.self)) {
+      ctx.revert('MissingContractRole', [role]);
+    }
+  });
+};
+
+const onlyOwner = ctx => {
+  if (key(ctx.sender) !== key(ctx.state.owner)) {
+    ctx.revert('OwnableUnauthorizedAccount', [ctx.sender]);
+  }
+};
+
+const whenNotPaused = ctx => {
+  if (ctx.state.paused) ctx.revert('EnforcedPause');
+};
+
+const isRecoveryEligible = (ctx, user, requestExists) =>
+  ctx.block.number > Number(user.lastPlayedBlock) + BLOCK_THRESHOLD &&
+  ctx.block.timestamp > Number(user.lastPlayedTimestamp) + GAME_TIMEOUT &&
+  user.currentRequestId !== BigInt(0) &&
+  requestExists;
+
+// Shared by recoverOwnStuckGame and forceStopGame, which differ only in
+// their wording and the marker left in winningNumber
+const refundActiveGame = (ctx, player, { action, resultMarker }) => {
+  const { state } = ctx;
+  const user = writableUser(state, player);
+  const currentBet = currentBetOf(user);
+  if (!currentBet?.isActive) invalidBet(ctx, 'No active game');
+
+  const requestId = user.currentRequestId;
+  const request = getRequest(state, requestId);
+  if (resultMarker === RESULT_RECOVERED && requestId === BigInt(0)) {
+    invalidBet(ctx, 'No pending request to recover');
+  }
+  if (
+    requestId !== BigInt(0) &&
+    request.fulfilled &&
+    ctx.block.number <= Number(user.lastPlayedBlock) + FULFILLMENT_GRACE_BLOCKS
+  ) {
+    invalidBet(ctx, 'Request just fulfilled, let VRF complete');
+  }
+  if (!isRecoveryEligible(ctx, user, request.exists)) {
+    invalidBet(ctx, `Game not eligible for ${action} yet`);
+  }
+
+  const refundAmount = currentBet.bets.reduce(
+    (sum, bet) => sum + bet.amount,
+    BigInt(0)
+  );
+  if (refundAmount === BigInt(0)) invalidBet(ctx, 'Nothing to refund');
+
+  clearRequest(state, requestId);
+  currentBet.completed = true;
+  currentBet.isActive = false;
+  currentBet.winningNumber = resultMarker;
+  currentBet.bets.forEach(bet => {
+    bet.payout = bet.amount;
+  });
+  user.currentRequestId = BigInt(0);
+  user.requestFulfilled = false;
+
+  if (!ctx.call(state.token, 'hasRole', TOKEN_ROLES.MINTER_ROLE, ctx.self)) {
+    ctx.revert('MissingContractRole', [TOKEN_ROLES.MINTER_ROLE]);
+  }
+  ctx.call(state.token, 'mint', player, refundAmount);
+
+  ctx.emit('GameRecovered', [player, requestId]);
+};
+
+/**
+ * Initial Roulette state, as left by the constructor
+ * @param {Object} options
+ * @param {String} options.owner - Deployer and owner
+ * @param {String} options.token - GamaToken address
+ * @param {String} options.vrfCoordinator - VRF coordinator address
+ * @param {String} [options.keyHash] - VRF gas lane
+ * @param {BigInt} [options.subscriptionId] - VRF subscription
+ * @param {Number} [options.numWords] - Random words requested per spin
+ * @returns {Object} Roulette state
+ */
+export const createRouletteState = ({
+  owner,
+  token,
+  vrfCoordinator,
+  keyHash = ZeroHash,
+  subscriptionId = BigInt(1),
+  numWords = 1,
+}) => ({
+  owner,
+  token,
+  vrfCoordinator,
+  keyHash,
+  subscriptionId,
+  callbackGasLimit: 2500000,
+  requestConfirmations: 3,
+  numWords,
+  paused: false,
+  users: {},
+  requests: {},
+  requestToPlayer: {},
+  totalGamesPlayed: BigInt(0),
+  totalPayoutAmount: BigInt(0),
+  totalWageredAmount: BigInt(0),
+});
+
+export const rouletteMethods = {
+  ...Object.fromEntries(
+    [
+      'STRAIGHT_BET',
+      'DOZEN_BET_FIRST',
+      'DOZEN_BET_SECOND',
+      'DOZEN_BET_THIRD',
+      'COLUMN_BET_FIRST',
+      'COLUMN_BET_SECOND',
+      'COLUMN_BET_THIRD',
+      'RED_BET',
+      'BLACK_BET',
+      'EVEN_BET',
+      'ODD_BET',
+      'LOW_BET',
+      'HIGH_BET',
+    ].map((name, betTypeId) => [name, () => betTypeId])
+  ),
+  MAX_NUMBER: () => MAX_NUMBER,
+  DENOMINATOR: () => DENOMINATOR,
+  MAX_HISTORY_SIZE: () => MAX_HISTORY_SIZE,
+  MAX_BET_AMOUNT: () => MAX_BET_AMOUNT,
+  MAX_TOTAL_BET_AMOUNT: () => MAX_TOTAL_BET_AMOUNT,
+  MAX_POSSIBLE_PAYOUT: () => MAX_POSSIBLE_PAYOUT,
+  RESULT_FORCE_STOPPED: () => RESULT_FORCE_STOPPED,
+  RESULT_RECOVERED: () => RESULT_RECOVERED,
+  MINTER_ROLE: () => TOKEN_ROLES.MINTER_ROLE,
+  BURNER_ROLE: () => TOKEN_ROLES.BURNER_ROLE,
+
+  gamaToken: ({ state }) => state.token,
+  owner: ({ state }) => state.owner,
+  paused: ({ state }) => state.paused,
+  totalGamesPlayed: ({ state }) => state.totalGamesPlayed,
+  totalPayoutAmount: ({ state }) => state.totalPayoutAmount,
+  totalWageredAmount: ({ state }) => state.totalWageredAmount,
+
+  userData: ({ state }, player) => {
+    const user = getUser(state, player);
+    return [
+      user.maxHistorySize,
+      user.currentRequestId,
+      user.requestFulfilled,
+      user.lastPlayedTimestamp,
+      user.lastPlayedBlock,
+      user.historyIndex,
+    ];
+  },
+  s_requests: ({ state }, requestId) => {
+    const request = getRequest(state, requestId);
+    return [request.fulfilled, request.exists];
+  },
+  getPlayerForRequest: ({ state }, requestId) =>
+    state.requestToPlayer[String(requestId)] || ZeroAddress,
+
+  placeBet: (ctx, betRequests) => {
+    const { state, sender, block } = ctx;
+    whenNotPaused(ctx);
+    if (betRequests.length === 0) invalidBet(ctx, 'No bets provided');
+    if (betRequests.length > MAX_BETS_PER_SPIN)
+      invalidBet(ctx, 'Too many bets');
+
+    const user = writableUser(state, sender);
+    if (currentBetOf(user)?.isActive) {
+      invalidBet(ctx, 'User has an active game');
+    }
+    if (user.currentRequestId !== BigInt(0)) {
+      invalidBet(ctx, 'User has a pending request');
+    }
+
+    const { totalAmount, maxPossiblePayout } = validateAndCalculateTotals(
+      ctx,
+      betRequests
+    );
+    if (maxPossiblePayout > MAX_POSSIBLE_PAYOUT) {
+      ctx.revert('MaxPayoutExceeded', [maxPossiblePayout, MAX_POSSIBLE_PAYOUT]);
+    }
+    const remainingMintable = ctx.call(state.token, 'getRemainingMintable');
+    if (maxPossiblePayout > remainingMintable) {
+      ctx.revert('MaxPayoutExceeded', [maxPossiblePayout, remainingMintable]);
+    }
+
+    checkBalancesAndAllowances(ctx, sender, totalAmount);
+    ctx.call(state.token, 'controlledBurnFrom', sender, totalAmount);
+    state.totalWageredAmount += totalAmount;
+
+    const requestId = ctx.call(
+      state.vrfCoordinator,
+      'requestRandomWords',
+      state.keyHash,
+      state.subscriptionId,
+      state.requestConfirmations,
+      state.callbackGasLimit,
+      state.numWords
+    );
+    state.requests[String(requestId)] = { fulfilled: false, exists: true };
+    state.requestToPlayer[String(requestId)] = sender;
+
+    user.lastPlayedTimestamp = BigInt(block.timestamp);
+    user.lastPlayedBlock = BigInt(block.number);
+    user.currentRequestId = requestId;
+    user.requestFulfilled = false;
+
+    const newBet = {
+      timestamp: BigInt(block.timestamp),
+      bets: betRequests.map(bet => ({
+        ...processBetRequest(ctx, bet),
+        amount: bet.amount,
+        payout: BigInt(0),
+      })),
+      winningNumber: 0,
+      completed: false,
+      isActive: true,
+    };
+
+    if (user.recentBets.length < MAX_HISTORY_SIZE) {
+      user.recentBets.push(newBet);
+    } else {
+      user.recentBets[user.historyIndex % MAX_HISTORY_SIZE] = newBet;
+    }
+    // historyIndex is a uint8, so the 256th spin overflows and reverts
+    if (user.historyIndex === UINT8_MAX) panic(PANIC_ARITHMETIC_OVERFLOW);
+    user.historyIndex += 1;
+
+    ctx.emit('BetPlaced', [sender, requestId]);
+    return requestId;
+  },
+
+  rawFulfillRandomWords: (ctx, requestId, randomWords) => {
+    const { state } = ctx;
+    if (key(ctx.sender) !== key(state.vrfCoordinator)) {
+      ctx.revert('OnlyCoordinatorCanFulfill', [
+        ctx.sender,
+        state.vrfCoordinator,
+      ]);
+    }
+
+    const request = state.requests[String(requestId)];
+    if (!request?.exists) invalidBet(ctx, 'Request not found');
+    if (request.fulfilled) invalidBet(ctx, 'Request already fulfilled');
+    if (randomWords.length !== state.numWords) {
+      invalidBet(ctx, 'Invalid random words length');
+    }
+
+    const player = state.requestToPlayer[String(requestId)];
+    if (!player) invalidBet(ctx, 'Invalid player address');
+    const user = writableUser(state, player);
+    if (user.currentRequestId !== requestId) {
+      invalidBet(ctx, 'Request ID mismatch');
+    }
+
+    request.fulfilled = true;
+    user.requestFulfilled = true;
+
+    // Like the contract, this reads the last array slot, which is not the
+    // newest spin once the history has wrapped around
+    const currentBet = currentBetOf(user);
+    if (!currentBet?.isActive) {
+      clearRequest(state, requestId);
+      user.currentRequestId = BigInt(0);
+      user.requestFulfilled = false;
+      return;
+    }
+
+    const winningNumber = Number(randomWords[0] % BigInt(MAX_NUMBER + 1));
+    currentBet.winningNumber = winningNumber;
+
+    let totalPayout = BigInt(0);
+    currentBet.bets.forEach(bet => {
+      bet.payout = calculatePayout(bet, winningNumber);
+      totalPayout += bet.payout;
+    });
+    currentBet.completed = true;
+    currentBet.isActive = false;
+
+    if (totalPayout > BigInt(0)) {
+      ctx.call(state.token, 'mint', player, totalPayout);
+      state.totalPayoutAmount += totalPayout;
+    }
+    state.totalGamesPlayed += BigInt(1);
+
+    clearRequest(state, requestId);
+    user.currentRequestId = BigInt(0);
+
+    ctx.emit('GameCompleted', [player, requestId]);
+  },
+
+  recoverOwnStuckGame: ctx => {
+    whenNotPaused(ctx);
+    refundActiveGame(ctx, ctx.sender, {
+      action: 'recovery',
+      resultMarker: RESULT_RECOVERED,
+    });
+  },
+
+  forceStopGame: (ctx, player) => {
+    onlyOwner(ctx);
+    refundActiveGame(ctx, player, {
+      action: 'force stop',
+      resultMarker: RESULT_FORCE_STOPPED,
+    });
+  },
+
+  pause: ctx => {
+    onlyOwner(ctx);
+    whenNotPaused(ctx);
+    ctx.state.paused = true;
+    ctx.emit('Paused', [ctx.sender]);
+  },
+  unpause: ctx => {
+    onlyOwner(ctx);
+    if (!ctx.state.paused) ctx.revert('ExpectedPause');
+    ctx.state.paused = false;
+    ctx.emit('Unpaused', [ctx.sender]);
+  },
+  transferOwnership: (ctx, newOwner) => {
+    onlyOwner(ctx);
+    if (newOwner === ZeroAddress) {
+      ctx.revert('OwnableInvalidOwner', [ZeroAddress]);
+    }
+    ctx.emit('OwnershipTransferred', [ctx.state.owner, newOwner]);
+    ctx.state.owner = newOwner;
+  },
+  renounceOwnership: ctx => {
+    onlyOwner(ctx);
+    ctx.emit('OwnershipTransferred', [ctx.state.owner, ZeroAddress]);
+    ctx.state.owner = ZeroAddress;
+  },
+
+  hasPendingRequest: ({ state }, player) => {
+    const user = getUser(state, player);
+    return (
+      !!currentBetOf(user)?.isActive && user.currentRequestId !== BigInt(0)
+    );
+  },
+  canStartNewGame: ({ state }, player) => {
+    const user = getUser(state, player);
+    return !currentBetOf(user)?.isActive && user.currentRequestId === BigInt(0);
+  },
+
+  getGameStatus: (ctx, player) => {
+    if (player === ZeroAddress) invalidBet(ctx, 'Invalid player address');
+    const user = getUser(ctx.state, player);
+    const currentBet = currentBetOf(user);
+    if (!currentBet) {
+      return [false, false, false, 0, 0, 0, 0, false, false, false, 0];
+    }
+
+    const totalAmount = currentBet.bets.reduce(
+      (sum, bet) => sum + bet.amount,
+      BigInt(0)
+    );
+    const totalPayout = currentBet.bets.reduce(
+      (sum, bet) => sum + bet.payout,
+      BigInt(0)
+    );
+    const requestId = user.currentRequestId;
+    const request =
+      requestId !== BigInt(0)
+        ? getRequest(ctx.state, requestId)
+        : { fulfilled: false, exists: false };
+
+    return [
+      currentBet.isActive,
+      totalPayout > BigInt(0) && currentBet.completed,
+      currentBet.completed,
+      currentBet.winningNumber,
+      totalAmount,
+      totalPayout,
+      requestId,
+      request.exists,
+      request.fulfilled,
+      currentBet.isActive && isRecoveryEligible(ctx, user, request.exists),
+      user.lastPlayedTimestamp,
+    ];
+  },
+
+  getUserBetHistory: ({ state }, player, offset, limit) => {
+    const { recentBets } = getUser(state, player);
+    const total = recentBets.length;
+    if (offset >= BigInt(total)) return [[], total];
+    const end = Math.min(Number(offset + limit), total);
+    return [recentBets.slice(Number(offset), end), total];
+  },
+
+  getBetDetails: ({ state }, player, betIndex) => {
+    const { recentBets } = getUser(state, player);
+    requireThat(betIndex < BigInt(recentBets.length), 'Invalid bet index');
+    const bet = recentBets[Number(betIndex)];
+    const totalPayout = bet.bets.reduce(
+      (sum, detail) => sum + detail.payout,
+      BigInt(0)
+    );
+    return [bet.timestamp, bet.bets, bet.winningNumber, totalPayout > 0];
+  },
+
+  getBetTypeInfo: (ctx, betTypeId) => {
+    const info = BET_TYPE_INFO[Number(betTypeId)];
+    if (!info) invalidBet(ctx, 'Invalid bet type ID');
+    return info;
+  },
+
+  getAllBetTypes: () => [
+    BET_TYPE_INFO.map((_, betTypeId) => betTypeId),
+    BET_TYPE_INFO.map(([name]) => name),
+    BET_TYPE_INFO.map(([, requiresNumber]) => requiresNumber),
+    BET_TYPE_INFO.map(([, , multiplier]) => multiplier),
+  ],
+
+  getPossibleWinningNumbers: (ctx, betTypeId) => {
+    switch (Number(betTypeId)) {
+      case 0:
+        return range(37, i => i);
+      case 7:
+        return RED_NUMBERS;
+      case 8:
+        return BLACK_NUMBERS;
+      case 9:
+        return range(18, i => (i + 1) * 2);
+      case 10:
+        return range(18, i => i * 2 + 1);
+      case 11:
+        return range(18, i => i + 1);
+      case 12:
+        return range(18, i => i + 19);
+      default:
+        return invalidBet(ctx, 'Invalid bet type ID for number generation');
+    }
+  },
+};
+
+export const rouletteAbi = RouletteABI.abi;
@@ -0,0 +1,48 @@
+import { Interface, MaxUint256, parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import { BET_TYPES } from '../constants/game';
+import { createSimulator } from '.';
+import { rouletteAbi } from './roulette';
+import { tokenAbi } from './gamaToken';
+
+const roulette = new Interface(rouletteAbi);
+const token = new Interface(tokenAbi);
+const RED_BET = [
+  { betTypeId: BET_TYPES.RED_BET, number: 0, amount: parseEther('1') },
+];
+
+describe('simulated Roulette', () => {
+  it('reverts with an overflow panic on the 256th spin', async () => {
+    const simulator = createSimulator({ seed: 'overflow' });
+    await simulator.ready;
+    const { chain, vrf, addresses } = simulator;
+    const [player] = simulator.accounts;
+
+    // Straight to the chain: 255 spins through ethers would be slow
+    chain.sendTransaction({
+      from: player,
+      to: addresses.token,
+      data: token.encodeFunctionData('approve', [
+        addresses.Roulette,
+        MaxUint256,
+      ]),
+    });
+    const placeBetData = roulette.encodeFunctionData('placeBet', [RED_BET]);
+    for (let spin = 0; spin < 255; spin++) {
+      const receipt = chain.sendTransaction({
+        from: player,
+        to: addresses.Roulette,
+        data: placeBetData,
+      });
+      expect(Number(receipt.status)).toBe(1);
+      vrf.fulfillAll();
+    }
+
+    const { Roulette } = await simulator.getContracts(player);
+    expect((await Roulette.userData(player)).historyIndex).toBe(255n);
+    await expect(Roulette.placeBet(RED_BET)).rejects.toMatchObject({
+      code: 'CALL_EXCEPTION',
+      revert: { name: 'Panic', args: [0x11] },
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Mock Chainlink VRF coordinator. Requests are recorded on chain and only
+ * fulfilled when asked to, with either chosen or seeded random words, so a
+ * spin's outcome is fully under the caller's control.
+ */
+
+import { Interface, concat, keccak256, toBeHex, toUtf8Bytes } from 'ethers';
+
+export const vrfCoordinatorAbi = [
+  'function requestRandomWords(bytes32 keyHash, uint64 subId, uint16 minimumRequestConfirmations, uint32 callbackGasLimit, uint32 numWords) returns (uint256 requestId)',
+  'event RandomWordsRequested(bytes32 indexed keyHash, uint256 requestId, uint256 preSeed, uint64 indexed subId, uint16 minimumRequestConfirmations, uint32 callbackGasLimit, uint32 numWords, address indexed sender)',
+];
+
+const consumerInterface = new Interface([
+  'function rawFulfillRandomWords(uint256 requestId, uint256[] randomWords)',
+]);
+
+export const createVrfCoordinatorState = () => ({
+  nextRequestId: BigInt(1),
+  requests: {},
+});
+
+export const vrfCoordinatorMethods = {
+  requestRandomWords: (
+    ctx,
+    keyHash,
+    subId,
+    minimumRequestConfirmations,
+    callbackGasLimit,
+    numWords
+  ) => {
+    const requestId = ctx.state.nextRequestId;
+    ctx.state.nextRequestId += BigInt(1);
+    ctx.state.requests[String(requestId)] = {
+      consumer: ctx.sender,
+      numWords: Number(numWords),
+      blockNumber: ctx.block.number,
+    };
+
+    ctx.emit('RandomWordsRequested', [
+      keyHash,
+      requestId,
+      requestId,
+      subId,
+      minimumRequestConfirmations,
+      callbackGasLimit,
+      numWords,
+      ctx.sender,
+    ]);
+    return requestId;
+  },
+};
+
+/**
+ * Derive a request's random words from a seed, the same way every time
+ * @param {String} seed - Any string
+ * @param {BigInt} requestId - VRF request ID
+ * @param {Number} numWords - Number of words
+ * @returns {BigInt[]} Random words
+ */
+export const deriveRandomWords = (seed, requestId, numWords) =>
+  Array.from({ length: numWords }, (_, i) =>
+    BigInt(
+      keccak256(
+        concat([
+          toUtf8Bytes(String(seed)),
+          toBeHex(BigInt(requestId), 32),
+          toBeHex(i, 32),
+        ])
+      )
+    )
+  );
+
+/**
+ * Off-chain side of the coordinator: lists open requests and answers them
+ * in transactions sent from the coordinator's address
+ * @param {Object} chain - Simulated chain
+ * @param {String} address - Coordinator address
+ * @param {Object} [options]
+ * @param {String} [options.seed] - Seed for words that aren't chosen
+ * @returns {Object} Coordinator controls
+ */
+export const createVrfController = (
+  chain,
+  address,
+  { seed = 'roulette' } = {}
+) => {
+  const fulfilled = new Set();
+  let autoFulfill = null;
+
+  const getPendingRequests = () =>
+    Object.entries(chain.getState(address).requests)
+      .filter(([requestId]) => !fulfilled.has(requestId))
+      .map(([requestId, request]) => ({
+        requestId: BigInt(requestId),
+        ...request,
+      }));
+
+  /**
+   * Answer a request with the given random words
+   * @param {BigInt|Number} requestId - VRF request ID
+   * @param {BigInt[]} [randomWords] - Words to deliver, seeded if omitted
+   * @returns {Object} Receipt; status 0 if the consumer reverted
+   */
+  const fulfill = (requestId, randomWords) => {
+    const request = chain.getState(address).requests[String(requestId)];
+    if (!request) throw new Error(`Unknown VRF request ${requestId}`);
+    if (fulfilled.has(String(requestId))) {
+      throw new Error(`VRF request ${requestId} was already fulfilled`);
+    }
+
+    const words =
+      randomWords || deriveRandomWords(seed, requestId, request.numWords);
+    const receipt = chain.sendTransaction({
+      from: address,
+      to: request.consumer,
+      data: consumerInterface.encodeFunctionData('rawFulfillRandomWords', [
+        requestId,
+        words,
+      ]),
+    });
+
+    // Like Chainlink, a reverting callback still uses up the request
+    fulfilled.add(String(requestId));
+    return receipt;
+  };
+
+  const controller = {
+    getPendingRequests,
+    fulfill,
+
+    /**
+     * Answer a request so the wheel lands on a chosen number
+     * @param {BigInt|Number} requestId - VRF request ID
+     * @param {Number} number - Winning number, 0-36
+     */
+    fulfillWithNumber: (requestId, number) => {
+      if (!Number.isInteger(number) || number < 0 || number > 36) {
+        throw new Error(`Not a roulette number: ${number}`);
+      }
+      return fulfill(requestId, [BigInt(number)]);
+    },
+
+    /**
+     * Answer every open request with seeded words
+     * @returns {Object[]} Receipts
+     */
+    fulfillAll: () =>
+      getPendingRequests().map(({ requestId }) => fulfill(requestId)),
+
+    /**
+     * Answer requests by themselves a while after they are made, the way
+     * the real coordinator does. Pass null to stop.
+     * @param {Number|null} delayMs - Delay before each fulfilment
+     */
+    setAutoFulfill: delayMs => {
+      autoFulfill?.();
+      autoFulfill = null;
+      if (delayMs === null || delayMs === undefined) return;
+
+      const scheduled = new Set();
+      autoFulfill = chain.onBlock(() => {
+        getPendingRequests()
+          .filter(({ requestId }) => !scheduled.has(String(requestId)))
+          .forEach(({ requestId }) => {
+            scheduled.add(String(requestId));
+            setTimeout(() => {
+              if (!fulfilled.has(String(requestId))) fulfill(requestId);
+            }, delayMs);
+          });
+      });
+    },
+  };
+
+  return controller;
+};
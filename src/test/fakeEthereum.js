@@ -0,0 +1,72 @@
+import { toQuantity } from 'ethers';
+
+/**
+ * Injected wallet stand-in for tests. Forwards JSON-RPC to the simulator
+ * but answers account and chain queries itself, so tests can switch either
+ * and have the wallet emit accountsChanged / chainChanged like MetaMask.
+ * @param {Object} simulator - From createSimulator
+ * @param {Object} [options]
+ * @param {String} [options.account] - Selected account, the simulator's
+ *   first by default
+ * @param {Number} [options.chainId] - Chain the wallet reports
+ * @returns {Object} EIP-1193 provider with test controls
+ */
+export const createFakeEthereum = (
+  simulator,
+  { account = simulator.accounts[0], chainId = simulator.chain.chainId } = {}
+) => {
+  const listeners = new Map();
+  let selectedAccount = account;
+  let currentChainId = chainId;
+
+  const emit = (event, payload) => {
+    [...(listeners.get(event) || [])].forEach(listener => listener(payload));
+  };
+
+  const getAccounts = () => (selectedAccount ? [selectedAccount] : []);
+
+  return {
+    isMetaMask: true,
+
+    request: async ({ method, params = [] }) => {
+      switch (method) {
+        case 'eth_chainId':
+          return toQuantity(currentChainId);
+        case 'net_version':
+          return String(currentChainId);
+        case 'eth_accounts':
+        case 'eth_requestAccounts':
+          return getAccounts();
+        default:
+          return simulator.chain.request({ method, params });
+      }
+    },
+
+    on: (event, listener) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+    },
+
+    removeListener: (event, listener) => {
+      listeners.get(event)?.delete(listener);
+    },
+
+    /**
+     * Select another account, or none to simulate a disconnect
+     * @param {String|null} address - Account to select
+     */
+    switchAccount: address => {
+      selectedAccount = address;
+      emit('accountsChanged', getAccounts());
+    },
+
+    /**
+     * Report a different chain
+     * @param {Number} newChainId - Chain ID
+     */
+    switchChain: newChainId => {
+      currentChainId = newChainId;
+      emit('chainChanged', toQuantity(newChainId));
+    },
+  };
+};
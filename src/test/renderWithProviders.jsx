@@ -0,0 +1,211 @@
+import React from 'react';
+import { MemoryRouter } from 'react-router-dom';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { render, renderHook, waitFor } from '@testing-library/react';
+import { MaxUint256, parseEther, toQuantity } from 'ethers';
+import { onTestFinished } from 'vitest';
+
+import WalletProvider, {
+  useWallet,
+} from '../components/wallet/WalletProvider.jsx';
+import { NotificationProvider } from '../contexts/NotificationContext.jsx';
+import { NetworkProvider } from '../contexts/NetworkContext.jsx';
+import { ResponsibleGamingProvider } from '../contexts/ResponsibleGamingContext.jsx';
+import { TransactionProvider } from '../contexts/TransactionContext.jsx';
+import { PollingProvider } from '../services/pollingService.jsx';
+import { useRouletteContract } from '../hooks/useRouletteContract.js';
+import { BET_TYPES } from '../constants/game';
+import { createSimulator } from '../simulator';
+import { createMockWallet } from '../mockWallet';
+import { createFakeEthereum } from './fakeEthereum';
+
+// Keys of the first Hardhat accounts, the simulator's funded players. The
+// mock wallet is given these rather than the mnemonic because jsdom's typed
+// arrays break the Node crypto ethers derives keys with.
+const SIMULATOR_PRIVATE_KEYS = [
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+  '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a',
+];
+
+/**
+ * Deploy a fresh simulator and inject a wallet for it, as MetaMask would be
+ * @param {Object} [options]
+ * @param {Object} [options.simulator] - Options for createSimulator
+ * @param {Object} [options.wallet] - Options for createFakeEthereum
+ * @returns {Promise<Object>} { simulator, ethereum }
+ */
+export const setupSimulatedWallet = async ({
+  simulator: simulatorOptions,
+  wallet: walletOptions,
+} = {}) => {
+  const simulator = createSimulator({ seed: 'test', ...simulatorOptions });
+  await simulator.ready;
+
+  const ethereum = createFakeEthereum(simulator, walletOptions);
+  window.ethereum = ethereum;
+
+  return { simulator, ethereum };
+};
+
+/**
+ * Deploy a fresh simulator and inject the mock wallet for it, which signs
+ * locally and asks for approval like an extension
+ * @param {Object} [options]
+ * @param {Object} [options.simulator] - Options for createSimulator
+ * @param {Object} [options.wallet] - Options for createMockWallet
+ * @returns {Promise<Object>} { simulator, ethereum }
+ */
+export const setupMockWallet = async ({
+  simulator: simulatorOptions,
+  wallet: walletOptions,
+} = {}) => {
+  const simulator = createSimulator({ seed: 'test', ...simulatorOptions });
+  await simulator.ready;
+
+  const ethereum = createMockWallet({
+    chains: [
+      {
+        chainId: toQuantity(simulator.chain.chainId),
+        chainName: 'XDC Apothem Testnet',
+        transport: simulator.chain,
+      },
+    ],
+    privateKeys: SIMULATOR_PRIVATE_KEYS,
+    ...walletOptions,
+  });
+  window.ethereum = ethereum;
+
+  return { simulator, ethereum };
+};
+
+/**
+ * Keep mining empty blocks for the rest of the test, for code that waits
+ * on confirmations beyond the block its transaction landed in
+ * @param {Object} simulator - From createSimulator
+ * @param {Number} [interval] - Milliseconds between blocks
+ */
+export const produceBlocks = (simulator, interval = 1000) => {
+  const timer = setInterval(() => simulator.chain.mine(1), interval);
+  onTestFinished(() => clearInterval(timer));
+};
+
+/**
+ * Place a spin straight through the simulator, bypassing the UI
+ * @param {Object} simulator - From createSimulator
+ * @param {Object} [options]
+ * @param {String} [options.account] - Player, the first account by default
+ * @param {Object[]} [options.bets] - BetRequest structs, one 1 GAMA red bet
+ *   by default
+ * @param {Number} [options.winningNumber] - Settle the spin on this number;
+ *   omit to leave it waiting for VRF
+ * @returns {Promise<BigInt>} VRF request ID
+ */
+export const placeSpin = async (
+  simulator,
+  {
+    account = simulator.accounts[0],
+    bets = [
+      { betTypeId: BET_TYPES.RED_BET, number: 0, amount: parseEther('1') },
+    ],
+    winningNumber,
+  } = {}
+) => {
+  const { token, Roulette } = await simulator.getContracts(account);
+  if ((await token.allowance(account, simulator.addresses.Roulette)) === 0n) {
+    await token.approve(simulator.addresses.Roulette, MaxUint256);
+  }
+  await Roulette.placeBet(bets);
+
+  const { requestId } = simulator.vrf.getPendingRequests().at(-1);
+  if (winningNumber !== undefined) {
+    simulator.vrf.fulfillWithNumber(requestId, winningNumber);
+  }
+  return requestId;
+};
+
+// Mirrors the wrapper in App.jsx, which is private to that module
+const PollingProviderWrapper = ({ children }) => {
+  const { contract } = useRouletteContract();
+  const { account } = useWallet();
+
+  return (
+    <PollingProvider RouletteContract={contract} account={account}>
+      {children}
+    </PollingProvider>
+  );
+};
+
+/**
+ * Build a wrapper with the provider stack App.jsx sets up
+ * @param {Object} [options]
+ * @param {String[]} [options.initialEntries] - Router history
+ * @returns {Function} Wrapper component
+ */
+export const createWrapper = ({ initialEntries = ['/'] } = {}) => {
+  const queryClient = new QueryClient({
+    defaultOptions: {
+      queries: { retry: false, staleTime: 0 },
+      mutations: { retry: false },
+    },
+  });
+
+  const AppProviders = ({ children }) => (
+    <QueryClientProvider client={queryClient}>
+      <NotificationProvider>
+        <MemoryRouter initialEntries={initialEntries}>
+          <WalletProvider>
+            <NetworkProvider>
+              <TransactionProvider>
+                <PollingProviderWrapper>
+                  <ResponsibleGamingProvider>
+                    {children}
+                  </ResponsibleGamingProvider>
+                </PollingProviderWrapper>
+              </TransactionProvider>
+            </NetworkProvider>
+          </WalletProvider>
+        </MemoryRouter>
+      </NotificationProvider>
+    </QueryClientProvider>
+  );
+
+  return AppProviders;
+};
+
+/**
+ * Render a component inside the app's providers
+ * @param {React.ReactElement} ui - Element to render
+ * @param {Object} [options] - Options for createWrapper
+ * @returns {Object} Testing library render result
+ */
+export const renderWithProviders = (ui, options) =>
+  render(ui, { wrapper: createWrapper(options) });
+
+/**
+ * Render a hook inside the app's providers. The hook's result is returned
+ * next to the wallet context so tests can wait for the connection.
+ * @param {Function} useHook - Hook under test
+ * @param {Object} [options] - Options for createWrapper
+ * @returns {Object} Testing library renderHook result
+ */
+export const renderHookWithProviders = (useHook, options) =>
+  renderHook(() => ({ wallet: useWallet(), hook: useHook() }), {
+    wrapper: createWrapper(options),
+  });
+
+/**
+ * Wait until the wallet has connected and built its contracts
+ * @param {Object} result - renderHookWithProviders result ref
+ * @returns {Promise<void>}
+ */
+export const waitForWallet = result =>
+  waitFor(
+    () => {
+      const { account, contracts } = result.current.wallet;
+      if (!account || !contracts?.Roulette) {
+        throw new Error('Wallet not connected yet');
+      }
+    },
+    { timeout: 10000 }
+  );
@@ -0,0 +1,47 @@
+import { cleanup } from '@testing-library/react';
+import { afterEach, beforeEach, vi } from 'vitest';
+
+const isDom = typeof window !== 'undefined';
+
+// jsdom has no matchMedia; framer-motion reads it for reduced motion
+if (isDom && !window.matchMedia) {
+  window.matchMedia = query => ({
+    matches: false,
+    media: query,
+    onchange: null,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    addListener: () => {},
+    removeListener: () => {},
+    dispatchEvent: () => false,
+  });
+}
+
+// jsdom has no canvas for chart.js to draw on; charts render as a labelled
+// placeholder so tests can still find them
+if (isDom) {
+  vi.mock('react-chartjs-2', async () => {
+    const { createElement } = await import('react');
+    const placeholder = props =>
+      createElement('div', { role: 'img', 'aria-label': props['aria-label'] });
+    return { Bar: placeholder, Line: placeholder };
+  });
+}
+
+beforeEach(() => {
+  // RPC health checks go to the public endpoints; answer them locally
+  vi.stubGlobal(
+    'fetch',
+    vi.fn(async () => Response.json({ jsonrpc: '2.0', id: 1, result: '0x1' }))
+  );
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  if (!isDom) return;
+
+  cleanup();
+  localStorage.clear();
+  sessionStorage.clear();
+  delete window.ethereum;
+});
@@ -0,0 +1,176 @@
+import {
+  BET_TYPES,
+  DENOMINATOR,
+  MAX_BETS_PER_SPIN,
+  MAX_BET_AMOUNT,
+  MAX_NUMBER,
+  MAX_POSSIBLE_PAYOUT,
+  MAX_TOTAL_BET_AMOUNT,
+  PAYOUT_MULTIPLIERS,
+} from '../constants/game';
+import { getCoveredNumbers, isValidRouletteNumber } from './rouletteUtils';
+import { formatTokenAmount } from './formatting';
+
+const ZERO = BigInt(0);
+
+const gama = amount => `${formatTokenAmount(amount)} GAMA`;
+
+const isDozen = betTypeId =>
+  betTypeId >= BET_TYPES.DOZEN_BET_FIRST &&
+  betTypeId <= BET_TYPES.DOZEN_BET_THIRD;
+
+const isColumn = betTypeId =>
+  betTypeId >= BET_TYPES.COLUMN_BET_FIRST &&
+  betTypeId <= BET_TYPES.COLUMN_BET_THIRD;
+
+// Twelve consecutive numbers from 1, 13 or 25, as in Roulette._isValidDozen
+const isValidDozen = numbers =>
+  numbers.length === 12 &&
+  [1, 13, 25].includes(numbers[0]) &&
+  numbers.every((number, i) => number === numbers[0] + i);
+
+// Twelve numbers three apart from 1, 2 or 3, as in Roulette._isValidColumn
+const isValidColumn = numbers =>
+  numbers.length === 12 &&
+  [1, 2, 3].includes(numbers[0]) &&
+  numbers.every((number, i) => number === numbers[0] + i * 3);
+
+/**
+ * Check the numbers placeBet would record for a bet, following
+ * Roulette._isValidBet. Outside bets record no numbers, so they always pass.
+ * @param {Object} bet - Bet with betTypeId and number
+ * @returns {Boolean} True if the contract accepts the bet's numbers
+ */
+export const isValidBetNumbers = bet => {
+  const numbers = getCoveredNumbers(bet.betTypeId, bet.number);
+  if (numbers.some(number => number > MAX_NUMBER)) return false;
+
+  if (bet.betTypeId === BET_TYPES.STRAIGHT_BET) return numbers.length === 1;
+  if (isDozen(bet.betTypeId)) return isValidDozen(numbers);
+  if (isColumn(bet.betTypeId)) return isValidColumn(numbers);
+  return Object.values(BET_TYPES).includes(bet.betTypeId);
+};
+
+/**
+ * Explain why placeBet would reject a single bet, following
+ * Roulette._processBetRequest, _isValidBet and the per-bet limits of
+ * _validateAndCalculateTotals
+ * @param {Object} bet - Bet with betTypeId, number and amount (wei)
+ * @returns {String|null} Reason, or null if the bet is valid
+ */
+export const getBetError = bet => {
+  if (!Object.values(BET_TYPES).includes(bet.betTypeId)) {
+    return 'Unknown bet type';
+  }
+  if (
+    bet.betTypeId === BET_TYPES.STRAIGHT_BET &&
+    !isValidRouletteNumber(bet.number)
+  ) {
+    return 'Straight bets must be on a number from 0 to 36';
+  }
+  if (!isValidBetNumbers(bet)) {
+    return 'The contract does not accept these numbers for this bet type';
+  }
+
+  const amount = BigInt(bet.amount || 0);
+  if (amount <= ZERO) return 'Enter an amount greater than zero';
+  if (amount > MAX_BET_AMOUNT) {
+    return `A single bet cannot exceed ${gama(MAX_BET_AMOUNT)}`;
+  }
+  return null;
+};
+
+/**
+ * Winnings placeBet reserves for a slip: every bet's winnings added up, as
+ * in Roulette._validateAndCalculateTotals, rather than the best single
+ * outcome
+ * @param {Object[]} bets - Bets with betTypeId and amount (wei)
+ * @returns {BigInt} Reserved winnings (wei)
+ */
+export const getReservedPayout = bets =>
+  bets.reduce(
+    (sum, bet) =>
+      sum +
+      (BigInt(bet.amount || 0) *
+        BigInt(PAYOUT_MULTIPLIERS[bet.betTypeId] || 0)) /
+        BigInt(DENOMINATOR),
+    ZERO
+  );
+
+/**
+ * Check a bet slip against every rule placeBet enforces. Without chain
+ * state only the slip itself is checked; pass what is known about the
+ * player and the contracts to check the rest.
+ * @param {Object[]} bets - Bets with betTypeId, number and amount (wei)
+ * @param {Object} [state] - Chain state, each field optional
+ * @param {Boolean} [state.paused] - The Roulette is paused
+ * @param {Boolean} [state.canStartNewGame] - Roulette.canStartNewGame
+ * @param {BigInt} [state.balance] - Player's GAMA balance
+ * @param {BigInt} [state.allowance] - GAMA the Roulette may burn
+ * @param {Boolean} [state.hasBurnerRole] - The Roulette can burn stakes
+ * @param {Boolean} [state.hasMinterRole] - The Roulette can mint payouts
+ * @param {BigInt} [state.remainingMintable] - GAMA the token can still mint
+ * @returns {{betErrors: Array<String|null>, slipErrors: String[],
+ *   totalAmount: BigInt, isValid: Boolean}} Per-bet reasons in slip order
+ *   and reasons that concern the slip as a whole
+ */
+export const validateBetSlip = (bets, state = {}) => {
+  const betErrors = bets.map(getBetError);
+  const slipErrors = [];
+  const totalAmount = bets.reduce(
+    (sum, bet) => sum + BigInt(bet.amount || 0),
+    ZERO
+  );
+
+  if (state.paused) slipErrors.push('The game is currently paused');
+  if (state.canStartNewGame === false) {
+    slipErrors.push('You already have a spin in progress');
+  }
+
+  if (bets.length === 0) slipErrors.push('Place at least one bet');
+  if (bets.length > MAX_BETS_PER_SPIN) {
+    slipErrors.push(`A spin can hold at most ${MAX_BETS_PER_SPIN} bets`);
+  }
+  if (totalAmount > MAX_TOTAL_BET_AMOUNT) {
+    slipErrors.push(
+      `Total bets cannot exceed ${gama(MAX_TOTAL_BET_AMOUNT)} per spin`
+    );
+  }
+
+  const reserved = getReservedPayout(bets);
+  if (reserved > MAX_POSSIBLE_PAYOUT) {
+    slipErrors.push(
+      `These bets reserve ${gama(reserved)} of winnings, above the ${gama(MAX_POSSIBLE_PAYOUT)} limit`
+    );
+  } else if (
+    state.remainingMintable !== undefined &&
+    reserved > state.remainingMintable
+  ) {
+    slipErrors.push(
+      `These bets reserve ${gama(reserved)} of winnings, but only ${gama(state.remainingMintable)} can still be minted`
+    );
+  }
+
+  if (state.balance !== undefined && state.balance < totalAmount) {
+    slipErrors.push(
+      `You need ${gama(totalAmount)} but hold ${gama(state.balance)}`
+    );
+  }
+  if (state.allowance !== undefined && state.allowance < totalAmount) {
+    slipErrors.push(
+      `Approve at least ${gama(totalAmount)} for the game first, ${gama(state.allowance)} is approved`
+    );
+  }
+  if (state.hasBurnerRole === false || state.hasMinterRole === false) {
+    slipErrors.push(
+      'The game cannot burn or mint GAMA right now, so every bet would fail'
+    );
+  }
+
+  return {
+    betErrors,
+    slipErrors,
+    totalAmount,
+    isValid: slipErrors.length === 0 && betErrors.every(error => !error),
+  };
+};
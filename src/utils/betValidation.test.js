@@ -0,0 +1,97 @@
+import { parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import {
+  getBetError,
+  getReservedPayout,
+  isValidBetNumbers,
+  validateBetSlip,
+} from './betValidation';
+import { BET_TYPES, MAX_BETS_PER_SPIN } from '../constants/game';
+
+const bet = (betTypeId, amount = '1', number = 0) => ({
+  betTypeId,
+  number,
+  amount: parseEther(amount),
+});
+
+describe('betValidation', () => {
+  it('explains each bet placeBet would reject', () => {
+    expect(getBetError(bet(BET_TYPES.RED_BET))).toBeNull();
+    expect(getBetError(bet(13))).toBe('Unknown bet type');
+    expect(getBetError(bet(BET_TYPES.STRAIGHT_BET, '1', 37))).toBe(
+      'Straight bets must be on a number from 0 to 36'
+    );
+    expect(getBetError(bet(BET_TYPES.ODD_BET, '0'))).toBe(
+      'Enter an amount greater than zero'
+    );
+    expect(getBetError(bet(BET_TYPES.HIGH_BET, '100001'))).toBe(
+      'A single bet cannot exceed 100000 GAMA'
+    );
+  });
+
+  it('accepts the numbers the contract records for dozens and columns', () => {
+    Object.values(BET_TYPES).forEach(betTypeId =>
+      expect(isValidBetNumbers({ betTypeId, number: 36 })).toBe(true)
+    );
+  });
+
+  it('checks the slip as a whole', () => {
+    const full = Array.from({ length: MAX_BETS_PER_SPIN + 1 }, (_, number) =>
+      bet(BET_TYPES.STRAIGHT_BET, '1', number)
+    );
+    expect(validateBetSlip(full).slipErrors).toEqual([
+      `A spin can hold at most ${MAX_BETS_PER_SPIN} bets`,
+    ]);
+
+    const { slipErrors, betErrors, isValid } = validateBetSlip([
+      bet(BET_TYPES.RED_BET, '100000'),
+      bet(BET_TYPES.BLACK_BET, '100000'),
+      bet(BET_TYPES.EVEN_BET, '100000'),
+      bet(BET_TYPES.ODD_BET, '100000'),
+      bet(BET_TYPES.LOW_BET, '100000'),
+      bet(BET_TYPES.HIGH_BET, '1'),
+    ]);
+    expect(isValid).toBe(false);
+    expect(betErrors.every(error => error === null)).toBe(true);
+    expect(slipErrors).toEqual([
+      'Total bets cannot exceed 500000 GAMA per spin',
+    ]);
+  });
+
+  it('reserves the winnings of every bet, not only the best outcome', () => {
+    // A straight bet reserves 35x and a dozen 2x, though both can't win
+    expect(
+      getReservedPayout([
+        bet(BET_TYPES.STRAIGHT_BET, '2', 7),
+        bet(BET_TYPES.DOZEN_BET_THIRD, '3'),
+      ])
+    ).toBe(parseEther('76'));
+  });
+
+  it('checks the slip against chain state when it is given', () => {
+    const slip = [bet(BET_TYPES.RED_BET, '10')];
+
+    expect(
+      validateBetSlip(slip, {
+        paused: false,
+        canStartNewGame: false,
+        balance: parseEther('5'),
+        allowance: parseEther('2'),
+        hasBurnerRole: true,
+        hasMinterRole: true,
+        remainingMintable: parseEther('9'),
+      }).slipErrors
+    ).toEqual([
+      'You already have a spin in progress',
+      'These bets reserve 10 GAMA of winnings, but only 9 GAMA can still be minted',
+      'You need 10 GAMA but hold 5 GAMA',
+      'Approve at least 10 GAMA for the game first, 2 GAMA is approved',
+    ]);
+    expect(
+      validateBetSlip(slip, { paused: true, hasMinterRole: false }).slipErrors
+    ).toEqual([
+      'The game is currently paused',
+      'The game cannot burn or mint GAMA right now, so every bet would fail',
+    ]);
+  });
+});
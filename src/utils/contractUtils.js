@@ -1,4 +1,5 @@
 import { ethers } from 'ethers';
+import { AbiMismatchError, getTokenClient } from '../services/contractClient';
 
 /**
  * Helper function to handle contract errors and map them to user-friendly messages
@@ -129,52 +130,6 @@ export const handleContractError = (error, onError, addToast) => {
   }
 };
 
-export const safeContractCall = async (
-  contract,
-  methodName,
-  params = [],
-  defaultValue = null,
-  onError = null,
-  addToast = null,
-  options = null
-) => {
-  // Check if contract exists
-  if (!contract) {
-    if (addToast) addToast('Contract is not available', 'error');
-    return defaultValue;
-  }
-
-  // Check if method exists on contract
-  if (!contract[methodName] || typeof contract[methodName] !== 'function') {
-    return defaultValue;
-  }
-
-  try {
-    // Call the contract method with optional transaction options
-    return options
-      ? await contract[methodName](...params, options)
-      : await contract[methodName](...params);
-  } catch (error) {
-    // Handle specific "missing revert data" error separately
-    if (error.message && error.message.includes('missing revert data')) {
-      if (addToast) {
-        addToast(
-          'The blockchain returned an incomplete response. Please try again.',
-          'warning'
-        );
-      }
-      return defaultValue;
-    }
-
-    // Handle other errors if handlers are provided
-    if (onError || addToast) {
-      handleContractError(error, onError || (() => {}), addToast || (() => {}));
-    }
-
-    return defaultValue;
-  }
-};
-
 /**
  * Enhanced token approval function with retry mechanism and better error handling
  * @param {Object} tokenContract - The token contract instance
@@ -183,6 +138,7 @@ export const safeContractCall = async (
  * @param {Function} setProcessingState - Function to update processing state (optional)
  * @param {Function} addToast - Function to display toast messages (optional)
  * @param {Number} maxRetries - Maximum number of retry attempts (default: 2)
+ * @param {Function} onSubmitted - Called with each approve transaction once it is sent (optional)
  * @returns {Promise<boolean>} - Whether approval was successful
  */
 export const checkAndApproveToken = async (
@@ -191,7 +147,8 @@ export const checkAndApproveToken = async (
   userAddress,
   setProcessingState = null,
   addToast = null,
-  maxRetries = 2
+  maxRetries = 2,
+  onSubmitted = null
 ) => {
   // Verify required parameters
   if (!tokenContract) {
@@ -279,23 +236,13 @@ export const checkAndApproveToken = async (
           // Continue with approval anyway since this is just a pre-check
         }
 
-        // Check if allowance method exists and is callable
-        if (
-          !tokenContract.allowance ||
-          typeof tokenContract.allowance !== 'function'
-        ) {
-          if (addToast)
-            addToast(
-              'Token contract does not support allowance checks',
-              'error'
-            );
-          return false;
-        }
+        // Throws AbiMismatchError if the instance doesn't match GamaToken.json
+        const tokenClient = getTokenClient(tokenContract);
 
         // Check current allowance with retry logic
         let currentAllowance;
         try {
-          currentAllowance = await tokenContract.allowance(
+          currentAllowance = await tokenClient.allowance(
             userAddress,
             spenderAddress
           );
@@ -322,7 +269,8 @@ export const checkAndApproveToken = async (
         const maxApproval = ethers.MaxUint256;
 
         // Request approval with max amount
-        const tx = await tokenContract.approve(spenderAddress, maxApproval);
+        const tx = await tokenClient.approve(spenderAddress, maxApproval);
+        if (onSubmitted) onSubmitted(tx);
 
         if (addToast) addToast('Token approval transaction sent', 'info');
 
@@ -405,6 +353,10 @@ export const checkAndApproveToken = async (
           if (addToast)
             addToast('Token approval rejected in wallet', 'warning');
           return false;
+        } else if (error instanceof AbiMismatchError) {
+          // Wrong contract or stale ABI - retrying won't help
+          if (addToast) addToast(error.message, 'error');
+          return false;
         } else if (error.code === -32603) {
           // Internal error, could be gas related
           if (addToast)
@@ -1,4 +1,7 @@
 import { ethers } from 'ethers';
+import RouletteABI from '../contracts/abi/Roulette.json';
+import TokenABI from '../contracts/abi/GamaToken.json';
+import { truncateAddress } from './formatting';
 
 // Create closure to track last error without using window global
 let _lastErrorKey = '';
@@ -48,45 +51,196 @@ export const handleError = (error, addToast) => {
   return errorMessage;
 };
 
-// Error codes from the contract
+// Custom errors the Roulette and GamaToken contracts revert with, named as
+// in their ABIs. Both inherit EnforcedPause and ExpectedPause from
+// OpenZeppelin's Pausable, so the duplicates are dropped.
 export const ErrorCodes = {
-  GAME_ERROR: 'GameError',
+  INVALID_BET_PARAMETERS: 'InvalidBetParameters',
+  INVALID_BET_TYPE: 'InvalidBetType',
   INSUFFICIENT_ALLOWANCE: 'InsufficientAllowance',
   INSUFFICIENT_BALANCE: 'InsufficientUserBalance',
+  TRANSFER_FAILED: 'TransferFailed',
+  BURN_FAILED: 'BurnFailed',
+  MINT_FAILED: 'MintFailed',
+  MISSING_CONTRACT_ROLE: 'MissingContractRole',
+  MAX_PAYOUT_EXCEEDED: 'MaxPayoutExceeded',
+  ONLY_COORDINATOR: 'OnlyCoordinatorCanFulfill',
   ENFORCED_PAUSE: 'EnforcedPause',
   EXPECTED_PAUSE: 'ExpectedPause',
-  BURN_FAILED: 'BurnFailed',
-  INVALID_BET_PARAMETERS: 'InvalidBetParameters',
+  UNAUTHORIZED_OWNER: 'OwnableUnauthorizedAccount',
+  INVALID_OWNER: 'OwnableInvalidOwner',
+  REENTRANT_CALL: 'ReentrancyGuardReentrantCall',
+  UNAUTHORIZED_ROLE: 'AccessControlUnauthorizedAccount',
+  BAD_CONFIRMATION: 'AccessControlBadConfirmation',
+  TOKEN_INSUFFICIENT_ALLOWANCE: 'ERC20InsufficientAllowance',
+  TOKEN_INSUFFICIENT_BALANCE: 'ERC20InsufficientBalance',
+  INVALID_APPROVER: 'ERC20InvalidApprover',
+  INVALID_RECEIVER: 'ERC20InvalidReceiver',
+  INVALID_SENDER: 'ERC20InvalidSender',
+  INVALID_SPENDER: 'ERC20InvalidSpender',
+  REVERT_STRING: 'Error',
+  PANIC: 'Panic',
 };
 
-// User-friendly error messages
+const contractErrors = new ethers.Interface(
+  [...RouletteABI.abi, ...TokenABI.abi].filter(
+    (fragment, i, abi) =>
+      fragment.type === 'error' &&
+      abi.findIndex(
+        other => other.type === 'error' && other.name === fragment.name
+      ) === i
+  )
+);
+
+const ROLE_NAMES = Object.fromEntries(
+  ['MINTER_ROLE', 'BURNER_ROLE', 'PAUSER_ROLE', 'SUB_ADMIN_ROLE'].map(name => [
+    ethers.id(name),
+    name,
+  ])
+);
+ROLE_NAMES[ethers.ZeroHash] = 'DEFAULT_ADMIN_ROLE';
+
+// Exact amounts, so a message can say precisely how much is missing
+const gama = amount => `${ethers.formatEther(amount).replace(/\.0$/, '')} GAMA`;
+
+const roleName = role => ROLE_NAMES[role] || role;
+
+// User-friendly messages, built from each error's decoded arguments
 export const ErrorMessages = {
-  [ErrorCodes.GAME_ERROR]: 'Game error occurred',
-  [ErrorCodes.INSUFFICIENT_ALLOWANCE]: 'Insufficient token allowance',
-  [ErrorCodes.INSUFFICIENT_BALANCE]: 'Insufficient balance',
-  [ErrorCodes.ENFORCED_PAUSE]: 'Game is currently paused',
-  [ErrorCodes.EXPECTED_PAUSE]: 'Game should be paused for this operation',
-  [ErrorCodes.BURN_FAILED]: 'Token burn operation failed',
-  [ErrorCodes.INVALID_BET_PARAMETERS]: 'Invalid bet parameters',
+  [ErrorCodes.INVALID_BET_PARAMETERS]: ({ reason }) =>
+    reason || 'Invalid bet parameters',
+  [ErrorCodes.INVALID_BET_TYPE]: ({ betType }) =>
+    `Bet type ${betType} is not one the game accepts`,
+  [ErrorCodes.INSUFFICIENT_ALLOWANCE]: ({ required, allowed }) =>
+    `The game needs an allowance of ${gama(required)} but only ${gama(allowed)} is approved. Approve ${gama(required - allowed)} more.`,
+  [ErrorCodes.INSUFFICIENT_BALANCE]: ({ required, available }) =>
+    `You need ${gama(required)} but only have ${gama(available)}, ${gama(required - available)} short`,
+  [ErrorCodes.TRANSFER_FAILED]: ({ from, to, amount }) =>
+    `Transfer of ${gama(amount)} from ${truncateAddress(from)} to ${truncateAddress(to)} failed`,
+  [ErrorCodes.BURN_FAILED]: ({ account, amount }) =>
+    `Could not burn ${gama(amount)} from ${truncateAddress(account)}`,
+  [ErrorCodes.MINT_FAILED]: ({ account, amount }) =>
+    `Could not mint ${gama(amount)} to ${truncateAddress(account)}`,
+  [ErrorCodes.MISSING_CONTRACT_ROLE]: ({ role }) =>
+    `The game contract is missing the token's ${roleName(role)}`,
+  [ErrorCodes.MAX_PAYOUT_EXCEEDED]: ({ potentialPayout, maxAllowed }) =>
+    `These bets could pay ${gama(potentialPayout)}, above the ${gama(maxAllowed)} limit`,
+  [ErrorCodes.ONLY_COORDINATOR]: ({ want }) =>
+    `Only the VRF coordinator ${truncateAddress(want)} can deliver results`,
+  [ErrorCodes.ENFORCED_PAUSE]: () => 'Game is currently paused',
+  [ErrorCodes.EXPECTED_PAUSE]: () => 'Game should be paused for this operation',
+  [ErrorCodes.UNAUTHORIZED_OWNER]: ({ account }) =>
+    `Only the contract owner can do this, and ${truncateAddress(account)} is not the owner`,
+  [ErrorCodes.INVALID_OWNER]: ({ owner }) =>
+    `${truncateAddress(owner)} cannot be made the owner`,
+  [ErrorCodes.REENTRANT_CALL]: () => 'The contract refused a reentrant call',
+  [ErrorCodes.UNAUTHORIZED_ROLE]: ({ account, neededRole }) =>
+    `${truncateAddress(account)} does not have the ${roleName(neededRole)}`,
+  [ErrorCodes.BAD_CONFIRMATION]: () =>
+    'Accounts can only renounce their own roles',
+  [ErrorCodes.TOKEN_INSUFFICIENT_ALLOWANCE]: ({ allowance, needed }) =>
+    `The allowance of ${gama(allowance)} is ${gama(needed - allowance)} short of the ${gama(needed)} needed`,
+  [ErrorCodes.TOKEN_INSUFFICIENT_BALANCE]: ({ balance, needed }) =>
+    `The balance of ${gama(balance)} is ${gama(needed - balance)} short of the ${gama(needed)} needed`,
+  [ErrorCodes.INVALID_APPROVER]: ({ approver }) =>
+    `${truncateAddress(approver)} cannot approve tokens`,
+  [ErrorCodes.INVALID_RECEIVER]: ({ receiver }) =>
+    `${truncateAddress(receiver)} cannot receive tokens`,
+  [ErrorCodes.INVALID_SENDER]: ({ sender }) =>
+    `${truncateAddress(sender)} cannot send tokens`,
+  [ErrorCodes.INVALID_SPENDER]: ({ spender }) =>
+    `${truncateAddress(spender)} cannot be approved to spend tokens`,
+  [ErrorCodes.REVERT_STRING]: ({ message }) => message,
+  [ErrorCodes.PANIC]: ({ code }) =>
+    `The contract stopped with panic code 0x${code.toString(16)}`,
 };
 
-// Parse contract error data
-export const parseContractError = error => {
-  try {
-    // Handle ethers v6 error format
-    if (error.data) {
-      // Try to parse the error data
-      const errorName = Object.keys(ErrorCodes).find(key =>
-        error.data.includes(ErrorCodes[key])
+const isRevertData = data =>
+  typeof data === 'string' && /^0x[0-9a-fA-F]{8}/.test(data);
+
+// Revert data from wherever the provider put it: ethers sets error.data,
+// wallets nest the JSON-RPC error under info.error or error, sometimes with
+// the data one level further down
+const findRevertData = error =>
+  [
+    error.data,
+    error.data?.data,
+    error.info?.error?.data,
+    error.info?.error?.data?.data,
+    error.error?.data,
+    error.error?.data?.data,
+  ].find(isRevertData);
+
+// Arguments keyed by the parameter names in the ABI
+const namedArgs = (fragment, args) =>
+  Object.fromEntries(
+    fragment.inputs.map((input, i) => [input.name || String(i), args[i]])
+  );
+
+/**
+ * Decode the custom error, revert string or panic a contract call reverted
+ * with, using the Roulette and GamaToken ABIs
+ * @param {Error} error - Error thrown by a contract call
+ * @returns {{name: String, args: Object, message: String}|null} Error name
+ *   as in the ABI, its arguments by parameter name and a message built from
+ *   them; null if the error carries no revert data the ABIs describe
+ */
+export const decodeContractError = error => {
+  if (!error) return null;
+
+  let name;
+  let args;
+  const data = findRevertData(error);
+  if (data) {
+    if (data.startsWith('0x08c379a0') || data.startsWith('0x4e487b71')) {
+      const { revert } = ethers.AbiCoder.getBuiltinCallException(
+        'call',
+        {},
+        data
       );
+      if (!revert) return null;
+      name = revert.name;
+      args =
+        name === ErrorCodes.PANIC
+          ? { code: revert.args[0] }
+          : { message: revert.args[0] };
+    } else {
+      const parsed = contractErrors.parseError(data);
+      if (!parsed) return null;
+      name = parsed.name;
+      args = namedArgs(parsed.fragment, parsed.args);
+    }
+  } else if (error.revert?.name) {
+    // ethers decoded it already against the contract's own ABI
+    const fragment = contractErrors.getError(error.revert.name);
+    if (!fragment) return null;
+    name = fragment.name;
+    args = namedArgs(fragment, error.revert.args);
+  } else {
+    return null;
+  }
 
-      if (errorName) {
-        return {
-          code: ErrorCodes[errorName],
-          message: ErrorMessages[ErrorCodes[errorName]],
-          details: error.data,
-        };
-      }
+  const describe = ErrorMessages[name];
+  return { name, args, message: describe ? describe(args) : name };
+};
+
+/**
+ * Parse a contract error into a code, a message and, for errors the
+ * contract ABIs define, the decoded arguments
+ * @param {Error} error - Error thrown by a contract call
+ * @returns {{code: String, message: String, details: String, args?: Object}}
+ *   code is the custom error name for decoded errors
+ */
+export const parseContractError = error => {
+  try {
+    const decoded = decodeContractError(error);
+    if (decoded) {
+      return {
+        code: decoded.name,
+        message: decoded.message,
+        details: error.shortMessage || error.message,
+        args: decoded.args,
+      };
     }
 
     // Handle user rejected transactions
@@ -144,29 +298,61 @@ export const parseContractError = error => {
   }
 };
 
+/**
+ * Reason an admin transaction failed, for a toast. Prefers the decoded
+ * custom error or revert string over ethers' generic summary.
+ * @param {Error} error - Error thrown by a contract call
+ * @returns {string} Message to show
+ */
+export const getRevertReason = error => {
+  if (error?.code === 'ACTION_REJECTED' || error?.code === 4001) {
+    return 'Transaction was rejected by user';
+  }
+  let decoded = null;
+  try {
+    decoded = decodeContractError(error);
+  } catch {
+    // Fall back to what ethers reported
+  }
+  return (
+    decoded?.message ||
+    error?.reason ||
+    error?.shortMessage ||
+    error?.message ||
+    'Transaction failed'
+  );
+};
+
 // Format error for display
 export const formatErrorForDisplay = error => {
   const parsedError = parseContractError(error);
 
   // Return user-friendly error message
   return {
-    title: parsedError.code
-      .split('_')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join(' '),
+    title: formatErrorTitle(parsedError.code),
     message: parsedError.message,
     details: parsedError.details,
     severity: getSeverity(parsedError.code),
   };
 };
 
+// Title Case title from an UPPER_SNAKE code or a CamelCase error name
+const formatErrorTitle = code =>
+  code.includes('_')
+    ? code
+        .split('_')
+        .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+        .join(' ')
+    : code.split(/(?<=[a-z0-9])(?=[A-Z])/).join(' ');
+
 // Get error severity
 const getSeverity = errorCode => {
   switch (errorCode) {
     case 'USER_REJECTED':
       return 'info';
-    case 'INSUFFICIENT_ALLOWANCE':
-    case 'INSUFFICIENT_BALANCE':
+    case ErrorCodes.INSUFFICIENT_ALLOWANCE:
+    case ErrorCodes.INSUFFICIENT_BALANCE:
+    case ErrorCodes.ENFORCED_PAUSE:
     case 'INSUFFICIENT_GAS':
       return 'warning';
     case 'NETWORK_ERROR':
@@ -0,0 +1,113 @@
+import { Interface, parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import {
+  decodeContractError,
+  formatErrorForDisplay,
+  getRevertReason,
+  parseContractError,
+} from './errorHandling';
+import { getRouletteClient } from '../services/contractClient';
+import { BET_TYPES } from '../constants/game';
+import { createSimulator } from '../simulator';
+import RouletteABI from '../contracts/abi/Roulette.json';
+
+const redBet = amount => [
+  { betTypeId: BET_TYPES.RED_BET, number: 0, amount: parseEther(amount) },
+];
+
+const setup = async () => {
+  const simulator = createSimulator({ seed: 'errors' });
+  await simulator.ready;
+  const [owner, player] = simulator.accounts;
+  return { simulator, owner, player };
+};
+
+// Error a call throws, as the app's hooks would catch it
+const caught = async promise => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the call to revert');
+};
+
+describe('errorHandling', () => {
+  it('decodes a custom error with its arguments', async () => {
+    const { simulator, player } = await setup();
+    const { Roulette } = await simulator.getContracts(player);
+
+    const error = await caught(Roulette.placeBet(redBet('10250')));
+    const parsed = parseContractError(error);
+
+    expect(parsed.code).toBe('InsufficientUserBalance');
+    expect(parsed.args).toEqual({
+      required: parseEther('10250'),
+      available: parseEther('10000'),
+    });
+    expect(parsed.message).toBe(
+      'You need 10250 GAMA but only have 10000 GAMA, 250 GAMA short'
+    );
+    expect(formatErrorForDisplay(error)).toMatchObject({
+      title: 'Insufficient User Balance',
+      severity: 'warning',
+    });
+  });
+
+  it('decodes OpenZeppelin pause and ownership errors', async () => {
+    const { simulator, owner, player } = await setup();
+    const asPlayer = await simulator.getContracts(player);
+
+    const unauthorized = await caught(
+      getRouletteClient(asPlayer.Roulette).pause()
+    );
+    expect(decodeContractError(unauthorized)).toMatchObject({
+      name: 'OwnableUnauthorizedAccount',
+      args: { account: player },
+    });
+    expect(getRevertReason(unauthorized)).toMatch(
+      /^Only the contract owner can do this/
+    );
+
+    const asOwner = await simulator.getContracts(owner);
+    await getRouletteClient(asOwner.Roulette).pause();
+    const paused = await caught(asPlayer.Roulette.placeBet(redBet('1')));
+    expect(parseContractError(paused)).toMatchObject({
+      code: 'EnforcedPause',
+      message: 'Game is currently paused',
+    });
+  });
+
+  it('finds revert data nested by a wallet', () => {
+    const roulette = new Interface(RouletteABI.abi);
+    const data = roulette.encodeErrorResult('InvalidBetParameters', [
+      'Too many bets',
+    ]);
+    const walletError = {
+      code: -32603,
+      message: 'Internal JSON-RPC error.',
+      info: { error: { code: 3, data: { data } } },
+    };
+
+    expect(decodeContractError(walletError)).toEqual({
+      name: 'InvalidBetParameters',
+      args: { reason: 'Too many bets' },
+      message: 'Too many bets',
+    });
+    expect(
+      decodeContractError({
+        data: roulette.encodeErrorResult('InvalidBetType', [13]),
+      }).message
+    ).toBe('Bet type 13 is not one the game accepts');
+  });
+
+  it('falls back for errors the ABIs do not describe', () => {
+    expect(decodeContractError({ data: '0xdeadbeef' })).toBeNull();
+    expect(parseContractError({ code: 'ACTION_REJECTED' }).code).toBe(
+      'USER_REJECTED'
+    );
+    expect(getRevertReason({ shortMessage: 'could not coalesce error' })).toBe(
+      'could not coalesce error'
+    );
+  });
+});
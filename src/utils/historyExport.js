@@ -0,0 +1,156 @@
+import { ethers } from 'ethers';
+import { BET_TYPE_NAMES } from '../constants/game';
+
+const ZERO = BigInt(0);
+
+const REFUNDED_TYPES = ['recovered', 'force_stopped'];
+
+/**
+ * Read a GAMA price typed by the player
+ * @param {String} input - Price of one GAMA in the chosen currency
+ * @returns {Number|null} The price, or null if empty or not a positive number
+ */
+export const parseRate = input => {
+  const value = Number(String(input).trim().replace(',', '.'));
+  return String(input).trim() && Number.isFinite(value) && value > 0
+    ? value
+    : null;
+};
+
+const toGama = wei => (wei === null ? null : ethers.formatEther(wei));
+
+const toFiat = (wei, rate) =>
+  wei === null ? null : (Number(ethers.formatEther(wei)) * rate).toFixed(2);
+
+// Stake, payout, refund and net of a bet line or a whole spin. The contract
+// records a refunded spin's stake as its payout, so that amount is reported
+// as the refund instead and the spin nets to zero; a pending one has no
+// result.
+const getAmounts = (spin, stake, payout) => {
+  if (spin.isPending) return { stake, payout: null, refund: null, net: null };
+  if (REFUNDED_TYPES.includes(spin.resultType)) {
+    return { stake, payout: ZERO, refund: payout, net: payout - stake };
+  }
+  return { stake, payout, refund: ZERO, net: payout - stake };
+};
+
+const formatAmounts = (amounts, rate) => {
+  const formatted = Object.fromEntries(
+    Object.entries(amounts).map(([key, wei]) => [key, toGama(wei)])
+  );
+  if (rate === null) return formatted;
+
+  formatted.fiat = Object.fromEntries(
+    Object.entries(amounts).map(([key, wei]) => [key, toFiat(wei, rate)])
+  );
+  return formatted;
+};
+
+/**
+ * Turn a formatted spin into an export record. Amounts are GAMA decimal
+ * strings; with a rate, `fiat` holds the same amounts priced at it.
+ * @param {Object} spin - Formatted spin
+ * @param {Object} [options]
+ * @param {Number|null} [options.rate] - Price of one GAMA
+ * @returns {Object} Record with its bet lines
+ */
+export const toExportRecord = (spin, { rate = null } = {}) => ({
+  timestamp: new Date(spin.timestamp * 1000).toISOString(),
+  txHash: spin.txHash || null,
+  requestId: spin.requestId || null,
+  status: spin.status,
+  winningNumber: spin.resultType === 'normal' ? spin.winningNumber : null,
+  ...formatAmounts(getAmounts(spin, spin.totalAmount, spin.totalPayout), rate),
+  bets: spin.bets.map(bet => ({
+    betType: BET_TYPE_NAMES[bet.betTypeId] || bet.betKindName,
+    numbers: bet.numbers,
+    ...formatAmounts(getAmounts(spin, bet.amount, bet.payout), rate),
+  })),
+});
+
+/**
+ * Export spins as JSON, one record per spin with its bet lines
+ * @param {Array<Object>} spins - Formatted spins
+ * @param {Object} [options]
+ * @param {String} [options.player] - Player address
+ * @param {Number|null} [options.rate] - Price of one GAMA
+ * @param {String} [options.currency] - Currency the rate is in
+ * @returns {String} JSON document
+ */
+export const toJsonExport = (spins, { player, rate = null, currency } = {}) =>
+  JSON.stringify(
+    {
+      player,
+      exportedAt: new Date().toISOString(),
+      ...(rate !== null && { currency, rate }),
+      spins: spins.map(spin => toExportRecord(spin, { rate })),
+    },
+    null,
+    2
+  );
+
+const escapeCsv = value => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export spins as CSV with one row per bet line, so the stake, payout,
+ * refund and net columns add up to the totals
+ * @param {Array<Object>} spins - Formatted spins
+ * @param {Object} [options]
+ * @param {Number|null} [options.rate] - Price of one GAMA
+ * @param {String} [options.currency] - Currency the rate is in, used in the
+ *   priced column names
+ * @returns {String} CSV document
+ */
+export const toCsvExport = (spins, { rate = null, currency = 'USD' } = {}) => {
+  const amountKeys = ['stake', 'payout', 'refund', 'net'];
+  const code = currency.toLowerCase();
+  const header = [
+    'timestamp',
+    'tx_hash',
+    'request_id',
+    'status',
+    'winning_number',
+    'bet_type',
+    'numbers',
+    ...amountKeys.map(key => `${key}_gama`),
+    ...(rate === null ? [] : amountKeys.map(key => `${key}_${code}`)),
+  ];
+
+  const rows = spins.flatMap(spin => {
+    const record = toExportRecord(spin, { rate });
+    return record.bets.map(bet => [
+      record.timestamp,
+      record.txHash,
+      record.requestId,
+      record.status,
+      record.winningNumber,
+      bet.betType,
+      bet.numbers.join(' '),
+      ...amountKeys.map(key => bet[key]),
+      ...(rate === null ? [] : amountKeys.map(key => bet.fiat[key])),
+    ]);
+  });
+
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+};
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {String} content - File content
+ * @param {String} filename - Suggested file name
+ * @param {String} type - MIME type
+ */
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
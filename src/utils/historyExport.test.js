@@ -0,0 +1,129 @@
+import { parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import {
+  parseRate,
+  toCsvExport,
+  toExportRecord,
+  toJsonExport,
+} from './historyExport';
+import { BET_TYPES, RESULT_RECOVERED } from '../constants/game';
+import { formatSpin } from './rouletteUtils';
+
+const TIMESTAMP = Date.UTC(2026, 3, 15, 9, 30) / 1000;
+
+const spin = (winningNumber, bets, extra = {}) =>
+  formatSpin({
+    timestamp: TIMESTAMP,
+    bets: bets.map(([betTypeId, numbers, stake, payout = '0']) => ({
+      betTypeId,
+      numbers,
+      amount: parseEther(stake),
+      payout: parseEther(payout),
+    })),
+    winningNumber,
+    completed: true,
+    isActive: false,
+    totalAmount: bets.reduce((sum, [, , stake]) => sum + parseEther(stake), 0n),
+    totalPayout: bets.reduce(
+      (sum, [, , , payout = '0']) => sum + parseEther(payout),
+      0n
+    ),
+    ...extra,
+  });
+
+const WIN = spin(
+  17,
+  [
+    [BET_TYPES.STRAIGHT_BET, [17], '1', '36'],
+    [BET_TYPES.BLACK_BET, [2, 4], '2.5'],
+  ],
+  { txHash: '0xabc', requestId: '42' }
+);
+// Recovery pays each bet's stake back as its payout, like Roulette.sol
+const REFUNDED = spin(RESULT_RECOVERED, [
+  [BET_TYPES.RED_BET, [1, 3], '10', '10'],
+]);
+
+describe('historyExport', () => {
+  it('records every bet line with its net result', () => {
+    const record = toExportRecord(WIN);
+
+    expect(record).toMatchObject({
+      timestamp: '2026-04-15T09:30:00.000Z',
+      txHash: '0xabc',
+      requestId: '42',
+      status: 'Won',
+      winningNumber: 17,
+      stake: '3.5',
+      payout: '36.0',
+      refund: '0.0',
+      net: '32.5',
+    });
+    expect(record.bets).toEqual([
+      {
+        betType: 'Straight',
+        numbers: [17],
+        stake: '1.0',
+        payout: '36.0',
+        refund: '0.0',
+        net: '35.0',
+      },
+      {
+        betType: 'Black',
+        numbers: [2, 4],
+        stake: '2.5',
+        payout: '0.0',
+        refund: '0.0',
+        net: '-2.5',
+      },
+    ]);
+  });
+
+  it('nets a refunded spin to zero', () => {
+    const record = toExportRecord(REFUNDED, { rate: 0.5 });
+
+    expect(record).toMatchObject({
+      status: 'Recovered',
+      winningNumber: null,
+      stake: '10.0',
+      payout: '0.0',
+      refund: '10.0',
+      net: '0.0',
+      fiat: { stake: '5.00', payout: '0.00', refund: '5.00', net: '0.00' },
+    });
+  });
+
+  it('writes one CSV row per bet line, priced when a rate is given', () => {
+    const csv = toCsvExport([WIN, REFUNDED], { rate: 2, currency: 'EUR' });
+    const [header, ...rows] = csv.split('\n');
+
+    expect(header).toBe(
+      'timestamp,tx_hash,request_id,status,winning_number,bet_type,numbers,' +
+        'stake_gama,payout_gama,refund_gama,net_gama,' +
+        'stake_eur,payout_eur,refund_eur,net_eur'
+    );
+    expect(rows).toEqual([
+      '2026-04-15T09:30:00.000Z,0xabc,42,Won,17,Straight,17,1.0,36.0,0.0,35.0,2.00,72.00,0.00,70.00',
+      '2026-04-15T09:30:00.000Z,0xabc,42,Won,17,Black,2 4,2.5,0.0,0.0,-2.5,5.00,0.00,0.00,-5.00',
+      '2026-04-15T09:30:00.000Z,,,Recovered,,Red,1 3,10.0,0.0,10.0,0.0,20.00,0.00,20.00,0.00',
+    ]);
+    expect(toCsvExport([WIN]).split('\n')[0]).not.toContain('eur');
+  });
+
+  it('adds the rate and currency to a priced JSON export', () => {
+    const json = JSON.parse(
+      toJsonExport([WIN], { player: '0x1', rate: 2, currency: 'EUR' })
+    );
+
+    expect(json).toMatchObject({ player: '0x1', currency: 'EUR', rate: 2 });
+    expect(json.spins[0].fiat.net).toBe('65.00');
+    expect(JSON.parse(toJsonExport([WIN])).currency).toBeUndefined();
+  });
+
+  it('accepts only positive prices', () => {
+    expect(parseRate('0,25')).toBe(0.25);
+    expect(parseRate('')).toBeNull();
+    expect(parseRate('0')).toBeNull();
+    expect(parseRate('abc')).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+import { BET_TYPES, BET_TYPE_NAMES, MAX_NUMBER } from '../constants/game';
+
+const ZERO = BigInt(0);
+
+// Numbers listed as hot, cold and favorite
+const TOP_COUNT = 5;
+
+/**
+ * Keep spins placed within a date range. Dates are YYYY-MM-DD strings in
+ * the browser's time zone, both ends inclusive; an empty end is open.
+ * @param {Array<Object>} spins - Formatted spins
+ * @param {Object} range
+ * @param {String} [range.from] - First day
+ * @param {String} [range.to] - Last day
+ * @returns {Array<Object>} Spins in the range
+ */
+export const filterSpinsByDate = (spins, { from, to } = {}) => {
+  const start = from ? new Date(`${from}T00:00:00`).getTime() / 1000 : null;
+  const end = to ? new Date(`${to}T00:00:00`).getTime() / 1000 + 86400 : null;
+  return spins.filter(
+    spin =>
+      (start === null || spin.timestamp >= start) &&
+      (end === null || spin.timestamp < end)
+  );
+};
+
+// Numbers sorted by count, most first unless ascending; ties go to the
+// lower number
+const rankNumbers = (counts, ascending = false) =>
+  [...counts.entries()]
+    .sort(
+      ([a, countA], [b, countB]) =>
+        (ascending ? countA - countB : countB - countA) || a - b
+    )
+    .map(([number, count]) => ({ number, count }));
+
+/**
+ * Statistics over a player's settled spins. Pending, recovered and
+ * force-stopped spins are left out, since they were refunded or have no
+ * result yet.
+ * @param {Array<Object>} spins - Formatted spins, in any order
+ * @returns {Object} Totals, the net profit series, win rate per bet type,
+ *   favorite, hot and cold numbers, and streaks
+ */
+export const computePlayerStats = spins => {
+  const settled = spins
+    .filter(spin => spin.resultType === 'normal')
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  let wagered = ZERO;
+  let paidOut = ZERO;
+  let biggestWin = null;
+  let wins = 0;
+  let winStreak = 0;
+  let loseStreak = 0;
+  let longestWinStreak = 0;
+  let longestLoseStreak = 0;
+  const profitSeries = [];
+  const byBetType = new Map();
+  const straightCounts = new Map();
+  const resultCounts = new Map(
+    Array.from({ length: MAX_NUMBER + 1 }, (_, number) => [number, 0])
+  );
+
+  for (const spin of settled) {
+    wagered += spin.totalAmount;
+    paidOut += spin.totalPayout;
+    profitSeries.push({ timestamp: spin.timestamp, profit: paidOut - wagered });
+    resultCounts.set(
+      spin.winningNumber,
+      resultCounts.get(spin.winningNumber) + 1
+    );
+
+    const net = spin.totalPayout - spin.totalAmount;
+    if (spin.isWin) {
+      wins += 1;
+      if (!biggestWin || net > biggestWin.net) biggestWin = { net, spin };
+      winStreak += 1;
+      loseStreak = 0;
+    } else {
+      loseStreak += 1;
+      winStreak = 0;
+    }
+    longestWinStreak = Math.max(longestWinStreak, winStreak);
+    longestLoseStreak = Math.max(longestLoseStreak, loseStreak);
+
+    for (const bet of spin.bets) {
+      const entry = byBetType.get(bet.betTypeId) || { bets: 0, wins: 0 };
+      entry.bets += 1;
+      if (bet.payout > ZERO) entry.wins += 1;
+      byBetType.set(bet.betTypeId, entry);
+
+      if (bet.betTypeId === BET_TYPES.STRAIGHT_BET) {
+        straightCounts.set(
+          bet.number,
+          (straightCounts.get(bet.number) || 0) + 1
+        );
+      }
+    }
+  }
+
+  return {
+    spins: settled.length,
+    wins,
+    wagered,
+    paidOut,
+    netProfit: paidOut - wagered,
+    averageStake: settled.length ? wagered / BigInt(settled.length) : ZERO,
+    biggestWin,
+    longestWinStreak,
+    longestLoseStreak,
+    profitSeries,
+    winRateByBetType: [...byBetType.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([betTypeId, entry]) => ({
+        betTypeId,
+        name: BET_TYPE_NAMES[betTypeId] || 'Unknown',
+        ...entry,
+        rate: entry.wins / entry.bets,
+      })),
+    favoriteNumbers: rankNumbers(straightCounts).slice(0, TOP_COUNT),
+    hotNumbers: settled.length
+      ? rankNumbers(resultCounts).slice(0, TOP_COUNT)
+      : [],
+    coldNumbers: settled.length
+      ? rankNumbers(resultCounts, true).slice(0, TOP_COUNT)
+      : [],
+  };
+};
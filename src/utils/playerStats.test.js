@@ -0,0 +1,92 @@
+import { parseEther } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import { computePlayerStats, filterSpinsByDate } from './playerStats';
+import { BET_TYPES, RESULT_RECOVERED } from '../constants/game';
+import { formatSpin } from './rouletteUtils';
+
+const DAY = 24 * 60 * 60;
+const START = new Date('2026-03-01T12:00:00').getTime() / 1000;
+
+const bet = (betTypeId, stake, payout = '0', number = 0) => ({
+  betTypeId,
+  number,
+  amount: parseEther(stake),
+  payout: parseEther(payout),
+});
+
+const spin = (day, winningNumber, bets) =>
+  formatSpin({
+    timestamp: START + day * DAY,
+    bets,
+    winningNumber,
+    completed: true,
+    isActive: false,
+    totalAmount: bets.reduce((sum, b) => sum + b.amount, BigInt(0)),
+    totalPayout: bets.reduce((sum, b) => sum + b.payout, BigInt(0)),
+  });
+
+// Newest first, the way the history hooks return them
+const SPINS = [
+  spin(3, 7, [bet(BET_TYPES.RED_BET, '5', '10')]),
+  spin(2, RESULT_RECOVERED, [bet(BET_TYPES.RED_BET, '50')]),
+  spin(2, 2, [bet(BET_TYPES.RED_BET, '20')]),
+  spin(1, 4, [bet(BET_TYPES.STRAIGHT_BET, '1', '0', 17)]),
+  spin(0, 17, [
+    bet(BET_TYPES.STRAIGHT_BET, '10', '360', 17),
+    bet(BET_TYPES.BLACK_BET, '10'),
+  ]),
+];
+
+describe('playerStats', () => {
+  it('sums settled spins and leaves refunded ones out', () => {
+    const stats = computePlayerStats(SPINS);
+
+    expect(stats.spins).toBe(4);
+    expect(stats.wins).toBe(2);
+    expect(stats.wagered).toBe(parseEther('46'));
+    expect(stats.netProfit).toBe(parseEther('324'));
+    expect(stats.averageStake).toBe(parseEther('11.5'));
+    expect(stats.biggestWin.net).toBe(parseEther('340'));
+    expect(stats.longestWinStreak).toBe(1);
+    expect(stats.longestLoseStreak).toBe(2);
+    expect(stats.profitSeries.map(({ profit }) => profit)).toEqual([
+      parseEther('340'),
+      parseEther('339'),
+      parseEther('319'),
+      parseEther('324'),
+    ]);
+  });
+
+  it('rates each bet type and ranks numbers', () => {
+    const stats = computePlayerStats(SPINS);
+
+    expect(stats.winRateByBetType).toEqual([
+      { betTypeId: 0, name: 'Straight', bets: 2, wins: 1, rate: 0.5 },
+      { betTypeId: 7, name: 'Red', bets: 2, wins: 1, rate: 0.5 },
+      { betTypeId: 8, name: 'Black', bets: 1, wins: 0, rate: 0 },
+    ]);
+    expect(stats.favoriteNumbers).toEqual([{ number: 17, count: 2 }]);
+    expect(stats.hotNumbers.map(({ number }) => number)).toEqual([
+      2, 4, 7, 17, 0,
+    ]);
+    expect(stats.coldNumbers.map(({ number }) => number)).toEqual([
+      0, 1, 3, 5, 6,
+    ]);
+  });
+
+  it('filters by local day, both ends inclusive', () => {
+    expect(
+      filterSpinsByDate(SPINS, { from: '2026-03-02', to: '2026-03-03' })
+    ).toHaveLength(3);
+    expect(filterSpinsByDate(SPINS, { from: '2026-03-04' })).toHaveLength(1);
+    expect(filterSpinsByDate(SPINS, { to: '2026-03-01' })).toHaveLength(1);
+    expect(filterSpinsByDate(SPINS)).toHaveLength(5);
+  });
+
+  it('has nothing to rank before a spin settles', () => {
+    const stats = computePlayerStats([]);
+    expect(stats.biggestWin).toBeNull();
+    expect(stats.hotNumbers).toEqual([]);
+    expect(stats.averageStake).toBe(BigInt(0));
+  });
+});
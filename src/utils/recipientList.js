@@ -0,0 +1,50 @@
+import { ethers } from 'ethers';
+
+// Cells may be separated by commas, semicolons, tabs or spaces
+const CELL_SEPARATOR = /[,;\t ]+/;
+
+/**
+ * Parse airdrop recipients pasted as one address per line or exported as
+ * CSV. The first cell starting with 0x on each line is taken as the
+ * address, so extra columns such as names or amounts are ignored, and a
+ * first line without one is treated as a header.
+ * @param {String} text - Pasted text or CSV file contents
+ * @returns {{recipients: String[], invalid: Array<{line: Number, value: String}>, duplicates: Number}}
+ *   Checksummed unique addresses in order, lines that could not be read
+ *   (1-based), and how many repeats were dropped
+ */
+export const parseRecipientList = text => {
+  const seen = new Set();
+  const recipients = [];
+  const invalid = [];
+  let duplicates = 0;
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const cells = line
+      .split(CELL_SEPARATOR)
+      .map(cell => cell.replace(/^["']|["']$/g, ''));
+    const value = cells.find(cell => /^0x/i.test(cell));
+
+    if (value === undefined) {
+      if (index > 0) invalid.push({ line: index + 1, value: line });
+      return;
+    }
+    if (!ethers.isAddress(value)) {
+      invalid.push({ line: index + 1, value });
+      return;
+    }
+
+    const address = ethers.getAddress(value);
+    if (seen.has(address)) {
+      duplicates++;
+      return;
+    }
+    seen.add(address);
+    recipients.push(address);
+  });
+
+  return { recipients, invalid, duplicates };
+};
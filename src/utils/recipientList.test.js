@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { parseRecipientList } from './recipientList';
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+describe('parseRecipientList', () => {
+  it('reads one address per line and checksums them', () => {
+    expect(
+      parseRecipientList(`${ALICE.toLowerCase()}\n\n  ${BOB}  \n`)
+    ).toEqual({ recipients: [ALICE, BOB], invalid: [], duplicates: 0 });
+  });
+
+  it('takes the address column from CSV and skips the header', () => {
+    const csv = [
+      'name,address,amount',
+      `"Alice","${ALICE}",10`,
+      `Bob;${BOB};5`,
+    ].join('\r\n');
+
+    expect(parseRecipientList(csv).recipients).toEqual([ALICE, BOB]);
+  });
+
+  it('reports unreadable lines and drops repeats', () => {
+    const text = [ALICE, 'not an address', '0x1234', BOB, ALICE].join('\n');
+
+    expect(parseRecipientList(text)).toEqual({
+      recipients: [ALICE, BOB],
+      invalid: [
+        { line: 2, value: 'not an address' },
+        { line: 3, value: '0x1234' },
+      ],
+      duplicates: 1,
+    });
+  });
+});
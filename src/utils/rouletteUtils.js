@@ -0,0 +1,265 @@
+import {
+  BET_KINDS,
+  BET_TYPES,
+  BET_TYPE_NAMES,
+  DENOMINATOR,
+  MAX_NUMBER,
+  PAYOUT_MULTIPLIERS,
+  RED_NUMBERS,
+  RESULT_FORCE_STOPPED,
+  RESULT_RECOVERED,
+  WHEEL_ORDER,
+} from '../constants/game';
+
+/**
+ * Get the pocket color of a roulette number
+ * @param {Number} number - Number between 0 and 36
+ * @returns {String} 'green', 'red' or 'black'
+ */
+export const getNumberColor = number => {
+  const num = Number(number);
+  if (num === 0) return 'green';
+  return RED_NUMBERS.includes(num) ? 'red' : 'black';
+};
+
+/**
+ * Check whether a value is a valid pocket on a European wheel
+ * @param {Number} number - Value to check
+ * @returns {Boolean} True for integers 0-36
+ */
+export const isValidRouletteNumber = number =>
+  Number.isInteger(number) && number >= 0 && number <= MAX_NUMBER;
+
+/**
+ * Get the angle of a pocket's center on the wheel
+ * @param {Number} number - Number between 0 and 36
+ * @returns {Number} Degrees clockwise from the zero pocket
+ */
+export const getWheelPocketAngle = number =>
+  (WHEEL_ORDER.indexOf(Number(number)) * 360) / WHEEL_ORDER.length;
+
+/**
+ * Get the numbers covered by a bet, following Roulette._getBetTypeAndNumbers
+ * @param {Number} betTypeId - Bet type ID (see BET_TYPES)
+ * @param {Number} number - Number for straight bets, ignored otherwise
+ * @returns {Number[]} Covered numbers in ascending order
+ */
+export const getCoveredNumbers = (betTypeId, number = 0) => {
+  const all = Array.from({ length: MAX_NUMBER }, (_, i) => i + 1);
+
+  switch (betTypeId) {
+    case BET_TYPES.STRAIGHT_BET:
+      return [Number(number)];
+    case BET_TYPES.DOZEN_BET_FIRST:
+    case BET_TYPES.DOZEN_BET_SECOND:
+    case BET_TYPES.DOZEN_BET_THIRD: {
+      const start = (betTypeId - BET_TYPES.DOZEN_BET_FIRST) * 12 + 1;
+      return all.slice(start - 1, start + 11);
+    }
+    case BET_TYPES.COLUMN_BET_FIRST:
+    case BET_TYPES.COLUMN_BET_SECOND:
+    case BET_TYPES.COLUMN_BET_THIRD: {
+      const start = betTypeId - BET_TYPES.COLUMN_BET_FIRST + 1;
+      return all.filter(n => (n - start) % 3 === 0);
+    }
+    case BET_TYPES.RED_BET:
+      return all.filter(n => RED_NUMBERS.includes(n));
+    case BET_TYPES.BLACK_BET:
+      return all.filter(n => !RED_NUMBERS.includes(n));
+    case BET_TYPES.EVEN_BET:
+      return all.filter(n => n % 2 === 0);
+    case BET_TYPES.ODD_BET:
+      return all.filter(n => n % 2 === 1);
+    case BET_TYPES.LOW_BET:
+      return all.slice(0, 18);
+    case BET_TYPES.HIGH_BET:
+      return all.slice(18);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Recover the bet type ID from a BetDetails entry. The contract stores the
+ * BetType enum and the covered numbers, so dozens and columns are told apart
+ * by their lowest number.
+ * @param {Number} betKind - BetType enum value (index into BET_KINDS)
+ * @param {Number[]} numbers - Numbers covered by the bet
+ * @returns {Number|null} Bet type ID, or null for an unknown enum value
+ */
+export const getBetTypeIdFromDetails = (betKind, numbers = []) => {
+  const first = Number(numbers[0] || 0);
+
+  switch (BET_KINDS[betKind]) {
+    case 'Straight':
+      return BET_TYPES.STRAIGHT_BET;
+    case 'Dozen':
+      return BET_TYPES.DOZEN_BET_FIRST + Math.floor((first - 1) / 12);
+    case 'Column':
+      return BET_TYPES.COLUMN_BET_FIRST + first - 1;
+    case 'Red':
+      return BET_TYPES.RED_BET;
+    case 'Black':
+      return BET_TYPES.BLACK_BET;
+    case 'Even':
+      return BET_TYPES.EVEN_BET;
+    case 'Odd':
+      return BET_TYPES.ODD_BET;
+    case 'Low':
+      return BET_TYPES.LOW_BET;
+    case 'High':
+      return BET_TYPES.HIGH_BET;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Get a short human readable label for a bet
+ * @param {Object} bet - Bet with betTypeId and number
+ * @returns {String} Label such as "Straight 17" or "Red"
+ */
+export const getBetLabel = bet => {
+  if (!bet) return '';
+  if (bet.betTypeId === BET_TYPES.STRAIGHT_BET) {
+    return `Straight ${bet.number}`;
+  }
+  return BET_TYPE_NAMES[bet.betTypeId] || 'Unknown';
+};
+
+/**
+ * Summarize the numbers a bet covers, e.g. "17", "1-12" or "1, 4, 7 ... 34"
+ * @param {Number[]} numbers - Covered numbers in ascending order
+ * @returns {String} Short description for bet lists
+ */
+export const formatCoveredNumbers = numbers => {
+  if (numbers.length === 0) return '';
+  if (numbers.length <= 3) return numbers.join(', ');
+
+  const isRange = numbers.every((n, i) => i === 0 || n === numbers[i - 1] + 1);
+  if (isRange) return `${numbers[0]}-${numbers[numbers.length - 1]}`;
+
+  return `${numbers.slice(0, 3).join(', ')} ... ${numbers[numbers.length - 1]}`;
+};
+
+/**
+ * Check whether two bets target the same spot on the table
+ * @param {Object} a - First bet
+ * @param {Object} b - Second bet
+ * @returns {Boolean} True if both bets cover the same spot
+ */
+export const isSameBetSpot = (a, b) => {
+  if (!a || !b || a.betTypeId !== b.betTypeId) return false;
+  return a.betTypeId !== BET_TYPES.STRAIGHT_BET || a.number === b.number;
+};
+
+/**
+ * Check whether a bet wins, following Roulette._isBetWinning
+ * @param {Object} bet - Bet with betTypeId and number
+ * @param {Number} winningNumber - Number the wheel landed on
+ * @returns {Boolean} True if the bet wins
+ */
+export const isBetWinning = (bet, winningNumber) => {
+  const winning = Number(winningNumber);
+  if (!isValidRouletteNumber(winning)) return false;
+
+  // Zero only pays a straight bet on zero
+  if (winning === 0) {
+    return bet.betTypeId === BET_TYPES.STRAIGHT_BET && Number(bet.number) === 0;
+  }
+
+  return getCoveredNumbers(bet.betTypeId, bet.number).includes(winning);
+};
+
+/**
+ * Calculate the amount returned for a bet, following Roulette._calculatePayout
+ * @param {Object} bet - Bet with betTypeId, number and amount (wei)
+ * @param {Number} winningNumber - Number the wheel landed on
+ * @returns {BigInt} Winnings plus stake, or 0 for a losing bet
+ */
+export const calculateBetPayout = (bet, winningNumber) => {
+  if (!isBetWinning(bet, winningNumber)) return BigInt(0);
+
+  const amount = BigInt(bet.amount);
+  const multiplier = BigInt(PAYOUT_MULTIPLIERS[bet.betTypeId] || 0);
+  return (amount * multiplier) / BigInt(DENOMINATOR) + amount;
+};
+
+/**
+ * Calculate the total returned for a set of bets on one spin
+ * @param {Object[]} bets - Bets placed on the spin
+ * @param {Number} winningNumber - Number the wheel landed on
+ * @returns {BigInt} Sum of all bet payouts
+ */
+export const calculateSpinPayout = (bets, winningNumber) =>
+  bets.reduce(
+    (sum, bet) => sum + calculateBetPayout(bet, winningNumber),
+    BigInt(0)
+  );
+
+/**
+ * Calculate the best possible return of a bet slip over every pocket
+ * @param {Object[]} bets - Bets placed on the spin
+ * @returns {BigInt} Highest total payout any single number would produce
+ */
+export const calculateMaxSpinPayout = bets => {
+  let best = BigInt(0);
+  for (let number = 0; number <= MAX_NUMBER; number++) {
+    const payout = calculateSpinPayout(bets, number);
+    if (payout > best) best = payout;
+  }
+  return best;
+};
+
+/**
+ * Order the slots of the contract's circular history buffer newest first.
+ * Until the buffer is full spins are stored in play order; after that each
+ * spin overwrites slot historyIndex % size, so the newest spin sits just
+ * before the next write position.
+ * @param {Number} total - Spins stored (length of recentBets)
+ * @param {Number} historyIndex - Spins ever recorded (userData.historyIndex)
+ * @returns {Number[]} Buffer slots, newest first
+ */
+export const getHistorySlotsNewestFirst = (total, historyIndex) => {
+  if (!total) return [];
+  const newest = (((historyIndex - 1) % total) + total) % total;
+  return Array.from({ length: total }, (_, i) => (newest - i + total) % total);
+};
+
+/**
+ * Classify a spin from the player's history for display
+ * @param {Object} spin - Normalized Bet from the contract client
+ * @returns {Object} The spin with resultType, status, isWin and isPending,
+ *   plus rolledNumber, amount and payout strings for older components
+ */
+export const formatSpin = spin => {
+  let resultType = 'normal';
+
+  if (spin.isActive) resultType = 'pending';
+  else if (spin.winningNumber === RESULT_FORCE_STOPPED)
+    resultType = 'force_stopped';
+  else if (spin.winningNumber === RESULT_RECOVERED) resultType = 'recovered';
+  else if (!spin.completed || !isValidRouletteNumber(spin.winningNumber))
+    resultType = 'unknown';
+
+  const isWin = resultType === 'normal' && spin.totalPayout > BigInt(0);
+
+  const statusByType = {
+    pending: 'Pending',
+    force_stopped: 'Force Stopped',
+    recovered: 'Recovered',
+    normal: isWin ? 'Won' : 'Lost',
+    unknown: 'Unknown',
+  };
+
+  return {
+    ...spin,
+    rolledNumber: spin.winningNumber,
+    amount: spin.totalAmount.toString(),
+    payout: spin.totalPayout.toString(),
+    isWin,
+    isPending: resultType === 'pending',
+    resultType,
+    status: statusByType[resultType],
+  };
+};
@@ -1,5 +1,6 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { SIMULATOR_ADDRESSES } from './src/simulator/addresses.js';
 
 export default defineConfig({
   plugins: [react()],
@@ -11,4 +12,18 @@ export default defineConfig({
   server: {
     port: 3000,
   },
+
+  // Tests run the app against the in-process simulator on Apothem's chain ID
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    include: ['src/**/*.test.{js,jsx}'],
+    testTimeout: 30000,
+    env: {
+      VITE_APOTHEM_TOKEN_ADDRESS: SIMULATOR_ADDRESSES.token,
+      VITE_APOTHEM_Roulette_ADDRESS: SIMULATOR_ADDRESSES.Roulette,
+      VITE_APOTHEM_Roulette_START_BLOCK: '',
+      VITE_USE_SIMULATOR: 'false',
+    },
+  },
 });